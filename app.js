@@ -113,6 +113,8 @@ const forecastRoutes = require('./server/routes/forecast');
 const anchorRoutes = require('./server/routes/anchor');
 const healthRoutes = require('./server/routes/health');
 const logbookRoutes = require('./server/routes/logbook');
+const pricesRoutes = require('./server/routes/prices');
+const financeRoutes = require('./server/routes/finance');
 const harborMapRoutes = require('./server/routes/harbor-map');
 const poiRoutes = require('./server/routes/poi');
 const vesselImageRoutes = require('./server/routes/vessel-image');
@@ -161,6 +163,8 @@ app.use('/api/forecast', forecastRoutes);
 app.use('/api', anchorRoutes);
 app.use('/health', healthRoutes);
 app.use('/api/logbook', logbookRoutes);
+app.use('/api/prices', pricesRoutes);
+app.use('/api/finance', financeRoutes);
 app.use('/api/harbor-map', harborMapRoutes);
 app.use('/api/poi', poiRoutes);
 app.use('/api/vessel-image', vesselImageRoutes);
@@ -350,6 +354,51 @@ const chatBot = require('./server/chatbot');
         enabled: settings.chatbotHelpCommandEnabled,
         responseType: 'dm',
         adminOnly: false
+      },
+      coop: {
+        enabled: settings.chatbotCoopCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      top: {
+        enabled: settings.chatbotTopCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      league: {
+        enabled: settings.chatbotLeagueCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      stats: {
+        enabled: settings.chatbotStatsCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      poll: {
+        enabled: settings.chatbotPollCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      vote: {
+        enabled: settings.chatbotVoteCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      signup: {
+        enabled: settings.chatbotSignupCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      remindme: {
+        enabled: settings.chatbotRemindmeCommandEnabled,
+        responseType: 'public',
+        adminOnly: false
+      },
+      remind: {
+        enabled: settings.chatbotRemindCommandEnabled,
+        responseType: 'public',
+        adminOnly: true
       }
     },
     scheduledMessages: {
@@ -359,11 +408,19 @@ const chatBot = require('./server/chatbot');
         dayOffset: 1
       }
     },
+    polls: {
+      durationHours: settings.chatbotPollDurationHours,
+      signupDurationHours: settings.chatbotSignupDurationHours
+    },
+    reminders: {
+      maxPerUser: settings.chatbotReminderMaxPerUser
+    },
     dmCommands: {
       enabled: settings.chatbotDMCommandsEnabled,
       deleteAfterReply: settings.chatbotDeleteDMAfterReply
     },
-    customCommands: settings.chatbotCustomCommands || []
+    customCommands: settings.chatbotCustomCommands || [],
+    permissions: settings.chatbotCommandPermissions || {}
   };
 
   await chatBot.initialize(chatBotSettings);
@@ -1,11 +1,12 @@
 /**
  * @fileoverview Alliance Cooperation Tabs Management
  *
- * Handles the 6-tab interface for Alliance Cooperation:
+ * Handles the tab interface for Alliance Cooperation:
  * - Allianz: Alliance info and statistics
  * - Coop: Current coop functionality (member send buttons)
  * - Liga: User's league and group standings
  * - HighScore: Alliance leaderboard
+ * - Polls: ChatBot polls and sign-up lists (!poll, !signup)
  * - Management: Queue pool and member role management
  * - Settings: Alliance coop settings
  *
@@ -25,6 +26,7 @@ let tabDataCache = {
   allianz: null,
   liga: null,
   highscore: null,
+  polls: null,
   search: null,
   management: null,
   settings: null
@@ -183,6 +185,28 @@ async function fetchAllianceSettings() {
   return await response.json();
 }
 
+/**
+ * Fetches the chatbot polls and sign-up lists of the alliance
+ * @returns {Promise<Object>} { polls, now }
+ */
+async function fetchAlliancePolls() {
+  const response = await fetch(window.apiUrl('/api/alliance-polls'));
+  if (!response.ok) throw new Error('Failed to fetch polls');
+  return await response.json();
+}
+
+/**
+ * Closes a poll or sign-up list (the chatbot posts the results)
+ * @param {number} pollId - Poll ID
+ * @returns {Promise<Object>} Close result
+ */
+async function closeAlliancePoll(pollId) {
+  const response = await fetch(window.apiUrl(`/api/alliance-polls/${pollId}/close`), { method: 'POST' });
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Failed to close poll');
+  return data;
+}
+
 /**
  * Fetches alliance members from the backend API
  * @returns {Promise<Array>} Array of alliance members
@@ -729,6 +753,9 @@ async function loadTabContent(tabName) {
       case 'highscore':
         await renderHighScoreTab();
         break;
+      case 'polls':
+        await renderPollsTab();
+        break;
       case 'search':
         await renderSearchTab();
         break;
@@ -1610,6 +1637,122 @@ async function renderHighScoreTab() {
   });
 }
 
+/**
+ * Formats the time until a poll closes
+ * @param {number} closesAt - Timestamp in ms
+ * @param {number} now - Server time in ms
+ * @returns {string} "2d 5h", "3h 20m" or "20m"
+ */
+function formatPollTimeLeft(closesAt, now) {
+  const minutesLeft = Math.max(1, Math.ceil((closesAt - now) / 60000));
+  const days = Math.floor(minutesLeft / 1440);
+  const hours = Math.floor((minutesLeft % 1440) / 60);
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutesLeft % 60}m`;
+  return `${minutesLeft}m`;
+}
+
+/**
+ * Renders one poll or sign-up list card
+ * @param {Object} poll - Poll from /api/alliance-polls
+ * @param {number} now - Server time in ms
+ * @returns {string} HTML
+ */
+function renderPollCard(poll, now) {
+  const isOpen = poll.status === 'open';
+  const status = isOpen
+    ? `Closes in ${formatPollTimeLeft(poll.closesAt, now)}`
+    : `Closed ${new Date(poll.closedAt).toLocaleString()}${poll.closedBy && poll.closedBy !== 'auto' ? ` by ${escapeHtml(poll.closedBy)}` : ''}`;
+  const closeButton = isOpen ? `<button class="poll-close-btn" data-poll-id="${poll.id}">Close</button>` : '';
+
+  let body;
+  let title;
+  if (poll.type === 'signup') {
+    title = `📝 ${escapeHtml(poll.name)}`;
+    body = poll.entries.length > 0
+      ? `<div class="poll-signups">${poll.entries.map(entry => `<span class="poll-signup">${escapeHtml(entry.userName)}</span>`).join('')}</div>`
+      : '<p class="poll-empty">Nobody signed up yet.</p>';
+  } else {
+    title = `📊 #${poll.id} ${escapeHtml(poll.question)}`;
+    const counts = poll.options.map(() => 0);
+    Object.values(poll.votes || {}).forEach(vote => {
+      if (counts[vote.option] !== undefined) counts[vote.option]++;
+    });
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    body = poll.options.map((option, index) => {
+      const percent = total > 0 ? Math.round(counts[index] / total * 100) : 0;
+      return `
+        <div class="poll-option">
+          <div class="poll-option-label"><span>${index + 1}. ${escapeHtml(option)}</span><span>${counts[index]} (${percent}%)</span></div>
+          <div class="poll-option-bar"><div class="poll-option-fill" style="width: ${percent}%;"></div></div>
+        </div>`;
+    }).join('') + `<p class="poll-empty">${total} vote${total === 1 ? '' : 's'}</p>`;
+  }
+
+  const count = poll.type === 'signup' ? `${poll.entries.length} signed up | ` : '';
+  return `
+    <div class="poll-card${isOpen ? '' : ' poll-card-closed'}">
+      <div class="poll-card-header">
+        <span class="poll-card-title">${title}</span>
+        ${closeButton}
+      </div>
+      ${body}
+      <div class="poll-card-meta">${count}By ${escapeHtml(poll.createdBy.userName)} | ${status}</div>
+    </div>`;
+}
+
+/**
+ * Renders the Polls tab content (chatbot polls and sign-up lists)
+ */
+async function renderPollsTab() {
+  const content = document.getElementById('pollsContent');
+  if (!content) return;
+
+  content.innerHTML = '<p class="alliance-tab-loading">Loading polls...</p>';
+
+  const data = await fetchAlliancePolls();
+  tabDataCache.polls = data;
+
+  const open = data.polls.filter(poll => poll.status === 'open');
+  const closed = data.polls.filter(poll => poll.status === 'closed').slice(0, 10);
+
+  content.innerHTML = `
+    <div class="league-container">
+      <div class="league-header">
+        <h3>Open Polls &amp; Sign-up Lists</h3>
+      </div>
+      ${open.length > 0 ? open.map(poll => renderPollCard(poll, data.now)).join('') : '<p class="league-empty">Nothing open. Members create polls with !poll and sign-up lists with !signup in alliance chat.</p>'}
+      ${closed.length > 0 ? `
+        <div class="league-header">
+          <h3>Recently Closed</h3>
+        </div>
+        ${closed.map(poll => renderPollCard(poll, data.now)).join('')}` : ''}
+    </div>
+  `;
+
+  content.querySelectorAll('.poll-close-btn').forEach(button => {
+    button.addEventListener('click', async () => {
+      const confirmed = await showConfirmDialog({
+        title: 'Close Poll',
+        message: '<p>Close now? The results are posted to alliance chat.</p>',
+        confirmText: 'Close',
+        cancelText: 'Keep Open',
+        narrow: true
+      });
+      if (!confirmed) return;
+
+      button.disabled = true;
+      try {
+        await closeAlliancePoll(parseInt(button.dataset.pollId, 10));
+        showSideNotification('Poll closed, results posted to alliance chat', 'success');
+      } catch (error) {
+        showSideNotification(`Failed: ${error.message}`, 'error');
+      }
+      await renderPollsTab();
+    });
+  });
+}
+
 /**
  * Shows a modal with alliance details
  * @param {number} allianceId - The alliance ID to show details for
@@ -2755,6 +2898,7 @@ export function clearAllianceTabCache() {
     allianz: null,
     liga: null,
     highscore: null,
+    polls: null,
     search: null,
     management: null,
     settings: null,
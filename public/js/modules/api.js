@@ -211,6 +211,42 @@ export async function fetchBunkerPrices() {
   }
 }
 
+/**
+ * Fetches the latest Barrel Boss smart mode purchase plan.
+ *
+ * @returns {Promise<Object|null>} Plan object or null if smart mode has not run yet
+ * @throws {Error} If fetch fails
+ */
+export async function fetchFuelPlan() {
+  try {
+    const response = await fetch(window.apiUrl('/api/autopilot/fuel-plan'));
+    if (!response.ok) throw new Error('Failed to get fuel plan');
+    const data = await response.json();
+    return data.plan;
+  } catch (error) {
+    console.error('Error fetching fuel plan:', error);
+    throw error;
+  }
+}
+
+/**
+ * Fetches the latest Atmosphere Broker planning mode CO2 plan.
+ *
+ * @returns {Promise<Object|null>} Plan object or null if planning mode has not run yet
+ * @throws {Error} If fetch fails
+ */
+export async function fetchCO2Plan() {
+  try {
+    const response = await fetch(window.apiUrl('/api/autopilot/co2-plan'));
+    if (!response.ok) throw new Error('Failed to get CO2 plan');
+    const data = await response.json();
+    return data.plan;
+  } catch (error) {
+    console.error('Error fetching CO2 plan:', error);
+    throw error;
+  }
+}
+
 /**
  * Purchases fuel for the bunker.
  * Amount is multiplied by 1000 before sending (API expects millitons).
@@ -542,6 +578,70 @@ export async function deleteChat(chatId, isSystemChat = false, caseId = null) {
   }
 }
 
+/**
+ * Fetches the locally archived private conversations (including ones deleted in game).
+ *
+ * @returns {Promise<Object>} { chats } without messages, most recent first
+ * @throws {Error} If the request fails
+ */
+export async function fetchMessengerArchive() {
+  const response = await fetch(window.apiUrl('/api/messenger/archive'));
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Failed to load messenger archive');
+  return data;
+}
+
+/**
+ * Searches archived private messages across all conversations.
+ *
+ * @param {string} query - Text contained in the message
+ * @param {string} participant - Text contained in the other company's name
+ * @returns {Promise<Object>} { matches, total, own_user_id }
+ * @throws {Error} If the search fails
+ */
+export async function searchMessengerArchive(query, participant) {
+  const params = new URLSearchParams();
+  if (query) params.set('q', query);
+  if (participant) params.set('participant', participant);
+
+  const response = await fetch(window.apiUrl(`/api/messenger/archive/search?${params}`));
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Failed to search messenger archive');
+  return data;
+}
+
+/**
+ * Fetches an archived conversation with all messages.
+ *
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<Object>} { chat, own_user_id }
+ * @throws {Error} If the request fails
+ */
+export async function fetchArchivedConversation(chatId) {
+  const response = await fetch(window.apiUrl(`/api/messenger/archive/${encodeURIComponent(chatId)}`));
+  const data = await response.json();
+  if (!response.ok) throw new Error(data.error || 'Failed to load archived conversation');
+  return data;
+}
+
+/**
+ * Downloads an archived conversation in specified format
+ *
+ * @param {number} chatId - Chat ID
+ * @param {string} format - "txt", "csv", or "json"
+ * @returns {Promise<string>} File content as text
+ * @throws {Error} If download fails
+ */
+export async function downloadConversationExport(chatId, format) {
+  const response = await fetch(window.apiUrl(`/api/messenger/archive/${encodeURIComponent(chatId)}/download`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ format })
+  });
+  if (!response.ok) throw new Error('Failed to download conversation');
+  return await response.text();
+}
+
 /**
  * Fetches available marketing campaigns and currently active campaigns.
  * Campaigns provide temporary bonuses (reputation, awareness, green).
@@ -848,6 +948,52 @@ export async function downloadLogbookExport(format, filters = {}) {
   }
 }
 
+/**
+ * Searches the local alliance chat archive
+ *
+ * @param {Object} filters - { q, sender, from, to, type, limit, offset } (dates as ms timestamps)
+ * @returns {Promise<Object>} { messages, total, offset, limit } with messages newest first
+ * @throws {Error} If the search fails
+ */
+export async function fetchChatArchive(filters = {}) {
+  try {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') params.set(key, value);
+    }
+    const response = await fetch(window.apiUrl(`/api/chat/archive?${params}`));
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || 'Failed to search chat archive');
+    return data;
+  } catch (error) {
+    console.error('Error searching chat archive:', error);
+    throw error;
+  }
+}
+
+/**
+ * Downloads the (filtered) alliance chat archive in specified format
+ *
+ * @param {string} format - "txt", "csv", or "json"
+ * @param {Object} filters - Same filters as fetchChatArchive (without paging)
+ * @returns {Promise<string>} File content as text
+ * @throws {Error} If download fails
+ */
+export async function downloadChatArchiveExport(format, filters = {}) {
+  try {
+    const response = await fetch(window.apiUrl('/api/chat/archive/download'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ format, ...filters })
+    });
+    if (!response.ok) throw new Error('Failed to download chat archive');
+    return await response.text();
+  } catch (error) {
+    console.error('Error downloading chat archive:', error);
+    throw error;
+  }
+}
+
 /**
  * Deletes all autopilot logs for the current user
  *
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Rule Keeper Settings Module
+ *
+ * Lists, creates, edits and deletes the user-defined autopilot rules
+ * ("when X then Y") evaluated by the server in the main event loop.
+ * Metric and action definitions come from GET /api/autopilot/rules so the
+ * UI never gets out of sync with the server-side rules engine.
+ *
+ * @module autopilot-rules
+ */
+
+import { escapeHtml, formatNumber, showSideNotification } from './utils.js';
+
+const OPERATORS = ['>', '>=', '<', '<=', '=='];
+
+let initialized = false;
+let definitions = { metrics: {}, actions: {} };
+let rules = [];
+let current = {};
+
+/**
+ * Draft of the rule being edited (null = editor closed)
+ */
+let draft = null;
+
+/**
+ * Creates an empty rule draft
+ * @returns {Object} Draft rule
+ */
+function createDraft() {
+  return {
+    name: '',
+    enabled: true,
+    conditions: [{ metric: 'cash', operator: '>', value: '' }],
+    action: { type: 'buyFuel', amount: 100, message: '' },
+    cooldownMinutes: 60
+  };
+}
+
+/**
+ * Formats a metric value with its unit
+ * @param {string} metric - Metric key
+ * @param {number|null} value - Value
+ * @returns {string} Formatted value
+ */
+function formatMetricValue(metric, value) {
+  if (value === null || value === undefined || value === '') return '-';
+  const unit = definitions.metrics[metric]?.unit || '';
+  if (unit === '$') return `$${formatNumber(value)}`;
+  if (unit === '$/t') return `$${formatNumber(value)}/t`;
+  return `${formatNumber(value)}${unit}`;
+}
+
+/**
+ * Describes a rule as "IF ... THEN ..." text
+ * @param {Object} rule - Rule
+ * @returns {string} Escaped HTML
+ */
+function describeRule(rule) {
+  const conditions = rule.conditions.map(c =>
+    `${escapeHtml(definitions.metrics[c.metric]?.label || c.metric)} ${escapeHtml(c.operator)} ${escapeHtml(formatMetricValue(c.metric, c.value))}`
+  ).join(' <strong>AND</strong> ');
+
+  const actionDef = definitions.actions[rule.action.type];
+  let action = escapeHtml(actionDef?.label || rule.action.type);
+  if (rule.action.amount !== undefined) action += ` ${formatNumber(rule.action.amount)}`;
+  if (rule.action.message) action += `: "${escapeHtml(rule.action.message)}"`;
+
+  return `<strong>IF</strong> ${conditions} <strong>THEN</strong> ${action}`;
+}
+
+/**
+ * Renders the rule list
+ */
+function renderRuleList() {
+  const list = document.getElementById('autopilotRulesList');
+  if (!list) return;
+
+  if (rules.length === 0) {
+    list.innerHTML = '<p class="autopilot-rules-empty">No rules yet</p>';
+    return;
+  }
+
+  list.innerHTML = rules.map(rule => {
+    const lastRun = rule.lastTriggeredAt
+      ? `Last run ${new Date(rule.lastTriggeredAt).toLocaleString()}${rule.lastResult ? ` (${escapeHtml(rule.lastResult.status)})` : ''}`
+      : 'Never run';
+
+    return `
+      <div class="autopilot-rule${rule.enabled ? '' : ' autopilot-rule-disabled'}" data-id="${escapeHtml(rule.id)}">
+        <div class="autopilot-rule-header">
+          <label>
+            <input type="checkbox" class="autopilot-rule-toggle" ${rule.enabled ? 'checked' : ''}>
+            <span>${escapeHtml(rule.name)}</span>
+          </label>
+          <span>
+            <button class="autopilot-rule-edit" title="Edit rule">✏️</button>
+            <button class="autopilot-rule-delete" title="Delete rule">🗑️</button>
+          </span>
+        </div>
+        <div class="autopilot-rule-text">${describeRule(rule)}</div>
+        <div class="autopilot-rule-meta">Cooldown ${formatNumber(rule.cooldownMinutes)} min | ${lastRun}</div>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Renders the amount/message inputs for the draft's action
+ * @returns {string} HTML
+ */
+function renderActionParams() {
+  const actionDef = definitions.actions[draft.action.type];
+  if (!actionDef) return '';
+
+  if (actionDef.amount?.values) {
+    const options = actionDef.amount.values.map(v =>
+      `<option value="${v}" ${Number(draft.action.amount) === v ? 'selected' : ''}>${v}</option>`
+    ).join('');
+    return `<select id="ruleActionAmount">${options}</select>`;
+  }
+  if (actionDef.amount) {
+    return `<input type="number" id="ruleActionAmount" min="${actionDef.amount.min}" max="${actionDef.amount.max}" value="${escapeHtml(String(draft.action.amount ?? ''))}">`;
+  }
+  if (actionDef.message) {
+    return `<input type="text" id="ruleActionMessage" maxlength="200" placeholder="Message" value="${escapeHtml(draft.action.message || '')}">`;
+  }
+  return '';
+}
+
+/**
+ * Renders the rule editor for the current draft
+ */
+function renderEditor() {
+  const editor = document.getElementById('autopilotRulesEditor');
+  const addButton = document.getElementById('autopilotRulesAddBtn');
+  if (!editor) return;
+
+  if (!draft) {
+    editor.innerHTML = '';
+    editor.classList.add('hidden');
+    if (addButton) addButton.classList.remove('hidden');
+    return;
+  }
+
+  const metricOptions = selected => Object.entries(definitions.metrics).map(([key, def]) =>
+    `<option value="${key}" ${key === selected ? 'selected' : ''}>${escapeHtml(def.label)}${def.unit ? ` (${escapeHtml(def.unit)})` : ''}</option>`
+  ).join('');
+  const operatorOptions = selected => OPERATORS.map(op =>
+    `<option value="${escapeHtml(op)}" ${op === selected ? 'selected' : ''}>${escapeHtml(op)}</option>`
+  ).join('');
+  const actionOptions = Object.entries(definitions.actions).map(([key, def]) =>
+    `<option value="${key}" ${key === draft.action.type ? 'selected' : ''}>${escapeHtml(def.label)}</option>`
+  ).join('');
+
+  const conditionRows = draft.conditions.map((c, index) => `
+    <div class="autopilot-rule-condition" data-index="${index}">
+      <select class="rule-condition-metric">${metricOptions(c.metric)}</select>
+      <select class="rule-condition-operator">${operatorOptions(c.operator)}</select>
+      <input type="number" class="rule-condition-value" step="any" value="${escapeHtml(String(c.value))}" placeholder="Now: ${escapeHtml(formatMetricValue(c.metric, current[c.metric]))}">
+      <button class="autopilot-rule-condition-remove" title="Remove condition" ${draft.conditions.length === 1 ? 'disabled' : ''}>✖</button>
+    </div>`).join('');
+
+  editor.innerHTML = `
+    <input type="text" id="ruleName" maxlength="50" placeholder="Rule name" value="${escapeHtml(draft.name)}">
+    <p class="autopilot-rules-label">When ALL of these are true:</p>
+    ${conditionRows}
+    <button id="ruleAddConditionBtn" ${draft.conditions.length >= 5 ? 'disabled' : ''}>+ Condition</button>
+    <p class="autopilot-rules-label">Then:</p>
+    <div class="autopilot-rule-condition">
+      <select id="ruleActionType">${actionOptions}</select>
+      ${renderActionParams()}
+    </div>
+    <p class="autopilot-rules-label">Cooldown (minutes between runs):</p>
+    <input type="number" id="ruleCooldown" min="1" max="10080" value="${escapeHtml(String(draft.cooldownMinutes))}">
+    <div class="autopilot-rules-editor-buttons">
+      <button id="ruleSaveBtn">💾 Save</button>
+      <button id="ruleCancelBtn">Cancel</button>
+    </div>`;
+
+  editor.classList.remove('hidden');
+  if (addButton) addButton.classList.add('hidden');
+}
+
+/**
+ * Copies the editor inputs back into the draft (before re-rendering or saving)
+ */
+function readEditor() {
+  if (!draft) return;
+
+  draft.name = document.getElementById('ruleName')?.value || '';
+  draft.conditions = Array.from(document.querySelectorAll('#autopilotRulesEditor .autopilot-rule-condition[data-index]')).map(row => ({
+    metric: row.querySelector('.rule-condition-metric').value,
+    operator: row.querySelector('.rule-condition-operator').value,
+    value: row.querySelector('.rule-condition-value').value
+  }));
+  draft.action.type = document.getElementById('ruleActionType')?.value || draft.action.type;
+  const amountInput = document.getElementById('ruleActionAmount');
+  if (amountInput) draft.action.amount = amountInput.value;
+  const messageInput = document.getElementById('ruleActionMessage');
+  if (messageInput) draft.action.message = messageInput.value;
+  draft.cooldownMinutes = document.getElementById('ruleCooldown')?.value || '';
+}
+
+/**
+ * Sends a rule to the server
+ * @param {Object} rule - Rule to create/update
+ * @returns {Promise<boolean>} True if saved
+ */
+async function saveRule(rule) {
+  try {
+    const response = await fetch(window.apiUrl('/api/autopilot/rules'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...rule,
+        conditions: rule.conditions.map(c => ({ ...c, value: Number(c.value) })),
+        action: { ...rule.action, amount: Number(rule.action.amount) },
+        cooldownMinutes: Number(rule.cooldownMinutes)
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showSideNotification(`📜 <strong>Rule not saved</strong><br><br>${escapeHtml(data.error || 'Unknown error')}`, 'error', 5000);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('[Rule Keeper] Failed to save rule:', error);
+    showSideNotification('📜 <strong>Rule not saved</strong><br><br>Server not reachable', 'error', 5000);
+    return false;
+  }
+}
+
+/**
+ * Deletes a rule on the server
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+async function deleteRule(ruleId) {
+  try {
+    const response = await fetch(window.apiUrl(`/api/autopilot/rules/${encodeURIComponent(ruleId)}`), { method: 'DELETE' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    console.error('[Rule Keeper] Failed to delete rule:', error);
+    showSideNotification('📜 <strong>Failed to delete rule</strong>', 'error', 5000);
+  }
+}
+
+/**
+ * Loads rules and definitions from the server and renders the list
+ * @returns {Promise<void>}
+ */
+export async function loadAutopilotRules() {
+  try {
+    const response = await fetch(window.apiUrl('/api/autopilot/rules'));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    definitions = { metrics: data.metrics, actions: data.actions };
+    rules = data.rules;
+    current = data.current || {};
+    renderRuleList();
+  } catch (error) {
+    console.error('[Rule Keeper] Failed to load rules:', error);
+    const list = document.getElementById('autopilotRulesList');
+    if (list) list.innerHTML = '<p class="autopilot-rules-empty">Failed to load rules</p>';
+  }
+}
+
+/**
+ * Handles clicks inside the Rule Keeper settings block
+ * @param {MouseEvent} event - Click event
+ */
+async function handleClick(event) {
+  const target = event.target;
+  const ruleElement = target.closest('.autopilot-rule');
+  const rule = ruleElement ? rules.find(r => r.id === ruleElement.dataset.id) : null;
+
+  if (target.id === 'autopilotRulesAddBtn') {
+    draft = createDraft();
+    renderEditor();
+  } else if (target.id === 'ruleAddConditionBtn') {
+    readEditor();
+    draft.conditions.push({ metric: 'cash', operator: '>', value: '' });
+    renderEditor();
+  } else if (target.classList.contains('autopilot-rule-condition-remove')) {
+    readEditor();
+    draft.conditions.splice(Number(target.closest('.autopilot-rule-condition').dataset.index), 1);
+    renderEditor();
+  } else if (target.id === 'ruleCancelBtn') {
+    draft = null;
+    renderEditor();
+  } else if (target.id === 'ruleSaveBtn') {
+    readEditor();
+    if (await saveRule(draft)) {
+      draft = null;
+      renderEditor();
+      await loadAutopilotRules();
+    }
+  } else if (rule && target.classList.contains('autopilot-rule-edit')) {
+    draft = JSON.parse(JSON.stringify(rule));
+    renderEditor();
+  } else if (rule && target.classList.contains('autopilot-rule-delete')) {
+    if (!confirm(`Delete rule "${rule.name}"?`)) return;
+    await deleteRule(rule.id);
+    await loadAutopilotRules();
+  }
+}
+
+/**
+ * Handles change events inside the Rule Keeper settings block
+ * @param {Event} event - Change event
+ */
+async function handleChange(event) {
+  const target = event.target;
+
+  if (target.id === 'ruleActionType' || target.classList.contains('rule-condition-metric')) {
+    // Re-render so amount inputs and "Now:" placeholders match the selection
+    readEditor();
+    renderEditor();
+  } else if (target.classList.contains('autopilot-rule-toggle')) {
+    const rule = rules.find(r => r.id === target.closest('.autopilot-rule').dataset.id);
+    if (!rule) return;
+    await saveRule({ ...rule, enabled: target.checked });
+    await loadAutopilotRules();
+  }
+}
+
+/**
+ * Initializes the Rule Keeper settings block and loads the rules.
+ * Safe to call multiple times; listeners are only attached once.
+ */
+export function initAutopilotRules() {
+  const container = document.getElementById('autopilotRulesOptions');
+  if (!container) return;
+
+  if (!initialized) {
+    container.addEventListener('click', (event) => {
+      if (event.target.tagName === 'BUTTON') event.preventDefault();
+      handleClick(event);
+    });
+    container.addEventListener('change', handleChange);
+    initialized = true;
+  }
+
+  loadAutopilotRules();
+}
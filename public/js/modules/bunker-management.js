@@ -22,8 +22,8 @@
  * @requires ui-dialogs - Confirmation dialogs for purchases
  */
 
-import { formatNumber, showSideNotification, getFuelPriceClass, getCO2PriceClass } from './utils.js';
-import { fetchBunkerPrices, purchaseFuel as apiPurchaseFuel, purchaseCO2 as apiPurchaseCO2 } from './api.js';
+import { formatNumber, showSideNotification, getFuelPriceClass, getCO2PriceClass, escapeHtml } from './utils.js';
+import { fetchBunkerPrices, fetchFuelPlan, fetchCO2Plan, purchaseFuel as apiPurchaseFuel, purchaseCO2 as apiPurchaseCO2 } from './api.js';
 import { showConfirmDialog } from './ui-dialogs.js';
 
 /**
@@ -663,3 +663,123 @@ export function updateCurrentCO2(newCO2) {
     document.getElementById('co2Display').textContent = `${formatNumber(Math.floor(currentCO2))} t / ${formatNumber(Math.floor(maxCO2))} t`;
   }
 }
+
+/**
+ * Formats a plan timestamp as local HH:MM (prefixed with "now" for the current slot).
+ * @param {number} time - UTC milliseconds
+ * @returns {string} Display time
+ */
+function formatPlanTime(time) {
+  if (time <= Date.now()) return 'now';
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Renders the Barrel Boss smart mode plan in the autopilot settings.
+ * Shows planned purchases (now + next cheaper slot) and the estimated savings
+ * compared to classic threshold buying.
+ *
+ * @param {Object|null} plan - Plan from 'fuel_plan_update' or /api/autopilot/fuel-plan
+ */
+export function renderFuelPlan(plan) {
+  const container = document.getElementById('fuelPlanDisplay');
+  if (!container) return;
+
+  const smartEnabled = document.getElementById('autoRebuyFuelSmartMode')?.checked;
+  if (!smartEnabled) {
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+
+  if (!plan) {
+    container.innerHTML = '<span style="color: #9ca3af;">Waiting for the next autopilot check...</span>';
+    return;
+  }
+
+  const rows = plan.plannedPurchases.map(p => `
+    <div style="display: flex; justify-content: space-between; gap: 8px;">
+      <span>${formatPlanTime(p.time)}: ${formatNumber(p.amount)}t @ $${formatNumber(p.price)}/t</span>
+      <span style="color: #9ca3af;">${escapeHtml(p.reason)}</span>
+    </div>`).join('');
+
+  const nextCheaper = plan.nextCheaperSlot
+    ? `$${formatNumber(plan.nextCheaperSlot.price)}/t at ${formatPlanTime(plan.nextCheaperSlot.time)}`
+    : 'none in next 24h';
+
+  container.innerHTML = `
+    <div style="margin-bottom: 6px; font-weight: 500;">📋 Planned purchases</div>
+    ${rows || '<div style="color: #9ca3af;">No purchase planned</div>'}
+    <div style="margin-top: 6px; color: #9ca3af;">
+      Current: $${formatNumber(plan.currentPrice)}/t | Next cheaper: ${nextCheaper} | Fleet need: ${formatNumber(plan.fleetNeed)}t (${plan.departures} departures)
+    </div>
+    <div style="margin-top: 4px; color: #4ade80;">
+      💰 Est. savings vs threshold ($${formatNumber(plan.threshold)}/t): $${formatNumber(plan.estimatedSavings)}
+    </div>`;
+}
+
+/**
+ * Loads the current smart mode plan from the server and renders it.
+ * @returns {Promise<void>}
+ */
+export async function loadFuelPlan() {
+  try {
+    renderFuelPlan(await fetchFuelPlan());
+  } catch {
+    renderFuelPlan(null);
+  }
+}
+
+/**
+ * Renders the Atmosphere Broker planning mode plan in the autopilot settings.
+ * Shows the purchase slices, projected usage and whether the balance stays positive.
+ *
+ * @param {Object|null} plan - Plan from 'co2_plan_update' or /api/autopilot/co2-plan
+ */
+export function renderCO2Plan(plan) {
+  const container = document.getElementById('co2PlanDisplay');
+  if (!container) return;
+
+  const planningEnabled = document.getElementById('autoRebuyCO2PlanningMode')?.checked;
+  if (!planningEnabled) {
+    container.classList.add('hidden');
+    return;
+  }
+  container.classList.remove('hidden');
+
+  if (!plan) {
+    container.innerHTML = '<span style="color: #9ca3af;">Waiting for the next autopilot check (needs forecast data and at least one logged departure)...</span>';
+    return;
+  }
+
+  const rows = plan.slices.map(s => `
+    <div style="display: flex; justify-content: space-between; gap: 8px;">
+      <span>${formatPlanTime(s.time)}</span>
+      <span>${formatNumber(s.amount)}t @ $${formatNumber(s.price)}/t</span>
+    </div>`).join('');
+
+  const balanceNote = plan.uncovered > 0
+    ? `<div style="margin-top: 4px; color: #f87171;">⚠️ ${formatNumber(plan.uncovered)}t cannot be covered (bunker capacity)</div>`
+    : `<div style="margin-top: 4px; color: #4ade80;">✓ Lowest projected balance: ${formatNumber(plan.lowestBalance)}t</div>`;
+
+  container.innerHTML = `
+    <div style="margin-bottom: 6px; font-weight: 500;">📋 Purchase slices (next 24h)</div>
+    ${rows || '<div style="color: #9ca3af;">No purchase needed</div>'}
+    <div style="margin-top: 6px; color: #9ca3af;">${escapeHtml(plan.reason || '')}</div>
+    <div style="margin-top: 4px; color: #9ca3af;">
+      Projected usage: ${formatNumber(plan.projectedUsage)}t (${plan.departures} departures, ${plan.co2PerFuel}t CO2/t fuel) | Est. cost: $${formatNumber(plan.estimatedCost)}
+    </div>
+    ${balanceNote}`;
+}
+
+/**
+ * Loads the current CO2 plan from the server and renders it.
+ * @returns {Promise<void>}
+ */
+export async function loadCO2Plan() {
+  try {
+    renderCO2Plan(await fetchCO2Plan());
+  } catch {
+    renderCO2Plan(null);
+  }
+}
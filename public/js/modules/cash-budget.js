@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Cash Budget Settings Module
+ *
+ * Renders the per-pilot budget table (priority, hourly/daily cap, remaining) and
+ * stores priorities and caps in settings.cashBudgets. Spending and remaining
+ * amounts come from GET /api/autopilot/budget and are pushed live via the
+ * 'budget_update' WebSocket event whenever a pilot spends.
+ *
+ * @module cash-budget
+ */
+
+import { saveSettings, escapeHtml, formatNumber } from './utils.js';
+
+let settingsRef = null;
+let lastStatus = null;
+
+/**
+ * Formats a budget amount (null = unlimited)
+ * @param {number|null} value - Amount
+ * @returns {string} "$1,234" or "∞"
+ */
+function formatBudget(value) {
+  return value === null || value === undefined ? '∞' : `$${formatNumber(value)}`;
+}
+
+/**
+ * Renders the budget table
+ * @param {Object} status - Budget status from the server ({ enabled, cash, pilots })
+ */
+export function renderCashBudget(status) {
+  const container = document.getElementById('cashBudgetList');
+  if (!container || !status?.pilots) return;
+  lastStatus = status;
+
+  const priorityCount = status.pilots.length;
+  const rows = status.pilots.map(pilot => {
+    const priorityOptions = Array.from({ length: priorityCount }, (_, i) => i + 1)
+      .map(p => `<option value="${p}" ${p === pilot.priority ? 'selected' : ''}>${p}</option>`)
+      .join('');
+
+    return `
+      <tr class="cash-budget-row${pilot.active ? '' : ' cash-budget-inactive'}" data-pilot="${escapeHtml(pilot.id)}">
+        <td>${escapeHtml(pilot.name)}</td>
+        <td><select class="cash-budget-priority">${priorityOptions}</select></td>
+        <td><input type="text" class="cash-budget-cap" data-cap="hourlyCap" value="${pilot.hourlyCap ? formatNumber(pilot.hourlyCap) : ''}" placeholder="∞"></td>
+        <td><input type="text" class="cash-budget-cap" data-cap="dailyCap" value="${pilot.dailyCap ? formatNumber(pilot.dailyCap) : ''}" placeholder="∞"></td>
+        <td class="cash-budget-remaining" title="Spent: $${formatNumber(pilot.spentHour)} (1h) / $${formatNumber(pilot.spentDay)} (24h)">
+          ${formatBudget(pilot.remainingHour)} / ${formatBudget(pilot.remainingDay)}
+        </td>
+        <td class="cash-budget-remaining">${status.enabled ? formatBudget(pilot.available) : '-'}</td>
+      </tr>`;
+  }).join('');
+
+  container.innerHTML = `
+    <table class="cash-budget-table">
+      <thead>
+        <tr>
+          <th>Pilot</th>
+          <th>Prio</th>
+          <th>Cap / hour</th>
+          <th>Cap / day</th>
+          <th>Left (1h / 24h)</th>
+          <th>Spendable</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Loads the budget status from the server and renders it
+ * @returns {Promise<void>}
+ */
+export async function loadCashBudget() {
+  try {
+    const response = await fetch(window.apiUrl('/api/autopilot/budget'));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    renderCashBudget(await response.json());
+  } catch (error) {
+    console.error('[Cash Budget] Failed to load budget:', error);
+    const container = document.getElementById('cashBudgetList');
+    if (container && !lastStatus) container.innerHTML = '<p class="cash-budget-empty">Failed to load cash budget</p>';
+  }
+}
+
+/**
+ * Reads one table row back into settings, saves and reloads the budget
+ * @param {HTMLElement} row - .cash-budget-row element
+ */
+async function saveRow(row) {
+  const pilotId = row.dataset.pilot;
+  const parseCap = input => Math.max(0, parseInt(input.value.replace(/[^0-9]/g, ''), 10) || 0);
+
+  settingsRef.cashBudgets = {
+    ...settingsRef.cashBudgets,
+    [pilotId]: {
+      priority: Number(row.querySelector('.cash-budget-priority').value),
+      hourlyCap: parseCap(row.querySelector('[data-cap="hourlyCap"]')),
+      dailyCap: parseCap(row.querySelector('[data-cap="dailyCap"]'))
+    }
+  };
+  await saveSettings(settingsRef);
+  await loadCashBudget();
+}
+
+/**
+ * Initializes the cash budget table
+ * @param {Object} settings - Shared settings object (mutated on change)
+ */
+export function initCashBudget(settings) {
+  const container = document.getElementById('cashBudgetList');
+  if (!container) return;
+
+  if (!settingsRef) {
+    container.addEventListener('change', (event) => {
+      const row = event.target.closest('.cash-budget-row');
+      if (row) saveRow(row);
+    });
+  }
+
+  settingsRef = settings;
+  loadCashBudget();
+}
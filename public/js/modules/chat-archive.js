@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Alliance Chat Archive Module
+ *
+ * Search bar on top of the alliance chat. The game feed only returns the latest
+ * messages; the server archives everything it sees (GET /api/chat/archive), so
+ * older messages can be searched by text, sender and date range and exported
+ * like the logbook (TXT/CSV/JSON).
+ *
+ * While a search is active the results replace the live feed in the chat window;
+ * the live feed keeps updating in the background and is shown again on clear.
+ *
+ * @module chat-archive
+ */
+
+import { showNotification } from './utils.js';
+import { fetchChatArchive, downloadChatArchiveExport } from './api.js';
+import { displayMessages } from './chat.js';
+
+const PAGE_SIZE = 100;
+
+let initialized = false;
+let results = [];
+let total = 0;
+let activeFilters = null;
+
+/**
+ * Reads the filters from the search bar
+ * @returns {Object} { q, sender, from, to, type } with dates as ms timestamps (local time)
+ */
+function readFilters() {
+  const from = document.getElementById('chatArchiveFrom').value;
+  const to = document.getElementById('chatArchiveTo').value;
+
+  return {
+    q: document.getElementById('chatArchiveQuery').value.trim(),
+    sender: document.getElementById('chatArchiveSender').value.trim(),
+    from: from ? new Date(`${from}T00:00:00`).getTime() : '',
+    to: to ? new Date(`${to}T23:59:59.999`).getTime() : '',
+    type: document.getElementById('chatArchiveType').value
+  };
+}
+
+/**
+ * Shows the archive results instead of the live feed (or the other way round)
+ * @param {boolean} active - True to show the results
+ */
+function setSearchActive(active) {
+  document.getElementById('chatFeed').classList.toggle('hidden', active);
+  document.getElementById('chatArchiveResults').classList.toggle('hidden', !active);
+  document.getElementById('chatArchiveClearBtn').classList.toggle('hidden', !active);
+}
+
+/**
+ * Renders the collected results and the "load older" button
+ * @returns {Promise<void>}
+ */
+async function renderResults() {
+  const container = document.getElementById('chatArchiveResults');
+  await displayMessages(results, container);
+
+  if (results.length === 0) {
+    container.innerHTML = '<div class="empty-message">No archived messages found</div>';
+  }
+
+  // Feed is column-reverse, so appended elements are shown on top
+  const status = document.createElement('div');
+  status.className = 'chat-archive-status';
+  status.textContent = `${results.length} of ${total} archived messages`;
+  if (results.length < total) {
+    const button = document.createElement('button');
+    button.id = 'chatArchiveMoreBtn';
+    button.textContent = 'Load older';
+    status.appendChild(button);
+  }
+  container.appendChild(status);
+}
+
+/**
+ * Runs a new search with the current filters
+ * @returns {Promise<void>}
+ */
+async function search() {
+  const filters = readFilters();
+
+  try {
+    const data = await fetchChatArchive({ ...filters, limit: PAGE_SIZE });
+    if (data.no_alliance) {
+      showNotification('Not in an alliance', 'error');
+      return;
+    }
+    activeFilters = filters;
+    results = data.messages;
+    total = data.total;
+    setSearchActive(true);
+    await renderResults();
+  } catch (error) {
+    showNotification(`Archive search failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Loads the next page of the active search
+ * @returns {Promise<void>}
+ */
+async function loadMore() {
+  if (!activeFilters) return;
+
+  try {
+    const data = await fetchChatArchive({ ...activeFilters, limit: PAGE_SIZE, offset: results.length });
+    results = results.concat(data.messages);
+    total = data.total;
+    await renderResults();
+  } catch (error) {
+    showNotification(`Archive search failed: ${error.message}`, 'error');
+  }
+}
+
+/**
+ * Leaves the search and shows the live feed again
+ */
+function clearSearch() {
+  activeFilters = null;
+  results = [];
+  total = 0;
+  for (const id of ['chatArchiveQuery', 'chatArchiveSender', 'chatArchiveFrom', 'chatArchiveTo']) {
+    document.getElementById(id).value = '';
+  }
+  document.getElementById('chatArchiveType').value = 'all';
+  document.getElementById('chatArchiveResults').innerHTML = '';
+  setSearchActive(false);
+}
+
+/**
+ * Exports the archive with the current filters
+ * @param {string} format - "txt", "csv", or "json"
+ * @returns {Promise<void>}
+ */
+async function exportArchive(format) {
+  try {
+    const data = await downloadChatArchiveExport(format, readFilters());
+
+    const types = { json: 'application/json', csv: 'text/csv', txt: 'text/plain' };
+    const blob = new Blob([data], { type: types[format] });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `alliance-chat-${Date.now()}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showNotification(`Exported chat archive as ${format.toUpperCase()}`, 'success');
+  } catch (error) {
+    console.error('[Chat Archive] Export failed:', error);
+    showNotification('Export failed', 'error');
+  }
+}
+
+/**
+ * Initializes the archive search bar of the alliance chat window.
+ * Safe to call multiple times; listeners are only attached once.
+ */
+export function initChatArchive() {
+  const bar = document.getElementById('chatArchiveBar');
+  if (!bar || initialized) return;
+
+  document.getElementById('chatArchiveSearchBtn').addEventListener('click', search);
+  document.getElementById('chatArchiveClearBtn').addEventListener('click', clearSearch);
+  for (const id of ['chatArchiveQuery', 'chatArchiveSender']) {
+    document.getElementById(id).addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') search();
+    });
+  }
+
+  bar.querySelectorAll('[data-archive-export]').forEach(button => {
+    button.addEventListener('click', () => exportArchive(button.dataset.archiveExport));
+  });
+
+  document.getElementById('chatArchiveResults').addEventListener('click', (event) => {
+    if (event.target.id === 'chatArchiveMoreBtn') loadMore();
+  });
+
+  initialized = true;
+}
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Chat Watch Module
+ *
+ * Settings block for the alliance chat watch rules (keywords or regular expressions
+ * such as the own company name, "hijack" or "leaving") and the handler for the
+ * chat_watch_alert events the server sends when a new message matches.
+ * Matching, rate limiting and optional bot replies happen on the server
+ * (server/chatbot/chat-watch.js).
+ *
+ * @module chat-watch
+ */
+
+import { escapeHtml, showSideNotification } from './utils.js';
+import { notifyAlert } from './desktop-notification-templates.js';
+
+let initialized = false;
+let rules = [];
+
+/**
+ * Draft of the rule being edited (null = editor closed)
+ */
+let draft = null;
+
+/**
+ * Creates an empty rule draft
+ * @returns {Object} Draft rule
+ */
+function createDraft() {
+  return { name: '', enabled: true, type: 'keyword', pattern: '', notify: true, response: '' };
+}
+
+/**
+ * Renders the rule list
+ */
+function renderRuleList() {
+  const list = document.getElementById('chatWatchList');
+  if (!list) return;
+
+  if (rules.length === 0) {
+    list.innerHTML = '<p class="autopilot-rules-empty">No watch rules yet</p>';
+    return;
+  }
+
+  list.innerHTML = rules.map(rule => {
+    const actions = [rule.notify ? '🔔 Notify' : null, rule.response ? '🤖 Bot reply' : null].filter(Boolean).join(' + ');
+    const lastMatch = rule.lastMatchAt
+      ? `Matched ${rule.matchCount}× | Last ${new Date(rule.lastMatchAt).toLocaleString()}`
+      : 'No matches yet';
+
+    return `
+      <div class="autopilot-rule${rule.enabled ? '' : ' autopilot-rule-disabled'}" data-id="${escapeHtml(rule.id)}">
+        <div class="autopilot-rule-header">
+          <label>
+            <input type="checkbox" class="chat-watch-toggle" ${rule.enabled ? 'checked' : ''}>
+            <span>${escapeHtml(rule.name)}</span>
+          </label>
+          <span>
+            <button class="chat-watch-edit" title="Edit rule">✏️</button>
+            <button class="chat-watch-delete" title="Delete rule">🗑️</button>
+          </span>
+        </div>
+        <div class="autopilot-rule-text">${rule.type === 'regex' ? 'Regex' : 'Keyword'} <code>${escapeHtml(rule.pattern)}</code> → ${actions}</div>
+        ${rule.response ? `<div class="chatbot-announcement-message">${escapeHtml(rule.response)}</div>` : ''}
+        <div class="autopilot-rule-meta">${lastMatch}</div>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Renders the rule editor for the current draft
+ */
+function renderEditor() {
+  const editor = document.getElementById('chatWatchEditor');
+  const addButton = document.getElementById('chatWatchAddBtn');
+  if (!editor) return;
+
+  if (!draft) {
+    editor.innerHTML = '';
+    editor.classList.add('hidden');
+    if (addButton) addButton.classList.remove('hidden');
+    return;
+  }
+
+  editor.innerHTML = `
+    <input type="text" id="chatWatchName" maxlength="50" placeholder="Rule name" value="${escapeHtml(draft.name)}">
+    <div class="autopilot-rule-condition">
+      <select id="chatWatchType">
+        <option value="keyword" ${draft.type === 'keyword' ? 'selected' : ''}>Keyword / phrase</option>
+        <option value="regex" ${draft.type === 'regex' ? 'selected' : ''}>Regular expression</option>
+      </select>
+      <input type="text" id="chatWatchPattern" maxlength="100" placeholder="${draft.type === 'regex' ? 'e.g. leav(e|ing)' : 'e.g. hijack'}" value="${escapeHtml(draft.pattern)}">
+    </div>
+    <label class="chat-watch-notify">
+      <input type="checkbox" id="chatWatchNotify" ${draft.notify ? 'checked' : ''}> In-app and desktop notification
+    </label>
+    <p class="autopilot-rules-label">Bot reply in alliance chat (optional, placeholders like {user} or {coop_available}):</p>
+    <textarea id="chatWatchResponse" class="response-textarea" rows="2" maxlength="500">${escapeHtml(draft.response)}</textarea>
+    <div class="autopilot-rules-editor-buttons">
+      <button id="chatWatchSaveBtn">💾 Save</button>
+      <button id="chatWatchCancelBtn">Cancel</button>
+    </div>`;
+
+  editor.classList.remove('hidden');
+  if (addButton) addButton.classList.add('hidden');
+}
+
+/**
+ * Copies the editor inputs back into the draft (before re-rendering or saving)
+ */
+function readEditor() {
+  if (!draft) return;
+
+  draft.name = document.getElementById('chatWatchName')?.value || '';
+  draft.type = document.getElementById('chatWatchType')?.value || 'keyword';
+  draft.pattern = document.getElementById('chatWatchPattern')?.value || '';
+  draft.notify = document.getElementById('chatWatchNotify')?.checked !== false;
+  draft.response = document.getElementById('chatWatchResponse')?.value || '';
+}
+
+/**
+ * Sends a rule to the server
+ * @param {Object} rule - Rule to create/update
+ * @returns {Promise<boolean>} True if saved
+ */
+async function saveRule(rule) {
+  try {
+    const response = await fetch(window.apiUrl('/api/settings/chat-watch-rules'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(rule)
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showSideNotification(`👀 <strong>Watch rule not saved</strong><br><br>${escapeHtml(data.error || 'Unknown error')}`, 'error', 5000);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('[Chat Watch] Failed to save rule:', error);
+    showSideNotification('👀 <strong>Watch rule not saved</strong><br><br>Server not reachable', 'error', 5000);
+    return false;
+  }
+}
+
+/**
+ * Deletes a rule on the server
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<void>}
+ */
+async function deleteRule(ruleId) {
+  try {
+    const response = await fetch(window.apiUrl(`/api/settings/chat-watch-rules/${encodeURIComponent(ruleId)}`), { method: 'DELETE' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    console.error('[Chat Watch] Failed to delete rule:', error);
+    showSideNotification('👀 <strong>Failed to delete watch rule</strong>', 'error', 5000);
+  }
+}
+
+/**
+ * Loads the rules from the server and renders the list
+ * @returns {Promise<void>}
+ */
+export async function loadChatWatchRules() {
+  try {
+    const response = await fetch(window.apiUrl('/api/settings/chat-watch-rules'));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    rules = data.rules;
+    renderRuleList();
+  } catch (error) {
+    console.error('[Chat Watch] Failed to load rules:', error);
+    const list = document.getElementById('chatWatchList');
+    if (list) list.innerHTML = '<p class="autopilot-rules-empty">Failed to load watch rules</p>';
+  }
+}
+
+/**
+ * Handles clicks inside the chat watch settings block
+ * @param {MouseEvent} event - Click event
+ */
+async function handleClick(event) {
+  const target = event.target;
+  const element = target.closest('.autopilot-rule');
+  const rule = element ? rules.find(r => r.id === element.dataset.id) : null;
+
+  if (target.id === 'chatWatchAddBtn') {
+    draft = createDraft();
+    renderEditor();
+  } else if (target.id === 'chatWatchCancelBtn') {
+    draft = null;
+    renderEditor();
+  } else if (target.id === 'chatWatchSaveBtn') {
+    readEditor();
+    if (await saveRule(draft)) {
+      draft = null;
+      renderEditor();
+      await loadChatWatchRules();
+    }
+  } else if (rule && target.classList.contains('chat-watch-edit')) {
+    draft = { ...createDraft(), ...rule };
+    renderEditor();
+  } else if (rule && target.classList.contains('chat-watch-delete')) {
+    if (!confirm(`Delete watch rule "${rule.name}"?`)) return;
+    await deleteRule(rule.id);
+    await loadChatWatchRules();
+  }
+}
+
+/**
+ * Handles change events inside the chat watch settings block
+ * @param {Event} event - Change event
+ */
+async function handleChange(event) {
+  const target = event.target;
+
+  if (target.id === 'chatWatchType') {
+    readEditor();
+    renderEditor();
+  } else if (target.classList.contains('chat-watch-toggle')) {
+    const rule = rules.find(r => r.id === target.closest('.autopilot-rule').dataset.id);
+    if (!rule) return;
+    await saveRule({ ...rule, enabled: target.checked });
+    await loadChatWatchRules();
+  }
+}
+
+/**
+ * Initializes the chat watch settings block and loads the rules.
+ * Safe to call multiple times; listeners are only attached once.
+ */
+export function initChatWatch() {
+  const container = document.getElementById('chatWatchOptions');
+  if (!container) return;
+
+  if (!initialized) {
+    container.addEventListener('click', (event) => {
+      if (event.target.tagName === 'BUTTON') event.preventDefault();
+      handleClick(event);
+    });
+    container.addEventListener('change', handleChange);
+    initialized = true;
+  }
+
+  loadChatWatchRules();
+}
+
+/**
+ * Shows a chat watch alert (side notification and, if enabled, desktop notification)
+ * @param {Object} data - { rules: string[], company, userId, message, timestamp }
+ * @returns {Promise<void>}
+ */
+export async function handleChatWatchAlert(data) {
+  const { rules: matchedRules, company, message } = data;
+  const title = `Chat Watch: ${matchedRules.join(', ')}`;
+
+  showSideNotification(`👀 <strong>${escapeHtml(title)}</strong><br><br>${escapeHtml(company)}: ${escapeHtml(message)}`, 'warning', 10000);
+
+  const settings = window.getSettings ? window.getSettings() : {};
+  if (settings.enableDesktopNotifications && Notification.permission === 'granted') {
+    try {
+      await notifyAlert(title, `${company}: ${message}`, '👀', { tag: 'chat-watch' });
+    } catch (error) {
+      console.error('[Chat Watch] Desktop notification failed:', error);
+    }
+  }
+}
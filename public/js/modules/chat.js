@@ -35,9 +35,11 @@ import { updateEventData } from './event-info.js';
 import { lockRepairButton, unlockRepairButton, lockBulkBuyButton, unlockBulkBuyButton, lockFuelButton, unlockFuelButton, lockCo2Button, unlockCo2Button, lockDrydockButton, unlockDrydockButton, updateLockStateFromServer } from './vessel-management.js';
 import { lockCoopButtons, unlockCoopButtons } from './coop.js';
 import { showAnchorTimer } from './anchor-purchase.js';
-import { updateCurrentCash, updateCurrentFuel, updateCurrentCO2 } from './bunker-management.js';
+import { updateCurrentCash, updateCurrentFuel, updateCurrentCO2, renderFuelPlan, renderCO2Plan } from './bunker-management.js';
 import { refreshVesselsForSale } from './vessel-selling.js';
 import { updateBadge, updateButtonState, updateButtonTooltip } from './badge-manager.js';
+import { handleChatWatchAlert } from './chat-watch.js';
+import { renderCashBudget } from './cash-budget.js';
 import { refreshCurrentTab, getCurrentTab } from './alliance-tabs.js';
 
 /**
@@ -606,6 +608,18 @@ Threshold: ${threshold}%`,
   }
 }
 
+/**
+ * Checks if an autopilot event may show in-app/desktop notifications.
+ * Events sent during quiet hours carry `quietHours: true` (set by the server).
+ *
+ * @param {Object} settings - Current settings
+ * @param {Object} data - Event payload
+ * @returns {boolean} True if notifications are allowed
+ */
+function autopilotNotificationsAllowed(settings, data) {
+  return settings.autoPilotNotifications && !data?.quietHours;
+}
+
 // WebSocket connection tracking
 let ws = null;
 let reconnectAttempts = 0;
@@ -720,6 +734,12 @@ export function initWebSocket() {
         handleFuelPurchased(data);
       } else if (type === 'co2_purchased') {
         handleCO2Purchased(data);
+      } else if (type === 'fuel_plan_update') {
+        renderFuelPlan(data);
+      } else if (type === 'co2_plan_update') {
+        renderCO2Plan(data);
+      } else if (type === 'budget_update') {
+        renderCashBudget(data);
       } else if (type === 'autopilot_depart_start') {
         handleAutopilotDepartStart(data);
       } else if (type === 'vessels_depart_batch') {
@@ -769,6 +789,8 @@ export function initWebSocket() {
         handleGenericNotification(data);
       } else if (type === 'user_action_notification') {
         handleUserActionNotification(data);
+      } else if (type === 'chat_watch_alert') {
+        handleChatWatchAlert(data);
       } else if (type === 'coop_update') {
         handleCoopUpdate(data);
       } else if (type === 'alliance_changed') {
@@ -1119,7 +1141,7 @@ async function handleFuelPurchased(data) {
   const settings = window.getSettings ? window.getSettings() : {};
 
   // In-app alert
-  if (settings.autoPilotNotifications && settings.notifyBarrelBossInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyBarrelBossInApp) {
     showSideNotification(`
       <div style="margin-bottom: 12px; padding-bottom: 10px; border-bottom: 2px solid rgba(255,255,255,0.3);">
         <strong style="font-size: 1.1em;">⛽ Barrel Boss</strong>
@@ -1143,7 +1165,7 @@ async function handleFuelPurchased(data) {
   }
 
   // Desktop notification
-  if (settings.autoPilotNotifications && settings.notifyBarrelBossDesktop && Notification.permission === 'granted') {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyBarrelBossDesktop && Notification.permission === 'granted') {
     await showNotification('⛽ Barrel Boss', {
       body: `
 
@@ -1171,7 +1193,7 @@ async function handleCO2Purchased(data) {
   const settings = window.getSettings ? window.getSettings() : {};
 
   // In-app alert
-  if (settings.autoPilotNotifications && settings.notifyAtmosphereBrokerInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyAtmosphereBrokerInApp) {
     showSideNotification(`
       <div style="margin-bottom: 12px; padding-bottom: 10px; border-bottom: 2px solid rgba(255,255,255,0.3);">
         <strong style="font-size: 1.1em;">💨 Atmosphere Broker</strong>
@@ -1195,7 +1217,7 @@ async function handleCO2Purchased(data) {
   }
 
   // Desktop notification
-  if (settings.autoPilotNotifications && settings.notifyAtmosphereBrokerDesktop && Notification.permission === 'granted') {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyAtmosphereBrokerDesktop && Notification.permission === 'granted') {
     await showNotification('💨 Atmosphere Broker', {
       body: `
 
@@ -1370,7 +1392,7 @@ async function handleVesselsDepartComplete(data) {
 
   // In-app notification
   const settings = window.getSettings ? window.getSettings() : {};
-  if (settings.autoPilotNotifications && settings.notifyCargoMarshalInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyCargoMarshalInApp) {
     showSideNotification(message, notificationType, 15000);
   }
 
@@ -1423,7 +1445,7 @@ async function handleVesselsDepartComplete(data) {
   }
 
   // Combined Desktop notification (includes harbor fee warning if applicable)
-  if (settings.autoPilotNotifications && settings.notifyCargoMarshalDesktop && Notification.permission === 'granted') {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyCargoMarshalDesktop && Notification.permission === 'granted') {
     let desktopBody = '';
 
     // Calculate harbor fee info (if threshold is set)
@@ -1567,7 +1589,7 @@ async function handleVesselsDeparted(data) {
 
   // In-app notification
   const settings = window.getSettings ? window.getSettings() : {};
-  if (settings.autoPilotNotifications && settings.notifyCargoMarshalInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyCargoMarshalInApp) {
     showSideNotification(message, 'success', 15000);
   }
 
@@ -1631,7 +1653,7 @@ async function handleVesselsFailed(data) {
   const settings = window.getSettings ? window.getSettings() : {};
 
   // In-app alert
-  if (settings.autoPilotNotifications && settings.notifyCargoMarshalInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyCargoMarshalInApp) {
     showSideNotification(message, 'warning', null, true);
   }
 }
@@ -1684,12 +1706,12 @@ async function handleVesselsRepaired(data) {
 
   // In-app notification
   const settings = window.getSettings ? window.getSettings() : {};
-  if (settings.autoPilotNotifications && settings.notifyYardForemanInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyYardForemanInApp) {
     showSideNotification(message, 'success', null, false);
   }
 
   // Desktop notification
-  if (settings.autoPilotNotifications && settings.notifyYardForemanDesktop && Notification.permission === 'granted') {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyYardForemanDesktop && Notification.permission === 'granted') {
     await showNotification('🔧 Yard Foreman', {
       body: `
 
@@ -1765,12 +1787,12 @@ async function handleVesselsDrydocked(data) {
 
   // In-app notification
   const settings = window.getSettings ? window.getSettings() : {};
-  if (settings.autoPilotNotifications && settings.notifyDrydockMasterInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyDrydockMasterInApp) {
     showSideNotification(message, 'success', null, false);
   }
 
   // Desktop notification
-  if (settings.autoPilotNotifications && settings.notifyDrydockMasterDesktop && Notification.permission === 'granted') {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyDrydockMasterDesktop && Notification.permission === 'granted') {
     const typeLabel = maintenanceType === 'major' ? 'Major' : 'Minor';
     await showNotification('🛠️ Drydock Master', {
       body: `
@@ -1819,12 +1841,12 @@ async function handleCampaignsRenewed(data) {
 
   // In-app notification
   const settings = window.getSettings ? window.getSettings() : {};
-  if (settings.autoPilotNotifications && settings.notifyReputationChiefInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyReputationChiefInApp) {
     showSideNotification(message, 'success', 10000);
   }
 
   // Desktop notification
-  if (settings.autoPilotNotifications && settings.notifyReputationChiefDesktop && Notification.permission === 'granted') {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyReputationChiefDesktop && Notification.permission === 'granted') {
     const totalCost = campaigns.reduce((sum, c) => sum + c.price, 0);
     await showNotification('📊 Reputation Chief', {
       body: `
@@ -1877,12 +1899,12 @@ async function handleAutoCoopComplete(data) {
 
   // In-app notification
   const settings = window.getSettings ? window.getSettings() : {};
-  if (settings.autoPilotNotifications && settings.notifyFairHandInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyFairHandInApp) {
     showSideNotification(message, totalSent === totalRequested ? 'success' : 'warning', 12000);
   }
 
   // Desktop notification
-  if (settings.autoPilotNotifications && settings.notifyFairHandDesktop && Notification.permission === 'granted') {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyFairHandDesktop && Notification.permission === 'granted') {
     await showNotification('🤝 Fair Hand', {
       body: `
 
@@ -1920,7 +1942,7 @@ async function handleAutoCoopNoTargets(data) {
   const settings = window.getSettings ? window.getSettings() : {};
 
   // In-app alert
-  if (settings.autoPilotNotifications && settings.notifyFairHandInApp) {
+  if (autopilotNotificationsAllowed(settings, data) && settings.notifyFairHandInApp) {
     showSideNotification(message, 'warning', 8000);
   }
 }
@@ -2950,12 +2972,12 @@ async function handleHijackingUpdate(data) {
     const blackbeardMessage = `☠️Ahoy, Landlubber Chick!\n\nRelax, darling. I secured that old tub ${vessel_name || 'your vessel'} for a paltry $${final_amount?.toLocaleString()} Doubloons by applying a touch of 'creative problem-solving.' You owe me one!\n\n— Captain\nBlackbeard`;
 
     // In-app notification
-    if (settings.autoPilotNotifications && settings.notifyCaptainBlackbeardInApp && window.showSideNotification) {
+    if (autopilotNotificationsAllowed(settings, data) && settings.notifyCaptainBlackbeardInApp && window.showSideNotification) {
       window.showSideNotification(blackbeardMessage, 'success', 12000);
     }
 
     // Desktop notification
-    if (settings.autoPilotNotifications && settings.notifyCaptainBlackbeardDesktop && Notification.permission === 'granted') {
+    if (autopilotNotificationsAllowed(settings, data) && settings.notifyCaptainBlackbeardDesktop && Notification.permission === 'granted') {
       await showNotification(`☠️ Captain Blackbeard - Case ${case_id} Resolved`, {
         body: `${vessel_name || 'Vessel'} secured for $${final_amount?.toLocaleString()}`,
         icon: '/favicon.ico',
@@ -2985,7 +3007,7 @@ async function handleHijackingUpdate(data) {
     const blackbeardErrorMessage = `☠️Ahoy, Landlubber Chick!\n\nI was nothing less than a completely innocent bystander. But do have a look at Case ${case_id}. Something strange happened!\n\n— Captain\nBlackbeard`;
 
     // In-app notification
-    if (settings.autoPilotNotifications && settings.notifyCaptainBlackbeardInApp && window.showSideNotification) {
+    if (autopilotNotificationsAllowed(settings, data) && settings.notifyCaptainBlackbeardInApp && window.showSideNotification) {
       window.showSideNotification(blackbeardErrorMessage, 'error', 12000);
     }
 
@@ -3001,7 +3023,7 @@ async function handleHijackingUpdate(data) {
     }
 
     // Desktop notification
-    if (settings.autoPilotNotifications && settings.notifyCaptainBlackbeardDesktop && Notification.permission === 'granted') {
+    if (autopilotNotificationsAllowed(settings, data) && settings.notifyCaptainBlackbeardDesktop && Notification.permission === 'granted') {
       await showNotification(`☠️ Captain Blackbeard - Case ${case_id} Failed`, {
         body: `Negotiation failed - check case for details`,
         icon: '/favicon.ico',
@@ -3016,12 +3038,12 @@ async function handleHijackingUpdate(data) {
     const blackbeardMoneyMessage = `☠️Ahoy, Landlubber Chick!\n\nI negotiated Case ${case_id} down to $${required?.toLocaleString()}, but your coffers only hold $${available?.toLocaleString()}. Fill them purses, then I'll finish the job!\n\nVessel: ${vessel_name}\n\n— Captain\nBlackbeard`;
 
     // In-app notification
-    if (settings.autoPilotNotifications && settings.notifyCaptainBlackbeardInApp && window.showSideNotification) {
+    if (autopilotNotificationsAllowed(settings, data) && settings.notifyCaptainBlackbeardInApp && window.showSideNotification) {
       window.showSideNotification(blackbeardMoneyMessage, 'warning', 15000);
     }
 
     // Desktop notification
-    if (settings.autoPilotNotifications && settings.notifyCaptainBlackbeardDesktop && Notification.permission === 'granted') {
+    if (autopilotNotificationsAllowed(settings, data) && settings.notifyCaptainBlackbeardDesktop && Notification.permission === 'granted') {
       await showNotification(`☠️ Captain Blackbeard - Insufficient Funds`, {
         body: `Case ${case_id}: Need $${required?.toLocaleString()}, have $${available?.toLocaleString()}`,
         icon: '/favicon.ico',
@@ -0,0 +1,295 @@
+/**
+ * @fileoverview ChatBot Announcements Settings Module
+ *
+ * Lists, creates, edits and deletes scheduled alliance chat announcements
+ * (weekly or cron schedule, IANA timezone, templated message, optional end date).
+ * The server schedules and posts them (server/chatbot/announcements.js) and
+ * returns the next run time of each one.
+ *
+ * @module chatbot-announcements
+ */
+
+import { escapeHtml, showSideNotification } from './utils.js';
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+let initialized = false;
+let announcements = [];
+
+/**
+ * Draft of the announcement being edited (null = editor closed)
+ */
+let draft = null;
+
+/**
+ * Creates an empty announcement draft
+ * @returns {Object} Draft announcement
+ */
+function createDraft() {
+  return {
+    name: '',
+    enabled: true,
+    schedule: { type: 'weekly', days: [1], time: '18:00', expression: '' },
+    timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC',
+    message: '',
+    endDate: ''
+  };
+}
+
+/**
+ * Describes a schedule as text
+ * @param {Object} announcement - Announcement
+ * @returns {string} Escaped HTML
+ */
+function describeSchedule(announcement) {
+  const { schedule, timezone } = announcement;
+  const when = schedule.type === 'weekly'
+    ? `${schedule.days.map(day => WEEKDAYS[day]).join(', ')} at ${schedule.time}`
+    : `Cron <code>${escapeHtml(schedule.expression)}</code>`;
+  return `${schedule.type === 'weekly' ? escapeHtml(when) : when} (${escapeHtml(timezone)})`;
+}
+
+/**
+ * Renders the announcement list
+ */
+function renderAnnouncementList() {
+  const list = document.getElementById('chatbotAnnouncementsList');
+  if (!list) return;
+
+  if (announcements.length === 0) {
+    list.innerHTML = '<p class="autopilot-rules-empty">No announcements yet</p>';
+    return;
+  }
+
+  list.innerHTML = announcements.map(announcement => {
+    const nextRun = announcement.nextRun
+      ? `Next ${new Date(announcement.nextRun).toLocaleString()}`
+      : (announcement.enabled ? 'Ended' : 'Paused');
+    const lastPosted = announcement.lastPostedAt
+      ? `Last posted ${new Date(announcement.lastPostedAt).toLocaleString()}${announcement.lastResult ? ` (${escapeHtml(announcement.lastResult.status)})` : ''}`
+      : 'Never posted';
+    const endDate = announcement.endDate ? ` | Until ${escapeHtml(announcement.endDate)}` : '';
+
+    return `
+      <div class="autopilot-rule${announcement.enabled ? '' : ' autopilot-rule-disabled'}" data-id="${escapeHtml(announcement.id)}">
+        <div class="autopilot-rule-header">
+          <label>
+            <input type="checkbox" class="chatbot-announcement-toggle" ${announcement.enabled ? 'checked' : ''}>
+            <span>${escapeHtml(announcement.name)}</span>
+          </label>
+          <span>
+            <button class="chatbot-announcement-edit" title="Edit announcement">✏️</button>
+            <button class="chatbot-announcement-delete" title="Delete announcement">🗑️</button>
+          </span>
+        </div>
+        <div class="autopilot-rule-text">${describeSchedule(announcement)}</div>
+        <div class="chatbot-announcement-message">${escapeHtml(announcement.message)}</div>
+        <div class="autopilot-rule-meta">${nextRun}${endDate} | ${lastPosted}</div>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Renders the announcement editor for the current draft
+ */
+function renderEditor() {
+  const editor = document.getElementById('chatbotAnnouncementsEditor');
+  const addButton = document.getElementById('chatbotAnnouncementsAddBtn');
+  if (!editor) return;
+
+  if (!draft) {
+    editor.innerHTML = '';
+    editor.classList.add('hidden');
+    if (addButton) addButton.classList.remove('hidden');
+    return;
+  }
+
+  const { schedule } = draft;
+  const scheduleInputs = schedule.type === 'weekly'
+    ? `
+      <div class="chatbot-announcement-days">
+        ${WEEKDAYS.map((label, day) => `
+          <label><input type="checkbox" class="announcement-day" value="${day}" ${schedule.days.includes(day) ? 'checked' : ''}> ${label}</label>`).join('')}
+      </div>
+      <input type="time" id="announcementTime" value="${escapeHtml(schedule.time || '18:00')}">`
+    : `<input type="text" id="announcementCron" placeholder="minute hour day month weekday, e.g. 0 20 1 * *" value="${escapeHtml(schedule.expression || '')}">`;
+
+  editor.innerHTML = `
+    <input type="text" id="announcementName" maxlength="50" placeholder="Announcement name" value="${escapeHtml(draft.name)}">
+    <p class="autopilot-rules-label">Schedule:</p>
+    <div class="autopilot-rule-condition">
+      <select id="announcementScheduleType">
+        <option value="weekly" ${schedule.type === 'weekly' ? 'selected' : ''}>Weekdays at time</option>
+        <option value="cron" ${schedule.type === 'cron' ? 'selected' : ''}>Cron expression</option>
+      </select>
+      <input type="text" id="announcementTimezone" placeholder="Timezone, e.g. Europe/Berlin" value="${escapeHtml(draft.timezone)}">
+    </div>
+    ${scheduleInputs}
+    <p class="autopilot-rules-label">Message (placeholders like {coop_available} or {countdown to=2026-12-24}):</p>
+    <textarea id="announcementMessage" class="response-textarea" rows="3" maxlength="1000">${escapeHtml(draft.message)}</textarea>
+    <p class="autopilot-rules-label">End date (optional, last day to post):</p>
+    <input type="date" id="announcementEndDate" value="${escapeHtml(draft.endDate || '')}">
+    <div class="autopilot-rules-editor-buttons">
+      <button id="announcementSaveBtn">💾 Save</button>
+      <button id="announcementCancelBtn">Cancel</button>
+    </div>`;
+
+  editor.classList.remove('hidden');
+  if (addButton) addButton.classList.add('hidden');
+}
+
+/**
+ * Copies the editor inputs back into the draft (before re-rendering or saving)
+ */
+function readEditor() {
+  if (!draft) return;
+
+  draft.name = document.getElementById('announcementName')?.value || '';
+  draft.timezone = document.getElementById('announcementTimezone')?.value.trim() || 'UTC';
+  draft.message = document.getElementById('announcementMessage')?.value || '';
+  draft.endDate = document.getElementById('announcementEndDate')?.value || '';
+
+  if (draft.schedule.type === 'weekly') {
+    draft.schedule.days = Array.from(document.querySelectorAll('#chatbotAnnouncementsEditor .announcement-day:checked')).map(input => Number(input.value));
+    draft.schedule.time = document.getElementById('announcementTime')?.value || '';
+  } else {
+    draft.schedule.expression = document.getElementById('announcementCron')?.value || '';
+  }
+}
+
+/**
+ * Sends an announcement to the server
+ * @param {Object} announcement - Announcement to create/update
+ * @returns {Promise<boolean>} True if saved
+ */
+async function saveAnnouncement(announcement) {
+  const { schedule } = announcement;
+  try {
+    const response = await fetch(window.apiUrl('/api/settings/chatbot-announcements'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...announcement,
+        schedule: schedule.type === 'weekly'
+          ? { type: 'weekly', days: schedule.days, time: schedule.time }
+          : { type: 'cron', expression: schedule.expression },
+        endDate: announcement.endDate || null
+      })
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      showSideNotification(`📢 <strong>Announcement not saved</strong><br><br>${escapeHtml(data.error || 'Unknown error')}`, 'error', 5000);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('[ChatBot Announcements] Failed to save announcement:', error);
+    showSideNotification('📢 <strong>Announcement not saved</strong><br><br>Server not reachable', 'error', 5000);
+    return false;
+  }
+}
+
+/**
+ * Deletes an announcement on the server
+ * @param {string} announcementId - Announcement ID
+ * @returns {Promise<void>}
+ */
+async function deleteAnnouncement(announcementId) {
+  try {
+    const response = await fetch(window.apiUrl(`/api/settings/chatbot-announcements/${encodeURIComponent(announcementId)}`), { method: 'DELETE' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  } catch (error) {
+    console.error('[ChatBot Announcements] Failed to delete announcement:', error);
+    showSideNotification('📢 <strong>Failed to delete announcement</strong>', 'error', 5000);
+  }
+}
+
+/**
+ * Loads announcements from the server and renders the list
+ * @returns {Promise<void>}
+ */
+export async function loadChatbotAnnouncements() {
+  try {
+    const response = await fetch(window.apiUrl('/api/settings/chatbot-announcements'));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const data = await response.json();
+    announcements = data.announcements;
+    renderAnnouncementList();
+  } catch (error) {
+    console.error('[ChatBot Announcements] Failed to load announcements:', error);
+    const list = document.getElementById('chatbotAnnouncementsList');
+    if (list) list.innerHTML = '<p class="autopilot-rules-empty">Failed to load announcements</p>';
+  }
+}
+
+/**
+ * Handles clicks inside the announcements settings block
+ * @param {MouseEvent} event - Click event
+ */
+async function handleClick(event) {
+  const target = event.target;
+  const element = target.closest('.autopilot-rule');
+  const announcement = element ? announcements.find(a => a.id === element.dataset.id) : null;
+
+  if (target.id === 'chatbotAnnouncementsAddBtn') {
+    draft = createDraft();
+    renderEditor();
+  } else if (target.id === 'announcementCancelBtn') {
+    draft = null;
+    renderEditor();
+  } else if (target.id === 'announcementSaveBtn') {
+    readEditor();
+    if (await saveAnnouncement(draft)) {
+      draft = null;
+      renderEditor();
+      await loadChatbotAnnouncements();
+    }
+  } else if (announcement && target.classList.contains('chatbot-announcement-edit')) {
+    draft = JSON.parse(JSON.stringify(announcement));
+    draft.schedule = { days: [1], time: '18:00', expression: '', ...draft.schedule };
+    renderEditor();
+  } else if (announcement && target.classList.contains('chatbot-announcement-delete')) {
+    if (!confirm(`Delete announcement "${announcement.name}"?`)) return;
+    await deleteAnnouncement(announcement.id);
+    await loadChatbotAnnouncements();
+  }
+}
+
+/**
+ * Handles change events inside the announcements settings block
+ * @param {Event} event - Change event
+ */
+async function handleChange(event) {
+  const target = event.target;
+
+  if (target.id === 'announcementScheduleType') {
+    readEditor();
+    draft.schedule.type = target.value;
+    renderEditor();
+  } else if (target.classList.contains('chatbot-announcement-toggle')) {
+    const announcement = announcements.find(a => a.id === target.closest('.autopilot-rule').dataset.id);
+    if (!announcement) return;
+    await saveAnnouncement({ ...announcement, enabled: target.checked });
+    await loadChatbotAnnouncements();
+  }
+}
+
+/**
+ * Initializes the announcements settings block and loads the announcements.
+ * Safe to call multiple times; listeners are only attached once.
+ */
+export function initChatbotAnnouncements() {
+  const container = document.getElementById('chatbotAnnouncementsOptions');
+  if (!container) return;
+
+  if (!initialized) {
+    container.addEventListener('click', (event) => {
+      if (event.target.tagName === 'BUTTON') event.preventDefault();
+      handleClick(event);
+    });
+    container.addEventListener('change', handleChange);
+    initialized = true;
+  }
+
+  loadChatbotAnnouncements();
+}
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview ChatBot Permissions Settings Module
+ *
+ * Renders the command permission matrix (one row per built-in and custom command:
+ * allowed roles, cooldown, allow/deny user IDs) for the selected channel and stores
+ * it in settings.chatbotCommandPermissions. The server enforces the rules in
+ * server/chatbot/permissions.js.
+ *
+ * @module chatbot-permissions
+ */
+
+import { saveSettings, escapeHtml } from './utils.js';
+
+/**
+ * Built-in commands (keys must match settings.commands in server/chatbot/settings.js)
+ */
+const BUILTIN_COMMANDS = [
+  { id: 'forecast', label: '📊 forecast' },
+  { id: 'help', label: '❓ help' },
+  { id: 'coop', label: '🤝 coop' },
+  { id: 'top', label: '🏆 top' },
+  { id: 'league', label: '🏅 league' },
+  { id: 'stats', label: '📈 stats' },
+  { id: 'poll', label: '📊 poll' },
+  { id: 'vote', label: '🗳️ vote' },
+  { id: 'signup', label: '📝 signup' },
+  { id: 'remindme', label: '⏰ remindme' },
+  { id: 'remind', label: '📣 remind', adminOnly: true },
+  { id: 'welcome', label: '👋 welcome', adminOnly: true }
+];
+
+/**
+ * Alliance roles (keys must match ALLIANCE_ROLES in server/chatbot/permissions.js)
+ */
+const ROLES = [
+  { id: 'ceo', label: 'CEO' },
+  { id: 'coo', label: 'COO' },
+  { id: 'interimceo', label: 'Interim' },
+  { id: 'management', label: 'Mgmt' },
+  { id: 'member', label: 'Member' }
+];
+
+let settingsRef = null;
+
+/**
+ * Gets the selected channel
+ * @returns {string} 'alliance' or 'dm'
+ */
+function getChannel() {
+  return document.getElementById('chatbotPermissionsChannel')?.value === 'dm' ? 'dm' : 'alliance';
+}
+
+/**
+ * Lists all commands shown in the matrix (built-ins, then custom commands)
+ * @param {Object} settings - Settings object
+ * @returns {Array} { id, label, adminOnly }
+ */
+function getCommands(settings) {
+  const custom = (settings.chatbotCustomCommands || [])
+    .map(cmd => ({ id: String(cmd.command || cmd.trigger || '').trim().toLowerCase(), adminOnly: cmd.adminOnly === true }))
+    .filter(cmd => cmd.id && !BUILTIN_COMMANDS.some(builtin => builtin.id === cmd.id))
+    .map(cmd => ({ ...cmd, label: `⚡ ${cmd.id}` }));
+  return [...BUILTIN_COMMANDS, ...custom];
+}
+
+/**
+ * Renders the matrix for the selected channel
+ * @param {Object} settings - Settings object
+ */
+export function renderChatbotPermissions(settings) {
+  const container = document.getElementById('chatbotPermissionsMatrix');
+  if (!container || !settings) return;
+
+  const channel = getChannel();
+  const cooldownPlaceholder = channel === 'alliance' ? `${settings.chatbotCooldownSeconds || 30} (global)` : 'none';
+
+  const rows = getCommands(settings).map(cmd => {
+    const rule = settings.chatbotCommandPermissions?.[cmd.id] || {};
+    const channelRule = rule[channel] || {};
+    const roles = channelRule.roles || [];
+    const roleCells = ROLES.map(role => `
+      <td class="chatbot-permissions-role"><input type="checkbox" data-role="${role.id}" ${roles.includes(role.id) ? 'checked' : ''}></td>`).join('');
+
+    return `
+      <tr class="chatbot-permissions-row" data-command="${escapeHtml(cmd.id)}">
+        <td title="${roles.length === 0 ? (cmd.adminOnly ? 'No roles selected: management only' : 'No roles selected: everyone') : ''}">
+          ${escapeHtml(cmd.label)}${roles.length === 0 ? `<span class="chatbot-permissions-default">${cmd.adminOnly ? 'mgmt' : 'all'}</span>` : ''}
+        </td>
+        ${roleCells}
+        <td><input type="number" class="chatbot-permissions-cooldown" min="0" max="86400" value="${channelRule.cooldownSeconds ?? ''}" placeholder="${cooldownPlaceholder}"></td>
+        <td><input type="text" class="chatbot-permissions-users" data-list="allowUsers" value="${escapeHtml((rule.allowUsers || []).join(', '))}" placeholder="User IDs"></td>
+        <td><input type="text" class="chatbot-permissions-users" data-list="denyUsers" value="${escapeHtml((rule.denyUsers || []).join(', '))}" placeholder="User IDs"></td>
+      </tr>`;
+  }).join('');
+
+  container.innerHTML = `
+    <table class="chatbot-permissions-table">
+      <thead>
+        <tr>
+          <th>Command</th>
+          ${ROLES.map(role => `<th class="chatbot-permissions-role">${role.label}</th>`).join('')}
+          <th>Cooldown (s)</th>
+          <th>Allow</th>
+          <th>Deny</th>
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Parses a comma-separated list of user IDs
+ * @param {string} value - Input value
+ * @returns {Array<string>} User IDs
+ */
+function parseUserIds(value) {
+  return value.split(/[\s,]+/).map(id => id.replace(/[[\]]/g, '')).filter(id => /^\d+$/.test(id));
+}
+
+/**
+ * Reads one matrix row back into settings and saves
+ * Rules without any restriction are removed
+ * @param {HTMLElement} row - .chatbot-permissions-row element
+ */
+function saveRow(row) {
+  const command = row.dataset.command;
+  const channel = getChannel();
+  const current = settingsRef.chatbotCommandPermissions?.[command] || {};
+  const cooldownValue = row.querySelector('.chatbot-permissions-cooldown').value;
+
+  const rule = {
+    allowUsers: parseUserIds(row.querySelector('[data-list="allowUsers"]').value),
+    denyUsers: parseUserIds(row.querySelector('[data-list="denyUsers"]').value),
+    alliance: current.alliance || { roles: [], cooldownSeconds: null },
+    dm: current.dm || { roles: [], cooldownSeconds: null }
+  };
+  rule[channel] = {
+    roles: Array.from(row.querySelectorAll('[data-role]:checked')).map(input => input.dataset.role),
+    cooldownSeconds: cooldownValue === '' ? null : Math.max(0, parseInt(cooldownValue, 10) || 0)
+  };
+
+  const permissions = { ...settingsRef.chatbotCommandPermissions };
+  const isDefault = rule.allowUsers.length === 0 && rule.denyUsers.length === 0 &&
+    ['alliance', 'dm'].every(c => rule[c].roles.length === 0 && rule[c].cooldownSeconds === null);
+  if (isDefault) {
+    delete permissions[command];
+  } else {
+    permissions[command] = rule;
+  }
+
+  settingsRef.chatbotCommandPermissions = permissions;
+  saveSettings(settingsRef);
+}
+
+/**
+ * Initializes the permission matrix
+ * @param {Object} settings - Shared settings object (mutated on change)
+ */
+export function initChatbotPermissions(settings) {
+  const container = document.getElementById('chatbotPermissionsMatrix');
+  if (!container) return;
+
+  if (!settingsRef) {
+    container.addEventListener('change', (event) => {
+      const row = event.target.closest('.chatbot-permissions-row');
+      if (!row) return;
+      saveRow(row);
+      if (event.target.dataset.role) {
+        renderChatbotPermissions(settingsRef);
+      }
+    });
+
+    document.getElementById('chatbotPermissionsChannel')?.addEventListener('change', () => {
+      renderChatbotPermissions(settingsRef);
+    });
+  }
+
+  settingsRef = settings;
+  renderChatbotPermissions(settings);
+}
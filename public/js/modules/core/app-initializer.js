@@ -15,9 +15,10 @@ import { initVersionChecker, initVisibilityHandler, initNotificationButtonUpdate
 import { exportApiUrl, exportDebugMode, exportCacheKeys, exportStorageFunctions, exportDebouncedFunctions, exportSettingsHandler, exportAutopilotFunctions, exportVersionFunctions, exportOverlayFunctions, exportLogbookHandler } from './global-exports.js';
 import * as eventRegistry from './event-registry.js';
 
-import { updateBunkerStatus, buyMaxFuel, buyMaxCO2, setCapacityFromBunkerUpdate } from '../bunker-management.js';
+import { updateBunkerStatus, buyMaxFuel, buyMaxCO2, setCapacityFromBunkerUpdate, loadFuelPlan, loadCO2Plan } from '../bunker-management.js';
 import { updateVesselCount, updateRepairCount, departAllVessels, openRepairAndDrydockDialog, loadAcquirableVessels, showPendingVessels, showShoppingCart, lockDepartButton, unlockDepartButton, isDepartInProgress } from '../vessel-management.js';
-import { openSellVesselsOverlay, closeSellVesselsOverlay, setSellFilter, showSellCart } from '../vessel-selling.js';
+import { openSellVesselsOverlay, closeSellVesselsOverlay, setSellFilter, showSellCart, changeSellGroupFilter, addSellGroupToCart } from '../vessel-selling.js';
+import { toggleFleetRenewal, hideFleetRenewal } from '../fleet-renewal.js';
 import { loadMessages, sendMessage, handleMessageInput, loadAllianceMembers, initWebSocket, setChatScrollListener, markAllianceChatAsRead } from '../chat.js';
 import { openMessenger, openNewChat, closeMessenger, closeChatSelection, showAllChats, closeAllChats, updateUnreadBadge, sendPrivateMessage, getCurrentPrivateChat, deleteCurrentChat } from '../messenger.js';
 import { openHijackingInbox, closeHijackingInbox, updateHijackingBadge, updateHijackedVesselsDisplay } from '../hijacking.js';
@@ -25,9 +26,19 @@ import { showSettings, closeSettings, showCampaignsOverlay, closeCampaignsOverla
 import { closeCoopOverlay, sendCoopMax } from '../coop.js';
 import { showAllianceCoopOverlay, closeAllianceCoopOverlay, initAllianceTabs, updateCoopTabBadge, showAllAllianceUI, hideAllAllianceUI, switchTab, clearAllianceTabCache } from '../alliance-tabs.js';
 import { initForecastCalendar, updateEventDiscount } from '../forecast-calendar.js';
+import { initPriceHistory } from '../price-history.js';
+import { initAutopilotRules } from '../autopilot-rules.js';
+import { initPilotSchedules } from '../pilot-schedules.js';
+import { initCashBudget } from '../cash-budget.js';
+import { initChatbotPermissions } from '../chatbot-permissions.js';
+import { initChatbotAnnouncements } from '../chatbot-announcements.js';
+import { initChatWatch } from '../chat-watch.js';
+import { initChatArchive } from '../chat-archive.js';
+import { initMessengerArchive } from '../messenger-archive.js';
 import { initEventInfo } from '../event-info.js';
 import { initBuildShipModal } from '../vessel-building.js';
 import { initLogbook, prependLogEntry } from '../logbook.js';
+import { initProfitLoss } from '../profit-loss.js';
 import { initHarborMap } from '../harbor-map-init.js';
 import { initCompanyProfile } from '../company-profile.js';
 import { showSideNotification, showNotification } from '../utils.js';
@@ -131,6 +142,7 @@ export async function initializeApp(apiPrefix) {
   initEventInfo();
   initBuildShipModal();
   initLogbook();
+  initProfitLoss();
   initCompanyProfile();
   initAllianceTabs();
 
@@ -210,15 +222,19 @@ function initializeSettingsUI(settings) {
 
   // Auto-Rebuy Fuel
   setCheckboxState('autoRebuyFuel', settings.autoRebuyFuel, 'autoRebuyFuelOptions', 'autoRebuyFuelMinCashSection');
+  setCheckboxValue('autoRebuyFuelSmartMode', settings.autoRebuyFuelSmartMode);
   setCheckboxValue('autoRebuyFuelUseAlert', settings.autoRebuyFuelUseAlert);
   setFormattedInputValue('autoRebuyFuelThreshold', settings.autoRebuyFuelThreshold);
   setFormattedInputValue('autoRebuyFuelMinCash', settings.autoRebuyFuelMinCash);
+  if (settings.autoRebuyFuelSmartMode) loadFuelPlan();
 
   // Auto-Rebuy CO2
   setCheckboxState('autoRebuyCO2', settings.autoRebuyCO2, 'autoRebuyCO2Options', 'autoRebuyCO2MinCashSection');
+  setCheckboxValue('autoRebuyCO2PlanningMode', settings.autoRebuyCO2PlanningMode);
   setCheckboxValue('autoRebuyCO2UseAlert', settings.autoRebuyCO2UseAlert);
   setFormattedInputValue('autoRebuyCO2Threshold', settings.autoRebuyCO2Threshold);
   setFormattedInputValue('autoRebuyCO2MinCash', settings.autoRebuyCO2MinCash);
+  if (settings.autoRebuyCO2PlanningMode) loadCO2Plan();
 
   // Auto-Depart
   setCheckboxState('autoDepartAll', settings.autoDepartAll, 'autoDepartOptions');
@@ -229,6 +245,10 @@ function initializeSettingsUI(settings) {
   setInputValue('harborFeeWarningThreshold', settings.harborFeeWarningThreshold || '');
   setInputValue('autoDrydockThreshold', settings.autoDrydockThreshold || 150);
   setInputValue('autoVesselSpeed', settings.autoVesselSpeed);
+  setCheckboxState('autoDepartSpeedOptimizer', settings.autoDepartSpeedOptimizer, 'autoDepartOptimizerOptions');
+  setInputValue('autoDepartOptimizerMinSpeed', settings.autoDepartOptimizerMinSpeed);
+  setInputValue('autoDepartOptimizerMaxHours', settings.autoDepartOptimizerMaxHours);
+  setInputValue('autoDepartOptimizerPriceSource', settings.autoDepartOptimizerPriceSource);
 
   // Auto-Repair
   setCheckboxState('autoBulkRepair', settings.autoBulkRepair, 'autoBulkRepairOptions');
@@ -259,9 +279,20 @@ function initializeSettingsUI(settings) {
   // Auto-Negotiate Hijacking
   setCheckboxState('autoNegotiateHijacking', settings.autoNegotiateHijacking, 'autoNegotiateOptions');
 
+  // Rule Keeper
+  setCheckboxState('autopilotRulesEnabled', settings.autopilotRulesEnabled, 'autopilotRulesOptions');
+  if (settings.autopilotRulesEnabled) initAutopilotRules();
+
   // Notifications
   setCheckboxValue('enableDesktopNotifications', settings.enableDesktopNotifications);
   setCheckboxValue('autoPilotNotifications', settings.autoPilotNotifications !== undefined ? settings.autoPilotNotifications : true);
+  setCheckboxValue('autopilotDryRun', settings.autopilotDryRun === true);
+  setCheckboxState('quietHoursEnabled', settings.quietHoursEnabled === true, 'quietHoursOptions');
+  setInputValue('quietHoursStart', settings.quietHoursStart);
+  setInputValue('quietHoursEnd', settings.quietHoursEnd);
+  initPilotSchedules(settings);
+  setCheckboxState('cashBudgetEnabled', settings.cashBudgetEnabled === true, 'cashBudgetOptions');
+  initCashBudget(settings);
   setCheckboxValue('enableInboxNotifications', settings.enableInboxNotifications !== false);
 
   // Initialize agent checkboxes state
@@ -443,7 +474,11 @@ function registerAllEventListeners(settings, debouncedFunctions) {
     updateBunkerStatus,
     setSellFilter,
     showSellCart,
-    closeSellVesselsOverlay
+    closeSellVesselsOverlay,
+    changeSellGroupFilter,
+    addSellGroupToCart,
+    toggleFleetRenewal,
+    hideFleetRenewal
   }, settings);
 
   eventRegistry.registerSettingsThresholdListeners(settings, debouncedFunctions.repair);
@@ -457,6 +492,11 @@ function registerAllEventListeners(settings, debouncedFunctions) {
   eventRegistry.registerSectionToggle(getStorage, setStorage);
   eventRegistry.registerChatBotSettingsListeners(settings);
   eventRegistry.registerCustomCommandsListeners(settings);
+  initChatbotPermissions(settings);
+  initChatbotAnnouncements();
+  initChatWatch();
+  initChatArchive();
+  initMessengerArchive();
 
   eventRegistry.registerNumberFormatting([
     'fuelThreshold', 'co2Threshold', 'minFuelThreshold',
@@ -564,6 +604,7 @@ function createForecastHandler() {
       }
     }
 
+    initPriceHistory();
     initForecastCalendar();
   };
 }
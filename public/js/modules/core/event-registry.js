@@ -8,6 +8,10 @@
 
 import { saveSettings, updatePageTitle, showNotification, showSideNotification, requestNotificationPermission, escapeHtml } from '../utils.js';
 import { openBuildShipModal } from '../vessel-building.js';
+import { loadFuelPlan, loadCO2Plan } from '../bunker-management.js';
+import { initAutopilotRules } from '../autopilot-rules.js';
+import { loadCashBudget } from '../cash-budget.js';
+import { renderChatbotPermissions } from '../chatbot-permissions.js';
 
 /**
  * Format number with thousand separators.
@@ -217,7 +221,11 @@ export function registerVesselCatalogEventListeners(handlers, settings) {
     updateBunkerStatus,
     setSellFilter,
     showSellCart,
-    closeSellVesselsOverlay
+    closeSellVesselsOverlay,
+    changeSellGroupFilter,
+    addSellGroupToCart,
+    toggleFleetRenewal,
+    hideFleetRenewal
   } = handlers;
 
   // Buy vessels overlay wrapper
@@ -246,6 +254,26 @@ export function registerVesselCatalogEventListeners(handlers, settings) {
   // Sell cart button
   document.getElementById('sellCartBtn').addEventListener('click', showSellCart);
 
+  // Sell vessel group filter
+  document.getElementById('sellGroupFilter').addEventListener('change', (e) => changeSellGroupFilter(e.target.value));
+  document.getElementById('sellGroupSelectBtn').addEventListener('click', addSellGroupToCart);
+
+  // Fleet renewal tab (buy and sell overlay); any other header control switches back to the vessel list
+  ['buyVesselsOverlay', 'sellVesselsOverlay'].forEach(overlayId => {
+    const controls = document.querySelector(`#${overlayId} .vessel-header-controls`);
+    const renewalBtn = document.getElementById(overlayId === 'buyVesselsOverlay' ? 'buyRenewalBtn' : 'sellRenewalBtn');
+
+    renewalBtn.addEventListener('click', () => toggleFleetRenewal(overlayId));
+    // Capture phase: the filter dropdown button stops propagation
+    ['click', 'change'].forEach(type => {
+      controls.addEventListener(type, (e) => {
+        if (e.target.closest('button, select') && !renewalBtn.contains(e.target)) {
+          hideFleetRenewal(overlayId);
+        }
+      }, true);
+    });
+  });
+
   // Filter pending vessels
   document.getElementById('filterPendingBtn').addEventListener('click', async () => {
     const { fetchVessels } = await import('../api.js');
@@ -343,6 +371,48 @@ export function registerAutoPilotListeners(settings, toggleAutoPilotAgentCheckbo
     });
   }
 
+  // Dry run (simulation) toggle
+  const autopilotDryRunCheckbox = document.getElementById('autopilotDryRun');
+  if (autopilotDryRunCheckbox) {
+    autopilotDryRunCheckbox.addEventListener('change', function() {
+      settings.autopilotDryRun = this.checked;
+      saveSettings(settings);
+      showNotification(this.checked ? 'Dry run enabled - autopilot actions are only simulated' : 'Dry run disabled - autopilot actions are live', 'info', 4000);
+    });
+  }
+
+  // Quiet hours (suppress autopilot notifications)
+  const quietHoursCheckbox = document.getElementById('quietHoursEnabled');
+  if (quietHoursCheckbox) {
+    quietHoursCheckbox.addEventListener('change', function() {
+      settings.quietHoursEnabled = this.checked;
+      document.getElementById('quietHoursOptions').classList.toggle('hidden', !this.checked);
+      saveSettings(settings);
+    });
+  }
+
+  ['quietHoursStart', 'quietHoursEnd'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener('change', function() {
+        if (!this.value) return;
+        settings[id] = this.value;
+        saveSettings(settings);
+      });
+    }
+  });
+
+  // Cash budget (priorities and spending caps across pilots)
+  const cashBudgetCheckbox = document.getElementById('cashBudgetEnabled');
+  if (cashBudgetCheckbox) {
+    cashBudgetCheckbox.addEventListener('change', async function() {
+      settings.cashBudgetEnabled = this.checked;
+      document.getElementById('cashBudgetOptions').classList.toggle('hidden', !this.checked);
+      await saveSettings(settings);
+      loadCashBudget();
+    });
+  }
+
   // Weather data toggle
   const enableWeatherDataCheckbox = document.getElementById('enableWeatherData');
   if (enableWeatherDataCheckbox) {
@@ -397,6 +467,12 @@ export function registerAutoRebuyFuelListeners(settings) {
     updatePageTitle(settings);
   });
 
+  document.getElementById('autoRebuyFuelSmartMode').addEventListener('change', function() {
+    settings.autoRebuyFuelSmartMode = this.checked;
+    saveSettings(settings);
+    loadFuelPlan();
+  });
+
   document.getElementById('autoRebuyFuelUseAlert').addEventListener('change', function() {
     settings.autoRebuyFuelUseAlert = this.checked;
     const thresholdInput = document.getElementById('autoRebuyFuelThreshold');
@@ -442,6 +518,12 @@ export function registerAutoRebuyCO2Listeners(settings) {
     updatePageTitle(settings);
   });
 
+  document.getElementById('autoRebuyCO2PlanningMode').addEventListener('change', function() {
+    settings.autoRebuyCO2PlanningMode = this.checked;
+    saveSettings(settings);
+    loadCO2Plan();
+  });
+
   document.getElementById('autoRebuyCO2UseAlert').addEventListener('change', function() {
     settings.autoRebuyCO2UseAlert = this.checked;
     const thresholdInput = document.getElementById('autoRebuyCO2Threshold');
@@ -587,6 +669,15 @@ export function registerAutoPilotFeatureListeners(settings) {
     updatePageTitle(settings);
   });
 
+  // Rule Keeper (user-defined rules)
+  document.getElementById('autopilotRulesEnabled').addEventListener('change', function() {
+    settings.autopilotRulesEnabled = this.checked;
+    document.getElementById('autopilotRulesOptions').classList.toggle('hidden', !this.checked);
+    saveSettings(settings);
+    updatePageTitle(settings);
+    if (this.checked) initAutopilotRules();
+  });
+
   // Desktop notifications
   document.getElementById('enableDesktopNotifications').addEventListener('change', function() {
     settings.enableDesktopNotifications = this.checked;
@@ -652,6 +743,31 @@ export function registerAutoDepartSettingsListeners(settings) {
     settings.autoVesselSpeed = parseInt(this.value);
     saveSettings(settings);
   });
+
+  document.getElementById('autoDepartSpeedOptimizer').addEventListener('change', function() {
+    settings.autoDepartSpeedOptimizer = this.checked;
+    document.getElementById('autoDepartOptimizerOptions').classList.toggle('hidden', !this.checked);
+    saveSettings(settings);
+  });
+
+  document.getElementById('autoDepartOptimizerMinSpeed').addEventListener('change', function() {
+    const value = Math.min(Math.max(parseInt(this.value) || 30, 10), 100);
+    this.value = value;
+    settings.autoDepartOptimizerMinSpeed = value;
+    saveSettings(settings);
+  });
+
+  document.getElementById('autoDepartOptimizerMaxHours').addEventListener('change', function() {
+    const value = Math.max(parseInt(this.value) || 0, 0);
+    this.value = value;
+    settings.autoDepartOptimizerMaxHours = value;
+    saveSettings(settings);
+  });
+
+  document.getElementById('autoDepartOptimizerPriceSource').addEventListener('change', function() {
+    settings.autoDepartOptimizerPriceSource = this.value;
+    saveSettings(settings);
+  });
 }
 
 /**
@@ -820,8 +936,14 @@ export function registerChatBotSettingsListeners(settings) {
       settings.chatbotAllianceCommandsEnabled = this.checked;
       const cmdForecast = document.getElementById('cmdForecast');
       const cmdHelp = document.getElementById('cmdHelp');
+      const cmdCoop = document.getElementById('cmdCoop');
       if (cmdForecast) cmdForecast.disabled = !this.checked;
       if (cmdHelp) cmdHelp.disabled = !this.checked;
+      if (cmdCoop) cmdCoop.disabled = !this.checked;
+      ['cmdTop', 'cmdLeague', 'cmdStats', 'cmdPoll', 'cmdVote', 'cmdSignup', 'cmdRemindme', 'cmdRemind'].forEach(id => {
+        const checkbox = document.getElementById(id);
+        if (checkbox) checkbox.disabled = !this.checked;
+      });
       saveSettings(settings);
     });
   }
@@ -916,6 +1038,434 @@ export function registerChatBotSettingsListeners(settings) {
     });
   }
 
+  // Coop command enabled
+  const cmdCoopCheckbox = document.getElementById('cmdCoop');
+  if (cmdCoopCheckbox) {
+    cmdCoopCheckbox.addEventListener('change', function() {
+      settings.chatbotCoopCommandEnabled = this.checked;
+      const cmdCoopAlliance = document.getElementById('cmdCoopAlliance');
+      const cmdCoopDM = document.getElementById('cmdCoopDM');
+      if (cmdCoopAlliance) cmdCoopAlliance.disabled = !this.checked;
+      if (cmdCoopDM) cmdCoopDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Coop Alliance channel
+  const cmdCoopAllianceCheckbox = document.getElementById('cmdCoopAlliance');
+  if (cmdCoopAllianceCheckbox) {
+    cmdCoopAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotCoopAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Coop DM channel
+  const cmdCoopDMCheckbox = document.getElementById('cmdCoopDM');
+  if (cmdCoopDMCheckbox) {
+    cmdCoopDMCheckbox.addEventListener('change', function() {
+      settings.chatbotCoopDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Coop Aliases
+  const cmdCoopAliasesInput = document.getElementById('cmdCoopAliases');
+  if (cmdCoopAliasesInput) {
+    cmdCoopAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotCoopAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotCoopAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Top command enabled
+  const cmdTopCheckbox = document.getElementById('cmdTop');
+  if (cmdTopCheckbox) {
+    cmdTopCheckbox.addEventListener('change', function() {
+      settings.chatbotTopCommandEnabled = this.checked;
+      const cmdTopAlliance = document.getElementById('cmdTopAlliance');
+      const cmdTopDM = document.getElementById('cmdTopDM');
+      if (cmdTopAlliance) cmdTopAlliance.disabled = !this.checked;
+      if (cmdTopDM) cmdTopDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Top Alliance channel
+  const cmdTopAllianceCheckbox = document.getElementById('cmdTopAlliance');
+  if (cmdTopAllianceCheckbox) {
+    cmdTopAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotTopAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Top DM channel
+  const cmdTopDMCheckbox = document.getElementById('cmdTopDM');
+  if (cmdTopDMCheckbox) {
+    cmdTopDMCheckbox.addEventListener('change', function() {
+      settings.chatbotTopDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Top Aliases
+  const cmdTopAliasesInput = document.getElementById('cmdTopAliases');
+  if (cmdTopAliasesInput) {
+    cmdTopAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotTopAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotTopAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // League command enabled
+  const cmdLeagueCheckbox = document.getElementById('cmdLeague');
+  if (cmdLeagueCheckbox) {
+    cmdLeagueCheckbox.addEventListener('change', function() {
+      settings.chatbotLeagueCommandEnabled = this.checked;
+      const cmdLeagueAlliance = document.getElementById('cmdLeagueAlliance');
+      const cmdLeagueDM = document.getElementById('cmdLeagueDM');
+      if (cmdLeagueAlliance) cmdLeagueAlliance.disabled = !this.checked;
+      if (cmdLeagueDM) cmdLeagueDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // League Alliance channel
+  const cmdLeagueAllianceCheckbox = document.getElementById('cmdLeagueAlliance');
+  if (cmdLeagueAllianceCheckbox) {
+    cmdLeagueAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotLeagueAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // League DM channel
+  const cmdLeagueDMCheckbox = document.getElementById('cmdLeagueDM');
+  if (cmdLeagueDMCheckbox) {
+    cmdLeagueDMCheckbox.addEventListener('change', function() {
+      settings.chatbotLeagueDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // League Aliases
+  const cmdLeagueAliasesInput = document.getElementById('cmdLeagueAliases');
+  if (cmdLeagueAliasesInput) {
+    cmdLeagueAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotLeagueAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotLeagueAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Stats command enabled
+  const cmdStatsCheckbox = document.getElementById('cmdStats');
+  if (cmdStatsCheckbox) {
+    cmdStatsCheckbox.addEventListener('change', function() {
+      settings.chatbotStatsCommandEnabled = this.checked;
+      const cmdStatsAlliance = document.getElementById('cmdStatsAlliance');
+      const cmdStatsDM = document.getElementById('cmdStatsDM');
+      if (cmdStatsAlliance) cmdStatsAlliance.disabled = !this.checked;
+      if (cmdStatsDM) cmdStatsDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Stats Alliance channel
+  const cmdStatsAllianceCheckbox = document.getElementById('cmdStatsAlliance');
+  if (cmdStatsAllianceCheckbox) {
+    cmdStatsAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotStatsAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Stats DM channel
+  const cmdStatsDMCheckbox = document.getElementById('cmdStatsDM');
+  if (cmdStatsDMCheckbox) {
+    cmdStatsDMCheckbox.addEventListener('change', function() {
+      settings.chatbotStatsDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Stats Aliases
+  const cmdStatsAliasesInput = document.getElementById('cmdStatsAliases');
+  if (cmdStatsAliasesInput) {
+    cmdStatsAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotStatsAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotStatsAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Poll command enabled
+  const cmdPollCheckbox = document.getElementById('cmdPoll');
+  if (cmdPollCheckbox) {
+    cmdPollCheckbox.addEventListener('change', function() {
+      settings.chatbotPollCommandEnabled = this.checked;
+      const cmdPollAlliance = document.getElementById('cmdPollAlliance');
+      const cmdPollDM = document.getElementById('cmdPollDM');
+      if (cmdPollAlliance) cmdPollAlliance.disabled = !this.checked;
+      if (cmdPollDM) cmdPollDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Poll Alliance channel
+  const cmdPollAllianceCheckbox = document.getElementById('cmdPollAlliance');
+  if (cmdPollAllianceCheckbox) {
+    cmdPollAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotPollAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Poll DM channel
+  const cmdPollDMCheckbox = document.getElementById('cmdPollDM');
+  if (cmdPollDMCheckbox) {
+    cmdPollDMCheckbox.addEventListener('change', function() {
+      settings.chatbotPollDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Poll Aliases
+  const cmdPollAliasesInput = document.getElementById('cmdPollAliases');
+  if (cmdPollAliasesInput) {
+    cmdPollAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotPollAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotPollAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Vote command enabled
+  const cmdVoteCheckbox = document.getElementById('cmdVote');
+  if (cmdVoteCheckbox) {
+    cmdVoteCheckbox.addEventListener('change', function() {
+      settings.chatbotVoteCommandEnabled = this.checked;
+      const cmdVoteAlliance = document.getElementById('cmdVoteAlliance');
+      const cmdVoteDM = document.getElementById('cmdVoteDM');
+      if (cmdVoteAlliance) cmdVoteAlliance.disabled = !this.checked;
+      if (cmdVoteDM) cmdVoteDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Vote Alliance channel
+  const cmdVoteAllianceCheckbox = document.getElementById('cmdVoteAlliance');
+  if (cmdVoteAllianceCheckbox) {
+    cmdVoteAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotVoteAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Vote DM channel
+  const cmdVoteDMCheckbox = document.getElementById('cmdVoteDM');
+  if (cmdVoteDMCheckbox) {
+    cmdVoteDMCheckbox.addEventListener('change', function() {
+      settings.chatbotVoteDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Vote Aliases
+  const cmdVoteAliasesInput = document.getElementById('cmdVoteAliases');
+  if (cmdVoteAliasesInput) {
+    cmdVoteAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotVoteAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotVoteAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Signup command enabled
+  const cmdSignupCheckbox = document.getElementById('cmdSignup');
+  if (cmdSignupCheckbox) {
+    cmdSignupCheckbox.addEventListener('change', function() {
+      settings.chatbotSignupCommandEnabled = this.checked;
+      const cmdSignupAlliance = document.getElementById('cmdSignupAlliance');
+      const cmdSignupDM = document.getElementById('cmdSignupDM');
+      if (cmdSignupAlliance) cmdSignupAlliance.disabled = !this.checked;
+      if (cmdSignupDM) cmdSignupDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Signup Alliance channel
+  const cmdSignupAllianceCheckbox = document.getElementById('cmdSignupAlliance');
+  if (cmdSignupAllianceCheckbox) {
+    cmdSignupAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotSignupAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Signup DM channel
+  const cmdSignupDMCheckbox = document.getElementById('cmdSignupDM');
+  if (cmdSignupDMCheckbox) {
+    cmdSignupDMCheckbox.addEventListener('change', function() {
+      settings.chatbotSignupDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Signup Aliases
+  const cmdSignupAliasesInput = document.getElementById('cmdSignupAliases');
+  if (cmdSignupAliasesInput) {
+    cmdSignupAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotSignupAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotSignupAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Poll and sign-up list durations
+  ['chatbotPollDurationHours', 'chatbotSignupDurationHours'].forEach(id => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.addEventListener('change', function() {
+      const hours = Math.min(336, Math.max(1, parseInt(this.value, 10) || 1));
+      this.value = hours;
+      settings[id] = hours;
+      saveSettings(settings);
+    });
+  });
+
+  // Remindme command enabled
+  const cmdRemindmeCheckbox = document.getElementById('cmdRemindme');
+  if (cmdRemindmeCheckbox) {
+    cmdRemindmeCheckbox.addEventListener('change', function() {
+      settings.chatbotRemindmeCommandEnabled = this.checked;
+      const cmdRemindmeAlliance = document.getElementById('cmdRemindmeAlliance');
+      const cmdRemindmeDM = document.getElementById('cmdRemindmeDM');
+      if (cmdRemindmeAlliance) cmdRemindmeAlliance.disabled = !this.checked;
+      if (cmdRemindmeDM) cmdRemindmeDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Remindme Alliance channel
+  const cmdRemindmeAllianceCheckbox = document.getElementById('cmdRemindmeAlliance');
+  if (cmdRemindmeAllianceCheckbox) {
+    cmdRemindmeAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotRemindmeAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Remindme DM channel
+  const cmdRemindmeDMCheckbox = document.getElementById('cmdRemindmeDM');
+  if (cmdRemindmeDMCheckbox) {
+    cmdRemindmeDMCheckbox.addEventListener('change', function() {
+      settings.chatbotRemindmeDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Remindme Aliases
+  const cmdRemindmeAliasesInput = document.getElementById('cmdRemindmeAliases');
+  if (cmdRemindmeAliasesInput) {
+    cmdRemindmeAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotRemindmeAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotRemindmeAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Remind command enabled
+  const cmdRemindCheckbox = document.getElementById('cmdRemind');
+  if (cmdRemindCheckbox) {
+    cmdRemindCheckbox.addEventListener('change', function() {
+      settings.chatbotRemindCommandEnabled = this.checked;
+      const cmdRemindAlliance = document.getElementById('cmdRemindAlliance');
+      const cmdRemindDM = document.getElementById('cmdRemindDM');
+      if (cmdRemindAlliance) cmdRemindAlliance.disabled = !this.checked;
+      if (cmdRemindDM) cmdRemindDM.disabled = !this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Remind Alliance channel
+  const cmdRemindAllianceCheckbox = document.getElementById('cmdRemindAlliance');
+  if (cmdRemindAllianceCheckbox) {
+    cmdRemindAllianceCheckbox.addEventListener('change', function() {
+      settings.chatbotRemindAllianceEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Remind DM channel
+  const cmdRemindDMCheckbox = document.getElementById('cmdRemindDM');
+  if (cmdRemindDMCheckbox) {
+    cmdRemindDMCheckbox.addEventListener('change', function() {
+      settings.chatbotRemindDMEnabled = this.checked;
+      saveSettings(settings);
+    });
+  }
+
+  // Remind Aliases
+  const cmdRemindAliasesInput = document.getElementById('cmdRemindAliases');
+  if (cmdRemindAliasesInput) {
+    cmdRemindAliasesInput.addEventListener('blur', function() {
+      const aliasString = this.value.trim();
+      if (aliasString) {
+        settings.chatbotRemindAliases = aliasString.split(',').map(s => s.trim()).filter(s => s);
+      } else {
+        settings.chatbotRemindAliases = [];
+      }
+      saveSettings(settings);
+    });
+  }
+
+  // Pending reminders per user
+  const reminderMaxInput = document.getElementById('chatbotReminderMaxPerUser');
+  if (reminderMaxInput) {
+    reminderMaxInput.addEventListener('change', function() {
+      const max = Math.min(50, Math.max(1, parseInt(this.value, 10) || 1));
+      this.value = max;
+      settings.chatbotReminderMaxPerUser = max;
+      saveSettings(settings);
+    });
+  }
+
   // Welcome command enabled
   const cmdWelcomeCheckbox = document.getElementById('cmdWelcome');
   if (cmdWelcomeCheckbox) {
@@ -986,6 +1536,24 @@ export function registerCustomCommandsListeners(settings) {
   }
 }
 
+/**
+ * Validates a custom command response template and optionally renders it with live data.
+ *
+ * @param {string} template - Response template
+ * @param {Array<string>} args - Sample command arguments
+ * @param {boolean} render - false = validate only
+ * @returns {Promise<Object>} { valid, preview } or { valid: false, error }
+ */
+async function fetchTemplatePreview(template, args, render) {
+  const response = await fetch(window.apiUrl('/api/settings/chatbot-template/preview'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ template, args, render })
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return await response.json();
+}
+
 /**
  * Create a custom command element with all event listeners.
  *
@@ -1013,6 +1581,15 @@ function createCustomCommandElement(index, cmd, settings) {
       <div class="char-counter-container">
         <span class="char-counter" data-command-index="${index}">${(cmd.response || '').length}</span> / 1000
       </div>
+      <div class="template-error hidden"></div>
+      <div class="template-help">
+        Placeholders: {user} {alliance} {fuel_price} {co2_price} {coop_available} {members_online} {date tz=UTC} {time tz=UTC} {countdown to=2026-12-24T18:00} {arg1} {arg1 default=text} {args} - use {{ and }} for literal braces
+      </div>
+      <div class="template-preview-row">
+        <input type="text" placeholder="Sample arguments (e.g. Hamburg 5)" class="template-preview-args">
+        <button class="template-preview-button">Preview</button>
+      </div>
+      <div class="template-preview hidden"></div>
     </div>
 
     <div class="response-options">
@@ -1048,6 +1625,7 @@ function createCustomCommandElement(index, cmd, settings) {
         clearTimeout(saveTimer);
         saveTimer = setTimeout(() => {
           saveSettings(settings);
+          if (field === 'command') renderChatbotPermissions(settings);
         }, 1000);
       }
     });
@@ -1056,19 +1634,58 @@ function createCustomCommandElement(index, cmd, settings) {
   // Textarea with character counter
   const textarea = commandDiv.querySelector('textarea');
   const charCounter = commandDiv.querySelector('.char-counter');
+  const templateError = commandDiv.querySelector('.template-error');
+  const templatePreview = commandDiv.querySelector('.template-preview');
+
+  /**
+   * Shows or clears the template error below the textarea
+   * @param {string|null} error - Error message or null if valid
+   */
+  function showTemplateError(error) {
+    templateError.textContent = error ? `⚠️ ${error}` : '';
+    templateError.classList.toggle('hidden', !error);
+    textarea.classList.toggle('response-textarea-invalid', !!error);
+  }
+
   textarea.addEventListener('input', function() {
     const idx = parseInt(this.dataset.commandIndex);
     if (settings.chatbotCustomCommands[idx]) {
-      settings.chatbotCustomCommands[idx].response = this.value;
       // Debounce save - only save after 1 second of no typing
+      // The draft only goes into the shared settings once it parses, so a
+      // malformed template never rides along with other settings saves
+      const draft = this.value;
       clearTimeout(saveTimer);
-      saveTimer = setTimeout(() => {
-        saveSettings(settings);
+      saveTimer = setTimeout(async () => {
+        try {
+          const result = await fetchTemplatePreview(draft, [], false);
+          showTemplateError(result.valid ? null : result.error);
+          if (!result.valid) return;
+
+          settings.chatbotCustomCommands[idx].response = draft;
+          saveSettings(settings);
+        } catch (error) {
+          console.error('[ChatBot] Template validation failed:', error);
+        }
       }, 1000);
     }
     charCounter.textContent = this.value.length;
   });
 
+  // Preview with live data and sample arguments
+  commandDiv.querySelector('.template-preview-button').addEventListener('click', async () => {
+    const argsInput = commandDiv.querySelector('.template-preview-args').value.trim();
+    const args = argsInput ? argsInput.split(/\s+/) : [];
+    try {
+      const result = await fetchTemplatePreview(textarea.value, args, true);
+      showTemplateError(result.valid ? null : result.error);
+      templatePreview.textContent = result.valid ? result.preview : '';
+      templatePreview.classList.toggle('hidden', !result.valid);
+    } catch (error) {
+      console.error('[ChatBot] Template preview failed:', error);
+      showNotification('Template preview failed', 'error');
+    }
+  });
+
   // Checkbox inputs
   commandDiv.querySelectorAll('input[type="checkbox"]').forEach(input => {
     input.addEventListener('change', function() {
@@ -1077,6 +1694,7 @@ function createCustomCommandElement(index, cmd, settings) {
       if (settings.chatbotCustomCommands[idx]) {
         settings.chatbotCustomCommands[idx][field] = this.checked;
         saveSettings(settings);
+        if (field === 'adminOnly') renderChatbotPermissions(settings);
       }
     });
   });
@@ -1093,6 +1711,7 @@ function createCustomCommandElement(index, cmd, settings) {
       });
     });
     saveSettings(settings);
+    renderChatbotPermissions(settings);
   });
 
   return commandDiv;
@@ -7,6 +7,9 @@
  */
 
 import { updatePageTitle } from '../utils.js';
+import { renderPilotSchedules } from '../pilot-schedules.js';
+import { loadCashBudget } from '../cash-budget.js';
+import { renderChatbotPermissions } from '../chatbot-permissions.js';
 
 /**
  * Format number with thousand separators.
@@ -144,6 +147,15 @@ function updateAutoRebuyFuelUI(newSettings) {
     }
   }
 
+  const autoRebuyFuelSmartModeCheckbox = document.getElementById('autoRebuyFuelSmartMode');
+  if (autoRebuyFuelSmartModeCheckbox) {
+    autoRebuyFuelSmartModeCheckbox.checked = newSettings.autoRebuyFuelSmartMode;
+    const fuelPlanDisplay = document.getElementById('fuelPlanDisplay');
+    if (fuelPlanDisplay && !newSettings.autoRebuyFuelSmartMode) {
+      fuelPlanDisplay.classList.add('hidden');
+    }
+  }
+
   if (autoRebuyFuelUseAlertCheckbox) {
     const fuelUseAlert = newSettings.autoRebuyFuelUseAlert;
     autoRebuyFuelUseAlertCheckbox.checked = fuelUseAlert;
@@ -189,6 +201,15 @@ function updateAutoRebuyCO2UI(newSettings) {
     }
   }
 
+  const autoRebuyCO2PlanningModeCheckbox = document.getElementById('autoRebuyCO2PlanningMode');
+  if (autoRebuyCO2PlanningModeCheckbox) {
+    autoRebuyCO2PlanningModeCheckbox.checked = newSettings.autoRebuyCO2PlanningMode;
+    const co2PlanDisplay = document.getElementById('co2PlanDisplay');
+    if (co2PlanDisplay && !newSettings.autoRebuyCO2PlanningMode) {
+      co2PlanDisplay.classList.add('hidden');
+    }
+  }
+
   if (autoRebuyCO2UseAlertCheckbox) {
     const co2UseAlert = newSettings.autoRebuyCO2UseAlert;
     autoRebuyCO2UseAlertCheckbox.checked = co2UseAlert;
@@ -235,6 +256,15 @@ function updateAutoPilotToggles(newSettings) {
     }
   }
 
+  const speedOptimizerCheckbox = document.getElementById('autoDepartSpeedOptimizer');
+  if (speedOptimizerCheckbox) {
+    speedOptimizerCheckbox.checked = newSettings.autoDepartSpeedOptimizer;
+    document.getElementById('autoDepartOptimizerOptions')?.classList.toggle('hidden', !newSettings.autoDepartSpeedOptimizer);
+    document.getElementById('autoDepartOptimizerMinSpeed').value = newSettings.autoDepartOptimizerMinSpeed;
+    document.getElementById('autoDepartOptimizerMaxHours').value = newSettings.autoDepartOptimizerMaxHours;
+    document.getElementById('autoDepartOptimizerPriceSource').value = newSettings.autoDepartOptimizerPriceSource;
+  }
+
   if (autoBulkRepairCheckbox) {
     autoBulkRepairCheckbox.checked = newSettings.autoBulkRepair;
     const autoBulkRepairOptions = document.getElementById('autoBulkRepairOptions');
@@ -266,6 +296,20 @@ function updateAutoPilotToggles(newSettings) {
   if (autoNegotiateHijackingCheckbox) {
     autoNegotiateHijackingCheckbox.checked = newSettings.autoNegotiateHijacking;
   }
+
+  const autopilotDryRunCheckbox = document.getElementById('autopilotDryRun');
+  if (autopilotDryRunCheckbox) {
+    autopilotDryRunCheckbox.checked = newSettings.autopilotDryRun === true;
+  }
+
+  const autopilotRulesCheckbox = document.getElementById('autopilotRulesEnabled');
+  if (autopilotRulesCheckbox) {
+    autopilotRulesCheckbox.checked = newSettings.autopilotRulesEnabled === true;
+    const autopilotRulesOptions = document.getElementById('autopilotRulesOptions');
+    if (autopilotRulesOptions) {
+      autopilotRulesOptions.classList.toggle('hidden', !newSettings.autopilotRulesEnabled);
+    }
+  }
 }
 
 /**
@@ -287,6 +331,47 @@ function updateNotificationSettings(newSettings) {
     enableWeatherDataCheckbox.checked = weatherValue;
   }
 
+  // Quiet hours
+  const quietHoursCheckbox = document.getElementById('quietHoursEnabled');
+  if (quietHoursCheckbox) {
+    quietHoursCheckbox.checked = newSettings.quietHoursEnabled === true;
+    const quietHoursOptions = document.getElementById('quietHoursOptions');
+    if (quietHoursOptions) {
+      quietHoursOptions.classList.toggle('hidden', !newSettings.quietHoursEnabled);
+    }
+  }
+  const quietHoursStartInput = document.getElementById('quietHoursStart');
+  if (quietHoursStartInput && newSettings.quietHoursStart) {
+    quietHoursStartInput.value = newSettings.quietHoursStart;
+  }
+  const quietHoursEndInput = document.getElementById('quietHoursEnd');
+  if (quietHoursEndInput && newSettings.quietHoursEnd) {
+    quietHoursEndInput.value = newSettings.quietHoursEnd;
+  }
+
+  // Pilot schedules
+  if (newSettings.pilotSchedules) {
+    renderPilotSchedules(newSettings);
+  }
+
+  // ChatBot permission matrix
+  if (newSettings.chatbotCommandPermissions) {
+    renderChatbotPermissions(newSettings);
+  }
+
+  // Cash budget
+  const cashBudgetCheckbox = document.getElementById('cashBudgetEnabled');
+  if (cashBudgetCheckbox) {
+    cashBudgetCheckbox.checked = newSettings.cashBudgetEnabled === true;
+    const cashBudgetOptions = document.getElementById('cashBudgetOptions');
+    if (cashBudgetOptions) {
+      cashBudgetOptions.classList.toggle('hidden', !newSettings.cashBudgetEnabled);
+    }
+    if (newSettings.cashBudgetEnabled) {
+      loadCashBudget();
+    }
+  }
+
   // Update individual agent notification checkboxes
   const agentNotifIds = [
     'notifyBarrelBossInApp', 'notifyBarrelBossDesktop',
@@ -365,6 +450,10 @@ function updateChatBotSettings(newSettings) {
     const isAllianceEnabled = newSettings.chatbotAllianceCommandsEnabled !== false;
     if (document.getElementById('cmdForecast')) document.getElementById('cmdForecast').disabled = !isAllianceEnabled;
     if (document.getElementById('cmdHelp')) document.getElementById('cmdHelp').disabled = !isAllianceEnabled;
+    if (document.getElementById('cmdCoop')) document.getElementById('cmdCoop').disabled = !isAllianceEnabled;
+    ['cmdTop', 'cmdLeague', 'cmdStats', 'cmdPoll', 'cmdVote', 'cmdSignup', 'cmdRemindme', 'cmdRemind'].forEach(id => {
+      if (document.getElementById(id)) document.getElementById(id).disabled = !isAllianceEnabled;
+    });
   }
 
   const cmdForecastCheckbox = document.getElementById('cmdForecast');
@@ -385,6 +474,95 @@ function updateChatBotSettings(newSettings) {
   const cmdHelpDMCheckbox = document.getElementById('cmdHelpDM');
   if (cmdHelpDMCheckbox) cmdHelpDMCheckbox.checked = newSettings.chatbotHelpDMEnabled === true;
 
+  const cmdCoopCheckbox = document.getElementById('cmdCoop');
+  if (cmdCoopCheckbox) cmdCoopCheckbox.checked = newSettings.chatbotCoopCommandEnabled === true;
+
+  const cmdCoopAllianceCheckbox = document.getElementById('cmdCoopAlliance');
+  if (cmdCoopAllianceCheckbox) cmdCoopAllianceCheckbox.checked = newSettings.chatbotCoopAllianceEnabled !== false;
+
+  const cmdCoopDMCheckbox = document.getElementById('cmdCoopDM');
+  if (cmdCoopDMCheckbox) cmdCoopDMCheckbox.checked = newSettings.chatbotCoopDMEnabled !== false;
+
+  const cmdTopCheckbox = document.getElementById('cmdTop');
+  if (cmdTopCheckbox) cmdTopCheckbox.checked = newSettings.chatbotTopCommandEnabled === true;
+
+  const cmdTopAllianceCheckbox = document.getElementById('cmdTopAlliance');
+  if (cmdTopAllianceCheckbox) cmdTopAllianceCheckbox.checked = newSettings.chatbotTopAllianceEnabled !== false;
+
+  const cmdTopDMCheckbox = document.getElementById('cmdTopDM');
+  if (cmdTopDMCheckbox) cmdTopDMCheckbox.checked = newSettings.chatbotTopDMEnabled !== false;
+
+  const cmdLeagueCheckbox = document.getElementById('cmdLeague');
+  if (cmdLeagueCheckbox) cmdLeagueCheckbox.checked = newSettings.chatbotLeagueCommandEnabled === true;
+
+  const cmdLeagueAllianceCheckbox = document.getElementById('cmdLeagueAlliance');
+  if (cmdLeagueAllianceCheckbox) cmdLeagueAllianceCheckbox.checked = newSettings.chatbotLeagueAllianceEnabled !== false;
+
+  const cmdLeagueDMCheckbox = document.getElementById('cmdLeagueDM');
+  if (cmdLeagueDMCheckbox) cmdLeagueDMCheckbox.checked = newSettings.chatbotLeagueDMEnabled !== false;
+
+  const cmdStatsCheckbox = document.getElementById('cmdStats');
+  if (cmdStatsCheckbox) cmdStatsCheckbox.checked = newSettings.chatbotStatsCommandEnabled === true;
+
+  const cmdStatsAllianceCheckbox = document.getElementById('cmdStatsAlliance');
+  if (cmdStatsAllianceCheckbox) cmdStatsAllianceCheckbox.checked = newSettings.chatbotStatsAllianceEnabled !== false;
+
+  const cmdStatsDMCheckbox = document.getElementById('cmdStatsDM');
+  if (cmdStatsDMCheckbox) cmdStatsDMCheckbox.checked = newSettings.chatbotStatsDMEnabled !== false;
+
+  const cmdPollCheckbox = document.getElementById('cmdPoll');
+  if (cmdPollCheckbox) cmdPollCheckbox.checked = newSettings.chatbotPollCommandEnabled === true;
+
+  const cmdPollAllianceCheckbox = document.getElementById('cmdPollAlliance');
+  if (cmdPollAllianceCheckbox) cmdPollAllianceCheckbox.checked = newSettings.chatbotPollAllianceEnabled !== false;
+
+  const cmdPollDMCheckbox = document.getElementById('cmdPollDM');
+  if (cmdPollDMCheckbox) cmdPollDMCheckbox.checked = newSettings.chatbotPollDMEnabled === true;
+
+  const cmdVoteCheckbox = document.getElementById('cmdVote');
+  if (cmdVoteCheckbox) cmdVoteCheckbox.checked = newSettings.chatbotVoteCommandEnabled === true;
+
+  const cmdVoteAllianceCheckbox = document.getElementById('cmdVoteAlliance');
+  if (cmdVoteAllianceCheckbox) cmdVoteAllianceCheckbox.checked = newSettings.chatbotVoteAllianceEnabled !== false;
+
+  const cmdVoteDMCheckbox = document.getElementById('cmdVoteDM');
+  if (cmdVoteDMCheckbox) cmdVoteDMCheckbox.checked = newSettings.chatbotVoteDMEnabled !== false;
+
+  const cmdSignupCheckbox = document.getElementById('cmdSignup');
+  if (cmdSignupCheckbox) cmdSignupCheckbox.checked = newSettings.chatbotSignupCommandEnabled === true;
+
+  const cmdSignupAllianceCheckbox = document.getElementById('cmdSignupAlliance');
+  if (cmdSignupAllianceCheckbox) cmdSignupAllianceCheckbox.checked = newSettings.chatbotSignupAllianceEnabled !== false;
+
+  const cmdSignupDMCheckbox = document.getElementById('cmdSignupDM');
+  if (cmdSignupDMCheckbox) cmdSignupDMCheckbox.checked = newSettings.chatbotSignupDMEnabled !== false;
+
+  const cmdRemindmeCheckbox = document.getElementById('cmdRemindme');
+  if (cmdRemindmeCheckbox) cmdRemindmeCheckbox.checked = newSettings.chatbotRemindmeCommandEnabled === true;
+
+  const cmdRemindmeAllianceCheckbox = document.getElementById('cmdRemindmeAlliance');
+  if (cmdRemindmeAllianceCheckbox) cmdRemindmeAllianceCheckbox.checked = newSettings.chatbotRemindmeAllianceEnabled !== false;
+
+  const cmdRemindmeDMCheckbox = document.getElementById('cmdRemindmeDM');
+  if (cmdRemindmeDMCheckbox) cmdRemindmeDMCheckbox.checked = newSettings.chatbotRemindmeDMEnabled !== false;
+
+  const cmdRemindCheckbox = document.getElementById('cmdRemind');
+  if (cmdRemindCheckbox) cmdRemindCheckbox.checked = newSettings.chatbotRemindCommandEnabled === true;
+
+  const cmdRemindAllianceCheckbox = document.getElementById('cmdRemindAlliance');
+  if (cmdRemindAllianceCheckbox) cmdRemindAllianceCheckbox.checked = newSettings.chatbotRemindAllianceEnabled !== false;
+
+  const cmdRemindDMCheckbox = document.getElementById('cmdRemindDM');
+  if (cmdRemindDMCheckbox) cmdRemindDMCheckbox.checked = newSettings.chatbotRemindDMEnabled !== false;
+
+  const reminderMaxInput = document.getElementById('chatbotReminderMaxPerUser');
+  if (reminderMaxInput && newSettings.chatbotReminderMaxPerUser !== undefined) reminderMaxInput.value = newSettings.chatbotReminderMaxPerUser;
+
+  ['chatbotPollDurationHours', 'chatbotSignupDurationHours'].forEach(id => {
+    const input = document.getElementById(id);
+    if (input && newSettings[id] !== undefined) input.value = newSettings[id];
+  });
+
   const cmdWelcomeCheckbox = document.getElementById('cmdWelcome');
   if (cmdWelcomeCheckbox) cmdWelcomeCheckbox.checked = newSettings.chatbotWelcomeCommandEnabled !== false;
 
@@ -2,9 +2,20 @@
  * @fileoverview Depart Manager Panel
  * Draggable panel for managing vessel departures
  *
+ * Also shows the departure queue (GET /api/route/depart-queue): why Cargo Marshal
+ * left each vessel in port and when it retries. Vessels can be force-departed,
+ * snoozed or excluded from auto-depart from here.
+ *
  * @module depart-manager
  */
 
+import { escapeHtml, showSideNotification } from './utils.js';
+
+/**
+ * Snooze durations offered per vessel (hours)
+ */
+const SNOOZE_OPTIONS = [1, 4, 12, 24, 72];
+
 let isDragging = false;
 let dragOffsetX = 0;
 let dragOffsetY = 0;
@@ -93,7 +104,10 @@ async function loadDepartableVessels() {
   contentArea.innerHTML = '<div style="text-align: center; padding: 20px;">Loading vessels...</div>';
 
   try {
-    const response = await fetch('/api/vessel/get-vessels');
+    const [response, queue] = await Promise.all([
+      fetch('/api/vessel/get-vessels'),
+      fetchDepartureQueue()
+    ]);
     const data = await response.json();
 
     if (!response.ok) {
@@ -102,6 +116,7 @@ async function loadDepartableVessels() {
 
     // Filter vessels with status 'port'
     const departableVessels = data.vessels.filter(v => v.status === 'port');
+    const queueById = new Map((queue?.vessels || []).map(entry => [entry.id, entry]));
 
     if (departableVessels.length === 0) {
       contentArea.innerHTML = '<div style="text-align: center; padding: 20px; color: var(--color-text-tertiary);">No vessels in port ready to depart</div>';
@@ -110,7 +125,10 @@ async function loadDepartableVessels() {
     }
 
     // Build vessel list
-    let html = '<div class="depart-vessel-list">';
+    let html = queue?.autoDepartHold
+      ? `<div class="depart-queue-global">⏸️ Auto-depart not running: ${escapeHtml(queue.autoDepartHold)}</div>`
+      : '';
+    html += '<div class="depart-vessel-list">';
     departableVessels.forEach(vessel => {
       const routeName = vessel.route_name || 'No route';
       const currentPort = vessel.current_port_code?.replace(/_/g, ' ') || 'Unknown port';
@@ -146,7 +164,9 @@ async function loadDepartableVessels() {
               <div>At port: <span class="depart-port-name">${currentPort}</span></div>
               <div>Destination: <span class="depart-port-name">${nextDestination || 'No route'}</span></div>
               <div>Duration: <span class="depart-duration">${durationText}</span></div>
+              ${renderQueueStatus(queueById.get(vessel.id))}
             </div>
+            ${renderQueueActions(queueById.get(vessel.id))}
           </div>
           <div class="depart-vessel-actions">
             <input type="checkbox" class="depart-vessel-checkbox" data-vessel-id="${vessel.id}" checked>
@@ -185,6 +205,12 @@ async function loadDepartableVessels() {
       });
     });
 
+    // Departure queue actions (force, snooze, exclude)
+    contentArea.querySelectorAll('[data-queue-action]').forEach(control => {
+      const eventName = control.tagName === 'SELECT' ? 'change' : 'click';
+      control.addEventListener(eventName, () => handleQueueAction(control));
+    });
+
     // Add change handlers for checkboxes to update button count
     const checkboxes = contentArea.querySelectorAll('.depart-vessel-checkbox');
     checkboxes.forEach(checkbox => {
@@ -200,6 +226,134 @@ async function loadDepartableVessels() {
   }
 }
 
+/**
+ * Loads the departure queue. The vessel list still works without it.
+ * @returns {Promise<Object|null>} { vessels, nextRunAt, autoDepartHold } or null on error
+ */
+async function fetchDepartureQueue() {
+  try {
+    const response = await fetch('/api/route/depart-queue');
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return await response.json();
+  } catch (error) {
+    console.error('[Depart Manager] Error loading departure queue:', error);
+    return null;
+  }
+}
+
+/**
+ * Formats a queue timestamp as local time (with date if not today)
+ * @param {number} timestamp - Timestamp in ms
+ * @returns {string} Formatted time
+ */
+function formatQueueTime(timestamp) {
+  const date = new Date(timestamp);
+  const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', hour12: false });
+  return date.toDateString() === new Date().toDateString() ? time : `${date.toLocaleDateString()} ${time}`;
+}
+
+/**
+ * Renders the hold reason, retry time and last trip warning of a vessel
+ * @param {Object} [entry] - Departure queue entry
+ * @returns {string} HTML
+ */
+function renderQueueStatus(entry) {
+  if (!entry) return '';
+
+  let status;
+  if (entry.status === 'excluded') {
+    status = '<span class="depart-queue-badge excluded">🚫 Excluded from auto-depart</span>';
+  } else if (entry.status === 'snoozed') {
+    status = `<span class="depart-queue-badge snoozed">💤 Snoozed until ${formatQueueTime(entry.snoozedUntil)}</span>`;
+  } else if (entry.status === 'held') {
+    status = `<span class="depart-queue-badge held">⏳ ${escapeHtml(entry.hold.reason)}</span>`;
+  } else {
+    status = '<span class="depart-queue-badge ready">✅ Ready</span>';
+  }
+
+  const retry = entry.nextRetryAt ? ` <span class="depart-queue-retry">Next try: ${formatQueueTime(entry.nextRetryAt)}</span>` : '';
+  const lastTrip = entry.lastTrip
+    ? `<div class="depart-queue-last-trip">⚠️ Last trip: ${escapeHtml(entry.lastTrip.reason)}</div>`
+    : '';
+
+  return `<div class="depart-queue-status">${status}${retry}</div>${lastTrip}`;
+}
+
+/**
+ * Renders the force / snooze / exclude controls of a vessel
+ * @param {Object} [entry] - Departure queue entry
+ * @returns {string} HTML
+ */
+function renderQueueActions(entry) {
+  if (!entry) return '';
+
+  const snooze = entry.snoozedUntil
+    ? `<button class="depart-queue-btn" data-queue-action="unsnooze" data-vessel-id="${entry.id}" title="End snooze">⏰ Wake</button>`
+    : `<select class="depart-queue-select" data-queue-action="snooze" data-vessel-id="${entry.id}" title="Skip this vessel in auto-depart for a while">
+        <option value="">💤 Snooze</option>
+        ${SNOOZE_OPTIONS.map(hours => `<option value="${hours}">${hours}h</option>`).join('')}
+      </select>`;
+
+  const exclude = entry.excludedSince
+    ? `<button class="depart-queue-btn" data-queue-action="include" data-vessel-id="${entry.id}" title="Include in auto-depart again">✅ Include</button>`
+    : `<button class="depart-queue-btn" data-queue-action="exclude" data-vessel-id="${entry.id}" title="Never depart this vessel automatically">🚫 Exclude</button>`;
+
+  return `
+    <div class="depart-queue-actions">
+      <button class="depart-queue-btn" data-queue-action="force" data-vessel-id="${entry.id}" title="Depart now, ignoring minimum utilization and the fuel check cache">⚡ Force</button>
+      ${snooze}
+      ${exclude}
+    </div>`;
+}
+
+/**
+ * Runs a departure queue action and reloads the list
+ * @param {HTMLElement} control - Button or select with data-queue-action and data-vessel-id
+ * @returns {Promise<void>}
+ */
+async function handleQueueAction(control) {
+  const action = control.dataset.queueAction;
+  const vesselId = parseInt(control.dataset.vesselId);
+
+  let url;
+  let body;
+  if (action === 'force') {
+    url = '/api/route/depart';
+    body = { vessel_ids: [vesselId], force: true };
+  } else if (action === 'snooze' || action === 'unsnooze') {
+    const hours = action === 'snooze' ? parseInt(control.value) : 0;
+    if (action === 'snooze' && !hours) return;
+    url = `/api/route/depart-queue/${vesselId}/snooze`;
+    body = { hours };
+  } else {
+    url = `/api/route/depart-queue/${vesselId}/exclude`;
+    body = { excluded: action === 'exclude' };
+  }
+
+  control.disabled = true;
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || 'Request failed');
+    }
+
+    if (action === 'force' && !result.departedCount) {
+      showSideNotification('Vessel could not be departed - see the hold reason', 'warning');
+    }
+  } catch (error) {
+    console.error(`[Depart Manager] Queue action "${action}" failed:`, error);
+    showSideNotification(`Departure queue: ${escapeHtml(error.message)}`, 'error');
+  }
+
+  await loadDepartableVessels();
+}
+
 /**
  * Update the depart button count based on selected checkboxes
  */
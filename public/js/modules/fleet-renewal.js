@@ -0,0 +1,216 @@
+/**
+ * @fileoverview Fleet Renewal Advisor
+ * "Renewal" tab of the buy vessel catalog and the sell overlay.
+ *
+ * Shows the "sell X, buy Y" swaps suggested by GET /api/vessel/renewal-advice
+ * with net cash effect and estimated payback, followed by the score of every
+ * owned vessel (age, wear, fuel efficiency, speed, capacity).
+ *
+ * The tab replaces the overlay's vessel list while active; any other header
+ * button switches back to the list.
+ *
+ * @module fleet-renewal
+ */
+
+import { escapeHtml, formatNumber } from './utils.js';
+
+/**
+ * Overlays with a renewal tab: tab button, vessel list and renewal container
+ */
+const RENEWAL_VIEWS = {
+  buyVesselsOverlay: { button: 'buyRenewalBtn', list: 'vesselCatalogFeed', feed: 'buyRenewalFeed' },
+  sellVesselsOverlay: { button: 'sellRenewalBtn', list: 'sellVesselCatalogFeed', feed: 'sellRenewalFeed' }
+};
+
+const SCORE_LABELS = {
+  age: 'Age',
+  wear: 'Wear',
+  fuel: 'Fuel',
+  speed: 'Speed',
+  capacity: 'Capacity'
+};
+
+/**
+ * Gets the color class of a score
+ * @param {number|null} score - Score 0-100
+ * @returns {string} CSS class
+ */
+function getScoreClass(score) {
+  if (score === null || score === undefined) return 'score-unknown';
+  if (score >= 70) return 'score-good';
+  if (score >= 40) return 'score-medium';
+  return 'score-low';
+}
+
+/**
+ * Renders a score badge
+ * @param {number|null} score - Score 0-100
+ * @returns {string} HTML
+ */
+function renderScore(score) {
+  return `<span class="fleet-renewal-score ${getScoreClass(score)}">${score ?? '-'}</span>`;
+}
+
+/**
+ * Formats a signed dollar amount
+ * @param {number} value - Amount
+ * @returns {string} "+$1,000" / "-$1,000"
+ */
+function formatSignedCash(value) {
+  return `${value >= 0 ? '+' : '-'}$${formatNumber(Math.abs(value))}`;
+}
+
+/**
+ * Describes the payback period of a swap
+ * @param {Object} swap - Swap from the API
+ * @returns {string} Text
+ */
+function describePayback(swap) {
+  if (swap.netCash === null) return 'unknown (no resale value)';
+  if (swap.paybackDays === 0) return 'immediate';
+  if (swap.paybackDays === null) return swap.dailyGain === null ? 'unknown (no earnings data)' : 'never';
+  return swap.paybackDays < 2 ? `${Math.round(swap.paybackDays * 24)} hours` : `${formatNumber(swap.paybackDays)} days`;
+}
+
+/**
+ * Renders a swap suggestion
+ * @param {Object} swap - Swap from the API
+ * @returns {string} HTML
+ */
+function renderSwap(swap) {
+  const { sell, buy } = swap;
+  const unit = buy.capacityType === 'tanker' ? ' bbl' : ' TEU';
+  const basisLabel = swap.basis === 'fleet_average' ? ' (fleet average)' : '';
+
+  const warnings = [];
+  if (sell.atSea) warnings.push('⛵ At sea - can be sold once in port');
+  if (!swap.affordable) warnings.push('⚠️ Not enough cash for the purchase');
+
+  return `
+    <div class="fleet-renewal-swap ${swap.affordable ? '' : 'unaffordable'}">
+      <div class="fleet-renewal-swap-vessels">
+        <div class="fleet-renewal-swap-side">
+          <span class="fleet-renewal-swap-label">💵 Sell</span>
+          <strong>${escapeHtml(sell.name)}</strong> ${renderScore(sell.score)}
+          <span class="fleet-renewal-muted">${sell.sellPrice === null ? 'resale value unknown' : `$${formatNumber(sell.sellPrice)}`}</span>
+        </div>
+        <div class="fleet-renewal-arrow">→</div>
+        <div class="fleet-renewal-swap-side">
+          <span class="fleet-renewal-swap-label">🛒 Buy</span>
+          <strong>${escapeHtml(buy.name)}</strong> ${renderScore(buy.score)}
+          <span class="fleet-renewal-muted">$${formatNumber(buy.price)} · ${buy.year || '-'} · ${formatNumber(buy.capacity)}${unit} · ${buy.maxSpeed || '-'} kn</span>
+        </div>
+      </div>
+      <div class="fleet-renewal-swap-figures">
+        <span>Net cash: <strong class="${swap.netCash === null ? '' : swap.netCash >= 0 ? 'positive' : 'negative'}">${swap.netCash === null ? '-' : formatSignedCash(swap.netCash)}</strong></span>
+        <span>Profit/day: <strong class="${swap.dailyGain > 0 ? 'positive' : swap.dailyGain < 0 ? 'negative' : ''}">${swap.dailyGain === null ? '-' : formatSignedCash(swap.dailyGain)}</strong>${basisLabel}</span>
+        <span>Payback: <strong>${describePayback(swap)}</strong></span>
+      </div>
+      ${warnings.length > 0 ? `<div class="fleet-renewal-warnings">${warnings.join(' · ')}</div>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Renders the fleet score table
+ * @param {Array} fleet - Scored vessels from the API (worst first)
+ * @returns {string} HTML
+ */
+function renderFleetTable(fleet) {
+  if (fleet.length === 0) {
+    return '<div class="fleet-renewal-empty">No vessels to score</div>';
+  }
+
+  const rows = fleet.map(vessel => `
+    <tr>
+      <td class="fleet-renewal-vessel-name">${vessel.capacityType === 'tanker' ? '🛢️' : '📦'} ${escapeHtml(vessel.name)}</td>
+      <td>${renderScore(vessel.score)}</td>
+      ${Object.keys(SCORE_LABELS).map(key => `<td>${renderScore(vessel.scores[key])}</td>`).join('')}
+    </tr>
+  `).join('');
+
+  return `
+    <table class="fleet-renewal-table">
+      <thead>
+        <tr>
+          <th>Vessel</th>
+          <th>Score</th>
+          ${Object.values(SCORE_LABELS).map(label => `<th>${label}</th>`).join('')}
+        </tr>
+      </thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `;
+}
+
+/**
+ * Loads the advice and renders it into a container
+ * @param {HTMLElement} container - Renewal container
+ * @returns {Promise<void>}
+ */
+async function loadFleetRenewal(container) {
+  container.innerHTML = '<div class="fleet-renewal-empty">Comparing your fleet with the vessel catalog...</div>';
+
+  try {
+    const response = await fetch(window.apiUrl('/api/vessel/renewal-advice'));
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || response.statusText);
+
+    const weights = Object.entries(data.weights)
+      .map(([key, weight]) => `${SCORE_LABELS[key] || key} ${Math.round(weight * 100)}%`)
+      .join(', ');
+
+    container.innerHTML = `
+      <div class="fleet-renewal">
+        <div class="fleet-renewal-summary">
+          Cash: <strong>$${formatNumber(data.cash)}</strong> ·
+          Profit estimates from the last ${data.days} days ·
+          Score: ${escapeHtml(weights)}
+        </div>
+        <h3 class="fleet-renewal-title">Suggested swaps</h3>
+        ${data.swaps.length > 0
+          ? data.swaps.map(renderSwap).join('')
+          : '<div class="fleet-renewal-empty">No catalog vessel is clearly better than your vessels</div>'}
+        <h3 class="fleet-renewal-title">Fleet scores</h3>
+        ${renderFleetTable(data.fleet)}
+      </div>
+    `;
+  } catch (error) {
+    console.error('[Fleet Renewal] Failed to load advice:', error);
+    container.innerHTML = `<div class="fleet-renewal-empty">Failed to load renewal advice: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Shows the vessel list again
+ * @param {string} overlayId - Overlay element ID
+ */
+export function hideFleetRenewal(overlayId) {
+  const view = RENEWAL_VIEWS[overlayId];
+  const feed = document.getElementById(view.feed);
+  if (!feed || feed.classList.contains('hidden')) return;
+
+  document.getElementById(view.button).classList.remove('active');
+  feed.classList.add('hidden');
+  document.getElementById(view.list).classList.remove('hidden');
+}
+
+/**
+ * Switches an overlay between its vessel list and the renewal tab
+ * @param {string} overlayId - 'buyVesselsOverlay' or 'sellVesselsOverlay'
+ * @returns {Promise<void>}
+ */
+export async function toggleFleetRenewal(overlayId) {
+  const view = RENEWAL_VIEWS[overlayId];
+  const feed = document.getElementById(view.feed);
+
+  if (!feed.classList.contains('hidden')) {
+    hideFleetRenewal(overlayId);
+    return;
+  }
+
+  document.getElementById(view.button).classList.add('active');
+  document.getElementById(view.list).classList.add('hidden');
+  feed.classList.remove('hidden');
+  await loadFleetRenewal(feed);
+}
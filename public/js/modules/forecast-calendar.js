@@ -19,6 +19,7 @@ let currentMonth = null; // Currently displayed month (1-12)
 let currentYear = null; // Currently displayed year
 let monthDataCache = {}; // Cache for loaded months: key = "YYYY-MM", value = daysData array
 let requestedStartPage = null; // Requested start page for navigation (null = auto-detect today)
+let accuracyStats = null; // Forecast error statistics from /api/forecast/accuracy (null = not available)
 
 /**
  * Color classes for fuel prices
@@ -136,6 +137,77 @@ function isEventActiveAtTime(interval, dayNumber, month, year) {
     return checkTime >= startCEST && checkTime < endCEST;
 }
 
+/**
+ * Load forecast accuracy statistics (forecast vs. observed prices)
+ * Grouped by day/hour in the browser's timezone, same as the calendar data
+ */
+async function loadAccuracyStats() {
+    try {
+        const response = await fetch(`/api/forecast/accuracy?timezone=${getBrowserTimezone()}`);
+        if (!response.ok) {
+            accuracyStats = null;
+            return;
+        }
+        const data = await response.json();
+        accuracyStats = data.samples > 0 ? data : null;
+    } catch (error) {
+        console.error('[Forecast] Error loading accuracy stats:', error);
+        accuracyStats = null;
+    }
+}
+
+/**
+ * Format fuel/CO2 error statistics as a short text
+ * @param {Object} group - { fuel: {count, mae, bias, mape}|null, co2: {...}|null }
+ * @returns {string} e.g. "Fuel ±4.2% · CO2 ±3.1%"
+ */
+function formatAccuracy(group) {
+    const parts = [];
+    if (group.fuel) parts.push(`Fuel ±${group.fuel.mape.toFixed(1)}%`);
+    if (group.co2) parts.push(`CO2 ±${group.co2.mape.toFixed(1)}%`);
+    return parts.join(' · ');
+}
+
+/**
+ * Build tooltip text with detailed error statistics for one hour
+ * @param {number} hour - Hour of day (0-23)
+ * @returns {string} Tooltip text or empty string if no samples
+ */
+function getHourAccuracyTitle(hour) {
+    const group = accuracyStats?.byHour?.[hour];
+    if (!group) return '';
+
+    const describe = (label, stats) => {
+        if (!stats) return null;
+        const bias = stats.bias >= 0 ? `+${stats.bias}` : `${stats.bias}`;
+        return `${label}: ±${stats.mape.toFixed(1)}% (avg error $${stats.mae}, bias $${bias}, ${stats.count} samples)`;
+    };
+
+    return [
+        `Forecast accuracy ${String(hour).padStart(2, '0')}:00-${String(hour).padStart(2, '0')}:59`,
+        describe('Fuel', group.fuel),
+        describe('CO2', group.co2)
+    ].filter(Boolean).join('\n');
+}
+
+/**
+ * Build the accuracy line shown below a page title
+ * @param {number|null} dayNumber - Day of month, or null for overall statistics
+ * @returns {string} HTML or empty string if no samples
+ */
+function createAccuracyHTML(dayNumber) {
+    if (!accuracyStats) return '';
+
+    const group = dayNumber === null ? accuracyStats.overall : accuracyStats.byDay?.[dayNumber];
+    if (!group || (!group.fuel && !group.co2)) {
+        return '<p class="forecast-accuracy">Forecast accuracy: no samples for this day yet</p>';
+    }
+
+    const label = dayNumber === null ? 'Overall forecast accuracy' : `Day ${dayNumber} forecast accuracy`;
+    const count = Math.max(group.fuel?.count || 0, group.co2?.count || 0);
+    return `<p class="forecast-accuracy" title="Mean absolute percentage error of the forecast vs. observed prices">${label}: ${formatAccuracy(group)} (${count} samples)</p>`;
+}
+
 /**
  * Create HTML table for forecast intervals
  * Data is already in correct timezone from server
@@ -196,8 +268,9 @@ function createTableHTML(hourlyIntervals, dayNumber, month, year) {
         const fuelClass = getFuelClass(fuelPrice);
         const co2Class = getCo2Class(co2Price);
         const currentClass = isCurrentHour ? ' current-hour' : '';
+        const accuracyTitle = getHourAccuracyTitle(intervalHour);
 
-        html += `<tr class="${currentClass}">
+        html += `<tr class="${currentClass}"${accuracyTitle ? ` title="${accuracyTitle}"` : ''}>
                     <td>${time}</td>
                     <td class="${fuelClass}">${fuelPrice}</td>
                     <td class="${co2Class}">${co2Price}</td>
@@ -273,7 +346,7 @@ function renderBook() {
         // Use the month/year from the data itself
         const formattedDate = `${String(dayData.day).padStart(2, '0')}/${String(dayData.month).padStart(2, '0')}/${dayData.year}`;
 
-        const appendPage = (titleSuffix, contentHTML) => {
+        const appendPage = (titleSuffix, contentHTML, accuracyHTML = '') => {
             const page = document.createElement('div');
             page.className = 'page';
 
@@ -283,6 +356,7 @@ function renderBook() {
             const finalContent = `
                 <div class="page-content">
                     <h2>${formattedDate} ${titleSuffix} ${tzInfo}</h2>
+                    ${accuracyHTML}
                     ${contentHTML}
                 </div>
             `;
@@ -311,8 +385,8 @@ function renderBook() {
         while (finalFirstHalf.length < 24) finalFirstHalf.push(null);
         while (finalSecondHalf.length < 24) finalSecondHalf.push(null);
 
-        appendPage('AM -', createTableHTML(finalFirstHalf, dayData.day, dayData.month, dayData.year));
-        appendPage('PM -', createTableHTML(finalSecondHalf, dayData.day, dayData.month, dayData.year));
+        appendPage('AM -', createTableHTML(finalFirstHalf, dayData.day, dayData.month, dayData.year), createAccuracyHTML(dayData.day));
+        appendPage('PM -', createTableHTML(finalSecondHalf, dayData.day, dayData.month, dayData.year), createAccuracyHTML(null));
     });
 
     const PageFlipConstructor = (window.St && window.St.PageFlip) || window.PageFlip;
@@ -451,6 +525,9 @@ async function preloadMonth(month, year) {
  */
 async function loadForecastData(month = null, year = null) {
     try {
+        // Refresh accuracy stats on every open (new samples every 30 minutes)
+        await loadAccuracyStats();
+
         // Default to current month/year if not specified
         const now = new Date();
         const targetMonth = month || (now.getMonth() + 1);
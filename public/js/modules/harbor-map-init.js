@@ -10,6 +10,7 @@ import { initMap, loadOverview, updateWeatherDataSetting, setRouteFilter } from
 import { prefetchHarborMapData, invalidateOverviewCache } from './harbor-map/api-client.js';
 import { initializeMapIconBar } from './map-icon-bar.js';
 import { initializeDepartManager, openDepartManager } from './depart-manager.js';
+import { showVesselGroupsDialog } from './vessel-groups.js';
 
 let mapInitialized = false;
 let autoUpdateInterval = null;
@@ -155,8 +156,9 @@ export async function initHarborMap() {
   // Initialize depart manager panel
   initializeDepartManager();
 
-  // Export openDepartManager to window for map-icon-bar.js
+  // Export openDepartManager and the vessel groups dialog to window for map-icon-bar.js
   window.openDepartManager = openDepartManager;
+  window.showVesselGroupsDialog = showVesselGroupsDialog;
 
   // Load data
   await loadOverview();
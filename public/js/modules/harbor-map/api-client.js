@@ -137,6 +137,27 @@ export async function fetchVesselHistory(vesselId) {
   return await response.json();
 }
 
+/**
+ * Fetches route profitability analytics
+ * Returns metrics per port pair (direction-independent) and per vessel
+ *
+ * @param {number} [days=30] - Days of departures to include
+ * @returns {Promise<Object>} { routes: [...], vessels: [...], fuelPrice, feeThreshold }
+ * @throws {Error} If API call fails
+ * @example
+ * const data = await fetchRouteAnalytics(30);
+ * // Returns: { routes: [{ portA: 'AUBNE', portB: 'NZAKL', avgNetProfit: -1200, status: 'loss', ... }], vessels: [...] }
+ */
+export async function fetchRouteAnalytics(days = 30) {
+  const response = await fetch(window.apiUrl(`/api/harbor-map/route-analytics?days=${days}`));
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch route analytics: ${response.statusText}`);
+  }
+
+  return await response.json();
+}
+
 /**
  * Clears backend cache for game/index data
  * Forces fresh data on next request
@@ -184,3 +205,43 @@ export async function exportVesselHistory(vesselId, format) {
 
   return await response.text();
 }
+
+/**
+ * Fetches the autopilot overrides of all vessels
+ *
+ * @returns {Promise<Object>} { overrides: { [vesselId]: { excludeDepart, excludeRepair, excludeDrydock, speed, minUtilization, guards } } }
+ * @throws {Error} If API call fails
+ */
+export async function fetchVesselOverrides() {
+  const response = await fetch(window.apiUrl('/api/vessel/overrides'));
+
+  if (!response.ok) {
+    throw new Error(`Failed to fetch vessel overrides: ${response.statusText}`);
+  }
+
+  return await response.json();
+}
+
+/**
+ * Replaces the autopilot overrides of a vessel
+ * Omitted or null numbers fall back to the account settings
+ *
+ * @param {number} vesselId - Vessel ID
+ * @param {Object} overrides - { excludeDepart, excludeRepair, excludeDrydock, speed, minUtilization, guards }
+ * @returns {Promise<Object>} { success: true, overrides: {...} } - Overrides now in effect
+ * @throws {Error} If API call fails (message from the server for invalid values)
+ */
+export async function saveVesselOverrides(vesselId, overrides) {
+  const response = await fetch(window.apiUrl('/api/vessel/overrides'), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ vessel_id: vesselId, overrides })
+  });
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(data.error || `Failed to save vessel overrides: ${response.statusText}`);
+  }
+
+  return data;
+}
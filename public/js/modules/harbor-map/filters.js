@@ -5,11 +5,16 @@
  * @module harbor-map/filters
  */
 
+import { getVesselGroups, getGroupVesselIds } from '../vessel-groups.js';
+
+// Filter value prefix for user-defined vessel groups ("group:Asia loop")
+const GROUP_FILTER_PREFIX = 'group:';
+
 /**
  * Filters vessels based on selected criteria
  *
  * @param {Array<Object>} vessels - All vessels
- * @param {string} filterType - Filter type
+ * @param {string} filterType - Filter type or "group:<name>" for a vessel group
  * @returns {Array<Object>} Filtered vessels
  */
 export function filterVessels(vessels, filterType) {
@@ -17,6 +22,13 @@ export function filterVessels(vessels, filterType) {
 
   console.log(`[Filter] Filtering ${vessels.length} vessels with filter: ${filterType}`);
 
+  if (filterType.startsWith(GROUP_FILTER_PREFIX)) {
+    const groupIds = new Set(getGroupVesselIds(filterType.slice(GROUP_FILTER_PREFIX.length)));
+    const groupVessels = vessels.filter(v => groupIds.has(v.id));
+    console.log(`[Filter] Found ${groupVessels.length} vessels in group`);
+    return groupVessels;
+  }
+
   switch (filterType) {
     case 'all_vessels':
       return vessels;
@@ -234,6 +246,7 @@ function calculateVesselUtilization(vessel) {
 
 /**
  * Returns available vessel filter options
+ * Vessel groups are appended after the built-in filters
  *
  * @returns {Array<Object>} Filter options with {value, label}
  */
@@ -253,10 +266,24 @@ export function getVesselFilterOptions() {
     { value: 'vessels_in_delivery', label: 'Vessels in Delivery' },
     { value: 'tanker_only', label: 'Tanker Only' },
     { value: 'container_only', label: 'Container Only' },
-    { value: 'low_utilization', label: `Utilization < ${minUtilization}%` }
+    { value: 'low_utilization', label: `Utilization < ${minUtilization}%` },
+    ...getVesselGroups().map(group => ({
+      value: `${GROUP_FILTER_PREFIX}${group.name}`,
+      label: `🏷️ ${group.name} (${group.vesselIds.length})`
+    }))
   ];
 }
 
+/**
+ * Checks if a vessel filter still exists (groups can be renamed or deleted)
+ *
+ * @param {string} filterType - Filter type
+ * @returns {boolean} True if the filter is one of the current options
+ */
+export function isValidVesselFilter(filterType) {
+  return getVesselFilterOptions().some(opt => opt.value === filterType);
+}
+
 /**
  * Returns available port filter options
  *
@@ -6,13 +6,14 @@
  * @module harbor-map/map-controller
  */
 
-import { fetchHarborMapOverview, fetchVesselReachablePorts, getCachedOverview } from './api-client.js';
+import { fetchHarborMapOverview, fetchVesselReachablePorts, getCachedOverview, fetchRouteAnalytics } from './api-client.js';
 import { showVesselPanel, hideVesselPanel } from './vessel-panel.js';
 import { showPortPanel, hidePortPanel } from './port-panel.js';
 import { hideRoutePanel } from './route-vessels-panel.js';
 import { initializePanelDrag } from './panel-drag.js';
-import { filterVessels, filterPorts, getVesselFilterOptions, getPortFilterOptions } from './filters.js';
-import { showSideNotification, isMobileDevice } from '../utils.js';
+import { filterVessels, filterPorts, getVesselFilterOptions, getPortFilterOptions, isValidVesselFilter } from './filters.js';
+import { showSideNotification, isMobileDevice, formatNumber, escapeHtml } from '../utils.js';
+import { loadVesselTags } from '../vessel-groups.js';
 
 // Map instance
 let map = null;
@@ -294,6 +295,14 @@ export function initMap(containerId) {
   // Add custom controls
   addCustomControls();
 
+  // Vessel groups can be added, renamed or deleted while the map is open
+  window.addEventListener('vessel_tags_changed', async () => {
+    renderVesselFilterOptions();
+    if (currentVesselFilter.startsWith('group:')) {
+      await applyFiltersAndRender();
+    }
+  });
+
   // Initialize weather layer and dblclick handler only if enableWeatherData is enabled
   const settings = window.getSettings ? window.getSettings() : {};
   if (settings.enableWeatherData === true) {
@@ -512,6 +521,36 @@ function toggleWeatherLayer(type) {
   }
 }
 
+/**
+ * Builds the vessel filter <option> list (built-in filters + vessel groups)
+ *
+ * @returns {string} Options HTML
+ */
+function getVesselFilterOptionsHTML() {
+  return getVesselFilterOptions().map(opt =>
+    `<option value="${escapeHtml(opt.value)}" ${opt.value === currentVesselFilter ? 'selected' : ''}>${escapeHtml(opt.label)}</option>`
+  ).join('');
+}
+
+/**
+ * Re-renders the vessel filter dropdown after the vessel groups changed
+ * Falls back to all vessels if the selected group no longer exists
+ *
+ * @returns {void}
+ */
+function renderVesselFilterOptions() {
+  if (!isValidVesselFilter(currentVesselFilter)) {
+    currentVesselFilter = 'all_vessels';
+    localStorage.setItem('harborMapVesselFilter', currentVesselFilter);
+  }
+
+  const vesselFilterSelect = document.getElementById('vesselFilterSelect');
+  if (vesselFilterSelect) {
+    vesselFilterSelect.innerHTML = getVesselFilterOptionsHTML();
+    vesselFilterSelect.value = currentVesselFilter;
+  }
+}
+
 /**
  * Adds custom Leaflet controls (filter, refresh)
  * Positioned in top-right corner below zoom controls
@@ -523,14 +562,9 @@ function addCustomControls() {
     onAdd: function() {
       const container = L.DomUtil.create('div', 'leaflet-control-custom leaflet-control-filter');
 
-      const options = getVesselFilterOptions();
-      const optionsHTML = options.map(opt =>
-        `<option value="${opt.value}" ${opt.value === currentVesselFilter ? 'selected' : ''}>${opt.label}</option>`
-      ).join('');
-
       container.innerHTML = `
         <select id="vesselFilterSelect" title="Vessel Filter">
-          ${optionsHTML}
+          ${getVesselFilterOptionsHTML()}
         </select>
       `;
 
@@ -1712,8 +1746,75 @@ export function renderPorts(ports) {
   });
 }
 
+// Route profitability (from /api/harbor-map/route-analytics), keyed by sorted port pair
+let routeAnalytics = null;
+let routeAnalyticsTime = 0;
+const ROUTE_ANALYTICS_TTL = 5 * 60 * 1000; // 5 minutes
+
+// Route line colors for unprofitable routes (profitable routes keep the default blue)
+const ROUTE_STATUS_COLORS = {
+  loss: '#ef4444',
+  marginal: '#f59e0b'
+};
+
+/**
+ * Loads route analytics (cached for ROUTE_ANALYTICS_TTL)
+ *
+ * @returns {Promise<Map<string, Object>|null>} Routes keyed by "portA|portB" or null on error
+ */
+async function loadRouteAnalytics() {
+  if (routeAnalytics && (Date.now() - routeAnalyticsTime) < ROUTE_ANALYTICS_TTL) {
+    return routeAnalytics;
+  }
+
+  try {
+    const data = await fetchRouteAnalytics();
+    routeAnalytics = new Map(data.routes.map(r => [r.key, r]));
+    routeAnalyticsTime = Date.now();
+  } catch (error) {
+    console.error('[Harbor Map] Failed to load route analytics:', error);
+  }
+  return routeAnalytics;
+}
+
+/**
+ * Colors a route polyline by profitability and adds a stats tooltip
+ * Routes without departures in the analytics range stay blue
+ *
+ * @param {L.Polyline} polyline - Route polyline
+ * @param {string} originPort - Origin port code
+ * @param {string} destinationPort - Destination port code
+ * @returns {Promise<void>}
+ */
+async function applyRouteProfitability(polyline, originPort, destinationPort) {
+  const analytics = await loadRouteAnalytics();
+  const stats = analytics?.get([originPort, destinationPort].sort().join('|'));
+
+  // Route may have been replaced while analytics were loading
+  if (!stats || !routeLayer.hasLayer(polyline)) return;
+
+  if (ROUTE_STATUS_COLORS[stats.status]) {
+    polyline.setStyle({ color: ROUTE_STATUS_COLORS[stats.status], opacity: 0.9 });
+  }
+
+  const statusLabel = { loss: '⚠️ Unprofitable', marginal: '⚠️ High harbor fees', profit: '✅ Profitable' }[stats.status];
+  const net = `${stats.avgNetProfit < 0 ? '-' : ''}$${formatNumber(Math.abs(stats.avgNetProfit))}`;
+  polyline.bindTooltip(`
+    <strong>${statusLabel}</strong> (${stats.trips} trips)<br>
+    Avg income: $${formatNumber(stats.avgIncome)}<br>
+    Harbor fees: ${stats.harborFeePercent}%<br>
+    Avg fuel: ${formatNumber(stats.avgFuel)} t<br>
+    Utilization: ${stats.avgUtilization}%<br>
+    Avg net profit (after fees, fuel and CO2): ${net}
+  `, {
+    sticky: true,
+    className: 'route-port-tooltip'
+  });
+}
+
 /**
  * Draws route path on map with blue polyline
+ * Unprofitable routes are colored red (loss) or orange (high harbor fees)
  * Highlights origin (red) and destination (green) ports
  *
  * @param {Object} route - Route data from backend
@@ -1806,6 +1907,7 @@ export function drawRoute(route, ports = [], autoZoom = true) {
   });
 
   routeLayer.addLayer(polyline);
+  applyRouteProfitability(polyline, originPort, destinationPort);
 
   // Highlight origin port (red)
   if (originPort) {
@@ -2004,6 +2106,9 @@ async function applyFiltersAndRender(forceRender = false) {
   currentVesselFilter = localStorage.getItem('harborMapVesselFilter') || 'all_vessels';
   currentPortFilter = localStorage.getItem('harborMapPortFilter') || 'my_ports';
 
+  // Vessel groups are needed for group filters (loaded once, then kept up to date)
+  await loadVesselTags();
+
   // Sync dropdown values with current filter state
   const vesselFilterSelect = document.getElementById('vesselFilterSelect');
   const portFilterSelect = document.getElementById('portFilterSelect');
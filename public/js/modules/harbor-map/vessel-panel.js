@@ -6,9 +6,10 @@
  * @module harbor-map/vessel-panel
  */
 
-import { fetchVesselHistory, exportVesselHistory } from './api-client.js';
+import { fetchVesselHistory, exportVesselHistory, fetchVesselOverrides, saveVesselOverrides } from './api-client.js';
 import { deselectAll, getMap } from './map-controller.js';
-import { isMobileDevice } from '../utils.js';
+import { isMobileDevice, escapeHtml } from '../utils.js';
+import { loadVesselTags, getVesselTags, getVesselGroups, updateVesselTags } from '../vessel-groups.js';
 
 /**
  * Converts country code to flag emoji
@@ -304,6 +305,51 @@ export async function showVesselPanel(vessel) {
         </div>
       </div>
 
+      <div class="vessel-info-section vessel-tags-section collapsible collapsed">
+        <h4 class="section-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
+          <span class="toggle-icon">▼</span> Tags
+          <span id="vessel-tags-badge" class="vessel-tags-badge hidden"></span>
+        </h4>
+        <div class="section-content">
+          <div id="vessel-tags-list" class="vessel-tags-list" data-vessel-id="${vessel.id}">Loading...</div>
+          <div class="vessel-tags-add">
+            <input type="text" id="vessel-tag-input" list="vessel-tag-suggestions" maxlength="30" placeholder="Add tag, e.g. Asia loop">
+            <datalist id="vessel-tag-suggestions"></datalist>
+            <button class="vessel-tags-add-btn" onclick="window.harborMap.addVesselTagFromPanel(${vessel.id})">Add</button>
+          </div>
+          <p class="vessel-tags-hint">Vessels with the same tag form a group (harbor map filter, sell and repair dialogs, 🏷️ Vessel Groups).</p>
+        </div>
+      </div>
+
+      <div class="vessel-info-section vessel-overrides-section collapsible collapsed">
+        <h4 class="section-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
+          <span class="toggle-icon">▼</span> Autopilot Overrides
+          <span id="vessel-overrides-badge" class="vessel-overrides-badge hidden"></span>
+        </h4>
+        <div class="section-content">
+          <p id="vessel-overrides-summary" class="vessel-overrides-summary">Loading...</p>
+          <div class="vessel-overrides-form" data-vessel-id="${vessel.id}" data-max-speed="${vessel.max_speed || 0}">
+            <label class="vessel-override-check"><input type="checkbox" id="vessel-override-excludeDepart"> Skip auto-depart</label>
+            <label class="vessel-override-check"><input type="checkbox" id="vessel-override-excludeRepair"> Skip auto-repair</label>
+            <label class="vessel-override-check"><input type="checkbox" id="vessel-override-excludeDrydock"> Skip auto-drydock</label>
+            <label class="vessel-override-number">Speed (% of max)
+              <input type="number" id="vessel-override-speed" min="1" max="100" step="1" placeholder="Default">
+            </label>
+            <label class="vessel-override-number">Min. utilization (%)
+              <input type="number" id="vessel-override-minUtilization" min="0" max="100" step="1" placeholder="Default">
+            </label>
+            <label class="vessel-override-number">Guards
+              <input type="number" id="vessel-override-guards" min="0" max="10" step="1" placeholder="Default">
+            </label>
+            <p class="vessel-overrides-hint">Empty fields use the account settings.</p>
+            <div class="vessel-overrides-buttons">
+              <button class="vessel-overrides-save-btn" onclick="window.harborMap.saveVesselOverridesFromPanel(${vessel.id})">Save</button>
+              <button class="vessel-overrides-reset-btn" onclick="window.harborMap.resetVesselOverrides(${vessel.id})">Reset</button>
+            </div>
+          </div>
+        </div>
+      </div>
+
       ${vessel.status === 'enroute' && (vessel.route_origin || vessel.route_destination || vessel.route_name) ? `
         <div class="vessel-info-section collapsible collapsed">
           <h4 class="section-toggle" onclick="this.parentElement.classList.toggle('collapsed')">
@@ -403,6 +449,17 @@ export async function showVesselPanel(vessel) {
   // Setup infinite scroll for history
   setupInfiniteScroll(panel);
 
+  // Load autopilot overrides and tags (non-blocking)
+  loadVesselOverridesIntoPanel(vessel.id);
+  loadVesselTags().then(() => renderVesselTags(vessel.id));
+
+  const tagInput = document.getElementById('vessel-tag-input');
+  if (tagInput) {
+    tagInput.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') addVesselTagFromPanel(vessel.id);
+    });
+  }
+
   // Load trip history
   await loadVesselHistory(vessel.id);
 }
@@ -1131,6 +1188,199 @@ async function saveVesselRename(vesselId) {
   }
 }
 
+/**
+ * Shows the tags of a vessel in the panel
+ * @param {number} vesselId - Vessel ID
+ */
+function renderVesselTags(vesselId) {
+  const list = document.getElementById('vessel-tags-list');
+  // Panel may show another vessel by now
+  if (!list || parseInt(list.dataset.vesselId) !== vesselId) return;
+
+  const tags = getVesselTags(vesselId);
+  list.innerHTML = tags.length > 0
+    ? tags.map(tag => `
+      <span class="vessel-tag-chip">🏷️ ${escapeHtml(tag)}
+        <button class="vessel-tag-remove" data-tag="${escapeHtml(tag)}" title="Remove tag" onclick="window.harborMap.removeVesselTagFromPanel(${vesselId}, this.dataset.tag)">×</button>
+      </span>
+    `).join('')
+    : '<span class="vessel-tags-empty">No tags</span>';
+
+  const badge = document.getElementById('vessel-tags-badge');
+  if (badge) {
+    badge.textContent = tags.length;
+    badge.title = tags.join(', ');
+    badge.classList.toggle('hidden', tags.length === 0);
+  }
+
+  // Suggest existing groups the vessel is not in yet
+  const suggestions = document.getElementById('vessel-tag-suggestions');
+  if (suggestions) {
+    suggestions.innerHTML = getVesselGroups()
+      .filter(group => !tags.includes(group.name))
+      .map(group => `<option value="${escapeHtml(group.name)}"></option>`)
+      .join('');
+  }
+}
+
+/**
+ * Adds the tag entered in the panel to the vessel
+ * @param {number} vesselId - Vessel ID
+ * @returns {Promise<void>}
+ */
+async function addVesselTagFromPanel(vesselId) {
+  const input = document.getElementById('vessel-tag-input');
+  const tag = input ? input.value.trim() : '';
+  if (!tag) return;
+
+  const { showSideNotification } = await import('../utils.js');
+  try {
+    await updateVesselTags([vesselId], { add: [tag] });
+    input.value = '';
+    renderVesselTags(vesselId);
+  } catch (error) {
+    console.error('[Vessel Tags] Error adding tag:', error);
+    showSideNotification(`Failed to add tag: ${escapeHtml(error.message)}`, 'error', 4000);
+  }
+}
+
+/**
+ * Removes a tag from the vessel
+ * @param {number} vesselId - Vessel ID
+ * @param {string} tag - Tag name
+ * @returns {Promise<void>}
+ */
+async function removeVesselTagFromPanel(vesselId, tag) {
+  const { showSideNotification } = await import('../utils.js');
+  try {
+    await updateVesselTags([vesselId], { remove: [tag] });
+    renderVesselTags(vesselId);
+  } catch (error) {
+    console.error('[Vessel Tags] Error removing tag:', error);
+    showSideNotification(`Failed to remove tag: ${escapeHtml(error.message)}`, 'error', 4000);
+  }
+}
+
+/**
+ * Describes the active overrides of a vessel
+ * @param {Object} overrides - Overrides from the API
+ * @param {number} maxSpeed - Vessel max speed in kn
+ * @returns {Array<string>} One label per active override
+ */
+function describeOverrides(overrides, maxSpeed) {
+  const labels = [];
+  if (overrides.excludeDepart) labels.push('No auto-depart');
+  if (overrides.excludeRepair) labels.push('No auto-repair');
+  if (overrides.excludeDrydock) labels.push('No auto-drydock');
+  if (overrides.speed !== undefined) {
+    const knots = maxSpeed > 0 ? ` (${Math.max(1, Math.round(maxSpeed * overrides.speed / 100))} kn)` : '';
+    labels.push(`Speed ${overrides.speed}%${knots}`);
+  }
+  if (overrides.minUtilization !== undefined) labels.push(`Min. utilization ${overrides.minUtilization}%`);
+  if (overrides.guards !== undefined) labels.push(`${overrides.guards} guards`);
+  return labels;
+}
+
+/**
+ * Shows overrides in the panel form, header badge and summary line
+ * @param {Object} overrides - Overrides from the API
+ */
+function renderVesselOverrides(overrides) {
+  const form = document.querySelector('.vessel-overrides-form');
+  if (!form) return;
+
+  for (const field of ['excludeDepart', 'excludeRepair', 'excludeDrydock']) {
+    const checkbox = document.getElementById(`vessel-override-${field}`);
+    if (checkbox) checkbox.checked = overrides[field] === true;
+  }
+  for (const field of ['speed', 'minUtilization', 'guards']) {
+    const input = document.getElementById(`vessel-override-${field}`);
+    if (input) input.value = overrides[field] !== undefined ? overrides[field] : '';
+  }
+
+  const labels = describeOverrides(overrides, parseFloat(form.dataset.maxSpeed) || 0);
+  const badge = document.getElementById('vessel-overrides-badge');
+  if (badge) {
+    badge.textContent = labels.length;
+    badge.title = labels.join(', ');
+    badge.classList.toggle('hidden', labels.length === 0);
+  }
+
+  const summary = document.getElementById('vessel-overrides-summary');
+  if (summary) {
+    summary.innerHTML = labels.length > 0
+      ? `<strong>Active:</strong> ${escapeHtml(labels.join(' · '))}`
+      : 'No overrides - the account settings apply.';
+  }
+}
+
+/**
+ * Loads the overrides of a vessel into the panel
+ * @param {number} vesselId - Vessel ID
+ * @returns {Promise<void>}
+ */
+async function loadVesselOverridesIntoPanel(vesselId) {
+  try {
+    const data = await fetchVesselOverrides();
+
+    // Panel may show another vessel by now
+    const form = document.querySelector('.vessel-overrides-form');
+    if (!form || parseInt(form.dataset.vesselId) !== vesselId) return;
+
+    renderVesselOverrides(data.overrides[vesselId] || {});
+  } catch (error) {
+    console.error('[Vessel Overrides] Error loading overrides:', error);
+    const summary = document.getElementById('vessel-overrides-summary');
+    if (summary) summary.textContent = 'Failed to load overrides';
+  }
+}
+
+/**
+ * Saves overrides and updates the panel
+ * @param {number} vesselId - Vessel ID
+ * @param {Object} overrides - Overrides to save ({} removes all)
+ * @returns {Promise<void>}
+ */
+async function applyVesselOverrides(vesselId, overrides) {
+  const { showSideNotification } = await import('../utils.js');
+
+  try {
+    const data = await saveVesselOverrides(vesselId, overrides);
+    renderVesselOverrides(data.overrides);
+    showSideNotification(Object.keys(data.overrides).length > 0 ? 'Overrides saved' : 'Overrides reset', 'success', 2000);
+  } catch (error) {
+    console.error('[Vessel Overrides] Error saving overrides:', error);
+    showSideNotification(`Failed to save overrides: ${escapeHtml(error.message)}`, 'error', 4000);
+  }
+}
+
+/**
+ * Saves the overrides entered in the panel form
+ * @param {number} vesselId - Vessel ID
+ * @returns {Promise<void>}
+ */
+async function saveVesselOverridesFromPanel(vesselId) {
+  const overrides = {};
+  for (const field of ['excludeDepart', 'excludeRepair', 'excludeDrydock']) {
+    overrides[field] = document.getElementById(`vessel-override-${field}`)?.checked === true;
+  }
+  for (const field of ['speed', 'minUtilization', 'guards']) {
+    const value = document.getElementById(`vessel-override-${field}`)?.value.trim();
+    overrides[field] = value ? Number(value) : null;
+  }
+
+  await applyVesselOverrides(vesselId, overrides);
+}
+
+/**
+ * Removes all overrides of a vessel
+ * @param {number} vesselId - Vessel ID
+ * @returns {Promise<void>}
+ */
+async function resetVesselOverrides(vesselId) {
+  await applyVesselOverrides(vesselId, {});
+}
+
 /**
  * Loads and displays weather data for vessel location
  * Fetches weather from Open-Meteo API and renders in overlay on vessel image
@@ -1267,3 +1517,7 @@ window.harborMap.toggleExportMenu = toggleExportMenu;
 window.harborMap.exportHistoryFormat = exportHistoryFormat;
 window.harborMap.startRenameVessel = startRenameVessel;
 window.harborMap.toggleParkVessel = toggleParkVessel;
+window.harborMap.saveVesselOverridesFromPanel = saveVesselOverridesFromPanel;
+window.harborMap.resetVesselOverrides = resetVesselOverrides;
+window.harborMap.addVesselTagFromPanel = addVesselTagFromPanel;
+window.harborMap.removeVesselTagFromPanel = removeVesselTagFromPanel;
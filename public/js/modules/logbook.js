@@ -371,6 +371,9 @@ function applyFiltersToEntries(entries) {
 function getTransactionType(entry) {
   if (!entry.summary) return '';
 
+  // Dry-run entries never moved any money
+  if (entry.status === 'SIMULATED') return '';
+
   // Ensure summary is a string
   const summary = String(entry.summary);
 
@@ -496,6 +499,9 @@ function createLogEntryHTML(entry) {
   } else if (entry.status === 'WARNING') {
     statusIcon = '⚠️';
     statusClass = 'logbook-warning';
+  } else if (entry.status === 'SIMULATED') {
+    statusIcon = '🧪';
+    statusClass = 'logbook-simulated';
   } else {
     statusIcon = '❌';
     statusClass = 'logbook-error';
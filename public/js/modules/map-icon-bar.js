@@ -48,6 +48,7 @@ function handleIconAction(action) {
     'repairAll': () => window.openRepairAndDrydockDialog(window.getSettings ? window.getSettings() : {}),
     'buyVessels': window.showBuyVesselsOverlay,
     'sellVessels': window.openSellVesselsOverlay,
+    'vesselGroups': window.showVesselGroupsDialog,
     'messenger': window.showAllChats,
     'hijacking': window.openHijackingInbox,
     'campaigns': window.showCampaignsOverlay,
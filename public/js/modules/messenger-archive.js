@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Messenger Archive Module
+ *
+ * Read-only view of the locally archived private conversations (server keeps a
+ * copy of every conversation, see server/utils/messenger-archive-store.js).
+ * Lists all archived conversations including the ones deleted in the game,
+ * searches messages across all contacts and exports single conversations as
+ * TXT, CSV or JSON like the logbook.
+ *
+ * Opened from the 🗄️ button of the "All Private Conversations" window.
+ *
+ * @module messenger-archive
+ */
+
+import { escapeHtml, showNotification } from './utils.js';
+import { fetchMessengerArchive, searchMessengerArchive, fetchArchivedConversation, downloadConversationExport } from './api.js';
+
+let initialized = false;
+
+/**
+ * Current view: 'list' (all conversations), 'search' (matches) or 'conversation'
+ */
+let view = 'list';
+
+/**
+ * View to return to from a conversation ('list' or 'search')
+ */
+let listView = 'list';
+
+let currentChatId = null;
+
+/**
+ * Formats timestamp like the messenger (browser locale, 24h)
+ * @param {number} unixTimestamp - Unix timestamp in seconds
+ * @returns {string} Formatted date/time
+ */
+function formatTimestamp(unixTimestamp) {
+  return new Date(unixTimestamp * 1000).toLocaleString(undefined, {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  });
+}
+
+/**
+ * Builds the "deleted in game" marker
+ * @param {Object} chat - Archived conversation or search match
+ * @returns {string} HTML (empty if the chat still exists)
+ */
+function deletedMarker(chat) {
+  return chat.deletedInGame ? ' <span class="messenger-archive-deleted">🗑️ deleted in game</span>' : '';
+}
+
+/**
+ * Switches the header and bars to a view
+ * @param {string} newView - 'list', 'search' or 'conversation'
+ * @param {string} title - Window title
+ */
+function setView(newView, title) {
+  view = newView;
+  document.getElementById('messengerArchiveTitle').textContent = title;
+  document.getElementById('messengerArchiveSearch').classList.toggle('hidden', newView === 'conversation');
+  document.getElementById('messengerArchiveExport').classList.toggle('hidden', newView !== 'conversation');
+}
+
+/**
+ * Shows all archived conversations
+ * @returns {Promise<void>}
+ */
+async function showConversationList() {
+  const list = document.getElementById('messengerArchiveList');
+  setView('list', '🗄️ Message Archive');
+  listView = 'list';
+  list.innerHTML = '<div class="empty-message">Loading...</div>';
+
+  try {
+    const { chats } = await fetchMessengerArchive();
+    if (chats.length === 0) {
+      list.innerHTML = '<div class="empty-message">No archived conversations yet. Conversations are archived when they are opened or change.</div>';
+      return;
+    }
+
+    list.innerHTML = chats.map(chat => `
+      <div class="chat-selection-item" data-chat-id="${chat.id}">
+        <h3>${escapeHtml(chat.participant || 'Unknown')} - ${escapeHtml(chat.subject || 'No subject')}${deletedMarker(chat)}</h3>
+        <p>${chat.lastMessage ? escapeHtml(chat.lastMessage.substring(0, 60)) + '...' : 'No messages'}</p>
+        <p style="font-size: 11px; opacity: 0.7; margin-top: 4px;">${chat.messageCount} messages | ${formatTimestamp(chat.lastMessageAt)}</p>
+      </div>
+    `).join('');
+  } catch (error) {
+    list.innerHTML = `<div class="empty-message">Error loading archive: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Searches archived messages with the values of the search bar
+ * @returns {Promise<void>}
+ */
+async function search() {
+  const query = document.getElementById('messengerArchiveQuery').value.trim();
+  const participant = document.getElementById('messengerArchiveParticipant').value.trim();
+  if (!query && !participant) {
+    showConversationList();
+    return;
+  }
+
+  const list = document.getElementById('messengerArchiveList');
+  setView('search', '🗄️ Search Results');
+  listView = 'search';
+  list.innerHTML = '<div class="empty-message">Searching...</div>';
+
+  try {
+    const { matches, total } = await searchMessengerArchive(query, participant);
+    if (matches.length === 0) {
+      list.innerHTML = '<div class="empty-message">No archived messages found.</div>';
+      return;
+    }
+
+    const more = total > matches.length
+      ? `<div class="empty-message">Showing ${matches.length} of ${total} matches, refine your search to see more.</div>`
+      : '';
+    list.innerHTML = matches.map(match => `
+      <div class="chat-selection-item" data-chat-id="${match.chatId}">
+        <h3>${escapeHtml(match.participant || 'Unknown')} - ${escapeHtml(match.subject || 'No subject')}${deletedMarker(match)}</h3>
+        <p>${escapeHtml(match.message.body).replace(/\n/g, '<br>')}</p>
+        <p style="font-size: 11px; opacity: 0.7; margin-top: 4px;">${formatTimestamp(match.message.created_at)}</p>
+      </div>
+    `).join('') + more;
+  } catch (error) {
+    list.innerHTML = `<div class="empty-message">Search failed: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Shows an archived conversation (read-only)
+ * @param {number} chatId - Chat ID
+ * @returns {Promise<void>}
+ */
+async function showConversation(chatId) {
+  const list = document.getElementById('messengerArchiveList');
+  list.innerHTML = '<div class="empty-message">Loading...</div>';
+
+  try {
+    const { chat, own_user_id: ownUserId } = await fetchArchivedConversation(chatId);
+    currentChatId = chat.id;
+    setView('conversation', `🗄️ ${chat.participant || 'Unknown'} - ${chat.subject || 'No subject'}`);
+
+    const deletedAt = chat.deletedAt ? ` on ${new Date(chat.deletedAt).toLocaleString()}` : '';
+    document.getElementById('messengerArchiveInfo').innerHTML = chat.deletedInGame
+      ? `<span class="messenger-archive-deleted">🗑️ Deleted in game${escapeHtml(deletedAt)}</span>`
+      : `${chat.messages.length} archived messages`;
+
+    if (chat.messages.length === 0) {
+      list.innerHTML = '<div class="empty-message">No messages archived.</div>';
+      return;
+    }
+
+    list.innerHTML = chat.messages.map(msg => {
+      const isOwn = String(msg.user_id) === String(ownUserId);
+      return `
+        <div class="message-bubble ${isOwn ? 'own' : 'other'}">
+          ${escapeHtml(msg.body || '').replace(/\n/g, '<br>')}
+          <div style="font-size:10px; opacity:0.7; margin-top:5px; text-align:${isOwn ? 'right' : 'left'};">${formatTimestamp(msg.created_at)}</div>
+        </div>`;
+    }).join('');
+    list.scrollTop = list.scrollHeight;
+  } catch (error) {
+    list.innerHTML = `<div class="empty-message">Error loading conversation: ${escapeHtml(error.message)}</div>`;
+  }
+}
+
+/**
+ * Exports the open conversation
+ * @param {string} format - "txt", "csv", or "json"
+ * @returns {Promise<void>}
+ */
+async function exportConversation(format) {
+  if (!currentChatId) return;
+
+  try {
+    const data = await downloadConversationExport(currentChatId, format);
+
+    const types = { json: 'application/json', csv: 'text/csv', txt: 'text/plain' };
+    const blob = new Blob([data], { type: types[format] });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `conversation-${currentChatId}-${Date.now()}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showNotification(`Exported conversation as ${format.toUpperCase()}`, 'success');
+  } catch (error) {
+    console.error('[Messenger Archive] Export failed:', error);
+    showNotification('Export failed', 'error');
+  }
+}
+
+/**
+ * Opens the message archive (replaces the "All Private Conversations" window)
+ * @returns {Promise<void>}
+ */
+export async function openMessengerArchive() {
+  document.getElementById('allChatsOverlay').classList.add('hidden');
+  document.getElementById('messengerArchiveOverlay').classList.remove('hidden');
+  document.getElementById('messengerArchiveQuery').value = '';
+  document.getElementById('messengerArchiveParticipant').value = '';
+  await showConversationList();
+}
+
+/**
+ * Closes the message archive
+ */
+export function closeMessengerArchive() {
+  document.getElementById('messengerArchiveOverlay').classList.add('hidden');
+  currentChatId = null;
+}
+
+/**
+ * Handles the back button: conversation -> results/list -> all chats
+ */
+function goBack() {
+  if (view === 'conversation') {
+    currentChatId = null;
+    if (listView === 'search') {
+      search();
+    } else {
+      showConversationList();
+    }
+  } else if (view === 'search') {
+    document.getElementById('messengerArchiveQuery').value = '';
+    document.getElementById('messengerArchiveParticipant').value = '';
+    showConversationList();
+  } else {
+    closeMessengerArchive();
+    if (window.showAllChats) window.showAllChats();
+  }
+}
+
+/**
+ * Registers the event listeners of the archive window.
+ * Safe to call multiple times; listeners are only attached once.
+ */
+export function initMessengerArchive() {
+  const overlay = document.getElementById('messengerArchiveOverlay');
+  if (!overlay || initialized) return;
+
+  document.getElementById('openMessengerArchiveBtn').addEventListener('click', openMessengerArchive);
+  document.getElementById('closeMessengerArchiveBtn').addEventListener('click', closeMessengerArchive);
+  document.getElementById('messengerArchiveBackBtn').addEventListener('click', goBack);
+  document.getElementById('messengerArchiveSearchBtn').addEventListener('click', search);
+  for (const id of ['messengerArchiveQuery', 'messengerArchiveParticipant']) {
+    document.getElementById(id).addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') search();
+    });
+  }
+
+  document.getElementById('messengerArchiveList').addEventListener('click', (event) => {
+    const item = event.target.closest('.chat-selection-item');
+    if (item) showConversation(parseInt(item.dataset.chatId, 10));
+  });
+
+  overlay.querySelectorAll('[data-archive-export]').forEach(button => {
+    button.addEventListener('click', () => exportConversation(button.dataset.archiveExport));
+  });
+
+  initialized = true;
+}
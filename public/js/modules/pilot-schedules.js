@@ -0,0 +1,124 @@
+/**
+ * @fileoverview Pilot Schedules Settings Module
+ *
+ * Renders the weekly schedule editor (one row per pilot: enable, weekdays,
+ * start/end time) and stores it in settings.pilotSchedules. The server enforces
+ * the schedules centrally (server/utils/pilot-schedule.js) in server local time.
+ *
+ * @module pilot-schedules
+ */
+
+import { saveSettings } from './utils.js';
+
+/**
+ * Schedulable pilots (keys must match PILOTS in server/utils/pilot-schedule.js)
+ */
+const PILOTS = [
+  { id: 'barrelBoss', label: '⛽ Barrel Boss' },
+  { id: 'atmosphereBroker', label: '💨 Atmosphere Broker' },
+  { id: 'cargoMarshal', label: '🚢 Cargo Marshal' },
+  { id: 'yardForeman', label: '🔧 Yard Foreman' },
+  { id: 'drydockMaster', label: '🛠️ Drydock Master' },
+  { id: 'reputationChief', label: '📊 Reputation Chief' },
+  { id: 'fairHand', label: '🤝 Fair Hand' },
+  { id: 'harbormaster', label: '⚓ Harbormaster' },
+  { id: 'captainBlackbeard', label: "☠️ Cap'n Blackbeard" },
+  { id: 'ruleKeeper', label: '📜 Rule Keeper' }
+];
+
+/**
+ * Weekdays in display order (Monday first), value = Date.getDay()
+ */
+const DAYS = [
+  { value: 1, label: 'Mo' },
+  { value: 2, label: 'Tu' },
+  { value: 3, label: 'We' },
+  { value: 4, label: 'Th' },
+  { value: 5, label: 'Fr' },
+  { value: 6, label: 'Sa' },
+  { value: 0, label: 'Su' }
+];
+
+let settingsRef = null;
+
+/**
+ * Gets a pilot's schedule, falling back to "always"
+ * @param {Object} settings - Settings object
+ * @param {string} pilotId - Pilot ID
+ * @returns {Object} { enabled, days, start, end }
+ */
+function getSchedule(settings, pilotId) {
+  return settings.pilotSchedules?.[pilotId] || { enabled: false, days: [0, 1, 2, 3, 4, 5, 6], start: '00:00', end: '00:00' };
+}
+
+/**
+ * Renders the schedule rows from settings
+ * @param {Object} settings - Settings object
+ */
+export function renderPilotSchedules(settings) {
+  const container = document.getElementById('pilotSchedulesList');
+  if (!container || !settings) return;
+
+  container.innerHTML = PILOTS.map(pilot => {
+    const schedule = getSchedule(settings, pilot.id);
+    const dayToggles = DAYS.map(day => `
+      <label class="pilot-schedule-day">
+        <input type="checkbox" data-day="${day.value}" ${schedule.days.includes(day.value) ? 'checked' : ''} ${schedule.enabled ? '' : 'disabled'}>
+        <span>${day.label}</span>
+      </label>`).join('');
+
+    return `
+      <div class="pilot-schedule-row${schedule.enabled ? '' : ' pilot-schedule-off'}" data-pilot="${pilot.id}">
+        <label class="pilot-schedule-name">
+          <input type="checkbox" class="pilot-schedule-enabled" ${schedule.enabled ? 'checked' : ''}>
+          <span>${pilot.label}</span>
+        </label>
+        <div class="pilot-schedule-days">${dayToggles}</div>
+        <div class="pilot-schedule-times">
+          <input type="time" class="pilot-schedule-start" value="${schedule.start}" ${schedule.enabled ? '' : 'disabled'}>
+          <span>-</span>
+          <input type="time" class="pilot-schedule-end" value="${schedule.end}" ${schedule.enabled ? '' : 'disabled'}>
+        </div>
+      </div>`;
+  }).join('');
+}
+
+/**
+ * Reads one schedule row back into settings and saves
+ * @param {HTMLElement} row - .pilot-schedule-row element
+ */
+function saveRow(row) {
+  const pilotId = row.dataset.pilot;
+  const schedule = {
+    enabled: row.querySelector('.pilot-schedule-enabled').checked,
+    days: Array.from(row.querySelectorAll('[data-day]:checked')).map(input => Number(input.dataset.day)),
+    start: row.querySelector('.pilot-schedule-start').value || '00:00',
+    end: row.querySelector('.pilot-schedule-end').value || '00:00'
+  };
+
+  settingsRef.pilotSchedules = { ...settingsRef.pilotSchedules, [pilotId]: schedule };
+  saveSettings(settingsRef);
+}
+
+/**
+ * Initializes the pilot schedule editor
+ * @param {Object} settings - Shared settings object (mutated on change)
+ */
+export function initPilotSchedules(settings) {
+  const container = document.getElementById('pilotSchedulesList');
+  if (!container) return;
+
+  if (!settingsRef) {
+    container.addEventListener('change', (event) => {
+      const row = event.target.closest('.pilot-schedule-row');
+      if (!row) return;
+      saveRow(row);
+      if (event.target.classList.contains('pilot-schedule-enabled')) {
+        renderPilotSchedules(settingsRef);
+      }
+    });
+  }
+
+  settingsRef = settings;
+  renderPilotSchedules(settings);
+}
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Price History Module
+ *
+ * Shows the persisted fuel/CO2 price history (recorded by the server on every
+ * price fetch) inside the forecast overlay. Renders one SVG chart per commodity
+ * with a min/max band and average line per bucket, plus min/avg/max statistics.
+ *
+ * @module price-history
+ */
+
+import { formatNumber } from './utils.js';
+
+let initialized = false;
+let currentRange = '24h';
+
+const RANGES = ['24h', '7d', '30d', '90d'];
+
+const CHART_WIDTH = 560;
+const CHART_HEIGHT = 160;
+const CHART_PADDING = 24;
+
+/**
+ * Fetches price history from the server
+ * @param {string} range - '24h', '7d', '30d' or '90d'
+ * @returns {Promise<Object>} History response with stats and buckets
+ */
+async function fetchPriceHistory(range) {
+  const response = await fetch(window.apiUrl(`/api/prices/history?range=${encodeURIComponent(range)}`));
+  if (!response.ok) throw new Error('Failed to load price history');
+  return await response.json();
+}
+
+/**
+ * Builds an SVG chart for one commodity
+ * @param {Array} buckets - Buckets from /api/prices/history
+ * @param {string} key - 'fuel' or 'co2'
+ * @param {string} color - Line color
+ * @param {number} from - Range start (ms)
+ * @param {number} to - Range end (ms)
+ * @returns {string} SVG markup
+ */
+function buildChart(buckets, key, color, from, to) {
+  const points = buckets.filter(b => b[key]);
+  if (points.length === 0) {
+    return `<svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}"><text x="${CHART_WIDTH / 2}" y="${CHART_HEIGHT / 2}" fill="#9ca3af" font-size="12" text-anchor="middle">No data recorded yet</text></svg>`;
+  }
+
+  const minValue = Math.min(...points.map(b => b[key].min));
+  const maxValue = Math.max(...points.map(b => b[key].max));
+  const valueSpan = maxValue - minValue || 1;
+  const timeSpan = to - from || 1;
+
+  const x = t => CHART_PADDING + ((t - from) / timeSpan) * (CHART_WIDTH - CHART_PADDING * 2);
+  const y = v => CHART_HEIGHT - CHART_PADDING - ((v - minValue) / valueSpan) * (CHART_HEIGHT - CHART_PADDING * 2);
+
+  const upper = points.map(b => `${x(b.start).toFixed(1)},${y(b[key].max).toFixed(1)}`);
+  const lower = points.slice().reverse().map(b => `${x(b.start).toFixed(1)},${y(b[key].min).toFixed(1)}`);
+  const avgLine = points.map(b => `${x(b.start).toFixed(1)},${y(b[key].avg).toFixed(1)}`).join(' ');
+
+  return `
+    <svg viewBox="0 0 ${CHART_WIDTH} ${CHART_HEIGHT}" preserveAspectRatio="none">
+      <polygon points="${upper.concat(lower).join(' ')}" fill="${color}" fill-opacity="0.15" stroke="none"></polygon>
+      <polyline points="${avgLine}" fill="none" stroke="${color}" stroke-width="2"></polyline>
+      <text x="4" y="${CHART_PADDING - 8}" fill="#9ca3af" font-size="10">$${formatNumber(maxValue)}</text>
+      <text x="4" y="${CHART_HEIGHT - 6}" fill="#9ca3af" font-size="10">$${formatNumber(minValue)}</text>
+    </svg>`;
+}
+
+/**
+ * Formats a stats cell
+ * @param {Object|null} stats - { min, avg, max } or null
+ * @param {string} field - 'min', 'avg' or 'max'
+ * @returns {string} Formatted value
+ */
+function formatStat(stats, field) {
+  return stats ? `$${formatNumber(stats[field])}` : '-';
+}
+
+/**
+ * Renders the history panel for the current range
+ * @returns {Promise<void>}
+ */
+async function renderPriceHistory() {
+  const panel = document.getElementById('priceHistoryPanel');
+  if (!panel) return;
+
+  const rangeButtons = RANGES.map(r =>
+    `<button class="price-history-range${r === currentRange ? ' active' : ''}" data-range="${r}">${r}</button>`
+  ).join('');
+
+  panel.innerHTML = `<div class="price-history-ranges">${rangeButtons}</div><p style="text-align: center; color: #9ca3af;">Loading...</p>`;
+
+  try {
+    const data = await fetchPriceHistory(currentRange);
+    const { stats } = data;
+
+    panel.innerHTML = `
+      <div class="price-history-ranges">${rangeButtons}</div>
+      <div class="price-history-chart">
+        <h3>⛽ Fuel ($/t)</h3>
+        ${buildChart(data.buckets, 'fuel', '#fbbf24', data.from, data.to)}
+      </div>
+      <div class="price-history-chart">
+        <h3>💨 CO2 ($/t)</h3>
+        ${buildChart(data.buckets, 'co2', '#22c55e', data.from, data.to)}
+      </div>
+      <table class="price-history-stats">
+        <thead>
+          <tr><th></th><th>Min</th><th>Avg</th><th>Max</th></tr>
+        </thead>
+        <tbody>
+          <tr><td>Fuel</td><td>${formatStat(stats.fuel, 'min')}</td><td>${formatStat(stats.fuel, 'avg')}</td><td>${formatStat(stats.fuel, 'max')}</td></tr>
+          <tr><td>CO2</td><td>${formatStat(stats.co2, 'min')}</td><td>${formatStat(stats.co2, 'avg')}</td><td>${formatStat(stats.co2, 'max')}</td></tr>
+        </tbody>
+      </table>
+      <p style="text-align: center; color: #6b7280; margin-top: 8px;">${stats.count} price samples | ${data.bucketMinutes} min buckets | band = min/max, line = average</p>`;
+  } catch (error) {
+    console.error('[Price History] Failed to load:', error);
+    panel.innerHTML = `<div class="price-history-ranges">${rangeButtons}</div><p style="text-align: center; color: #f87171;">Failed to load price history</p>`;
+  }
+}
+
+/**
+ * Switches the forecast overlay between calendar and price history view
+ * @param {boolean} showHistory - True to show price history
+ */
+function setHistoryVisible(showHistory) {
+  const calendar = document.getElementById('calendarBook');
+  const panel = document.getElementById('priceHistoryPanel');
+  const toggle = document.getElementById('forecastViewToggleBtn');
+  if (!calendar || !panel) return;
+
+  calendar.classList.toggle('hidden', showHistory);
+  panel.classList.toggle('hidden', !showHistory);
+  if (toggle) {
+    toggle.textContent = showHistory ? '📅' : '📈';
+    toggle.title = showHistory ? 'Show forecast calendar' : 'Show price history';
+  }
+
+  if (showHistory) {
+    renderPriceHistory();
+  }
+}
+
+/**
+ * Initializes the price history view (toggle button and range selection).
+ * Safe to call every time the forecast overlay opens; always starts on the calendar.
+ */
+export function initPriceHistory() {
+  if (!initialized) {
+    const toggle = document.getElementById('forecastViewToggleBtn');
+    const panel = document.getElementById('priceHistoryPanel');
+    if (!toggle || !panel) return;
+
+    toggle.addEventListener('click', () => {
+      setHistoryVisible(panel.classList.contains('hidden'));
+    });
+
+    panel.addEventListener('click', (event) => {
+      const button = event.target.closest('.price-history-range');
+      if (!button) return;
+      currentRange = button.dataset.range;
+      renderPriceHistory();
+    });
+
+    initialized = true;
+  }
+
+  setHistoryVisible(false);
+}
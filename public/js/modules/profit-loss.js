@@ -0,0 +1,218 @@
+/**
+ * @fileoverview Profit & Loss Module
+ *
+ * "Profit & Loss" tab of the logbook overlay. Shows the daily/weekly P&L built by
+ * the server from the logbook (GET /api/finance/pnl): totals per category, one
+ * row per period and revenue by vessel and route. Each view can be exported as CSV.
+ *
+ * @module profit-loss
+ */
+
+import { escapeHtml, formatNumber, showNotification } from './utils.js';
+
+let initialized = false;
+
+/**
+ * Number of vessel/route rows shown in the tables (CSV export contains all)
+ */
+const TOP_ROWS = 15;
+
+/**
+ * Fetches the P&L report from the server
+ * @param {string} period - 'day' or 'week'
+ * @param {number} days - Days to include
+ * @returns {Promise<Object>} Report
+ */
+async function fetchProfitLoss(period, days) {
+  const response = await fetch(window.apiUrl(`/api/finance/pnl?period=${encodeURIComponent(period)}&days=${encodeURIComponent(days)}`));
+  if (!response.ok) throw new Error('Failed to load profit & loss');
+  return await response.json();
+}
+
+/**
+ * Formats a signed amount
+ * @param {number} amount - Amount
+ * @returns {string} "$1,234" or "-$1,234"
+ */
+function formatMoney(amount) {
+  return `${amount < 0 ? '-' : ''}$${formatNumber(Math.abs(Math.round(amount)))}`;
+}
+
+/**
+ * Formats a period key for display
+ * @param {string} key - 'YYYY-MM-DD'
+ * @param {string} period - 'day' or 'week'
+ * @returns {string} Label
+ */
+function formatPeriod(key, period) {
+  const [year, month, day] = key.split('-').map(Number);
+  const label = new Date(year, month - 1, day).toLocaleDateString(undefined, { weekday: period === 'day' ? 'short' : undefined, day: '2-digit', month: '2-digit' });
+  return period === 'week' ? `Week of ${label}` : label;
+}
+
+/**
+ * Renders the totals cards
+ * @param {Object} report - P&L report
+ * @returns {string} HTML
+ */
+function renderTotals(report) {
+  const cards = Object.entries(report.categories).map(([key, label]) => `
+    <div class="pnl-card${key === 'revenue' ? ' pnl-income' : ''}">
+      <span class="pnl-card-label">${escapeHtml(label)}</span>
+      <span class="pnl-card-value">${key === 'revenue' ? '' : '-'}${formatMoney(report.totals[key])}</span>
+    </div>`).join('');
+
+  return `
+    <div class="pnl-cards">
+      ${cards}
+      <div class="pnl-card pnl-card-net ${report.totals.net >= 0 ? 'pnl-income' : 'pnl-expense'}">
+        <span class="pnl-card-label">Net</span>
+        <span class="pnl-card-value">${formatMoney(report.totals.net)}</span>
+      </div>
+    </div>`;
+}
+
+/**
+ * Renders the per-period table (newest first)
+ * @param {Object} report - P&L report
+ * @returns {string} HTML
+ */
+function renderPeriods(report) {
+  const rows = report.periods.slice().reverse().map(row => `
+    <tr>
+      <td>${escapeHtml(formatPeriod(row.period, report.period))}</td>
+      <td class="pnl-income">${formatMoney(row.revenue)}</td>
+      <td class="pnl-expense">${formatMoney(-row.expenses)}</td>
+      <td class="${row.net >= 0 ? 'pnl-income' : 'pnl-expense'}">${formatMoney(row.net)}</td>
+    </tr>`).join('');
+
+  return `
+    <h3 class="pnl-heading">${report.period === 'week' ? 'Weekly' : 'Daily'}</h3>
+    <table class="logbook-table pnl-table">
+      <thead><tr><th>${report.period === 'week' ? 'Week' : 'Day'}</th><th>Revenue</th><th>Expenses</th><th>Net</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+}
+
+/**
+ * Renders a revenue breakdown table (vessels or routes)
+ * @param {string} title - Heading
+ * @param {string} labelHeader - First column header
+ * @param {Array} rows - Groups from the report
+ * @param {Function} labelFn - Returns the first column text of a row
+ * @returns {string} HTML
+ */
+function renderBreakdown(title, labelHeader, rows, labelFn) {
+  const body = rows.length === 0
+    ? '<tr><td colspan="5" class="logbook-empty">No departures in this range</td></tr>'
+    : rows.slice(0, TOP_ROWS).map(row => `
+      <tr>
+        <td>${escapeHtml(labelFn(row))}</td>
+        <td>${formatNumber(row.departures)}</td>
+        <td class="pnl-income">${formatMoney(row.revenue)}</td>
+        <td class="pnl-expense">${formatMoney(-row.harborFees)}</td>
+        <td class="${row.net >= 0 ? 'pnl-income' : 'pnl-expense'}">${formatMoney(row.net)}</td>
+      </tr>`).join('');
+
+  return `
+    <h3 class="pnl-heading">${escapeHtml(title)}${rows.length > TOP_ROWS ? ` <span class="pnl-hint">(top ${TOP_ROWS} of ${rows.length})</span>` : ''}</h3>
+    <table class="logbook-table pnl-table">
+      <thead><tr><th>${escapeHtml(labelHeader)}</th><th>Trips</th><th>Revenue</th><th>Harbor Fees</th><th>Net</th></tr></thead>
+      <tbody>${body}</tbody>
+    </table>`;
+}
+
+/**
+ * Loads and renders the report for the selected period/range
+ * @returns {Promise<void>}
+ */
+export async function loadProfitLoss() {
+  const content = document.getElementById('pnlContent');
+  if (!content) return;
+
+  const period = document.getElementById('pnlPeriod').value;
+  const days = document.getElementById('pnlDays').value;
+  content.innerHTML = '<p class="logbook-empty">Loading...</p>';
+
+  try {
+    const report = await fetchProfitLoss(period, days);
+    content.innerHTML = renderTotals(report) +
+      renderPeriods(report) +
+      renderBreakdown('Revenue by Vessel', 'Vessel', report.vessels, row => row.name) +
+      renderBreakdown('Revenue by Route', 'Route', report.routes, row => row.route);
+  } catch (error) {
+    console.error('[Profit & Loss] Failed to load report:', error);
+    content.innerHTML = '<p class="logbook-empty">Failed to load profit &amp; loss</p>';
+  }
+}
+
+/**
+ * Downloads the selected view as CSV
+ * @returns {Promise<void>}
+ */
+async function exportProfitLoss() {
+  const period = document.getElementById('pnlPeriod').value;
+  const days = document.getElementById('pnlDays').value;
+  const view = document.getElementById('pnlExportView').value;
+
+  try {
+    const response = await fetch(window.apiUrl(`/api/finance/pnl/export?period=${encodeURIComponent(period)}&days=${encodeURIComponent(days)}&view=${encodeURIComponent(view)}`));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const blob = new Blob([await response.text()], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `profit-loss-${view}-${Date.now()}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    showNotification(`Exported profit & loss (${view}) as CSV`, 'success');
+  } catch (error) {
+    console.error('[Profit & Loss] Export failed:', error);
+    showNotification('Export failed', 'error');
+  }
+}
+
+/**
+ * Switches the logbook overlay between the log and the P&L tab
+ * @param {string} tab - 'log' or 'pnl'
+ */
+function switchLogbookTab(tab) {
+  const overlay = document.getElementById('logbookOverlay');
+  overlay.querySelectorAll('[data-logbook-tab]').forEach(button => {
+    button.classList.toggle('tab-active', button.dataset.logbookTab === tab);
+  });
+  overlay.querySelector('.logbook-filters').classList.toggle('hidden', tab !== 'log');
+  overlay.querySelector('.logbook-table-container').classList.toggle('hidden', tab !== 'log');
+  document.getElementById('logbookCount').classList.toggle('hidden', tab !== 'log');
+  document.getElementById('profitLossPanel').classList.toggle('hidden', tab !== 'pnl');
+
+  if (tab === 'pnl') {
+    loadProfitLoss();
+  }
+}
+
+/**
+ * Initializes the Profit & Loss tab (listeners only, data loads when the tab opens)
+ */
+export function initProfitLoss() {
+  const overlay = document.getElementById('logbookOverlay');
+  if (!overlay || initialized) return;
+  initialized = true;
+
+  overlay.querySelectorAll('[data-logbook-tab]').forEach(button => {
+    button.addEventListener('click', () => switchLogbookTab(button.dataset.logbookTab));
+  });
+
+  document.getElementById('pnlPeriod').addEventListener('change', (e) => {
+    // Weekly view needs a longer range to be useful
+    const daysSelect = document.getElementById('pnlDays');
+    if (e.target.value === 'week' && Number(daysSelect.value) < 90) daysSelect.value = '90';
+    loadProfitLoss();
+  });
+  document.getElementById('pnlDays').addEventListener('change', loadProfitLoss);
+  document.getElementById('pnlExportBtn').addEventListener('click', exportProfitLoss);
+}
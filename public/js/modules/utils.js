@@ -695,7 +695,8 @@ export function isAutoPilotActive(settings) {
          settings.autoCampaignRenewal ||
          settings.autoCoopEnabled ||
          settings.autoAnchorPointEnabled ||
-         settings.autoNegotiateHijacking;
+         settings.autoNegotiateHijacking ||
+         settings.autopilotRulesEnabled;
 }
 
 export function updatePageTitle(settings) {
@@ -0,0 +1,306 @@
+/**
+ * @fileoverview Vessel Groups Module - User-defined vessel tags and the groups they form.
+ *
+ * A vessel can carry several tags ("Asia loop", "old tankers", "sell soon"); all
+ * vessels with the same tag form a group. Tags are stored server-side and cached
+ * here so the harbor map filter, the sell overlay and the repair dialog can
+ * filter synchronously.
+ *
+ * Whenever the tags change, a `vessel_tags_changed` window event is dispatched
+ * so open views can refresh their group lists.
+ *
+ * Group actions (Vessel Groups dialog):
+ * - Show on map: sets the harbor map vessel filter to the group
+ * - Depart: departs the group's vessels (Cargo Marshal rules apply)
+ * - Repair: opens the maintenance dialog for the group
+ * - Sell: opens the sell overlay filtered to the group
+ * - Rename vessels: bulk rename with a {n}/{name} pattern
+ * - Rename / delete group
+ *
+ * @module vessel-groups
+ * @requires utils - Escaping and notifications
+ * @requires ui-dialogs - Confirmation dialogs
+ * @requires api - Departure API
+ */
+
+import { escapeHtml, showSideNotification } from './utils.js';
+import { showConfirmDialog } from './ui-dialogs.js';
+import { departVessels } from './api.js';
+
+let vesselTags = {}; // vesselId -> [tag]
+let vesselGroups = []; // [{ name, vesselIds }]
+let loadPromise = null;
+
+/**
+ * Sends a request to the tags API
+ * @param {string} path - Path below /api/vessel
+ * @param {Object} [body] - POST body (GET if omitted)
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} With the server's error message
+ */
+async function requestVesselApi(path, body) {
+  const options = body
+    ? { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+    : {};
+  const response = await fetch(window.apiUrl(`/api/vessel${path}`), options);
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error || `Request failed: ${response.statusText}`);
+  }
+  return data;
+}
+
+/**
+ * Stores tags returned by the server and notifies listeners
+ * @param {Object} data - { tags, groups }
+ */
+function applyTagData(data) {
+  vesselTags = data.tags || {};
+  vesselGroups = data.groups || [];
+  window.dispatchEvent(new CustomEvent('vessel_tags_changed', { detail: { groups: vesselGroups } }));
+}
+
+/**
+ * Loads the vessel tags (once, unless forced)
+ * @param {boolean} [force=false] - Reload from the server
+ * @returns {Promise<void>}
+ */
+export function loadVesselTags(force = false) {
+  if (!loadPromise || force) {
+    loadPromise = requestVesselApi('/tags')
+      .then(applyTagData)
+      .catch(error => {
+        console.error('[Vessel Groups] Failed to load tags:', error);
+        loadPromise = null;
+      });
+  }
+  return loadPromise;
+}
+
+/**
+ * Gets the tags of a vessel
+ * @param {number} vesselId - Vessel ID
+ * @returns {Array<string>} Tags (empty if none)
+ */
+export function getVesselTags(vesselId) {
+  return vesselTags[vesselId] || [];
+}
+
+/**
+ * Gets all groups
+ * @returns {Array<{name: string, vesselIds: Array<number>}>} Groups sorted by name
+ */
+export function getVesselGroups() {
+  return vesselGroups;
+}
+
+/**
+ * Gets the vessels of a group
+ * @param {string} name - Group name
+ * @returns {Array<number>} Vessel IDs (empty if the group does not exist)
+ */
+export function getGroupVesselIds(name) {
+  const group = vesselGroups.find(g => g.name === name);
+  return group ? group.vesselIds : [];
+}
+
+/**
+ * Renders <option> elements for a group select
+ * @param {string|null} selected - Selected group name
+ * @param {string} [valuePrefix=''] - Prefix for the option values
+ * @returns {string} Options HTML
+ */
+export function renderGroupOptions(selected, valuePrefix = '') {
+  return vesselGroups.map(group => `
+    <option value="${escapeHtml(valuePrefix + group.name)}" ${group.name === selected ? 'selected' : ''}>🏷️ ${escapeHtml(group.name)} (${group.vesselIds.length})</option>
+  `).join('');
+}
+
+/**
+ * Adds and removes tags on vessels
+ * @param {Array<number>} vesselIds - Vessel IDs
+ * @param {Object} changes - { add: [tag], remove: [tag] }
+ * @returns {Promise<void>}
+ * @throws {Error} If the server rejects the change
+ */
+export async function updateVesselTags(vesselIds, { add = [], remove = [] }) {
+  applyTagData(await requestVesselApi('/tags', { vessel_ids: vesselIds, add, remove }));
+}
+
+/**
+ * Renames a group
+ * @param {string} name - Current name
+ * @param {string} newName - New name
+ * @returns {Promise<void>}
+ * @throws {Error} If the server rejects the name
+ */
+export async function renameVesselGroup(name, newName) {
+  applyTagData(await requestVesselApi('/tags/rename', { name, new_name: newName }));
+}
+
+/**
+ * Deletes a group (vessels only lose the tag)
+ * @param {string} name - Group name
+ * @returns {Promise<void>}
+ */
+export async function deleteVesselGroup(name) {
+  applyTagData(await requestVesselApi('/tags/delete', { name }));
+}
+
+/**
+ * Shows a confirm dialog with a text input
+ * @param {Object} options - showConfirmDialog options plus label and value
+ * @returns {Promise<string|null>} Entered text or null if cancelled
+ */
+async function promptText({ label, value = '', ...options }) {
+  const result = showConfirmDialog({
+    ...options,
+    message: `
+      ${options.message || ''}
+      <label class="vessel-groups-prompt-label">${escapeHtml(label)}
+        <input type="text" id="vesselGroupsPromptInput" class="vessel-groups-prompt-input" maxlength="30" value="${escapeHtml(value)}">
+      </label>
+    `
+  });
+
+  // Dialog is in the DOM synchronously - keep a reference, it is removed on close
+  const input = document.getElementById('vesselGroupsPromptInput');
+  if (input) {
+    input.focus();
+    input.select();
+  }
+
+  return (await result) ? input.value.trim() : null;
+}
+
+/**
+ * Runs a group action from the Vessel Groups dialog
+ * @param {string} action - Action name
+ * @param {string} name - Group name
+ * @param {Function} close - Closes the dialog
+ * @param {Function} rerender - Re-renders the dialog
+ * @returns {Promise<void>}
+ */
+async function handleGroupAction(action, name, close, rerender) {
+  const vesselIds = getGroupVesselIds(name);
+
+  try {
+    if (action === 'map') {
+      close();
+      const { setVesselFilter } = await import('./harbor-map/map-controller.js');
+      await setVesselFilter(`group:${name}`);
+    } else if (action === 'depart') {
+      const confirmed = await showConfirmDialog({
+        title: 'Depart Group',
+        message: `<p>Depart the vessels of <strong>${escapeHtml(name)}</strong>? Only vessels in port with a route leave, Cargo Marshal's checks apply.</p>`,
+        confirmText: 'Depart',
+        details: [{ label: 'Vessels in group', value: String(vesselIds.length) }]
+      });
+      if (!confirmed) return;
+      const result = await departVessels(vesselIds);
+      showSideNotification(`🚢 <strong>${escapeHtml(name)}</strong>: ${result.departedCount ?? 0} vessel(s) departed`, 'success');
+    } else if (action === 'repair') {
+      close();
+      if (window.openRepairAndDrydockDialog) {
+        await window.openRepairAndDrydockDialog(window.getSettings ? window.getSettings() : {}, null, name);
+      }
+    } else if (action === 'sell') {
+      close();
+      const { openSellVesselsOverlay, setSellGroupFilter } = await import('./vessel-selling.js');
+      setSellGroupFilter(name);
+      await openSellVesselsOverlay();
+    } else if (action === 'rename-vessels') {
+      const pattern = await promptText({
+        title: 'Rename Vessels',
+        message: `<p>New names for the ${vesselIds.length} vessel(s) of <strong>${escapeHtml(name)}</strong>. <code>{n}</code> is replaced by 1, 2, 3..., <code>{name}</code> by the current name.</p>`,
+        label: 'Name pattern',
+        value: `${name} {n}`,
+        confirmText: 'Rename'
+      });
+      if (!pattern) return;
+      const result = await requestVesselApi('/bulk-rename', { vessel_ids: vesselIds, pattern });
+      const failed = result.errors ? result.errors.length : 0;
+      showSideNotification(
+        `✏️ Renamed ${result.renamed} vessel(s)${failed > 0 ? `, ${failed} failed: ${escapeHtml(result.errors[0].error)}` : ''}`,
+        failed > 0 ? 'warning' : 'success'
+      );
+    } else if (action === 'rename') {
+      const newName = await promptText({ title: 'Rename Group', label: 'Group name', value: name, confirmText: 'Rename' });
+      if (!newName || newName === name) return;
+      await renameVesselGroup(name, newName);
+      rerender();
+    } else if (action === 'delete') {
+      const confirmed = await showConfirmDialog({
+        title: 'Delete Group',
+        message: `<p>Remove the tag <strong>${escapeHtml(name)}</strong> from ${vesselIds.length} vessel(s)? The vessels themselves are not changed.</p>`,
+        confirmText: 'Delete'
+      });
+      if (!confirmed) return;
+      await deleteVesselGroup(name);
+      rerender();
+    }
+  } catch (error) {
+    console.error(`[Vessel Groups] ${action} failed:`, error);
+    showSideNotification(`Group action failed: ${escapeHtml(error.message)}`, 'error');
+  }
+}
+
+/**
+ * Shows the Vessel Groups dialog with bulk actions per group
+ * @returns {Promise<void>}
+ */
+export async function showVesselGroupsDialog() {
+  await loadVesselTags(true);
+
+  const overlay = document.createElement('div');
+  overlay.className = 'confirm-dialog-overlay';
+  const dialog = document.createElement('div');
+  dialog.className = 'confirm-dialog vessel-groups-dialog';
+  overlay.appendChild(dialog);
+  document.body.appendChild(overlay);
+
+  const close = () => overlay.remove();
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+
+  const render = () => {
+    const groupsHtml = vesselGroups.length === 0
+      ? '<div class="vessel-groups-empty">No groups yet. Tag vessels in the "Tags" section of the harbor map vessel panel - all vessels with the same tag form a group.</div>'
+      : vesselGroups.map(group => `
+        <div class="vessel-groups-row" data-group="${escapeHtml(group.name)}">
+          <div class="vessel-groups-name">🏷️ ${escapeHtml(group.name)} <span class="vessel-groups-count">${group.vesselIds.length} vessel(s)</span></div>
+          <div class="vessel-groups-actions">
+            <button data-group-action="map" title="Show on harbor map">🗺️</button>
+            <button data-group-action="depart" title="Depart group">🚢</button>
+            <button data-group-action="repair" title="Repair / drydock group">🔧</button>
+            <button data-group-action="sell" title="Sell vessels of group">💵</button>
+            <button data-group-action="rename-vessels" title="Rename vessels">✏️</button>
+            <button data-group-action="rename" title="Rename group">🏷️</button>
+            <button data-group-action="delete" title="Delete group">🗑️</button>
+          </div>
+        </div>
+      `).join('');
+
+    dialog.innerHTML = `
+      <div class="confirm-dialog-header">
+        <h3>🏷️ Vessel Groups</h3>
+        <div class="confirm-dialog-buttons">
+          <button class="confirm-dialog-btn cancel" data-action="close">Close</button>
+        </div>
+      </div>
+      <div class="confirm-dialog-body">${groupsHtml}</div>
+    `;
+
+    dialog.querySelector('[data-action="close"]').addEventListener('click', close);
+    dialog.querySelectorAll('[data-group-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const name = btn.closest('.vessel-groups-row').dataset.group;
+        handleGroupAction(btn.dataset.groupAction, name, close, render);
+      });
+    });
+  };
+
+  render();
+}
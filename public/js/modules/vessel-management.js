@@ -52,6 +52,7 @@ import { selectVessel } from './harbor-map/map-controller.js';
 import { showConfirmDialog } from './ui-dialogs.js';
 import { getCurrentBunkerState, updateCurrentCash } from './bunker-management.js';
 import { updateBadge, updateButtonState, updateButtonTooltip } from './badge-manager.js';
+import { loadVesselTags, getVesselGroups, getGroupVesselIds, renderGroupOptions } from './vessel-groups.js';
 
 /**
  * Load cart from localStorage (user-specific)
@@ -493,8 +494,9 @@ export async function updateRepairCount(settings) {
  * @param {number} repairCount - Badge count for repairs
  * @param {number} drydockCount - Badge count for drydock
  * @param {number} [specificVesselId] - Optional: Show only this vessel
+ * @param {string} [groupName] - Optional: Show only the vessels of this group (thresholds ignored)
  */
-async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, specificVesselId = null) {
+async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, specificVesselId = null, groupName = null) {
   return new Promise(async (resolve) => {
     const overlay = document.createElement('div');
     overlay.className = 'confirm-dialog-overlay';
@@ -656,6 +658,56 @@ async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, s
       drydockCount = drydockData.vessels.length;
 
       // Continue with dialog rendering below (skip fetch)
+    } else if (groupName) {
+      // Group mode: every vessel of the group with wear, drydock for all not yet scheduled
+      const groupIds = new Set(getGroupVesselIds(groupName));
+
+      const [repairDataFetch, indexData] = await Promise.all([
+        fetch(window.apiUrl('/api/vessel/get-repair-preview'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ threshold: 0, vessel_ids: [...groupIds] })
+        }).then(res => res.json()),
+
+        fetch(window.apiUrl('/api/game/index'), {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' }
+        }).then(res => res.json())
+      ]);
+
+      repairData = repairDataFetch;
+
+      const drydockDataRaw = (indexData.data.user_vessels || [])
+        .filter(v => groupIds.has(v.id) && v.next_route_is_maintenance !== true);
+
+      drydockData = { vessels: [], totalCost: 0, cash: repairData.cash || 0 };
+      if (drydockDataRaw.length > 0) {
+        try {
+          const costResponse = await fetch(window.apiUrl('/api/maintenance/get-drydock-status'), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              vessel_ids: JSON.stringify(drydockDataRaw.map(v => v.id)),
+              speed: settings.autoDrydockSpeed || 'minimum',
+              maintenance_type: settings.autoDrydockType || 'major'
+            })
+          });
+          const costData = await costResponse.json();
+          drydockData.totalCost = costData.totalCost || 0;
+          drydockData.cash = costData.cash || drydockData.cash;
+          drydockData.vessels = drydockDataRaw.map(v => ({
+            ...v,
+            cost: costData.vessels?.find(cv => cv.id === v.id)?.cost || 0
+          }));
+        } catch (error) {
+          console.error('[Vessel Management] Failed to fetch drydock costs:', error);
+          drydockData.vessels = drydockDataRaw.map(v => ({ ...v, cost: 0 }));
+        }
+      }
+
+      activeTab = repairData.vessels?.length > 0 ? 'repair' : 'drydock';
+      repairCount = repairData.vessels?.length || 0;
+      drydockCount = drydockData.vessels.length;
     } else {
       // Fetch data for both tabs (normal mode - all vessels meeting criteria)
       const [repairDataFetch, drydockDataRaw] = await Promise.all([
@@ -719,15 +771,27 @@ async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, s
         ? (repairData.vessels?.length > 0 ? '<button class="confirm-dialog-btn confirm" id="executeRepair">Repair All</button>' : '')
         : (drydockData.vessels?.length > 0 ? '<button class="confirm-dialog-btn confirm" id="executeDrydock">Send to Drydock</button>' : '');
 
+      // Group filter (not for a single vessel)
+      const groupFilterHTML = !specificVesselId && getVesselGroups().length > 0 ? `
+        <div class="repair-group-filter">
+          <label for="repairGroupFilter">Vessel Group</label>
+          <select id="repairGroupFilter">
+            <option value="">All vessels (thresholds)</option>
+            ${renderGroupOptions(groupName)}
+          </select>
+        </div>
+      ` : '';
+
       dialog.innerHTML = `
         <div class="confirm-dialog-header">
-          <h3>🔧 Vessel Maintenance</h3>
+          <h3>🔧 Vessel Maintenance${groupName ? ` - 🏷️ ${escapeHtml(groupName)}` : ''}</h3>
           <div class="confirm-dialog-buttons">
             <button class="confirm-dialog-btn cancel" data-action="cancel">Close</button>
             ${executeButtonHTML}
           </div>
         </div>
         <div class="confirm-dialog-body">
+          ${groupFilterHTML}
           <div class="repair-tabs">
             <button class="tab-button ${activeTab === 'repair' ? 'tab-active' : ''}" data-tab="repair">
               Wear Repairs
@@ -740,11 +804,11 @@ async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, s
           </div>
 
           <div class="tab-content ${activeTab === 'repair' ? 'tab-active' : ''}" id="repairTab">
-            ${renderRepairTab(repairData, settings)}
+            ${renderRepairTab(repairData, settings, groupName)}
           </div>
 
           <div class="tab-content ${activeTab === 'drydock' ? 'tab-active' : ''}" id="drydockTab">
-            ${renderDrydockTab(drydockData, settings, specificVesselId !== null)}
+            ${renderDrydockTab(drydockData, settings, specificVesselId !== null || groupName !== null)}
           </div>
         </div>
       `;
@@ -763,6 +827,16 @@ async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, s
         resolve(false);
       });
 
+      // Group filter reopens the dialog for the selected group
+      const groupFilterSelect = dialog.querySelector('#repairGroupFilter');
+      if (groupFilterSelect) {
+        groupFilterSelect.addEventListener('change', () => {
+          overlay.remove();
+          resolve(false);
+          openRepairAndDrydockDialog(settings, null, groupFilterSelect.value || null);
+        });
+      }
+
       // Repair tab execute button
       const repairExecuteBtn = dialog.querySelector('#executeRepair');
       if (repairExecuteBtn) {
@@ -779,7 +853,9 @@ async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, s
             const response = await fetch(window.apiUrl('/api/vessel/bulk-repair'), {
               method: 'POST',
               headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({ threshold: settings.maintenanceThreshold })
+              body: JSON.stringify(groupName
+                ? { threshold: 0, vessel_ids: repairData.vessels.map(v => v.id) }
+                : { threshold: settings.maintenanceThreshold })
             });
 
             await response.json();
@@ -875,8 +951,11 @@ async function showRepairAndDrydockDialog(settings, repairCount, drydockCount, s
 
 /**
  * Renders the Repair tab content
+ * @param {Object} costData - Repair vessels and costs
+ * @param {Object} settings - User settings
+ * @param {string|null} [groupName=null] - Vessel group shown instead of the wear threshold
  */
-function renderRepairTab(costData, settings) {
+function renderRepairTab(costData, settings, groupName = null) {
   const vessels = costData.vessels || [];
   const totalCost = costData.totalCost || 0;
   const bunkerCash = costData.cash || 0;
@@ -909,8 +988,8 @@ function renderRepairTab(costData, settings) {
         <span class="value">$${formatNumber(bunkerCash)}</span>
       </div>
       <div class="summary-row threshold">
-        <span class="label">Wear Threshold:</span>
-        <span class="value">${settings.maintenanceThreshold}%+</span>
+        <span class="label">${groupName ? 'Group:' : 'Wear Threshold:'}</span>
+        <span class="value">${groupName ? escapeHtml(groupName) : `${settings.maintenanceThreshold}%+`}</span>
       </div>
     </div>
     <div class="repair-vessel-list">
@@ -928,7 +1007,7 @@ function renderRepairTab(costData, settings) {
  * Renders the Drydock tab content
  * @param {Object} drydockData - Drydock vessels and costs
  * @param {Object} settings - User settings
- * @param {boolean} [isSpecificVessel=false] - Whether showing specific vessel (hides threshold)
+ * @param {boolean} [isSpecificVessel=false] - Whether showing a specific vessel or group (hides threshold)
  */
 function renderDrydockTab(drydockData, settings, isSpecificVessel = false) {
   const vessels = drydockData.vessels || [];
@@ -1139,8 +1218,9 @@ function showBulkRepairDialog(costData, threshold) {
  * Opens tabbed dialog with Wear Repairs and Drydock options
  * @param {Object} settings - User settings
  * @param {number} [specificVesselId] - Optional: Show only this vessel
+ * @param {string} [groupName] - Optional: Show only the vessels of this group
  */
-export async function openRepairAndDrydockDialog(settings, specificVesselId = null) {
+export async function openRepairAndDrydockDialog(settings, specificVesselId = null, groupName = null) {
   // Get badge counts from map icon bar
   const repairCountBadge = document.querySelector('.map-icon-item[data-action="repairAll"] .map-icon-badge');
   const drydockCountBadge = document.querySelector('.map-icon-item[data-action="repairAll"] .map-icon-badge-bottom-left');
@@ -1148,14 +1228,17 @@ export async function openRepairAndDrydockDialog(settings, specificVesselId = nu
   const repairCount = repairCountBadge ? (parseInt(repairCountBadge.textContent) || 0) : 0;
   const drydockCount = drydockCountBadge ? (parseInt(drydockCountBadge.textContent) || 0) : 0;
 
-  // If specific vessel ID provided, always show dialog (even if counts are 0)
-  if (!specificVesselId && repairCount === 0 && drydockCount === 0) {
+  // If specific vessel ID or group provided, always show dialog (even if counts are 0)
+  if (!specificVesselId && !groupName && repairCount === 0 && drydockCount === 0) {
     showSideNotification('No vessels need repair or drydock', 'info');
     return;
   }
 
+  // Groups for the group filter
+  await loadVesselTags();
+
   // Show tabbed dialog
-  await showRepairAndDrydockDialog(settings, repairCount, drydockCount, specificVesselId);
+  await showRepairAndDrydockDialog(settings, repairCount, drydockCount, specificVesselId, groupName);
 }
 
 export async function repairAllVessels(settings) {
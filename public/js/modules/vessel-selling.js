@@ -10,12 +10,14 @@
  */
 
 import { showConfirmDialog } from './ui-dialogs.js';
-import { showSideNotification, formatNumber } from './utils.js';
+import { showSideNotification, formatNumber, escapeHtml } from './utils.js';
 import { selectVessel } from './harbor-map/map-controller.js';
+import { loadVesselTags, getVesselGroups, getGroupVesselIds, renderGroupOptions } from './vessel-groups.js';
 
 let currentSellVessels = [];
 let selectedSellVessels = [];
 let currentSellFilter = 'container';
+let currentSellGroup = null; // Vessel group filter (null = all vessels)
 let globalPriceMap = new Map(); // Global price map for access in event handlers
 
 const SELL_CART_CACHE_KEY = 'vessel_sell_cart';
@@ -88,6 +90,9 @@ export async function openSellVesselsOverlay() {
   document.getElementById('sellVesselsOverlay').classList.remove('hidden');
   loadSellCartFromCache();
 
+  await loadVesselTags();
+  renderSellGroupControls();
+
   // Show cached data immediately (if available) for instant display
   if (currentSellVessels && currentSellVessels.length > 0) {
     // Display cached static data immediately
@@ -106,6 +111,7 @@ export async function openSellVesselsOverlay() {
 export function closeSellVesselsOverlay() {
   document.getElementById('sellVesselsOverlay').classList.add('hidden');
   selectedSellVessels = [];
+  currentSellGroup = null;
   updateBulkSellButton();
 }
 
@@ -267,6 +273,15 @@ async function fetchAllSellPrices(grouped) {
   return priceMap;
 }
 
+/**
+ * Builds the model key of a vessel (cart items are per model)
+ * @param {Object} vessel - Vessel object
+ * @returns {string} Model key
+ */
+function getModelKey(vessel) {
+  return `${vessel.type}_${vessel.type_name}_${vessel.year}_${vessel.engine_type}_${vessel.capacity_max?.dry || 0}_${vessel.capacity_max?.refrigerated || 0}_${vessel.capacity_max?.fuel || 0}_${vessel.capacity_max?.crude_oil || 0}`;
+}
+
 /**
  * Groups vessels by exact ship model (same specs/type/image)
  * Groups by: type (image path) + type_name + year + capacity + engine
@@ -277,7 +292,7 @@ function groupVesselsByModel(vessels) {
   vessels.forEach(vessel => {
     // Create unique key based on ship specs (these determine the model)
     // Same type image, type_name, year, engine = same ship model
-    const modelKey = `${vessel.type}_${vessel.type_name}_${vessel.year}_${vessel.engine_type}_${vessel.capacity_max?.dry || 0}_${vessel.capacity_max?.refrigerated || 0}_${vessel.capacity_max?.fuel || 0}_${vessel.capacity_max?.crude_oil || 0}`;
+    const modelKey = getModelKey(vessel);
 
     if (!grouped[modelKey]) {
       grouped[modelKey] = {
@@ -303,14 +318,17 @@ function groupVesselsByModel(vessels) {
  */
 async function displaySellVessels() {
   const feed = document.getElementById('sellVesselCatalogFeed');
-  const filtered = currentSellVessels.filter(v => v.capacity_type === currentSellFilter);
+  const groupIds = currentSellGroup ? new Set(getGroupVesselIds(currentSellGroup)) : null;
+  const filtered = currentSellVessels.filter(v => v.capacity_type === currentSellFilter && (!groupIds || groupIds.has(v.id)));
 
   if (filtered.length === 0) {
     feed.innerHTML = `
       <div class="sell-empty-state">
         <div class="sell-empty-icon">⛴️</div>
         <div class="sell-empty-title">No ${currentSellFilter} vessels</div>
-        <div class="sell-empty-subtitle">You don't own any ${currentSellFilter} vessels</div>
+        <div class="sell-empty-subtitle">${currentSellGroup
+          ? `Group "${escapeHtml(currentSellGroup)}" has no ${currentSellFilter} vessels`
+          : `You don't own any ${currentSellFilter} vessels`}</div>
       </div>
     `;
     return;
@@ -1240,7 +1258,9 @@ export async function bulkSellVessels() {
     clearSellCartCache();
     updateBulkSellButton();
 
-    // Reload the vessel list to remove sold vessels
+    // Reload the vessel list to remove sold vessels (sold vessels also left their groups)
+    await loadVesselTags(true);
+    renderSellGroupControls();
     await loadUserVesselsForSale();
 
     showSideNotification(`Successfully sold ${totalVessels} vessels for $${formatNumber(totalPrice)}`, 'success');
@@ -1258,3 +1278,86 @@ export async function setSellFilter(type) {
   currentSellFilter = type;
   await displaySellVessels();
 }
+
+/**
+ * Fills the vessel group dropdown and shows the "Sell Group" button while a group is selected
+ * Hidden entirely if no groups exist
+ */
+function renderSellGroupControls() {
+  const groups = getVesselGroups();
+  if (currentSellGroup && !groups.some(g => g.name === currentSellGroup)) {
+    currentSellGroup = null;
+  }
+
+  const select = document.getElementById('sellGroupFilter');
+  if (select) {
+    select.innerHTML = `<option value="">All vessels</option>${renderGroupOptions(currentSellGroup)}`;
+    select.value = currentSellGroup || '';
+    select.classList.toggle('hidden', groups.length === 0);
+  }
+
+  const selectGroupBtn = document.getElementById('sellGroupSelectBtn');
+  if (selectGroupBtn) {
+    selectGroupBtn.classList.toggle('hidden', !currentSellGroup);
+  }
+}
+
+/**
+ * Sets the vessel group filter (applied when the overlay renders next)
+ * @param {string|null} name - Group name, null/'' for all vessels
+ */
+export function setSellGroupFilter(name) {
+  currentSellGroup = name || null;
+  renderSellGroupControls();
+}
+
+/**
+ * Changes the vessel group filter of the open overlay
+ * @param {string} name - Group name, '' for all vessels
+ * @returns {Promise<void>}
+ */
+export async function changeSellGroupFilter(name) {
+  setSellGroupFilter(name);
+  await displaySellVessels();
+}
+
+/**
+ * Puts every sellable vessel of the selected group (containers and tankers) into the cart
+ * and opens the cart. Vessels at sea are skipped.
+ * @returns {Promise<void>}
+ */
+export async function addSellGroupToCart() {
+  if (!currentSellGroup) return;
+
+  const groupIds = new Set(getGroupVesselIds(currentSellGroup));
+  const sellable = currentSellVessels.filter(v => groupIds.has(v.id) && v.status !== 'route' && v.status !== 'enroute');
+
+  if (sellable.length === 0) {
+    showSideNotification(`No vessel of "${escapeHtml(currentSellGroup)}" can be sold right now (all at sea)`, 'info');
+    return;
+  }
+
+  // Prices of the other capacity type may not be loaded yet
+  const unpriced = sellable.filter(v => !globalPriceMap.has(v.id));
+  if (unpriced.length > 0) {
+    const priceMap = await fetchAllSellPrices(groupVesselsByModel(unpriced));
+    priceMap.forEach((priceInfo, vesselId) => globalPriceMap.set(vesselId, priceInfo));
+  }
+
+  const grouped = groupVesselsByModel(sellable);
+
+  Object.entries(grouped).forEach(([modelKey, group]) => {
+    const vesselIds = group.vessels.map(v => v.id);
+    const vesselNames = {};
+    group.vessels.forEach(v => {
+      vesselNames[v.id] = v.name;
+    });
+    const vesselPrices = vesselIds
+      .filter(vesselId => globalPriceMap.has(vesselId))
+      .map(vesselId => ({ vesselId, ...globalPriceMap.get(vesselId) }));
+
+    updateVesselSelectionInCart(modelKey, vesselIds.length, group.model.name.replace(/_\d+$/, ''), vesselIds, vesselPrices, vesselNames);
+  });
+
+  showSellCart();
+}
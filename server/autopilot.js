@@ -7,6 +7,8 @@
  * Key Features:
  * - Price updates at fixed times (:01 and :31 every hour)
  * - Orchestrates 8 specialized pilot modules
+ * - Evaluates user-defined autopilot rules (rules_engine.js)
+ * - Per-pilot schedules and quiet hours (utils/pilot-schedule.js)
  * - Badge updates (repair count, campaigns, hijacking)
  * - Main event loop coordination
  *
@@ -18,17 +20,37 @@ const state = require('./state');
 const cache = require('./cache');
 const { getUserId, apiCall, checkAndUpdateAllianceId } = require('./utils/api');
 const logger = require('./utils/logger');
+const { recordPrices } = require('./utils/price-history-store');
+
+const { onSchedule, withQuietHours } = require('./utils/pilot-schedule');
 
 // Import pilot modules
-const { autoRebuyFuel } = require('./autopilot/pilot_barrel_boss');
-const { autoRebuyCO2 } = require('./autopilot/pilot_atmosphere_broker');
-const { departVessels, autoDepartVessels, calculateRemainingDemand, getTotalCapacity } = require('./autopilot/pilot_cargo_marshal');
-const { autoRepairVessels } = require('./autopilot/pilot_yard_foreman');
-const { autoDrydockVessels } = require('./autopilot/pilot_drydock_master');
-const { autoCampaignRenewal } = require('./autopilot/pilot_reputation_chief');
-const { autoCoop } = require('./autopilot/pilot_fair_hand');
-const { autoAnchorPointPurchase, setBroadcastFunction: setHarbormasterBroadcast } = require('./autopilot/pilot_harbormaster');
-const { autoNegotiateHijacking } = require('./autopilot/pilot_captain_blackbeard');
+const pilotBarrelBoss = require('./autopilot/pilot_barrel_boss');
+const pilotAtmosphereBroker = require('./autopilot/pilot_atmosphere_broker');
+const pilotCargoMarshal = require('./autopilot/pilot_cargo_marshal');
+const pilotYardForeman = require('./autopilot/pilot_yard_foreman');
+const pilotDrydockMaster = require('./autopilot/pilot_drydock_master');
+const pilotReputationChief = require('./autopilot/pilot_reputation_chief');
+const pilotFairHand = require('./autopilot/pilot_fair_hand');
+const pilotHarbormaster = require('./autopilot/pilot_harbormaster');
+const pilotCaptainBlackbeard = require('./autopilot/pilot_captain_blackbeard');
+const rulesEngine = require('./autopilot/rules_engine');
+
+const { departVessels, calculateRemainingDemand, getTotalCapacity } = pilotCargoMarshal;
+const { setBroadcastFunction: setHarbormasterBroadcast } = pilotHarbormaster;
+
+// Pilot entry points only run inside their weekly schedule (settings.pilotSchedules).
+// Every caller (main loop, scheduler, routes) goes through these wrappers.
+const autoRebuyFuel = onSchedule('barrelBoss', pilotBarrelBoss.autoRebuyFuel);
+const autoRebuyCO2 = onSchedule('atmosphereBroker', pilotAtmosphereBroker.autoRebuyCO2);
+const autoDepartVessels = onSchedule('cargoMarshal', pilotCargoMarshal.autoDepartVessels);
+const autoRepairVessels = onSchedule('yardForeman', pilotYardForeman.autoRepairVessels);
+const autoDrydockVessels = onSchedule('drydockMaster', pilotDrydockMaster.autoDrydockVessels);
+const autoCampaignRenewal = onSchedule('reputationChief', pilotReputationChief.autoCampaignRenewal);
+const autoCoop = onSchedule('fairHand', pilotFairHand.autoCoop);
+const autoAnchorPointPurchase = onSchedule('harbormaster', pilotHarbormaster.autoAnchorPointPurchase);
+const autoNegotiateHijacking = onSchedule('captainBlackbeard', pilotCaptainBlackbeard.autoNegotiateHijacking);
+const evaluateRules = onSchedule('ruleKeeper', rulesEngine.evaluateRules);
 
 // WebSocket broadcasting function (injected by websocket.js)
 let broadcastToUser = null;
@@ -38,11 +60,12 @@ let broadcastToUser = null;
  * Called by websocket.js during initialization.
  */
 function setBroadcastFunction(broadcastFn) {
-  broadcastToUser = broadcastFn;
+  // Autopilot notifications are suppressed during quiet hours
+  broadcastToUser = withQuietHours(broadcastFn);
   logger.debug('[Autopilot] Broadcast function set:', broadcastFn ? 'OK' : 'NULL');
 
   // Also inject into pilot modules that manage their own broadcast function
-  setHarbormasterBroadcast(broadcastFn);
+  setHarbormasterBroadcast(broadcastToUser);
 }
 
 // Global pause state
@@ -137,6 +160,9 @@ async function updatePrices() {
     // Update state with individual price values
     state.updatePrices(userId, prices.fuel, prices.co2, prices.eventDiscount, prices.regularFuel, prices.regularCO2);
 
+    // Persist every fetched price for history/statistics
+    await recordPrices(userId, prices);
+
     if (broadcastToUser) {
       broadcastToUser(userId, 'price_update', prices);
     }
@@ -294,6 +320,9 @@ async function updateCampaigns() {
     logger.debug(`[Auto-Campaign] updateCampaigns() - Active count: ${activeCount}, Total active: ${(campaigns.active || []).length}`);
     logger.debug(`[Auto-Campaign] Active campaigns: ${JSON.stringify((campaigns.active || []).map(c => ({ name: c.name, type: c.option_name })))}`);
 
+    // Cache for reconnecting clients and rule conditions
+    state.updateCampaignStatus(userId, { activeCount, active: campaigns.active });
+
     if (broadcastToUser) {
       broadcastToUser(userId, 'campaign_status_update', {
         activeCount: activeCount,
@@ -691,11 +720,22 @@ function getCachedCapacity(vessel) {
 
 const LOOP_INTERVAL = 60000;  // 60 seconds
 
+let lastLoopStartedAt = 0;
+
+/**
+ * Estimates when the main loop runs next (departure queue retry time).
+ * @returns {number} Timestamp in ms
+ */
+function getNextLoopTime() {
+  return Math.max(Date.now(), lastLoopStartedAt + LOOP_INTERVAL);
+}
+
 /**
  * Main event-driven autopilot loop.
  * Runs every 60 seconds, checks game state, triggers autopilot functions.
  */
 async function mainEventLoop() {
+  lastLoopStartedAt = Date.now();
   const userId = getUserId();
   if (!userId) {
     setTimeout(mainEventLoop, LOOP_INTERVAL);
@@ -881,6 +921,11 @@ async function mainEventLoop() {
     // Campaign status update and auto-renewal
     await updateCampaigns();
 
+    // User-defined rules (evaluated last so they see the state after all pilots ran)
+    if (settings.autopilotRulesEnabled) {
+      await evaluateRules(autopilotPaused, broadcastToUser, autoRebuyAll, tryUpdateAllData);
+    }
+
   } catch (error) {
     logger.error('[Loop] FATAL ERROR in main event loop:', error);
     logger.error('[Loop] Stack trace:', error.stack);
@@ -926,6 +971,7 @@ module.exports = {
   autoRebuyAll,
   departVessels,
   autoDepartVessels,
+  getNextLoopTime,
   autoRepairVessels,
   autoDrydockVessels,
   autoCoop,
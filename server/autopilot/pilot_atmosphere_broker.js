@@ -4,6 +4,14 @@
  * Automatically purchases CO2 when price is below threshold and bunker has space.
  * NO COOLDOWNS - purchases immediately when conditions are met.
  *
+ * Planning Mode (autoRebuyCO2PlanningMode):
+ * Projects CO2 usage from upcoming Cargo Marshal departures over the next 24h and
+ * spreads the required purchases across the cheapest forecast slots, so the balance
+ * never goes negative. If no cheaper slot is coming and the current price is within
+ * the threshold, the bunker is filled now; above the threshold only the planned
+ * slices are bought. Only the slice planned for the current slot is bought; the
+ * plan is rebuilt on every check and logged as 'Auto-CO2 Plan' whenever it changes.
+ *
  * @module server/autopilot/pilot_atmosphere_broker
  */
 
@@ -11,7 +19,187 @@ const gameapi = require('../gameapi');
 const state = require('../state');
 const logger = require('../utils/logger');
 const { getUserId } = require('../utils/api');
-const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { auditLog, CATEGORIES, SOURCES, formatCurrency, formatNumber } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
+const { getAvailableBudget, reserveBudget, releaseBudget, commitBudget } = require('../utils/cash-budget');
+const { projectDepartures, getCO2PerFuelRatio } = require('../utils/fleet-projection');
+const { getUpcomingSlots, findNextCheaperSlot, SLOTS_PER_DAY } = require('../utils/forecast-planner');
+
+/**
+ * Last plan written to the logbook, per user.
+ * Prevents logging an identical plan on every 60s check.
+ * Map structure: { userId: { signature: string, planId: string } }
+ */
+const lastLoggedPlan = new Map();
+
+/**
+ * Builds the CO2 purchase plan for the next 24 hours.
+ *
+ * Algorithm:
+ * 1. Project departures (fuel per trip x observed CO2/fuel ratio) into forecast slots
+ * 2. If no later slot is cheaper and the current price is within the threshold,
+ *    fill the bunker in the current slot
+ * 3. Walk the slots in order tracking the projected balance
+ * 4. Whenever the balance would go negative, cover the deficit from the cheapest
+ *    earlier slot (including the current one) that still has bunker room
+ *
+ * The current slot uses the live price (includes event discounts), later slots use the forecast.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} bunker - Current bunker state
+ * @param {number} currentPrice - Current CO2 price ($/t)
+ * @param {number} threshold - Threshold the classic mode would use ($/t)
+ * @param {Object} settings - User settings
+ * @returns {Promise<Object|null>} Plan, or null if forecast or CO2 ratio is unavailable
+ */
+async function buildCO2Plan(userId, bunker, currentPrice, threshold, settings) {
+  const now = Date.now();
+  const slots = await getUpcomingSlots(SLOTS_PER_DAY, now);
+  if (slots.length === 0) return null;
+
+  const ratio = await getCO2PerFuelRatio(userId);
+  if (!ratio) return null;
+
+  const horizonEnd = slots[slots.length - 1].end;
+  const vessels = await gameapi.fetchVessels();
+  const departures = projectDepartures(vessels, settings, userId, horizonEnd, now);
+
+  const prices = slots.map((slot, i) => (i === 0 ? currentPrice : slot.co2));
+  const usage = slots.map(() => 0);
+  for (const departure of departures) {
+    const index = slots.findIndex(slot => departure.time < slot.end);
+    if (index >= 0) usage[index] += departure.fuel * ratio;
+  }
+
+  // levels[i] = projected balance at the start of slot i (after that slot's purchases)
+  const purchases = slots.map(() => 0);
+  const levels = [];
+  let level = bunker.co2;
+  for (let i = 0; i < slots.length; i++) {
+    levels.push(level);
+    level -= usage[i];
+  }
+
+  // Same cap as the fuel smart mode: only the lowest price in the window and
+  // within the threshold fills the bunker, otherwise just the departures are covered
+  const nextCheaper = findNextCheaperSlot(slots, currentPrice, 'co2');
+  const fillNow = !nextCheaper && currentPrice <= threshold;
+  if (fillNow) {
+    const fill = Math.max(0, Math.ceil(bunker.maxCO2 - bunker.co2));
+    purchases[0] += fill;
+    for (let k = 0; k < levels.length; k++) levels[k] += fill;
+  }
+
+  let uncovered = 0;
+  for (let i = 0; i < slots.length; i++) {
+    let deficit = usage[i] - levels[i];
+    while (deficit > 0.5) {
+      // Cheapest earlier slot with room left (ties go to the later slot to defer spending)
+      let best = -1;
+      let bestRoom = 0;
+      for (let j = 0; j <= i; j++) {
+        const room = bunker.maxCO2 - Math.max(...levels.slice(j));
+        if (room < 1) continue;
+        if (best === -1 || prices[j] <= prices[best]) {
+          best = j;
+          bestRoom = room;
+        }
+      }
+      if (best === -1) {
+        uncovered += deficit;
+        break;
+      }
+
+      // Round the deficit up, but never past the free bunker space
+      const amount = Math.min(Math.ceil(deficit), Math.floor(bestRoom));
+      purchases[best] += amount;
+      for (let k = best; k < levels.length; k++) levels[k] += amount;
+      deficit -= amount;
+    }
+  }
+
+  const slices = [];
+  purchases.forEach((amount, i) => {
+    if (amount > 0) {
+      slices.push({ time: i === 0 ? now : slots[i].start, price: prices[i], amount });
+    }
+  });
+
+  const projectedUsage = usage.reduce((sum, u) => sum + u, 0);
+  const estimatedCost = slices.reduce((sum, slice) => sum + slice.amount * slice.price, 0);
+  const estimatedSavings = slices.reduce((sum, slice) => sum + slice.amount * (currentPrice - slice.price), 0);
+
+  let reason;
+  if (fillNow) {
+    reason = `Lowest price in the next 24h and within $${threshold}/t threshold - filling bunker`;
+  } else if (nextCheaper) {
+    reason = 'Cheaper slot ahead - covering departures only';
+  } else {
+    reason = `Lowest price in the next 24h but above $${threshold}/t threshold - covering departures only`;
+  }
+
+  return {
+    planId: `${userId}-${slots[0].start}-${now}`,
+    generatedAt: now,
+    currentPrice,
+    threshold,
+    reason,
+    buyNow: purchases[0],
+    projectedUsage: Math.round(projectedUsage),
+    departures: departures.length,
+    co2PerFuel: Math.round(ratio * 1000) / 1000,
+    slices,
+    estimatedCost: Math.round(estimatedCost),
+    estimatedSavings: Math.round(estimatedSavings),
+    uncovered: Math.round(uncovered),
+    lowestBalance: Math.round(Math.min(...levels.map((l, i) => l - usage[i])))
+  };
+}
+
+/**
+ * Writes the plan to the logbook as 'Auto-CO2 Plan' if it differs from the last logged one.
+ * An unchanged plan keeps the planId of the logged entry, so purchases made from it
+ * (which reference planId in their details) can be matched against the logbook.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} plan - Plan from buildCO2Plan()
+ * @returns {Promise<void>}
+ */
+async function logCO2PlanIfChanged(userId, plan) {
+  const signature = plan.slices.map(s => `${s.time === plan.generatedAt ? 'now' : s.time}:${s.amount}`).join('|');
+  const last = lastLoggedPlan.get(userId);
+  if (last && last.signature === signature) {
+    plan.planId = last.planId;
+    return;
+  }
+  lastLoggedPlan.set(userId, { signature, planId: plan.planId });
+
+  const totalAmount = plan.slices.reduce((sum, s) => sum + s.amount, 0);
+  const summary = plan.slices.length > 0
+    ? `${plan.slices.length} slice${plan.slices.length > 1 ? 's' : ''} | ${formatNumber(totalAmount)}t planned | ~${formatCurrency(plan.estimatedCost)}${plan.estimatedSavings > 0 ? ` | saves ~${formatCurrency(plan.estimatedSavings)}` : ''}`
+    : `No purchase needed | ${formatNumber(plan.projectedUsage)}t projected usage`;
+
+  // Summary only - the full plan is kept in state for the UI
+  const details = {
+    planId: plan.planId,
+    slices: plan.slices.map(s => ({ time: s.time, price: s.price, amount: s.amount })),
+    totalAmount,
+    estimatedCost: plan.estimatedCost,
+    estimatedSavings: plan.estimatedSavings,
+    projectedUsage: plan.projectedUsage,
+    uncovered: plan.uncovered
+  };
+
+  await auditLog(
+    userId,
+    CATEGORIES.BUNKER,
+    'Auto-CO2 Plan',
+    summary,
+    details,
+    plan.uncovered > 0 ? 'WARNING' : 'SUCCESS',
+    SOURCES.AUTOPILOT
+  );
+}
 
 /**
  * Auto-rebuy CO2 for a single user with intelligent threshold checking.
@@ -28,6 +216,8 @@ const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audi
  * Threshold Selection:
  * - If autoRebuyCO2UseAlert=true: uses co2Threshold (alert threshold)
  * - If autoRebuyCO2UseAlert=false: uses autoRebuyCO2Threshold (custom)
+ * - If autoRebuyCO2PlanningMode=true: the CO2 plan decides the amount, threshold still
+ *   caps filling the bunker when no cheaper slot is coming
  *
  * Safety Features:
  * - Respects minimum cash balance (won't buy if cash < minCash)
@@ -94,12 +284,29 @@ async function autoRebuyCO2(bunkerState = null, autopilotPaused, broadcastToUser
       ? settings.co2Threshold
       : settings.autoRebuyCO2Threshold;
 
-    logger.debug(`[Auto-Rebuy CO2] Threshold check: Price $${prices.co2}/t vs Threshold $${threshold}/t (UseAlert=${settings.autoRebuyCO2UseAlert})`);
+    // Planning mode: buy the slice planned for the current slot (falls back to threshold if no plan)
+    let plan = null;
+    if (settings.autoRebuyCO2PlanningMode) {
+      plan = await buildCO2Plan(userId, bunker, prices.co2, threshold, settings);
+      if (plan) {
+        await logCO2PlanIfChanged(userId, plan);
+      } else {
+        logger.warn('[Auto-Rebuy CO2] Planning mode: No forecast or no logged departures yet - falling back to threshold');
+      }
+      state.updateCO2Plan(userId, plan);
+      if (broadcastToUser) {
+        broadcastToUser(userId, 'co2_plan_update', plan);
+      }
+    }
 
-    // Check if price is at or below threshold
-    if (prices.co2 > threshold) {
-      logger.debug(`[Auto-Rebuy CO2] Price too high: $${prices.co2}/t > $${threshold}/t threshold`);
-      return;
+    if (!plan) {
+      logger.debug(`[Auto-Rebuy CO2] Threshold check: Price $${prices.co2}/t vs Threshold $${threshold}/t (UseAlert=${settings.autoRebuyCO2UseAlert})`);
+
+      // Check if price is at or below threshold
+      if (prices.co2 > threshold) {
+        logger.debug(`[Auto-Rebuy CO2] Price too high: $${prices.co2}/t > $${threshold}/t threshold`);
+        return;
+      }
     }
 
     // Check if bunker has space
@@ -110,7 +317,13 @@ async function autoRebuyCO2(bunkerState = null, autopilotPaused, broadcastToUser
     }
 
     // Fill to max capacity - use Math.ceil to always buy enough to fill completely
-    const amountNeeded = Math.ceil(availableSpace);
+    // Planning mode buys only the current slice
+    const amountNeeded = plan ? Math.min(plan.buyNow, Math.ceil(availableSpace)) : Math.ceil(availableSpace);
+
+    if (plan) {
+      logger.debug(`[Auto-Rebuy CO2] Planning mode: BuyNow=${plan.buyNow}t, Projected=${plan.projectedUsage}t over ${plan.departures} departures, Slices=${plan.slices.length}`);
+      if (amountNeeded <= 0) return;
+    }
 
     // Calculate how much we can buy while keeping minCash reserve
     const minCash = settings.autoRebuyCO2MinCash;
@@ -118,7 +331,9 @@ async function autoRebuyCO2(bunkerState = null, autopilotPaused, broadcastToUser
       logger.error('[Auto-Rebuy CO2] ERROR: autoRebuyCO2MinCash setting is missing!');
       return;
     }
-    const cashAvailable = Math.max(0, bunker.cash - minCash);
+    // ...and within the cash budget (caps + cash reserved for higher-priority pilots)
+    const budgetAvailable = await getAvailableBudget(userId, 'atmosphereBroker', bunker.cash, amountNeeded * prices.co2);
+    const cashAvailable = Math.min(Math.max(0, bunker.cash - minCash), budgetAvailable);
     const maxAffordable = Math.floor(cashAvailable / prices.co2);
 
     // Buy as much as we can (limited by space or money)
@@ -127,7 +342,7 @@ async function autoRebuyCO2(bunkerState = null, autopilotPaused, broadcastToUser
     logger.debug(`[Auto-Rebuy CO2] Calculations: Space=${availableSpace.toFixed(1)}t, Cash=$${bunker.cash.toLocaleString()}, MinCash=$${minCash.toLocaleString()}, Available=$${cashAvailable.toLocaleString()}, MaxAffordable=${maxAffordable}t, ToBuy=${amountToBuy}t`);
 
     if (amountToBuy <= 0) {
-      logger.warn(`[Auto-Rebuy CO2] Cannot buy: Not enough cash after keeping minimum reserve`);
+      logger.warn(`[Auto-Rebuy CO2] Cannot buy: Not enough cash after keeping minimum reserve${Number.isFinite(budgetAvailable) ? ' and cash budget' : ''}`);
       return;
     }
 
@@ -135,8 +350,43 @@ async function autoRebuyCO2(bunkerState = null, autopilotPaused, broadcastToUser
     const cashAfterPurchase = bunker.cash - totalCost;
     logger.debug(`[Auto-Rebuy CO2] Purchasing ${amountToBuy}t @ $${prices.co2}/t = $${totalCost.toLocaleString()} (Cash after: $${cashAfterPurchase.toLocaleString()})`);
 
+    const budget = await reserveBudget(userId, 'atmosphereBroker', totalCost, bunker.cash);
+    if (!budget.granted) {
+      logger.debug(`[Auto-Rebuy CO2] Skipping: Cash budget - ${budget.reason}`);
+      return;
+    }
+
+    // Dry run: log the decision instead of purchasing
+    if (isDryRun(userId)) {
+      releaseBudget(budget.reservation);
+      const simulatedDetails = {
+        amount: amountToBuy,
+        price: prices.co2,
+        totalCost: totalCost,
+        newTotal: bunker.co2 + amountToBuy
+      };
+      if (plan) {
+        simulatedDetails.planId = plan.planId;
+      }
+      await logSimulatedAction(
+        userId,
+        CATEGORIES.BUNKER,
+        'Auto-CO2',
+        `Would have bought ${amountToBuy.toLocaleString()}t @ ${formatCurrency(prices.co2)}/t | -${formatCurrency(totalCost)}${plan ? ' | Planned' : ''}`,
+        simulatedDetails
+      );
+      return;
+    }
+
     // Purchase CO2 - pass the price so cost can be calculated
-    const result = await gameapi.purchaseCO2(amountToBuy, prices.co2);
+    let result;
+    try {
+      result = await gameapi.purchaseCO2(amountToBuy, prices.co2);
+    } catch (error) {
+      releaseBudget(budget.reservation);
+      throw error;
+    }
+    await commitBudget(budget.reservation, result.cost);
 
     // Update bunker state
     bunker.co2 = result.newTotal;
@@ -166,17 +416,22 @@ async function autoRebuyCO2(bunkerState = null, autopilotPaused, broadcastToUser
     logger.info(`[Auto-Rebuy CO2] Purchased ${amountToBuy}t @ $${prices.co2}/t (New total: ${result.newTotal.toFixed(1)}t)`);
 
     // Log to autopilot logbook
+    const logDetails = {
+      amount: amountToBuy,
+      price: prices.co2,
+      totalCost: result.cost,
+      newTotal: result.newTotal
+    };
+    if (plan) {
+      logDetails.planId = plan.planId;
+    }
+
     await auditLog(
       userId,
       CATEGORIES.BUNKER,
       'Auto-CO2',
-      `${amountToBuy}t @ ${formatCurrency(prices.co2)}/t | -${formatCurrency(result.cost)}`,
-      {
-        amount: amountToBuy,
-        price: prices.co2,
-        totalCost: result.cost,
-        newTotal: result.newTotal
-      },
+      `${amountToBuy}t @ ${formatCurrency(prices.co2)}/t | -${formatCurrency(result.cost)}${plan ? ' | Planned' : ''}`,
+      logDetails,
       'SUCCESS',
       SOURCES.AUTOPILOT
     );
@@ -4,6 +4,13 @@
  * Automatically purchases fuel when price is below threshold and bunker has space.
  * NO COOLDOWNS - purchases immediately when conditions are met.
  *
+ * Smart Mode (autoRebuyFuelSmartMode):
+ * Combines the price forecast with the threshold. If a cheaper slot is coming
+ * up, only the fuel the fleet needs until then is bought. Otherwise the current
+ * slot is the cheapest in the look-ahead window: the bunker is filled if the
+ * price is within the threshold, else only the fleet's shortfall for the window
+ * is bought.
+ *
  * @module server/autopilot/pilot_barrel_boss
  */
 
@@ -12,6 +19,93 @@ const state = require('../state');
 const logger = require('../utils/logger');
 const { getUserId } = require('../utils/api');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
+const { getAvailableBudget, reserveBudget, releaseBudget, commitBudget } = require('../utils/cash-budget');
+const { estimateFleetFuelNeed } = require('../utils/fleet-projection');
+const { getUpcomingSlots, findNextCheaperSlot, SLOTS_PER_DAY } = require('../utils/forecast-planner');
+
+/**
+ * Builds the smart mode purchase plan from the price forecast.
+ *
+ * Savings are compared against threshold buying: if the threshold pilot would
+ * fill the bunker now, every ton deferred to the next cheaper slot saves the
+ * price difference. When threshold buying would not buy now, no savings are claimed.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} bunker - Current bunker state
+ * @param {number} currentPrice - Current fuel price ($/t)
+ * @param {number} threshold - Threshold the classic mode would use ($/t)
+ * @param {Object} settings - User settings
+ * @returns {Promise<Object|null>} Plan, or null if no forecast is available
+ */
+async function buildSmartFuelPlan(userId, bunker, currentPrice, threshold, settings) {
+  const now = Date.now();
+  const slots = await getUpcomingSlots(SLOTS_PER_DAY, now);
+  if (slots.length === 0) return null;
+
+  const nextCheaper = findNextCheaperSlot(slots, currentPrice, 'fuel');
+  const cheapest = slots.reduce((min, slot) => (slot.fuel < min.fuel ? slot : min), slots[0]);
+  const availableSpace = Math.max(0, bunker.maxFuel - bunker.fuel);
+
+  let buyNow;
+  let reason;
+  let need = { tons: 0, vessels: 0 };
+  const plannedPurchases = [];
+
+  if (nextCheaper) {
+    const vessels = await gameapi.fetchVessels();
+    need = estimateFleetFuelNeed(vessels, settings, userId, nextCheaper.start);
+    const shortfall = Math.max(0, Math.ceil(need.tons - bunker.fuel));
+    buyNow = Math.min(shortfall, Math.floor(availableSpace));
+    reason = buyNow > 0
+      ? `Covering ${need.vessels} departure(s) until cheaper slot`
+      : 'Bunker covers departures until cheaper slot';
+
+    const fuelAtCheaperSlot = Math.max(0, bunker.fuel + buyNow - need.tons);
+    plannedPurchases.push({
+      time: nextCheaper.start,
+      price: nextCheaper.fuel,
+      amount: Math.floor(bunker.maxFuel - fuelAtCheaperSlot),
+      reason: 'Refill at next cheaper slot (forecast)'
+    });
+  } else if (currentPrice <= threshold) {
+    buyNow = Math.ceil(availableSpace);
+    reason = `Lowest price in the next 24h and within $${threshold}/t threshold - filling bunker`;
+  } else {
+    // No cheaper slot, but above threshold: a flat, expensive day must not
+    // fill the bunker at the top of the market - cover the departures only
+    const vessels = await gameapi.fetchVessels();
+    need = estimateFleetFuelNeed(vessels, settings, userId, slots[slots.length - 1].end);
+    const shortfall = Math.max(0, Math.ceil(need.tons - bunker.fuel));
+    buyNow = Math.min(shortfall, Math.floor(availableSpace));
+    reason = buyNow > 0
+      ? `Lowest price in the next 24h but above $${threshold}/t threshold - covering ${need.vessels} departure(s) only`
+      : `Lowest price in the next 24h but above $${threshold}/t threshold - bunker covers departures`;
+  }
+
+  if (buyNow > 0) {
+    plannedPurchases.unshift({ time: now, price: currentPrice, amount: buyNow, reason });
+  }
+
+  const thresholdAmount = currentPrice <= threshold ? Math.ceil(availableSpace) : 0;
+  const deferred = Math.max(0, thresholdAmount - buyNow);
+  const estimatedSavings = nextCheaper ? Math.round(deferred * (currentPrice - nextCheaper.fuel)) : 0;
+
+  return {
+    generatedAt: now,
+    currentPrice,
+    threshold,
+    buyNow,
+    reason,
+    fleetNeed: Math.round(need.tons),
+    departures: need.vessels,
+    nextCheaperSlot: nextCheaper ? { time: nextCheaper.start, price: nextCheaper.fuel } : null,
+    cheapestSlot: { time: cheapest.start, price: cheapest.fuel },
+    plannedPurchases,
+    thresholdAmount,
+    estimatedSavings
+  };
+}
 
 /**
  * Auto-rebuy fuel for a single user with intelligent threshold checking.
@@ -28,6 +122,8 @@ const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audi
  * Threshold Selection:
  * - If autoRebuyFuelUseAlert=true: uses fuelThreshold (alert threshold)
  * - If autoRebuyFuelUseAlert=false: uses autoRebuyFuelThreshold (custom)
+ * - If autoRebuyFuelSmartMode=true: forecast plan decides the amount instead,
+ *   threshold still caps filling the bunker when no cheaper slot is coming
  *
  * Safety Features:
  * - Respects minimum cash balance (won't buy if cash < minCash)
@@ -94,12 +190,27 @@ async function autoRebuyFuel(bunkerState = null, autopilotPaused, broadcastToUse
       ? settings.fuelThreshold
       : settings.autoRebuyFuelThreshold;
 
-    logger.debug(`[Auto-Rebuy Fuel] Threshold check: Price $${prices.fuel}/t vs Threshold $${threshold}/t (UseAlert=${settings.autoRebuyFuelUseAlert})`);
+    // Smart mode: let the forecast decide how much to buy (falls back to threshold if no forecast)
+    let plan = null;
+    if (settings.autoRebuyFuelSmartMode) {
+      plan = await buildSmartFuelPlan(userId, bunker, prices.fuel, threshold, settings);
+      state.updateFuelPlan(userId, plan);
+      if (broadcastToUser) {
+        broadcastToUser(userId, 'fuel_plan_update', plan);
+      }
+      if (!plan) {
+        logger.warn('[Auto-Rebuy Fuel] Smart mode: No forecast available - falling back to threshold');
+      }
+    }
+
+    if (!plan) {
+      logger.debug(`[Auto-Rebuy Fuel] Threshold check: Price $${prices.fuel}/t vs Threshold $${threshold}/t (UseAlert=${settings.autoRebuyFuelUseAlert})`);
 
-    // Check if price is at or below threshold
-    if (prices.fuel > threshold) {
-      logger.debug(`[Auto-Rebuy Fuel] Price too high: $${prices.fuel}/t > $${threshold}/t threshold`);
-      return;
+      // Check if price is at or below threshold
+      if (prices.fuel > threshold) {
+        logger.debug(`[Auto-Rebuy Fuel] Price too high: $${prices.fuel}/t > $${threshold}/t threshold`);
+        return;
+      }
     }
 
     // Check if bunker has space
@@ -110,7 +221,13 @@ async function autoRebuyFuel(bunkerState = null, autopilotPaused, broadcastToUse
     }
 
     // Fill to max capacity - use Math.ceil to always buy enough to fill completely
-    const amountNeeded = Math.ceil(availableSpace);
+    // Smart mode buys only what the plan asks for
+    const amountNeeded = plan ? plan.buyNow : Math.ceil(availableSpace);
+
+    if (plan) {
+      logger.debug(`[Auto-Rebuy Fuel] Smart mode: ${plan.reason} (BuyNow=${plan.buyNow}t, FleetNeed=${plan.fleetNeed}t, NextCheaper=${plan.nextCheaperSlot ? `$${plan.nextCheaperSlot.price}/t` : 'none'})`);
+      if (amountNeeded <= 0) return;
+    }
 
     // Calculate how much we can buy while keeping minCash reserve
     const minCash = settings.autoRebuyFuelMinCash;
@@ -118,7 +235,9 @@ async function autoRebuyFuel(bunkerState = null, autopilotPaused, broadcastToUse
       logger.error('[Auto-Rebuy Fuel] ERROR: autoRebuyFuelMinCash setting is missing!');
       return;
     }
-    const cashAvailable = Math.max(0, bunker.cash - minCash);
+    // ...and within the cash budget (caps + cash reserved for higher-priority pilots)
+    const budgetAvailable = await getAvailableBudget(userId, 'barrelBoss', bunker.cash, amountNeeded * prices.fuel);
+    const cashAvailable = Math.min(Math.max(0, bunker.cash - minCash), budgetAvailable);
     const maxAffordable = Math.floor(cashAvailable / prices.fuel);
 
     // Buy as much as we can (limited by space or money)
@@ -127,7 +246,7 @@ async function autoRebuyFuel(bunkerState = null, autopilotPaused, broadcastToUse
     logger.debug(`[Auto-Rebuy Fuel] Calculations: Space=${availableSpace.toFixed(1)}t, Cash=$${bunker.cash.toLocaleString()}, MinCash=$${minCash.toLocaleString()}, Available=$${cashAvailable.toLocaleString()}, MaxAffordable=${maxAffordable}t, ToBuy=${amountToBuy}t`);
 
     if (amountToBuy <= 0) {
-      logger.warn(`[Auto-Rebuy Fuel] Cannot buy: Not enough cash after keeping minimum reserve`);
+      logger.warn(`[Auto-Rebuy Fuel] Cannot buy: Not enough cash after keeping minimum reserve${Number.isFinite(budgetAvailable) ? ' and cash budget' : ''}`);
       return;
     }
 
@@ -136,8 +255,46 @@ async function autoRebuyFuel(bunkerState = null, autopilotPaused, broadcastToUse
     logger.debug(`[Auto-Rebuy Fuel] Purchasing ${amountToBuy}t @ $${prices.fuel}/t = $${totalCost.toLocaleString()} (Cash after: $${cashAfterPurchase.toLocaleString()})`);
     logger.debug(`[Auto-Rebuy Fuel] Current bunker state BEFORE purchase: Cash=$${bunker.cash.toLocaleString()}, Fuel=${bunker.fuel.toFixed(1)}t/${bunker.maxFuel}t`);
 
+    const budget = await reserveBudget(userId, 'barrelBoss', totalCost, bunker.cash);
+    if (!budget.granted) {
+      logger.debug(`[Auto-Rebuy Fuel] Skipping: Cash budget - ${budget.reason}`);
+      return;
+    }
+
+    // Dry run: log the decision instead of purchasing
+    if (isDryRun(userId)) {
+      releaseBudget(budget.reservation);
+      const simulatedDetails = {
+        amount: amountToBuy,
+        price: prices.fuel,
+        totalCost: totalCost,
+        newTotal: bunker.fuel + amountToBuy
+      };
+      if (plan) {
+        simulatedDetails.smartMode = true;
+        simulatedDetails.reason = plan.reason;
+        simulatedDetails.nextCheaperSlot = plan.nextCheaperSlot;
+        simulatedDetails.estimatedSavings = plan.estimatedSavings;
+      }
+      await logSimulatedAction(
+        userId,
+        CATEGORIES.BUNKER,
+        'Auto-Fuel',
+        `Would have bought ${amountToBuy.toLocaleString()}t @ ${formatCurrency(prices.fuel)}/t | -${formatCurrency(totalCost)}${plan ? ' | Smart' : ''}`,
+        simulatedDetails
+      );
+      return;
+    }
+
     // Purchase fuel - pass the price so cost can be calculated
-    const result = await gameapi.purchaseFuel(amountToBuy, prices.fuel);
+    let result;
+    try {
+      result = await gameapi.purchaseFuel(amountToBuy, prices.fuel);
+    } catch (error) {
+      releaseBudget(budget.reservation);
+      throw error;
+    }
+    await commitBudget(budget.reservation, result.cost);
 
     logger.debug(`[Auto-Rebuy Fuel] Purchase successful, API returned: newTotal=${result.newTotal.toFixed(1)}t, cost=$${result.cost.toLocaleString()}`);
 
@@ -169,17 +326,25 @@ async function autoRebuyFuel(bunkerState = null, autopilotPaused, broadcastToUse
     logger.info(`[Auto-Rebuy Fuel] Purchased ${amountToBuy}t @ $${prices.fuel}/t (New total: ${result.newTotal.toFixed(1)}t)`);
 
     // Log to autopilot logbook
+    const logDetails = {
+      amount: amountToBuy,
+      price: prices.fuel,
+      totalCost: result.cost,
+      newTotal: result.newTotal
+    };
+    if (plan) {
+      logDetails.smartMode = true;
+      logDetails.reason = plan.reason;
+      logDetails.nextCheaperSlot = plan.nextCheaperSlot;
+      logDetails.estimatedSavings = plan.estimatedSavings;
+    }
+
     await auditLog(
       userId,
       CATEGORIES.BUNKER,
       'Auto-Fuel',
-      `${amountToBuy}t @ ${formatCurrency(prices.fuel)}/t | -${formatCurrency(result.cost)}`,
-      {
-        amount: amountToBuy,
-        price: prices.fuel,
-        totalCost: result.cost,
-        newTotal: result.newTotal
-      },
+      `${amountToBuy}t @ ${formatCurrency(prices.fuel)}/t | -${formatCurrency(result.cost)}${plan ? ' | Smart' : ''}`,
+      logDetails,
       'SUCCESS',
       SOURCES.AUTOPILOT
     );
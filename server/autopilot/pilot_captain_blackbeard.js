@@ -13,6 +13,7 @@ const { getUserId, apiCall } = require('../utils/api');
 const path = require('path');
 const fs = require('fs');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
 
 /**
  * Get hijacking case data with retry logic.
@@ -510,6 +511,35 @@ async function processHijackingCase(userId, caseId, vesselName, offerPercentage,
   }
 }
 
+/**
+ * Dry run for a single hijacking case.
+ * Pirate responses can't be simulated, so only the first counter offer is logged.
+ */
+async function simulateHijackingCase(userId, caseId, vesselName, offerPercentage, maxCounterOffers, maxRetries) {
+  const caseData = await getCaseWithRetry(caseId, maxRetries);
+  if (!caseData || caseData.status === 'solved' || caseData.status === 'paid' || !caseData.requested_amount) {
+    return;
+  }
+
+  const requestedAmount = caseData.requested_amount;
+  const offerAmount = Math.floor(requestedAmount * offerPercentage);
+
+  await logSimulatedAction(
+    userId,
+    CATEGORIES.HIJACKING,
+    'Auto-Blackbeard',
+    `Would have offered ${formatCurrency(offerAmount)} for ${vesselName} (demand ${formatCurrency(requestedAmount)})`,
+    {
+      caseId,
+      vesselName,
+      requestedAmount,
+      offerAmount,
+      maxCounterOffers,
+      cash: caseData.user?.cash
+    }
+  );
+}
+
 /**
  * Automatically negotiates hijacked vessels.
  */
@@ -563,6 +593,11 @@ async function autoNegotiateHijacking(autopilotPaused, broadcastToUser, tryUpdat
         continue;
       }
 
+      if (isDryRun(userId)) {
+        await simulateHijackingCase(userId, caseId, vesselName, OFFER_PERCENTAGE, MAX_COUNTER_OFFERS, MAX_RETRIES);
+        continue;
+      }
+
       try {
         await processHijackingCase(userId, caseId, vesselName, OFFER_PERCENTAGE, MAX_COUNTER_OFFERS, VERIFY_DELAY, MAX_RETRIES, broadcastToUser);
         processed++;
@@ -12,10 +12,14 @@ const state = require('../state');
 const logger = require('../utils/logger');
 const { getUserId } = require('../utils/api');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
 const { saveHarborFee } = require('../utils/harbor-fee-store');
 const { saveContributionGain } = require('../utils/contribution-store');
 const { fetchUserContribution } = require('../gameapi/alliance');
 const { calculateFuelConsumption } = require('../utils/fuel-calculator');
+const { getSkippedVesselIds, recordDepartureRun } = require('../utils/departure-queue-store');
+const { loadVesselOverrides } = require('../utils/vessel-overrides-store');
+const { getFuelCostBasis, estimateTripRevenue, optimizeSpeed } = require('../utils/speed-optimizer');
 
 /**
  * Tracks vessels that failed fuel check to avoid retrying unnecessarily.
@@ -103,9 +107,11 @@ function getTotalCapacity(vessel) {
  * @param {Function} broadcastToUser - WebSocket broadcast function
  * @param {Function} autoRebuyAll - Function to trigger fuel/CO2 rebuy
  * @param {Function} tryUpdateAllData - Function to update all game data
+ * @param {boolean} [dryRun=false] - Run all checks but skip the depart API call (autopilot dry-run mode)
+ * @param {boolean} [force=false] - Force departure from the departure queue: ignores the fuel-failed cache and minimum utilization
  * @returns {Promise<Object>} Result object: { success: boolean, reason?: string, error?: string }
  */
-async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebuyAll, tryUpdateAllData) {
+async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebuyAll, tryUpdateAllData, dryRun = false, force = false) {
   // LOCK: Prevent concurrent departure operations (race condition protection)
   if (state.getLockStatus(userId, 'depart')) {
     logger.debug('[Depart] SKIPPED - Another departure operation is already in progress');
@@ -188,8 +194,12 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
       );
       logger.debug(`[Depart] Filtering ${vesselIds.length} requested vessels, found ${harbourVessels.length} in harbor`);
     } else {
-      // Depart ALL vessels in harbor
-      harbourVessels = allVessels.filter(v => v.status === 'port' && !v.is_parked);
+      // Depart ALL vessels in harbor (except vessels excluded or snoozed in the departure queue)
+      const skippedIds = await getSkippedVesselIds(userId);
+      harbourVessels = allVessels.filter(v => v.status === 'port' && !v.is_parked && !skippedIds.has(v.id));
+      if (skippedIds.size > 0) {
+        logger.debug(`[Depart] ${skippedIds.size} vessel(s) excluded or snoozed in departure queue`);
+      }
     }
 
     logger.debug(`[Depart] Found ${harbourVessels.length} vessels to process (total: ${allVessels.length})`);
@@ -231,12 +241,49 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
     const allDepartedVessels = [];
     const allWarningVessels = [];
     const allHighFeeVessels = [];
+    const simulatedVessels = [];
+
+    // Per-vessel speed, guards and minimum utilization (see vessel-overrides-store)
+    const vesselOverrides = await loadVesselOverrides(userId);
+
+    // Departure queue: why vessels stayed in port, warnings of departed vessels
+    const holds = new Map();
+    const tripWarnings = new Map();
+
+    /**
+     * Records a vessel that stays in port (notification + departure queue)
+     * @param {Object} vessel - Vessel object
+     * @param {string} code - Hold code (see departure-queue-store)
+     * @param {Object} entry - Failed vessel entry { name, destination, reason }
+     */
+    function holdVessel(vessel, code, entry) {
+      failedVessels.push(entry);
+      holds.set(vessel.id, { code, reason: entry.reason, destination: entry.destination });
+    }
+
+    // Speed optimizer: fuel cost is the same for all vessels of this run
+    let fuelCostBasis = null;
+    if (settings.autoDepartSpeedOptimizer) {
+      fuelCostBasis = await getFuelCostBasis(userId, settings);
+      if (fuelCostBasis) {
+        logger.debug(`[Depart] Speed optimizer: ${fuelCostBasis.source} fuel cost $${Math.round(fuelCostBasis.costPerTon)}/t (fuel $${Math.round(fuelCostBasis.fuelPrice)}, CO2 $${Math.round(fuelCostBasis.co2Price)} x ${fuelCostBasis.co2PerFuel.toFixed(2)})`);
+      } else {
+        logger.warn('[Depart] Speed optimizer: no fuel price known yet - using speed settings');
+      }
+    }
 
     const CHUNK_SIZE = 20;
     let processedCount = 0;
 
     // Helper function to send notifications for current batch
     async function sendBatchNotifications() {
+      // Dry run: nothing was sent, so held vessels are not failed departures -
+      // their reasons only go to the departure queue
+      if (dryRun) {
+        failedVessels.length = 0;
+        return;
+      }
+
       // Send combined notification if there are any vessels (departed or failed)
       if (departedVessels.length > 0 || failedVessels.length > 0) {
         const totalIncome = departedVessels.reduce((sum, v) => sum + v.income, 0);
@@ -289,7 +336,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
     for (const vessel of harbourVessels) {
       if (!vessel.route_destination) {
         logger.debug(`[Depart] Skipping ${vessel.name}: no route destination`);
-        failedVessels.push({
+        holdVessel(vessel, 'no_route', {
           name: vessel.name,
           destination: 'Unknown',
           reason: 'No route assigned'
@@ -339,14 +386,15 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
       // Process each vessel individually
       for (const vessel of sortedVessels) {
         const vesselCapacity = getTotalCapacity(vessel);
+        const override = vesselOverrides[vessel.id] || {};
 
         // OPTIMIZATION: Skip vessels that previously failed fuel check (unless fuel increased)
         const vesselCache = fuelFailedVesselsCache.get(userId) || new Map();
-        const cachedFailure = vesselCache.get(vessel.id);
+        const cachedFailure = force ? null : vesselCache.get(vessel.id);
 
         if (cachedFailure) {
           logger.debug(`[Depart] ${vessel.name}: Skipping - already checked with insufficient fuel (need ${cachedFailure.requiredFuel.toFixed(1)}t, had ${cachedFailure.fuelLevel.toFixed(1)}t)`);
-          failedVessels.push({
+          holdVessel(vessel, 'fuel_cached', {
             name: vessel.name,
             destination: destination,
             reason: `Insufficient fuel: need ${cachedFailure.requiredFuel.toFixed(1)}t, have ${bunker.fuel.toFixed(1)}t (cached)`
@@ -358,7 +406,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
         const port = assignedPorts.find(p => p.code === destination);
 
         if (!port) {
-          failedVessels.push({
+          holdVessel(vessel, 'port_not_assigned', {
             name: vessel.name,
             destination: destination,
             reason: 'Port not in assigned ports'
@@ -373,7 +421,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
 
         // Skip if no demand
         if (remainingDemand <= 0) {
-          failedVessels.push({
+          holdVessel(vessel, 'no_demand', {
             name: vessel.name,
             destination: destination,
             reason: `No demand at destination`
@@ -382,9 +430,10 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
         }
 
         // CRITICAL: Check if price-per-TEU is 0 at destination using auto-price API
+        let autoPriceData = null;
         try {
           if (vessel.route_id) {
-            const autoPriceData = await gameapi.fetchAutoPrice(vessel.id, vessel.route_id);
+            autoPriceData = await gameapi.fetchAutoPrice(vessel.id, vessel.route_id);
 
             const dryPrice = autoPriceData?.data?.dry || 0;
             const refPrice = autoPriceData?.data?.ref || 0;
@@ -397,7 +446,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
 
             if (!hasValidPrice) {
               logger.warn(`[Depart] ${vessel.name}: Price per TEU is $0 at ${destination} - BLOCKING departure to avoid losses`);
-              failedVessels.push({
+              holdVessel(vessel, 'zero_price', {
                 name: vessel.name,
                 destination: destination,
                 reason: `CRITICAL: Price per TEU is $0 at destination - would result in losses`
@@ -410,7 +459,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
         } catch (error) {
           logger.error(`[Depart] ${vessel.name}: Failed to fetch auto-price - BLOCKING departure to avoid potential losses`);
           logger.error(`[Depart] Error details: ${error.message}`);
-          failedVessels.push({
+          holdVessel(vessel, 'price_error', {
             name: vessel.name,
             destination: destination,
             reason: `Cannot verify destination price (API error: ${error.message}) - blocking to prevent potential losses`
@@ -421,10 +470,10 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
         // Check utilization
         const cargoToLoad = Math.min(remainingDemand, vesselCapacity);
         const utilizationRate = vesselCapacity > 0 ? cargoToLoad / vesselCapacity : 0;
-        const minUtilization = settings.minCargoUtilization / 100;
+        const minUtilization = (override.minUtilization ?? settings.minCargoUtilization) / 100;
 
-        if (utilizationRate < minUtilization) {
-          failedVessels.push({
+        if (utilizationRate < minUtilization && !force) {
+          holdVessel(vessel, 'low_utilization', {
             name: vessel.name,
             destination: destination,
             reason: `Utilization too low (${(utilizationRate * 100).toFixed(0)}% < ${(minUtilization * 100).toFixed(0)}%)`
@@ -433,20 +482,53 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
         }
 
         // Determine speed and guards
-        let speed, guards;
+        let speed, speedReason;
+        let optimized = null;
+
+        if (override.speed === undefined && fuelCostBasis && autoPriceData && vessel.route_distance) {
+          optimized = optimizeSpeed({
+            vessel,
+            distance: vessel.route_distance,
+            revenue: estimateTripRevenue(vessel, autoPriceData, cargoToLoad),
+            costPerTon: fuelCostBasis.costPerTon,
+            minSpeedPercent: settings.autoDepartOptimizerMinSpeed,
+            maxTravelHours: settings.autoDepartOptimizerMaxHours,
+            userId
+          });
+        }
 
-        if (settings.autoDepartUseRouteDefaults) {
+        if (override.speed !== undefined) {
+          speed = Math.max(1, Math.round(vessel.max_speed * (override.speed / 100)));
+          speedReason = `Vessel override ${override.speed}% of max`;
+        } else if (optimized) {
+          speed = optimized.speed;
+          speedReason = `Optimizer (${fuelCostBasis.source} fuel price): ${optimized.reason}`;
+        } else if (settings.autoDepartUseRouteDefaults) {
           speed = vessel.route_speed || vessel.max_speed;
-          guards = vessel.route_guards;
+          speedReason = 'Route default speed';
         } else {
           const speedPercent = settings.autoVesselSpeed;
           speed = Math.round(vessel.max_speed * (speedPercent / 100));
-          guards = vessel.route_guards;
+          speedReason = `Fixed speed ${speedPercent}% of max`;
+        }
+
+        if (fuelCostBasis && !optimized && override.speed === undefined) {
+          speedReason += ' (optimizer skipped: no fuel or price data)';
         }
 
+        const guards = override.guards ?? vessel.route_guards;
+
+        logger.debug(`[Depart] ${vessel.name}: ${speed} kn, ${guards} guards - ${speedReason}`);
+
         // PRE-CHECK: Calculate and verify sufficient fuel BEFORE attempting departure
         // Uses actual vessel-specific fuel consumption data (kg/nm at reference speeds)
-        let requiredFuel = vessel.route_fuel_required || vessel.fuel_required;
+        // The API value is for the route speed, so optimized and overridden speeds use their own estimate
+        let requiredFuel = null;
+        if (optimized) {
+          requiredFuel = optimized.fuelTons;
+        } else if (override.speed === undefined) {
+          requiredFuel = vessel.route_fuel_required || vessel.fuel_required;
+        }
 
         // If not provided by API, calculate it using vessel-specific fuel consumption data
         if (!requiredFuel && vessel.route_distance) {
@@ -479,7 +561,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
             timestamp: Date.now()
           });
 
-          failedVessels.push({
+          holdVessel(vessel, 'insufficient_fuel', {
             name: vessel.name,
             destination: destination,
             reason: `Insufficient fuel: need ${requiredFuel.toFixed(1)}t, have ${currentFuel.toFixed(1)}t`
@@ -487,6 +569,22 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
           continue;
         }
 
+        // Dry run: all checks passed, record the departure instead of sending the vessel
+        if (dryRun) {
+          logger.debug(`[Depart] Dry run: ${vessel.name} would depart to ${destination} (${cargoToLoad.toFixed(0)} cargo, ${speed} kn)`);
+          simulatedVessels.push({
+            vesselId: vessel.id,
+            name: vessel.name,
+            destination: destination,
+            speed: speed,
+            speedReason: speedReason,
+            cargoToLoad: cargoToLoad,
+            utilization: utilizationRate,
+            fuelRequired: requiredFuel || null
+          });
+          continue;
+        }
+
         try {
           logger.debug(`[Depart] Attempting to depart vessel: name="${vessel.name}", id=${vessel.id}, status="${vessel.status}"`);
 
@@ -540,7 +638,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
               detailedReason = result.errorMessage || 'Failed to depart vessel';
             }
 
-            failedVessels.push({
+            holdVessel(vessel, 'depart_failed', {
               name: vessel.name,
               destination: destination,
               reason: detailedReason
@@ -561,6 +659,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
               destination: result.destination,
               reason: 'Demand exhausted - $0 revenue'
             };
+            tripWarnings.set(vessel.id, { code: 'zero_revenue', reason: warningData.reason });
             warningVessels.push(warningData);
             allWarningVessels.push(warningData);
             continue;
@@ -588,6 +687,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
               reason: hasFeeCalculationBug ? 'Harbor fee exceeds income' : `Harbor fee ${Math.round(feePercentage)}% (threshold: ${harborFeeThreshold}%)`
             };
             allHighFeeVessels.push(highFeeData);
+            tripWarnings.set(vessel.id, { code: 'high_harbor_fee', reason: highFeeData.reason });
           }
 
           // Calculate actual utilization from API response
@@ -616,6 +716,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
             utilization: actualUtilization,  // Use ACTUAL from API
             cargoLoaded: actualCargoLoaded,  // Use ACTUAL from API
             speed: result.speed,
+            speedReason: speedReason,
             guards: result.guards,
             income: result.income,
             harborFee: result.harborFee,
@@ -644,7 +745,7 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
 
         } catch (error) {
           logger.error(`[Depart] Failed to depart ${vessel.name}:`, error.message);
-          failedVessels.push({
+          holdVessel(vessel, 'depart_failed', {
             name: vessel.name,
             destination: destination,
             reason: error.message || 'Unknown error'
@@ -664,6 +765,32 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
       await sendBatchNotifications();
     }
 
+    // Departure queue: keep hold reasons for the Depart Manager
+    try {
+      await recordDepartureRun(userId, {
+        checked: harbourVessels.map(v => v.id),
+        holds,
+        tripWarnings,
+        dryRun
+      });
+    } catch (error) {
+      logger.error('[Depart] Failed to update departure queue:', error.message);
+    }
+
+    // Dry run: nothing departed, unlock the depart button right away
+    if (dryRun && processedCount === 0) {
+      state.setLockStatus(userId, 'depart', false);
+      if (broadcastToUser) {
+        broadcastToUser(userId, 'lock_status', {
+          depart: false,
+          fuelPurchase: state.getLockStatus(userId, 'fuelPurchase'),
+          co2Purchase: state.getLockStatus(userId, 'co2Purchase'),
+          repair: state.getLockStatus(userId, 'repair'),
+          bulkBuy: state.getLockStatus(userId, 'bulkBuy')
+        });
+      }
+    }
+
     // Trigger rebuy and update data after departures
     if (processedCount > 0) {
       await autoRebuyAll();
@@ -776,7 +903,8 @@ async function departVessels(userId, vesselIds = null, broadcastToUser, autoRebu
       totalCO2Used,
       totalHarborFees,
       contributionGained: totalContributionGained > 0 ? totalContributionGained : null,
-      contributionPerVessel: totalContributionGained > 0 && allDepartedVessels.length > 0 ? totalContributionGained / allDepartedVessels.length : null
+      contributionPerVessel: totalContributionGained > 0 && allDepartedVessels.length > 0 ? totalContributionGained / allDepartedVessels.length : null,
+      simulatedVessels
     };
 
   } catch (error) {
@@ -834,7 +962,26 @@ async function autoDepartVessels(autopilotPaused, broadcastToUser, autoRebuyAll,
 
   try {
     // Call universal depart function with all vessels (vesselIds = null)
-    const result = await departVessels(userId, null, broadcastToUser, autoRebuyAll, tryUpdateAllData);
+    const dryRun = isDryRun(userId);
+    const result = await departVessels(userId, null, broadcastToUser, autoRebuyAll, tryUpdateAllData, dryRun);
+
+    // Dry run: log which vessels would have departed
+    if (dryRun && result.success && result.simulatedVessels?.length > 0) {
+      const simulated = result.simulatedVessels;
+      const totalFuel = simulated.reduce((sum, v) => sum + (v.fuelRequired || 0), 0);
+      await logSimulatedAction(
+        userId,
+        CATEGORIES.VESSEL,
+        'Auto-Depart',
+        `Would have departed ${simulated.length} vessel${simulated.length > 1 ? 's' : ''}${totalFuel > 0 ? ` | ~${Math.round(totalFuel).toLocaleString()}t fuel` : ''}`,
+        {
+          vesselCount: simulated.length,
+          totalFuelRequired: totalFuel,
+          simulatedVessels: simulated
+        }
+      );
+      return;
+    }
 
     // Log success to autopilot logbook
     if (result.success && result.reason !== 'no_vessels' && result.departedCount > 0) {
@@ -12,12 +12,16 @@ const state = require('../state');
 const logger = require('../utils/logger');
 const { getUserId, apiCall } = require('../utils/api');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
+const { reserveBudget, releaseBudget, commitBudget } = require('../utils/cash-budget');
+const { loadVesselOverrides } = require('../utils/vessel-overrides-store');
 
 /**
  * Auto send vessels to drydock based on hours_until_check threshold.
  *
  * Decision Logic:
  * 1. Fetches all vessels and filters by hours_until_check <= autoDrydockThreshold
+ *    (vessels with the excludeDrydock override are skipped)
  * 2. Checks minimum cash balance requirement
  * 3. Sends all eligible vessels to drydock using configured type/speed
  * 4. Broadcasts drydock notification with vessel list
@@ -51,13 +55,14 @@ async function autoDrydockVessels(autopilotPaused, broadcastToUser, tryUpdateAll
 
     const bunker = await gameapi.fetchBunkerState();
     const vessels = await gameapi.fetchVessels();
+    const overrides = await loadVesselOverrides(userId);
 
     // Filter vessels that need drydock
     // Skip vessels that already have drydock scheduled (next_route_is_maintenance = true)
     const vesselsNeedingDrydock = vessels.filter(v => {
       const hours = v.hours_until_check !== undefined ? v.hours_until_check : 999;
       const alreadyScheduled = v.next_route_is_maintenance === true;
-      return hours <= threshold && !alreadyScheduled;
+      return hours <= threshold && !alreadyScheduled && !overrides[v.id]?.excludeDrydock;
     });
 
     logger.debug(`[Auto-Drydock] Found ${vesselsNeedingDrydock.length} vessels with hours_until_check <= ${threshold}`);
@@ -109,17 +114,6 @@ async function autoDrydockVessels(autopilotPaused, broadcastToUser, tryUpdateAll
       logger.warn(`[Auto-Drydock] Insufficient funds: Current $${bunker.cash.toLocaleString()} - Cost $${totalCost.toLocaleString()} = $${cashAfterDrydock.toLocaleString()} (below minimum $${minCash.toLocaleString()})`);
       return;
     }
-    logger.debug(`[Auto-Drydock] Sending ${vesselIds.length} vessels to drydock (type: ${maintenanceType}, speed: ${speed})`);
-
-    // Send to drydock
-    await apiCall('/maintenance/do-major-drydock-maintenance-bulk', 'POST', {
-      vessel_ids: JSON.stringify(vesselIds),
-      speed,
-      maintenance_type: maintenanceType
-    });
-
-    logger.info(`[Auto-Drydock] Sent ${vesselIds.length} vessels to drydock (Total cost: $${totalCost.toLocaleString()})`);
-
     // Build vessel list with names, hours, and costs
     const vesselList = vesselsNeedingDrydock.map(vessel => {
       const hours = vessel.hours_until_check !== undefined ? vessel.hours_until_check : 999;
@@ -133,6 +127,48 @@ async function autoDrydockVessels(autopilotPaused, broadcastToUser, tryUpdateAll
       };
     });
 
+    const budget = await reserveBudget(userId, 'drydockMaster', totalCost, bunker.cash);
+    if (!budget.granted) {
+      logger.debug(`[Auto-Drydock] Skipping: Cash budget - ${budget.reason}`);
+      return;
+    }
+
+    // Dry run: log the decision instead of sending vessels to drydock
+    if (isDryRun(userId)) {
+      releaseBudget(budget.reservation);
+      await logSimulatedAction(
+        userId,
+        CATEGORIES.VESSEL,
+        'Auto-Drydock',
+        `Would have sent ${vesselIds.length} vessels to drydock | ${maintenanceType} | ${speed} | ${formatCurrency(totalCost)}`,
+        {
+          vesselCount: vesselIds.length,
+          maintenanceType,
+          speed,
+          totalCost: totalCost,
+          drydockedVessels: vesselList
+        }
+      );
+      return;
+    }
+
+    logger.debug(`[Auto-Drydock] Sending ${vesselIds.length} vessels to drydock (type: ${maintenanceType}, speed: ${speed})`);
+
+    // Send to drydock
+    try {
+      await apiCall('/maintenance/do-major-drydock-maintenance-bulk', 'POST', {
+        vessel_ids: JSON.stringify(vesselIds),
+        speed,
+        maintenance_type: maintenanceType
+      });
+    } catch (error) {
+      releaseBudget(budget.reservation);
+      throw error;
+    }
+    await commitBudget(budget.reservation, totalCost);
+
+    logger.info(`[Auto-Drydock] Sent ${vesselIds.length} vessels to drydock (Total cost: $${totalCost.toLocaleString()})`);
+
     if (broadcastToUser) {
       logger.debug(`[Auto-Drydock] Broadcasting vessels_drydocked event (Desktop notifications: ${settings.enableDesktopNotifications ? 'ENABLED' : 'DISABLED'})`);
 
@@ -12,6 +12,7 @@ const state = require('../state');
 const logger = require('../utils/logger');
 const { getUserId } = require('../utils/api');
 const { auditLog, CATEGORIES, SOURCES } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
 
 /**
  * Automatically sends available COOP vessels to alliance members.
@@ -91,6 +92,36 @@ async function autoCoop(autopilotPaused, broadcastToUser, tryUpdateAllData) {
 
     logger.debug(`[Auto-COOP] Found ${eligibleMembers.length} eligible members`);
 
+    // Dry run: plan the distribution without sending (nothing is sent, so available is not refreshed)
+    if (isDryRun(userId)) {
+      let remaining = available;
+      const plannedDistributions = [];
+      for (const member of eligibleMembers) {
+        if (remaining <= 0) break;
+        const toSend = Math.min(remaining, member.total_vessels);
+        plannedDistributions.push({
+          user_id: member.user_id,
+          company_name: member.company_name,
+          requested: toSend
+        });
+        remaining -= toSend;
+      }
+
+      const totalPlanned = available - remaining;
+      await logSimulatedAction(
+        userId,
+        CATEGORIES.COOP,
+        'Auto-COOP',
+        `Would have sent ${totalPlanned} vessels | ${plannedDistributions.length} members`,
+        {
+          totalVessels: totalPlanned,
+          recipientCount: plannedDistributions.length,
+          distributions: plannedDistributions
+        }
+      );
+      return;
+    }
+
     // Track totals
     let totalSent = 0;
     let totalRequested = 0;
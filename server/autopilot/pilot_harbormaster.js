@@ -12,6 +12,8 @@ const logger = require('../utils/logger');
 const { apiCall } = require('../utils/api');
 const { saveSettings } = require('../settings-schema');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
+const { reserveBudget, releaseBudget, commitBudget } = require('../utils/cash-budget');
 
 // WebSocket broadcasting function (injected)
 let broadcastToUser = null;
@@ -108,23 +110,57 @@ async function autoAnchorPointPurchase(userId) {
       return;
     }
 
+    const budget = await reserveBudget(userId, 'harbormaster', totalCost, bunker.cash);
+    if (!budget.granted) {
+      logger.debug(`[Auto-Anchor] Skipping: Cash budget - ${budget.reason}`);
+      return;
+    }
+
+    // Dry run: log the decision instead of purchasing
+    if (isDryRun(userId)) {
+      releaseBudget(budget.reservation);
+      await logSimulatedAction(
+        userId,
+        CATEGORIES.ANCHOR,
+        'Auto-Anchor',
+        `Would have bought ${amount} point${amount > 1 ? 's' : ''} | -${formatCurrency(totalCost)}`,
+        {
+          amount,
+          pricePerPoint: price,
+          totalCost,
+          remainingCash
+        }
+      );
+      return;
+    }
+
     logger.debug(`[Auto-Anchor] Purchasing ${amount} anchor point(s) @ $${price.toLocaleString()}/point = $${totalCost.toLocaleString()}`);
 
     // Purchase anchor points
-    const purchaseData = await apiCall('/anchor-point/purchase-anchor-points', 'POST', { amount });
+    let purchaseData;
+    try {
+      purchaseData = await apiCall('/anchor-point/purchase-anchor-points', 'POST', { amount });
+    } catch (error) {
+      releaseBudget(budget.reservation);
+      throw error;
+    }
 
     // Check for errors
     if (purchaseData.error) {
+      releaseBudget(budget.reservation);
       logger.debug(`[Auto-Anchor] Purchase failed: ${purchaseData.error.error || 'Unknown error'}`);
       return;
     }
 
     // Check if purchase was not successful
     if (!purchaseData.data?.success) {
+      releaseBudget(budget.reservation);
       logger.debug(`[Auto-Anchor] Purchase not successful (API returned success: false)`);
       return;
     }
 
+    await commitBudget(budget.reservation, totalCost);
+
     // Update bunker cash
     bunker.cash -= totalCost;
     state.updateBunkerState(userId, bunker);
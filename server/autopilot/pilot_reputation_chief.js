@@ -12,6 +12,8 @@ const state = require('../state');
 const logger = require('../utils/logger');
 const { getUserId } = require('../utils/api');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
+const { getAvailableBudget, reserveBudget, releaseBudget, commitBudget } = require('../utils/cash-budget');
 
 /**
  * Auto campaign renewal for a single user.
@@ -71,9 +73,19 @@ async function autoCampaignRenewal(campaignData = null, autopilotPaused, broadca
       logger.debug(`[Auto-Campaign] Cash balance $${bunker.cash.toLocaleString()} below minimum $${minCash.toLocaleString()}`);
       return;
     }
-    let currentCash = bunker.cash;
+    // Pending need = cheapest campaign of every type to renew
+    const need = typesToRenew.reduce((sum, type) => {
+      const prices = availableCampaigns.filter(c => c.option_name === type).map(c => c.price);
+      return sum + (prices.length > 0 ? Math.min(...prices) : 0);
+    }, 0);
+
+    // Spendable = cash limited by the cash budget (caps + cash reserved for higher-priority pilots)
+    let currentCash = Math.min(bunker.cash, await getAvailableBudget(userId, 'reputationChief', bunker.cash, need));
+    // Cash left after the campaigns renewed so far in this run
+    let cashLeft = bunker.cash;
 
     const renewed = [];
+    const dryRun = isDryRun(userId);
 
     for (const type of typesToRenew) {
       // Find best affordable campaign of this type (most expensive that we can afford)
@@ -84,12 +96,30 @@ async function autoCampaignRenewal(campaignData = null, autopilotPaused, broadca
       if (campaignsOfType.length > 0) {
         const campaign = campaignsOfType[0];
 
+        const budget = await reserveBudget(userId, 'reputationChief', campaign.price, cashLeft);
+        if (!budget.granted) {
+          logger.debug(`[Auto-Campaign] Skipping ${type}: Cash budget - ${budget.reason}`);
+          continue;
+        }
+
+        // Dry run: pick campaigns as usual but don't activate them
+        if (dryRun) {
+          releaseBudget(budget.reservation);
+          renewed.push({ type, name: campaign.name, price: campaign.price, duration: campaign.duration });
+          currentCash -= campaign.price;
+          cashLeft -= campaign.price;
+          continue;
+        }
+
         try {
           await gameapi.activateCampaign(campaign.id);
+          await commitBudget(budget.reservation, campaign.price);
           renewed.push({ type, name: campaign.name, price: campaign.price, duration: campaign.duration });
           currentCash -= campaign.price;
+          cashLeft -= campaign.price;
           logger.debug(`[Auto-Campaign] Renewed "${campaign.name}" (${type}) - Cost: $${campaign.price.toLocaleString()}, Duration: ${campaign.duration}h`);
         } catch (error) {
+          releaseBudget(budget.reservation);
           logger.error(`[Auto-Campaign] Failed to renew ${type}:`, error.message);
         }
       } else {
@@ -97,6 +127,22 @@ async function autoCampaignRenewal(campaignData = null, autopilotPaused, broadca
       }
     }
 
+    if (dryRun && renewed.length > 0) {
+      const totalCost = renewed.reduce((sum, r) => sum + r.price, 0);
+      await logSimulatedAction(
+        userId,
+        CATEGORIES.MARKETING,
+        'Auto-Campaign',
+        `Would have renewed ${renewed.length} campaign${renewed.length > 1 ? 's' : ''} | -${formatCurrency(totalCost)}`,
+        {
+          campaignCount: renewed.length,
+          totalCost,
+          renewedCampaigns: renewed
+        }
+      );
+      return;
+    }
+
     if (renewed.length > 0) {
       // Log summary
       const summary = renewed.map(r => `${r.name} (${r.duration}h, $${r.price.toLocaleString()})`).join(', ');
@@ -12,12 +12,16 @@ const state = require('../state');
 const logger = require('../utils/logger');
 const { getUserId } = require('../utils/api');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
+const { reserveBudget, releaseBudget, commitBudget } = require('../utils/cash-budget');
+const { loadVesselOverrides } = require('../utils/vessel-overrides-store');
 
 /**
  * Auto repair vessels for a single user based on wear threshold.
  *
  * Decision Logic:
- * 1. Fetches all vessels and filters by wear >= maintenanceThreshold
+ * 1. Fetches all vessels and filters by wear >= maintenanceThreshold (vessels with
+ *    the excludeRepair override are skipped)
  * 2. Checks minimum cash balance requirement
  * 3. Fetches repair cost for all vessels needing repair
  * 4. If affordable, repairs all vessels in bulk
@@ -55,8 +59,9 @@ async function autoRepairVessels(autopilotPaused, broadcastToUser, tryUpdateAllD
 
     const bunker = await gameapi.fetchBunkerState();
     const vessels = await gameapi.fetchVessels();
+    const overrides = await loadVesselOverrides(userId);
 
-    const vesselsNeedingRepair = vessels.filter(v => v.wear >= threshold);
+    const vesselsNeedingRepair = vessels.filter(v => v.wear >= threshold && !overrides[v.id]?.excludeRepair);
 
     logger.debug(`[Auto-Repair] Found ${vesselsNeedingRepair.length} vessels with wear >= ${threshold}%`);
 
@@ -99,10 +104,6 @@ async function autoRepairVessels(autopilotPaused, broadcastToUser, tryUpdateAllD
 
     // Always attempt repair if we have enough cash
     if (costData.totalCost === 0 || bunker.cash >= costData.totalCost) {
-      const result = await gameapi.bulkRepairVessels(vesselIds);
-
-      logger.info(`[Auto-Repair] Repaired ${result.count} vessels - API returned cost: $${result.totalCost.toLocaleString()}, Calculated cost: $${costData.totalCost.toLocaleString()}`);
-
       // Build vessel list with names, wear, and costs
       const vesselList = vesselsNeedingRepair.map(vessel => {
         // Find cost data for this vessel
@@ -118,6 +119,40 @@ async function autoRepairVessels(autopilotPaused, broadcastToUser, tryUpdateAllD
         };
       });
 
+      const budget = await reserveBudget(userId, 'yardForeman', costData.totalCost, bunker.cash);
+      if (!budget.granted) {
+        logger.debug(`[Auto-Repair] Skipping: Cash budget - ${budget.reason}`);
+        return;
+      }
+
+      // Dry run: log the decision instead of repairing
+      if (isDryRun(userId)) {
+        releaseBudget(budget.reservation);
+        await logSimulatedAction(
+          userId,
+          CATEGORIES.VESSEL,
+          'Auto-Repair',
+          `Would have repaired ${vesselList.length} vessels | -${formatCurrency(costData.totalCost)}`,
+          {
+            vesselCount: vesselList.length,
+            totalCost: costData.totalCost,
+            repairedVessels: vesselList
+          }
+        );
+        return;
+      }
+
+      let result;
+      try {
+        result = await gameapi.bulkRepairVessels(vesselIds);
+      } catch (error) {
+        releaseBudget(budget.reservation);
+        throw error;
+      }
+      await commitBudget(budget.reservation, costData.totalCost);
+
+      logger.info(`[Auto-Repair] Repaired ${result.count} vessels - API returned cost: $${result.totalCost.toLocaleString()}, Calculated cost: $${costData.totalCost.toLocaleString()}`);
+
       if (broadcastToUser) {
         logger.debug(`[Auto-Repair] Broadcasting vessels_repaired event (Desktop notifications: ${settings.enableDesktopNotifications ? 'ENABLED' : 'DISABLED'})`);
 
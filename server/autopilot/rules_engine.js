@@ -0,0 +1,637 @@
+/**
+ * @fileoverview Rule Keeper - User-Defined Autopilot Rules
+ *
+ * Evaluates "when X then Y" rules created in the settings UI, e.g.
+ * "if cash > 50M and anchor price < 2M then buy 10 anchor points".
+ * All conditions of a rule must match (AND). A rule that fired waits for its
+ * own cooldown before it is evaluated again.
+ *
+ * Conditions are checked against cached state (bunker, prices, vessel counts,
+ * badge counts, campaign status), refreshed by the main loop right before the
+ * rules run. The anchor point price is only fetched when a rule needs it.
+ *
+ * @module server/autopilot/rules_engine
+ */
+
+const gameapi = require('../gameapi');
+const state = require('../state');
+const logger = require('../utils/logger');
+const { getUserId, apiCall } = require('../utils/api');
+const { saveSettings } = require('../settings-schema');
+const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../utils/audit-logger');
+const { isDryRun, logSimulatedAction } = require('../utils/dry-run');
+const { getAvailableBudget, reserveBudget, releaseBudget, commitBudget } = require('../utils/cash-budget');
+const { loadRules, markRuleTriggered } = require('../utils/autopilot-rules-store');
+const { departVessels } = require('./pilot_cargo_marshal');
+
+/**
+ * Metrics available in rule conditions
+ */
+const RULE_METRICS = {
+  cash: { label: 'Cash', unit: '$' },
+  fuel: { label: 'Fuel', unit: 't' },
+  fuelPercent: { label: 'Fuel fill level', unit: '%' },
+  co2: { label: 'CO2', unit: 't' },
+  co2Percent: { label: 'CO2 fill level', unit: '%' },
+  points: { label: 'Points', unit: '' },
+  fuelPrice: { label: 'Fuel price', unit: '$/t' },
+  co2Price: { label: 'CO2 price', unit: '$/t' },
+  anchorPrice: { label: 'Anchor point price', unit: '$' },
+  readyToDepart: { label: 'Vessels ready to depart', unit: '' },
+  atAnchor: { label: 'Vessels at anchor', unit: '' },
+  pending: { label: 'Vessels pending delivery', unit: '' },
+  repairCount: { label: 'Vessels needing repair', unit: '' },
+  drydockCount: { label: 'Vessels needing drydock', unit: '' },
+  activeCampaigns: { label: 'Active campaigns', unit: '' }
+};
+
+/**
+ * Actions a rule can trigger. `amount` lists the allowed values or range.
+ */
+const RULE_ACTIONS = {
+  buyFuel: { label: 'Buy fuel (t)', amount: { min: 1, max: 1000000 } },
+  buyCO2: { label: 'Buy CO2 (t)', amount: { min: 1, max: 1000000 } },
+  buyAnchorPoints: { label: 'Buy anchor points', amount: { values: [1, 10] } },
+  departAll: { label: 'Depart all vessels' },
+  repairAll: { label: 'Repair all vessels' },
+  notify: { label: 'Send notification', message: true }
+};
+
+const OPERATORS = {
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b
+};
+
+const MAX_CONDITIONS = 5;
+const MIN_COOLDOWN_MINUTES = 1;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+
+/**
+ * Validates and normalizes a rule submitted by the UI
+ * @param {Object} input - Raw rule from request body
+ * @returns {{ valid: boolean, error?: string, rule?: Object }} Normalized rule (without bookkeeping fields)
+ */
+function validateRule(input) {
+  if (!input || typeof input !== 'object') {
+    return { valid: false, error: 'Rule must be an object' };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name || name.length > 50) {
+    return { valid: false, error: 'Name is required (max 50 characters)' };
+  }
+
+  if (!Array.isArray(input.conditions) || input.conditions.length === 0 || input.conditions.length > MAX_CONDITIONS) {
+    return { valid: false, error: `Between 1 and ${MAX_CONDITIONS} conditions are required` };
+  }
+
+  const conditions = [];
+  for (const condition of input.conditions) {
+    if (!RULE_METRICS[condition?.metric]) {
+      return { valid: false, error: `Unknown metric: ${condition?.metric}` };
+    }
+    if (!OPERATORS[condition.operator]) {
+      return { valid: false, error: `Unknown operator: ${condition.operator}` };
+    }
+    const value = Number(condition.value);
+    if (!Number.isFinite(value)) {
+      return { valid: false, error: `Invalid value for ${RULE_METRICS[condition.metric].label}` };
+    }
+    conditions.push({ metric: condition.metric, operator: condition.operator, value });
+  }
+
+  const actionDef = RULE_ACTIONS[input.action?.type];
+  if (!actionDef) {
+    return { valid: false, error: `Unknown action: ${input.action?.type}` };
+  }
+
+  const action = { type: input.action.type };
+  if (actionDef.amount) {
+    const amount = Number(input.action.amount);
+    const allowed = actionDef.amount.values
+      ? actionDef.amount.values.includes(amount)
+      : Number.isInteger(amount) && amount >= actionDef.amount.min && amount <= actionDef.amount.max;
+    if (!allowed) {
+      const range = actionDef.amount.values
+        ? actionDef.amount.values.join(' or ')
+        : `${actionDef.amount.min} - ${actionDef.amount.max}`;
+      return { valid: false, error: `Invalid amount for ${actionDef.label}. Must be ${range}` };
+    }
+    action.amount = amount;
+  }
+  if (actionDef.message) {
+    const message = typeof input.action.message === 'string' ? input.action.message.trim() : '';
+    if (!message || message.length > 200) {
+      return { valid: false, error: 'Notification message is required (max 200 characters)' };
+    }
+    action.message = message;
+  }
+
+  const cooldownMinutes = Number(input.cooldownMinutes);
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < MIN_COOLDOWN_MINUTES || cooldownMinutes > MAX_COOLDOWN_MINUTES) {
+    return { valid: false, error: `Cooldown must be between ${MIN_COOLDOWN_MINUTES} and ${MAX_COOLDOWN_MINUTES} minutes` };
+  }
+
+  const rule = {
+    name,
+    enabled: input.enabled !== false,
+    conditions,
+    action,
+    cooldownMinutes
+  };
+  if (typeof input.id === 'string' && input.id) {
+    rule.id = input.id;
+  }
+
+  return { valid: true, rule };
+}
+
+/**
+ * Collects current metric values from cached state
+ * @param {number} userId - User ID
+ * @param {boolean} [includeAnchorPrice=false] - Fetch the anchor point price from the game API
+ * @returns {Promise<Object>} Metric values keyed by RULE_METRICS key (null = not available)
+ */
+async function getRuleMetrics(userId, includeAnchorPrice = false) {
+  const bunker = state.getBunkerState(userId);
+  const prices = state.getPrices(userId);
+  const vesselCounts = state.getVesselCounts(userId);
+  const campaignStatus = state.getCampaignStatus(userId);
+
+  const percent = (value, max) => (max > 0 ? Math.round(value / max * 1000) / 10 : null);
+
+  const metrics = {
+    cash: bunker.cash ?? null,
+    fuel: bunker.fuel ?? null,
+    fuelPercent: percent(bunker.fuel, bunker.maxFuel),
+    co2: bunker.co2 ?? null,
+    co2Percent: percent(bunker.co2, bunker.maxCO2),
+    points: bunker.points ?? null,
+    fuelPrice: prices.fuel > 0 ? prices.fuel : null,
+    co2Price: prices.co2 > 0 ? prices.co2 : null,
+    anchorPrice: null,
+    readyToDepart: vesselCounts?.readyToDepart ?? null,
+    atAnchor: vesselCounts?.atAnchor ?? null,
+    pending: vesselCounts?.pending ?? null,
+    repairCount: state.getRepairCount(userId),
+    drydockCount: state.getDrydockCount(userId),
+    activeCampaigns: campaignStatus?.activeCount ?? null
+  };
+
+  if (includeAnchorPrice) {
+    try {
+      const priceData = await apiCall('/anchor-point/get-anchor-price', 'POST', {});
+      metrics.anchorPrice = priceData.data?.price ?? null;
+    } catch (error) {
+      logger.warn(`[Rule Keeper] Failed to fetch anchor price: ${error.message}`);
+    }
+  }
+
+  return metrics;
+}
+
+/**
+ * Checks if all conditions of a rule match. Unavailable metrics never match.
+ * @param {Object} rule - Rule
+ * @param {Object} metrics - Values from getRuleMetrics()
+ * @returns {boolean} True if the rule should fire
+ */
+function conditionsMatch(rule, metrics) {
+  return rule.conditions.every(condition => {
+    const current = metrics[condition.metric];
+    if (current === null || current === undefined) return false;
+    return OPERATORS[condition.operator](current, condition.value);
+  });
+}
+
+/**
+ * Formats conditions for logbook entries (e.g. "cash > 50,000,000 AND fuelPrice < 600")
+ * @param {Object} rule - Rule
+ * @returns {string} Condition text
+ */
+function describeConditions(rule) {
+  return rule.conditions
+    .map(c => `${c.metric} ${c.operator} ${c.value.toLocaleString()}`)
+    .join(' AND ');
+}
+
+/**
+ * Broadcasts updated bunker state after a purchase
+ * @param {number} userId - User ID
+ * @param {Object} bunker - Bunker state
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ */
+function broadcastBunker(userId, bunker, broadcastToUser) {
+  if (!broadcastToUser) return;
+  broadcastToUser(userId, 'bunker_update', {
+    fuel: bunker.fuel,
+    co2: bunker.co2,
+    cash: bunker.cash,
+    maxFuel: bunker.maxFuel,
+    maxCO2: bunker.maxCO2
+  });
+}
+
+/**
+ * Buys fuel or CO2, capped by free bunker space and available cash
+ * @param {number} userId - User ID
+ * @param {Object} rule - Rule
+ * @param {string} commodity - 'fuel' or 'co2'
+ * @param {boolean} dryRun - Skip the purchase
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ * @returns {Promise<Object|null>} { summary, details } or null if nothing can be bought
+ */
+async function executeBunkerPurchase(userId, rule, commodity, dryRun, broadcastToUser) {
+  const isFuel = commodity === 'fuel';
+  const label = isFuel ? 'fuel' : 'CO2';
+  const bunker = state.getBunkerState(userId);
+  const price = state.getPrices(userId)[commodity];
+
+  const space = Math.floor((isFuel ? bunker.maxFuel - bunker.fuel : bunker.maxCO2 - bunker.co2));
+  const need = Math.max(0, Math.min(rule.action.amount, space)) * price;
+  const spendable = Math.min(bunker.cash, await getAvailableBudget(userId, 'ruleKeeper', bunker.cash, need));
+  const affordable = Math.floor(spendable / price);
+  const amount = Math.min(rule.action.amount, space, affordable);
+
+  if (amount <= 0) {
+    logger.debug(`[Rule Keeper] "${rule.name}": cannot buy ${label} (space: ${space}t, affordable within budget: ${affordable}t)`);
+    return null;
+  }
+
+  const totalCost = amount * price;
+  const budget = await reserveBudget(userId, 'ruleKeeper', totalCost, bunker.cash);
+  if (!budget.granted) {
+    logger.debug(`[Rule Keeper] "${rule.name}": cash budget - ${budget.reason}`);
+    return null;
+  }
+
+  const details = { amount, requested: rule.action.amount, price, totalCost };
+  if (dryRun) {
+    releaseBudget(budget.reservation);
+    return { summary: `Would have bought ${amount.toLocaleString()}t ${label} @ ${formatCurrency(price)}/t | -${formatCurrency(totalCost)}`, details };
+  }
+
+  let result;
+  try {
+    result = isFuel
+      ? await gameapi.purchaseFuel(amount, price, userId)
+      : await gameapi.purchaseCO2(amount, price, userId);
+  } catch (error) {
+    releaseBudget(budget.reservation);
+    throw error;
+  }
+  await commitBudget(budget.reservation, result.cost);
+
+  if (isFuel) {
+    bunker.fuel = result.newTotal;
+  } else {
+    bunker.co2 = result.newTotal;
+  }
+  bunker.cash -= result.cost;
+  state.updateBunkerState(userId, bunker);
+  broadcastBunker(userId, bunker, broadcastToUser);
+
+  details.totalCost = result.cost;
+  details.newTotal = result.newTotal;
+  return { summary: `${amount.toLocaleString()}t ${label} @ ${formatCurrency(price)}/t | -${formatCurrency(result.cost)}`, details };
+}
+
+/**
+ * Buys anchor points, respecting the construction timer (see pilot_harbormaster.js)
+ * @param {number} userId - User ID
+ * @param {Object} rule - Rule
+ * @param {Object} metrics - Values from getRuleMetrics()
+ * @param {boolean} dryRun - Skip the purchase
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ * @returns {Promise<Object|null>} { summary, details } or null if a purchase is not possible
+ */
+async function executeAnchorPurchase(userId, rule, metrics, dryRun, broadcastToUser) {
+  // CRITICAL: Buying while construction is active resets the timer and wastes the money
+  const anchorNextBuild = state.getHeaderData(userId)?.anchor?.nextBuild;
+  if (anchorNextBuild && anchorNextBuild > Math.floor(Date.now() / 1000)) {
+    logger.debug(`[Rule Keeper] "${rule.name}": anchor point construction in progress - skipping`);
+    return null;
+  }
+
+  const amount = rule.action.amount;
+  let price = metrics.anchorPrice;
+  if (price === null) {
+    const priceData = await apiCall('/anchor-point/get-anchor-price', 'POST', {});
+    price = priceData.data.price;
+  }
+
+  const bunker = state.getBunkerState(userId);
+  const totalCost = price * amount;
+  if (totalCost > bunker.cash) {
+    logger.debug(`[Rule Keeper] "${rule.name}": insufficient funds for ${amount} anchor point(s) ($${totalCost.toLocaleString()})`);
+    return null;
+  }
+
+  const budget = await reserveBudget(userId, 'ruleKeeper', totalCost, bunker.cash);
+  if (!budget.granted) {
+    logger.debug(`[Rule Keeper] "${rule.name}": cash budget - ${budget.reason}`);
+    return null;
+  }
+
+  const summary = `${amount} anchor point${amount > 1 ? 's' : ''} | -${formatCurrency(totalCost)}`;
+  const details = { amount, pricePerPoint: price, totalCost };
+  if (dryRun) {
+    releaseBudget(budget.reservation);
+    return { summary: `Would have bought ${summary}`, details };
+  }
+
+  let purchaseData;
+  try {
+    purchaseData = await apiCall('/anchor-point/purchase-anchor-points', 'POST', { amount });
+  } catch (error) {
+    releaseBudget(budget.reservation);
+    throw error;
+  }
+  if (purchaseData.error || !purchaseData.data?.success) {
+    releaseBudget(budget.reservation);
+    throw new Error(purchaseData.error?.error || purchaseData.error || 'Anchor point purchase failed');
+  }
+  await commitBudget(budget.reservation, totalCost);
+
+  bunker.cash -= totalCost;
+  state.updateBunkerState(userId, bunker);
+
+  const settings = state.getSettings(userId);
+  settings.pendingAnchorPoints = amount;
+  state.updateSettings(userId, settings);
+  await saveSettings(userId, settings);
+
+  broadcastBunker(userId, bunker, broadcastToUser);
+  if (broadcastToUser) {
+    broadcastToUser(userId, 'anchor_update', { pending: amount });
+  }
+
+  details.constructionStarted = true;
+  return { summary, details };
+}
+
+/**
+ * Departs all vessels in port via the Cargo Marshal depart logic
+ * @param {number} userId - User ID
+ * @param {Object} rule - Rule
+ * @param {Object} metrics - Values from getRuleMetrics()
+ * @param {boolean} dryRun - Skip the departure
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ * @param {Function} autoRebuyAll - Function to trigger fuel/CO2 rebuy
+ * @param {Function} tryUpdateAllData - Function to update all game data
+ * @returns {Promise<Object|null>} { summary, details } or null if nothing departed
+ */
+async function executeDepartAll(userId, rule, metrics, dryRun, broadcastToUser, autoRebuyAll, tryUpdateAllData) {
+  if (!metrics.readyToDepart) {
+    return null;
+  }
+
+  if (dryRun) {
+    return {
+      summary: `Would have departed ${metrics.readyToDepart} vessel${metrics.readyToDepart > 1 ? 's' : ''}`,
+      details: { vesselCount: metrics.readyToDepart }
+    };
+  }
+
+  const result = await departVessels(userId, null, broadcastToUser, autoRebuyAll, tryUpdateAllData);
+  if (!result.success) {
+    throw new Error(result.error || result.reason || 'Departure failed');
+  }
+  if (!result.departedCount) {
+    logger.debug(`[Rule Keeper] "${rule.name}": no vessels departed (${result.reason || 'unknown'})`);
+    return null;
+  }
+
+  return {
+    summary: `${result.departedCount} vessels departed | +${formatCurrency(result.totalRevenue)}`,
+    details: {
+      vesselCount: result.departedCount,
+      totalRevenue: result.totalRevenue,
+      totalFuelUsed: result.totalFuelUsed,
+      totalCO2Used: result.totalCO2Used,
+      totalHarborFees: result.totalHarborFees,
+      departedVessels: result.departedVessels
+    }
+  };
+}
+
+/**
+ * Repairs all vessels at or above the maintenance threshold
+ * @param {number} userId - User ID
+ * @param {Object} rule - Rule
+ * @param {boolean} dryRun - Skip the repair
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ * @returns {Promise<Object|null>} { summary, details } or null if nothing to repair
+ */
+async function executeRepairAll(userId, rule, dryRun, broadcastToUser) {
+  const settings = state.getSettings(userId);
+  const vessels = await gameapi.fetchVessels();
+  const vesselsNeedingRepair = vessels.filter(v => v.wear >= settings.maintenanceThreshold);
+  if (vesselsNeedingRepair.length === 0) {
+    return null;
+  }
+
+  const vesselIds = vesselsNeedingRepair.map(v => v.id);
+  const costData = await gameapi.getMaintenanceCost(vesselIds);
+  const bunker = state.getBunkerState(userId);
+  if (costData.totalCost > bunker.cash) {
+    logger.debug(`[Rule Keeper] "${rule.name}": insufficient funds for repair ($${costData.totalCost.toLocaleString()})`);
+    return null;
+  }
+
+  const budget = await reserveBudget(userId, 'ruleKeeper', costData.totalCost, bunker.cash);
+  if (!budget.granted) {
+    logger.debug(`[Rule Keeper] "${rule.name}": cash budget - ${budget.reason}`);
+    return null;
+  }
+
+  const details = { vesselCount: vesselIds.length, totalCost: costData.totalCost };
+  if (dryRun) {
+    releaseBudget(budget.reservation);
+    return { summary: `Would have repaired ${vesselIds.length} vessels | -${formatCurrency(costData.totalCost)}`, details };
+  }
+
+  let result;
+  try {
+    result = await gameapi.bulkRepairVessels(vesselIds);
+  } catch (error) {
+    releaseBudget(budget.reservation);
+    throw error;
+  }
+  await commitBudget(budget.reservation, costData.totalCost);
+  if (broadcastToUser) {
+    broadcastToUser(userId, 'vessels_repaired', {
+      count: result.count,
+      totalCost: costData.totalCost,
+      vessels: vesselsNeedingRepair.map(v => ({ id: v.id, name: v.name, wear: v.wear }))
+    });
+  }
+
+  const { updateRepairCount } = require('../autopilot');
+  await updateRepairCount();
+
+  return {
+    summary: `${result.count} vessels repaired | -${formatCurrency(costData.totalCost)}`,
+    details: { vesselCount: result.count, totalCost: costData.totalCost }
+  };
+}
+
+/**
+ * Sends the rule's notification to the UI (and desktop if enabled)
+ * @param {number} userId - User ID
+ * @param {Object} rule - Rule
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ * @returns {Object} { summary, details }
+ */
+function executeNotify(userId, rule, broadcastToUser) {
+  const settings = state.getSettings(userId);
+  if (broadcastToUser) {
+    broadcastToUser(userId, 'user_action_notification', {
+      type: 'info',
+      message: `📜 <strong>${escapeForNotification(rule.name)}</strong><br><br>${escapeForNotification(rule.action.message)}`
+    });
+    if (settings.enableDesktopNotifications) {
+      broadcastToUser(userId, 'desktop_notification', {
+        title: `📜 ${rule.name}`,
+        message: rule.action.message,
+        type: 'info'
+      });
+    }
+  }
+  return { summary: `notified: ${rule.action.message}`, details: { message: rule.action.message } };
+}
+
+/**
+ * Escapes user text for the HTML notification body
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeForNotification(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Runs a rule's action
+ * @param {number} userId - User ID
+ * @param {Object} rule - Matched rule
+ * @param {Object} metrics - Values from getRuleMetrics()
+ * @param {boolean} dryRun - Log what would happen instead of calling the game API
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ * @param {Function} autoRebuyAll - Function to trigger fuel/CO2 rebuy
+ * @param {Function} tryUpdateAllData - Function to update all game data
+ * @returns {Promise<Object|null>} { summary, details } or null if the action could not run
+ */
+async function executeAction(userId, rule, metrics, dryRun, broadcastToUser, autoRebuyAll, tryUpdateAllData) {
+  switch (rule.action.type) {
+    case 'buyFuel':
+      return executeBunkerPurchase(userId, rule, 'fuel', dryRun, broadcastToUser);
+    case 'buyCO2':
+      return executeBunkerPurchase(userId, rule, 'co2', dryRun, broadcastToUser);
+    case 'buyAnchorPoints':
+      return executeAnchorPurchase(userId, rule, metrics, dryRun, broadcastToUser);
+    case 'departAll':
+      return executeDepartAll(userId, rule, metrics, dryRun, broadcastToUser, autoRebuyAll, tryUpdateAllData);
+    case 'repairAll':
+      return executeRepairAll(userId, rule, dryRun, broadcastToUser);
+    case 'notify':
+      return executeNotify(userId, rule, broadcastToUser);
+    default:
+      throw new Error(`Unknown action: ${rule.action.type}`);
+  }
+}
+
+/**
+ * Evaluates all enabled rules and runs the actions of matching ones.
+ * Called by the main event loop when autopilotRulesEnabled is set.
+ *
+ * Each fired rule (success, simulated or error) starts its cooldown, so a
+ * failing action is not retried every loop. Rules whose action cannot run
+ * (e.g. bunker full, no vessels in port) do not start the cooldown.
+ *
+ * @async
+ * @param {boolean} autopilotPaused - Autopilot pause state
+ * @param {Function} broadcastToUser - WebSocket broadcast function
+ * @param {Function} autoRebuyAll - Function to trigger fuel/CO2 rebuy
+ * @param {Function} tryUpdateAllData - Function to update all game data
+ * @returns {Promise<void>}
+ */
+async function evaluateRules(autopilotPaused, broadcastToUser, autoRebuyAll, tryUpdateAllData) {
+  if (autopilotPaused) {
+    logger.debug('[Rule Keeper] Skipped - Autopilot is PAUSED');
+    return;
+  }
+
+  const userId = getUserId();
+  if (!userId) return;
+
+  const settings = state.getSettings(userId);
+  if (!settings.autopilotRulesEnabled) {
+    logger.debug('[Rule Keeper] Feature disabled in settings');
+    return;
+  }
+
+  const now = Date.now();
+  const dueRules = (await loadRules(userId)).filter(rule =>
+    rule.enabled && (!rule.lastTriggeredAt || now - rule.lastTriggeredAt >= rule.cooldownMinutes * 60 * 1000)
+  );
+  if (dueRules.length === 0) return;
+
+  const needsAnchorPrice = dueRules.some(rule => rule.conditions.some(c => c.metric === 'anchorPrice'));
+  const metrics = await getRuleMetrics(userId, needsAnchorPrice);
+  const dryRun = isDryRun(userId);
+
+  for (const rule of dueRules) {
+    if (!conditionsMatch(rule, metrics)) continue;
+
+    const conditionText = describeConditions(rule);
+    logger.info(`[Rule Keeper] Rule "${rule.name}" matched (${conditionText}) - running ${rule.action.type}`);
+
+    try {
+      const outcome = await executeAction(userId, rule, metrics, dryRun, broadcastToUser, autoRebuyAll, tryUpdateAllData);
+      if (!outcome) continue;
+
+      const details = { ruleId: rule.id, conditions: conditionText, metrics, action: rule.action, ...outcome.details };
+
+      const summary = `${rule.name}: ${outcome.summary}`;
+      if (dryRun && rule.action.type !== 'notify') {
+        await logSimulatedAction(userId, CATEGORIES.AUTOPILOT, 'Auto-Rule', summary, details);
+        await markRuleTriggered(userId, rule.id, { status: 'SIMULATED', summary });
+        continue;
+      }
+
+      await auditLog(userId, CATEGORIES.AUTOPILOT, 'Auto-Rule', summary, details, 'SUCCESS', SOURCES.AUTOPILOT);
+      await markRuleTriggered(userId, rule.id, { status: 'SUCCESS', summary });
+
+      // Bunker/cash changed - keep following rules in this loop consistent
+      Object.assign(metrics, await getRuleMetrics(userId), { anchorPrice: metrics.anchorPrice });
+    } catch (error) {
+      logger.error(`[Rule Keeper] Rule "${rule.name}" failed:`, error.message);
+      const summary = `${rule.name}: ${rule.action.type} failed: ${error.message}`;
+      await auditLog(
+        userId,
+        CATEGORIES.AUTOPILOT,
+        'Auto-Rule',
+        summary,
+        { ruleId: rule.id, conditions: conditionText, action: rule.action, error: error.message },
+        'ERROR',
+        SOURCES.AUTOPILOT
+      );
+      await markRuleTriggered(userId, rule.id, { status: 'ERROR', summary });
+    }
+  }
+}
+
+module.exports = {
+  RULE_METRICS,
+  RULE_ACTIONS,
+  validateRule,
+  getRuleMetrics,
+  evaluateRules
+};
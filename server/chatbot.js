@@ -20,6 +20,9 @@ const commandExecutor = require('./chatbot/executor');
 const commandHandlers = require('./chatbot/commands');
 const messageSender = require('./chatbot/sender');
 const scheduler = require('./chatbot/scheduler');
+const announcements = require('./chatbot/announcements');
+const polls = require('./chatbot/polls');
+const reminders = require('./chatbot/reminders');
 const logger = require('./utils/logger');
 
 /**
@@ -74,6 +77,15 @@ class ChatBot {
             handleForecastCommand: commandHandlers.handleForecastCommand,
             handleHelpCommand: commandHandlers.handleHelpCommand,
             handleWelcomeCommand: commandHandlers.handleWelcomeCommand,
+            handleCoopCommand: commandHandlers.handleCoopCommand,
+            handleTopCommand: commandHandlers.handleTopCommand,
+            handleLeagueCommand: commandHandlers.handleLeagueCommand,
+            handleStatsCommand: commandHandlers.handleStatsCommand,
+            handlePollCommand: polls.handlePollCommand,
+            handleVoteCommand: polls.handleVoteCommand,
+            handleSignupCommand: polls.handleSignupCommand,
+            handleRemindmeCommand: reminders.handleRemindmeCommand,
+            handleRemindCommand: reminders.handleRemindCommand,
             sendResponse: messageSender.sendResponse
         };
 
@@ -122,6 +134,7 @@ class ChatBot {
         const chatbotInstance = {
             settings: this.settings,
             processedMessages: this.processedMessages,
+            lastCommandTime: this.lastCommandTime,
             executeCommandFn: this.executeCommand.bind(this)
         };
 
@@ -146,6 +159,15 @@ class ChatBot {
         // Restart scheduled tasks with new settings
         this.setupScheduledTasks();
     }
+
+    /**
+     * Reschedule announcements after they were created, edited or deleted
+     * @returns {Promise<void>}
+     */
+    async reloadAnnouncements() {
+        if (!this.settings) return;
+        await announcements.scheduleAnnouncements(this.settings);
+    }
 }
 
 // Create singleton instance
@@ -0,0 +1,297 @@
+/**
+ * @fileoverview ChatBot Scheduled Announcements Module
+ *
+ * User-defined alliance chat announcements (stored via utils/announcement-store.js):
+ *
+ *   {
+ *     name: 'Coop reminder',
+ *     enabled: true,
+ *     schedule: { type: 'weekly', days: [1, 4], time: '18:00' }   // or { type: 'cron', expression: '0 20 1 * *' }
+ *     timezone: 'Europe/Berlin',                                   // IANA timezone of the schedule
+ *     message: 'Coop slots left: {coop_available}',                // Template (see templates.js)
+ *     endDate: '2026-12-31'                                        // Optional, last day (in timezone)
+ *   }
+ *
+ * Every enabled announcement gets its own CronJob while the ChatBot is enabled.
+ * Jobs are rebuilt from disk on startup and whenever settings or announcements
+ * change; runs missed while the app was offline are not repeated. Every post is
+ * written to the logbook ("ChatBot Announcement").
+ *
+ * @module server/chatbot/announcements
+ */
+
+const { CronJob, CronTime } = require('cron');
+const { getUserId, getUserCompanyName } = require('../utils/api');
+const { loadAnnouncements, markAnnouncementPosted } = require('../utils/announcement-store');
+const { validateTemplate, renderTemplate, isValidTimezone } = require('./templates');
+const { sendAllianceMessage, splitMessage } = require('./sender');
+const { triggerImmediateChatRefresh } = require('../websocket');
+const { logAutopilotAction } = require('../logbook');
+const logger = require('../utils/logger');
+
+const MAX_NAME_LENGTH = 50;
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Minimum time between two posts of one announcement (protects the alliance chat from spam)
+ */
+const MIN_INTERVAL_MS = 30 * 60 * 1000;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// announcementId -> CronJob
+const jobs = new Map();
+
+/**
+ * Builds the cron expression of a schedule
+ * @param {object} schedule - { type: 'cron', expression } or { type: 'weekly', days, time }
+ * @returns {string} Cron expression (minute hour day month weekday)
+ */
+function toCronExpression(schedule) {
+    if (schedule.type === 'weekly') {
+        const [hours, minutes] = schedule.time.split(':').map(Number);
+        return `${minutes} ${hours} * * ${schedule.days.join(',')}`;
+    }
+    return schedule.expression;
+}
+
+/**
+ * Formats a timestamp as "YYYY-MM-DD" in a timezone
+ * @param {number} timestamp - Timestamp in ms
+ * @param {string} timezone - IANA timezone
+ * @returns {string} Date
+ */
+function formatDateInTimezone(timestamp, timezone) {
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(new Date(timestamp));
+}
+
+/**
+ * Gets the next run times of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {string} timezone - IANA timezone
+ * @param {number} [count=1] - Number of run times
+ * @returns {Array<number>} Timestamps in ms
+ * @throws {Error} If the expression is invalid
+ */
+function getRunTimes(expression, timezone, count = 1) {
+    const dates = new CronTime(expression, timezone).sendAt(count);
+    return (Array.isArray(dates) ? dates : [dates]).map(date => date.toMillis());
+}
+
+/**
+ * Validates an announcement from the API
+ * @param {object} input - Raw announcement
+ * @returns {{valid: boolean, error?: string, announcement?: object}} Validation result
+ */
+function validateAnnouncement(input) {
+    if (!input || typeof input !== 'object') {
+        return { valid: false, error: 'Announcement must be an object' };
+    }
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { valid: false, error: `Name is required (max ${MAX_NAME_LENGTH} characters)` };
+    }
+
+    const timezone = typeof input.timezone === 'string' && input.timezone ? input.timezone : 'UTC';
+    if (!isValidTimezone(timezone)) {
+        return { valid: false, error: `Unknown timezone: ${timezone}` };
+    }
+
+    let schedule;
+    if (input.schedule?.type === 'weekly') {
+        const days = Array.isArray(input.schedule.days)
+            ? [...new Set(input.schedule.days.map(Number))].filter(day => Number.isInteger(day) && day >= 0 && day <= 6).sort()
+            : [];
+        if (days.length === 0) {
+            return { valid: false, error: 'Select at least one weekday' };
+        }
+        if (!TIME_PATTERN.test(input.schedule.time || '')) {
+            return { valid: false, error: 'Time must be HH:MM' };
+        }
+        schedule = { type: 'weekly', days, time: input.schedule.time };
+    } else if (input.schedule?.type === 'cron') {
+        const expression = typeof input.schedule.expression === 'string' ? input.schedule.expression.trim().replace(/\s+/g, ' ') : '';
+        schedule = { type: 'cron', expression };
+    } else {
+        return { valid: false, error: 'Schedule type must be "weekly" or "cron"' };
+    }
+
+    let runTimes;
+    try {
+        runTimes = getRunTimes(toCronExpression(schedule), timezone, 2);
+    } catch (error) {
+        return { valid: false, error: `Invalid cron expression: ${error.message}` };
+    }
+    if (runTimes.length === 2 && runTimes[1] - runTimes[0] < MIN_INTERVAL_MS) {
+        return { valid: false, error: `Announcements may run at most every ${MIN_INTERVAL_MS / 60000} minutes` };
+    }
+
+    const message = typeof input.message === 'string' ? input.message.trim() : '';
+    if (!message || message.length > MAX_MESSAGE_LENGTH) {
+        return { valid: false, error: `Message is required (max ${MAX_MESSAGE_LENGTH} characters)` };
+    }
+    const template = validateTemplate(message);
+    if (!template.valid) {
+        return { valid: false, error: `Invalid message template: ${template.error}` };
+    }
+
+    let endDate = null;
+    if (input.endDate) {
+        if (!DATE_PATTERN.test(input.endDate) || isNaN(Date.parse(input.endDate))) {
+            return { valid: false, error: 'End date must be YYYY-MM-DD' };
+        }
+        endDate = input.endDate;
+    }
+
+    const announcement = { name, enabled: input.enabled !== false, schedule, timezone, message, endDate };
+    if (typeof input.id === 'string' && input.id) {
+        announcement.id = input.id;
+    }
+    return { valid: true, announcement };
+}
+
+/**
+ * Gets the next run of an announcement
+ * @param {object} announcement - Stored announcement
+ * @returns {number|null} Timestamp in ms, or null if disabled, ended or invalid
+ */
+function getNextRun(announcement) {
+    if (!announcement.enabled) return null;
+
+    try {
+        const [next] = getRunTimes(toCronExpression(announcement.schedule), announcement.timezone);
+        if (announcement.endDate && formatDateInTimezone(next, announcement.timezone) > announcement.endDate) {
+            return null;
+        }
+        return next;
+    } catch (error) {
+        logger.debug(`[ChatBot] Announcement "${announcement.name}" has an invalid schedule:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Lists the announcements of a user with their next run
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Announcements with nextRun (ms or null)
+ */
+async function listAnnouncements(userId) {
+    const announcements = await loadAnnouncements(userId);
+    return announcements.map(announcement => ({ ...announcement, nextRun: getNextRun(announcement) }));
+}
+
+/**
+ * Renders and posts an announcement to alliance chat, then logs it to the logbook
+ * @param {number} userId - User ID
+ * @param {string} announcementId - Announcement ID
+ * @returns {Promise<void>}
+ */
+async function postAnnouncement(userId, announcementId) {
+    // Reload so edits since scheduling are respected
+    const announcement = (await loadAnnouncements(userId)).find(a => a.id === announcementId);
+    if (!announcement?.enabled) return;
+    if (announcement.endDate && formatDateInTimezone(Date.now(), announcement.timezone) > announcement.endDate) {
+        stopJob(announcementId);
+        return;
+    }
+
+    try {
+        const message = await renderTemplate(announcement.message, { userName: getUserCompanyName() || '' });
+        const parts = splitMessage(message);
+        let failedParts = 0;
+        for (const part of parts) {
+            if (!await sendAllianceMessage(part)) failedParts++;
+        }
+        if (failedParts > 0) {
+            throw new Error(`${failedParts} of ${parts.length} message part(s) were not accepted by the game`);
+        }
+
+        const summary = `Posted "${announcement.name}" to alliance chat`;
+        await markAnnouncementPosted(userId, announcement.id, { status: 'SUCCESS', summary });
+        await logAutopilotAction(userId, 'ChatBot Announcement', 'SUCCESS', summary, {
+            announcementId: announcement.id,
+            name: announcement.name,
+            message,
+            parts: parts.length
+        });
+        logger.info(`[ChatBot] ${summary}`);
+
+        if (triggerImmediateChatRefresh) {
+            triggerImmediateChatRefresh();
+        }
+    } catch (error) {
+        logger.error(`[ChatBot] Failed to post announcement "${announcement.name}":`, error);
+        const summary = `Failed to post "${announcement.name}": ${error.message}`;
+        await markAnnouncementPosted(userId, announcement.id, { status: 'ERROR', summary });
+        await logAutopilotAction(userId, 'ChatBot Announcement', 'ERROR', summary, {
+            announcementId: announcement.id,
+            name: announcement.name,
+            error: error.message
+        });
+    }
+
+    if (getNextRun(announcement) === null) {
+        stopJob(announcementId);
+    }
+}
+
+/**
+ * Stops the job of one announcement
+ * @param {string} announcementId - Announcement ID
+ */
+function stopJob(announcementId) {
+    const job = jobs.get(announcementId);
+    if (job) {
+        job.stop();
+        jobs.delete(announcementId);
+    }
+}
+
+/**
+ * Stops all announcement jobs
+ */
+function stopAnnouncements() {
+    for (const announcementId of [...jobs.keys()]) {
+        stopJob(announcementId);
+    }
+}
+
+/**
+ * (Re)creates the jobs of all active announcements
+ * @param {object} settings - ChatBot settings (announcements only run while the ChatBot is enabled)
+ * @returns {Promise<void>}
+ */
+async function scheduleAnnouncements(settings) {
+    stopAnnouncements();
+
+    const userId = getUserId();
+    if (!settings?.enabled || !userId) return;
+
+    const announcements = await loadAnnouncements(userId);
+    for (const announcement of announcements) {
+        if (getNextRun(announcement) === null) continue;
+
+        const job = new CronJob(toCronExpression(announcement.schedule), () => {
+            postAnnouncement(userId, announcement.id).catch(error => {
+                logger.error(`[ChatBot] Announcement "${announcement.name}" failed:`, error);
+            });
+        }, null, true, announcement.timezone);
+        jobs.set(announcement.id, job);
+    }
+
+    if (jobs.size > 0) {
+        logger.debug(`[ChatBot] Scheduled ${jobs.size} announcement(s)`);
+    }
+}
+
+module.exports = {
+    validateAnnouncement,
+    getNextRun,
+    listAnnouncements,
+    postAnnouncement,
+    scheduleAnnouncements,
+    stopAnnouncements
+};
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Alliance Chat Watch Module
+ *
+ * Checks new alliance chat messages against user-defined watch rules
+ * (stored via utils/chat-watch-store.js):
+ *
+ *   {
+ *     name: 'Hijacking',
+ *     enabled: true,
+ *     type: 'keyword',            // 'keyword' (whole words, case-insensitive) or 'regex' (case-insensitive)
+ *     pattern: 'hijack',
+ *     notify: true,               // In-app + desktop notification (chat_watch_alert)
+ *     response: ''                // Optional bot reply in alliance chat (template, see templates.js)
+ *   }
+ *
+ * Messages of the bot owner are never checked (bot replies are sent from that
+ * account). Alerts are rate limited per member so a single member can't flood
+ * notifications, and each rule replies at most once per RESPONSE_COOLDOWN_MS.
+ *
+ * @module server/chatbot/chat-watch
+ */
+
+const { getUserId } = require('../utils/api');
+const { loadWatchRules, recordWatchMatches } = require('../utils/chat-watch-store');
+const { validateTemplate, renderTemplate } = require('./templates');
+const { sendAllianceMessage, splitMessage } = require('./sender');
+const { broadcastToUser, triggerImmediateChatRefresh } = require('../websocket');
+const logger = require('../utils/logger');
+
+const MAX_NAME_LENGTH = 50;
+const MAX_PATTERN_LENGTH = 100;
+const MAX_RESPONSE_LENGTH = 500;
+
+/**
+ * Alerts per member within RATE_WINDOW_MS (further matches are only counted)
+ */
+const MAX_ALERTS_PER_MEMBER = 3;
+const RATE_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Minimum time between two bot replies of the same rule
+ */
+const RESPONSE_COOLDOWN_MS = 5 * 60 * 1000;
+
+/**
+ * Quantified group that is quantified again, e.g. (a+)+ (catastrophic backtracking)
+ */
+const NESTED_QUANTIFIER = /\([^)]*[+*}][^)]*\)[+*{]/;
+
+const WORD_CHARACTER = /[\p{L}\p{N}_]/u;
+
+// userId -> timestamps of recent alerts
+const alertHistory = new Map();
+
+// ruleId -> timestamp of last bot reply
+const lastResponses = new Map();
+
+/**
+ * Compiles the pattern of a regex rule
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp} Case-insensitive expression
+ * @throws {SyntaxError} If the pattern is invalid
+ */
+function compilePattern(pattern) {
+    // eslint-disable-next-line security/detect-non-literal-regexp -- user's own watch rule, nested quantifiers are rejected by validateWatchRule
+    return new RegExp(pattern, 'i');
+}
+
+/**
+ * Validates a watch rule from the settings UI
+ * @param {object} input - Rule data
+ * @returns {{valid: boolean, error?: string, rule?: object}} Validation result with normalized rule
+ */
+function validateWatchRule(input) {
+    if (!input || typeof input !== 'object') {
+        return { valid: false, error: 'Rule must be an object' };
+    }
+
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        return { valid: false, error: `Name is required (max ${MAX_NAME_LENGTH} characters)` };
+    }
+
+    if (input.type !== 'keyword' && input.type !== 'regex') {
+        return { valid: false, error: 'Type must be "keyword" or "regex"' };
+    }
+
+    const pattern = typeof input.pattern === 'string' ? input.pattern.trim() : '';
+    if (!pattern || pattern.length > MAX_PATTERN_LENGTH) {
+        return { valid: false, error: `Pattern is required (max ${MAX_PATTERN_LENGTH} characters)` };
+    }
+    if (input.type === 'regex') {
+        if (NESTED_QUANTIFIER.test(pattern)) {
+            return { valid: false, error: 'Nested quantifiers like (a+)+ are not allowed' };
+        }
+        try {
+            compilePattern(pattern);
+        } catch (error) {
+            return { valid: false, error: error.message };
+        }
+    }
+
+    const response = typeof input.response === 'string' ? input.response.trim() : '';
+    if (response.length > MAX_RESPONSE_LENGTH) {
+        return { valid: false, error: `Response is too long (max ${MAX_RESPONSE_LENGTH} characters)` };
+    }
+    if (response) {
+        const template = validateTemplate(response);
+        if (!template.valid) {
+            return { valid: false, error: `Invalid response template: ${template.error}` };
+        }
+    }
+
+    const notify = input.notify !== false;
+    if (!notify && !response) {
+        return { valid: false, error: 'Enable the notification or enter a response' };
+    }
+
+    const rule = { name, enabled: input.enabled !== false, type: input.type, pattern, notify, response };
+    if (typeof input.id === 'string' && input.id) {
+        rule.id = input.id;
+    }
+    return { valid: true, rule };
+}
+
+/**
+ * Checks if a keyword occurs as whole word(s) in a text
+ * @param {string} text - Message text
+ * @param {string} keyword - Keyword or phrase
+ * @returns {boolean} True if found
+ */
+function containsKeyword(text, keyword) {
+    const haystack = text.toLowerCase();
+    const needle = keyword.toLowerCase();
+
+    let index = haystack.indexOf(needle);
+    while (index !== -1) {
+        const before = haystack[index - 1];
+        const after = haystack[index + needle.length];
+        if ((!before || !WORD_CHARACTER.test(before)) && (!after || !WORD_CHARACTER.test(after))) {
+            return true;
+        }
+        index = haystack.indexOf(needle, index + 1);
+    }
+    return false;
+}
+
+/**
+ * Checks if a rule matches a message
+ * @param {object} rule - Stored rule
+ * @param {string} text - Message text
+ * @returns {boolean} True if matched
+ */
+function matchesRule(rule, text) {
+    if (rule.type === 'keyword') {
+        return containsKeyword(text, rule.pattern);
+    }
+    try {
+        return compilePattern(rule.pattern).test(text);
+    } catch (error) {
+        logger.warn(`[Chat Watch] Rule "${rule.name}" has an invalid pattern: ${error.message}`);
+        return false;
+    }
+}
+
+/**
+ * Takes an alert slot of a member
+ * @param {string} userId - Member's user ID
+ * @param {number} now - Current timestamp (ms)
+ * @returns {boolean} False if the member already caused MAX_ALERTS_PER_MEMBER alerts in the window
+ */
+function takeAlertSlot(userId, now) {
+    const recent = (alertHistory.get(userId) || []).filter(time => now - time < RATE_WINDOW_MS);
+    if (recent.length >= MAX_ALERTS_PER_MEMBER) {
+        alertHistory.set(userId, recent);
+        return false;
+    }
+    recent.push(now);
+    alertHistory.set(userId, recent);
+    return true;
+}
+
+/**
+ * Posts the bot reply of a rule (at most once per RESPONSE_COOLDOWN_MS)
+ * @param {object} rule - Matched rule with response
+ * @param {string} companyName - Name of the member who wrote the message
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Promise<void>}
+ */
+async function respond(rule, companyName, now) {
+    if (now - (lastResponses.get(rule.id) || 0) < RESPONSE_COOLDOWN_MS) {
+        logger.debug(`[Chat Watch] Rule "${rule.name}" replied recently, skipping response`);
+        return;
+    }
+    lastResponses.set(rule.id, now);
+
+    const message = await renderTemplate(rule.response, { userName: companyName });
+    if (!message.trim()) return;
+
+    for (const part of splitMessage(message)) {
+        await sendAllianceMessage(part);
+    }
+    if (triggerImmediateChatRefresh) {
+        triggerImmediateChatRefresh();
+    }
+}
+
+/**
+ * Checks new alliance chat messages against the watch rules
+ * @param {Array<{message: string, userId: number, companyName: string, timeCreated: number}>} messages - New chat messages
+ * @returns {Promise<number>} Number of messages that matched a rule
+ */
+async function processChatMessages(messages) {
+    const ownerId = getUserId();
+    if (!ownerId || messages.length === 0) return 0;
+
+    const rules = (await loadWatchRules(ownerId)).filter(rule => rule.enabled);
+    if (rules.length === 0) return 0;
+
+    let matchedMessages = 0;
+    for (const msg of messages) {
+        if (String(msg.userId) === String(ownerId) || typeof msg.message !== 'string') continue;
+
+        const matched = rules.filter(rule => matchesRule(rule, msg.message));
+        if (matched.length === 0) continue;
+
+        matchedMessages++;
+        await recordWatchMatches(ownerId, matched.map(rule => rule.id));
+
+        const now = Date.now();
+        if (!takeAlertSlot(String(msg.userId), now)) {
+            logger.debug(`[Chat Watch] Rate limit reached for ${msg.companyName}, not alerting`);
+            continue;
+        }
+
+        logger.info(`[Chat Watch] Message from ${msg.companyName} matched: ${matched.map(rule => rule.name).join(', ')}`);
+
+        if (matched.some(rule => rule.notify) && broadcastToUser) {
+            broadcastToUser(ownerId, 'chat_watch_alert', {
+                rules: matched.filter(rule => rule.notify).map(rule => rule.name),
+                company: msg.companyName,
+                userId: msg.userId,
+                message: msg.message,
+                timestamp: msg.timeCreated * 1000
+            });
+        }
+
+        const responder = matched.find(rule => rule.response);
+        if (responder) {
+            try {
+                await respond(responder, msg.companyName, now);
+            } catch (error) {
+                logger.error(`[Chat Watch] Failed to post response of rule "${responder.name}":`, error);
+            }
+        }
+    }
+    return matchedMessages;
+}
+
+module.exports = {
+    validateWatchRule,
+    processChatMessages
+};
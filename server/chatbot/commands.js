@@ -1,7 +1,7 @@
 /**
  * @fileoverview ChatBot Command Handlers Module
  *
- * Handles built-in command logic (forecast, help).
+ * Handles built-in command logic (forecast, help, welcome, coop, top, league, stats).
  * Custom commands are handled by executor.js.
  *
  * @module server/chatbot/commands
@@ -124,6 +124,306 @@ async function generateForecastText(day, timezone) {
     }
 }
 
+/**
+ * Maximum characters for the coop member list (game messages are limited to 1000)
+ */
+const COOP_LIST_MAX_CHARS = 850;
+
+/**
+ * Fetch data from one of our own API endpoints (same data the frontend uses)
+ * @param {string} path - Endpoint path (e.g. '/api/coop/data')
+ * @returns {Promise<*>} Response body
+ */
+async function fetchInternalApi(path) {
+    const axios = require('axios');
+    const { getSessionCookie } = require('../config');
+
+    const response = await axios.get(`https://localhost:12345${path}`, {
+        headers: {
+            'Cookie': `shipping_manager_session=${getSessionCookie()}`
+        },
+        httpsAgent: new (require('https').Agent)({ rejectUnauthorized: false })
+    });
+
+    return response.data;
+}
+
+/**
+ * Fetch coop data (same data pilot_fair_hand.js uses)
+ * Members include company_name and can_receive_coop (no restrictions)
+ * @returns {Promise<object>} Coop data { coop: {...}, members_coop: [...] }
+ */
+async function fetchCoopData() {
+    const data = await fetchInternalApi('/api/coop/data');
+    return data?.data || {};
+}
+
+/**
+ * Handle coop command
+ * !coop    - List members who can still receive coop vessels
+ * !coop me - DM the caller's own sent/received numbers
+ * @param {Array<string>} args - Command arguments ['me'] or []
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {Function} sendResponseFn - Function to send response
+ */
+async function handleCoopCommand(args, userId, userName, config, isDM, sendResponseFn) {
+    const data = await fetchCoopData();
+    const coop = data.coop || {};
+    const members = data.members_coop || [];
+
+    if (args[0]?.toLowerCase() === 'me') {
+        const member = members.find(m => String(m.user_id) === String(userId));
+        // The bot owner is not part of members_coop - their numbers are in data.coop
+        const stats = member || (String(userId) === String(getUserId()) ? coop : null);
+
+        if (!stats) {
+            logger.debug(`[ChatBot] Coop stats not found for user ${userId}`);
+            return;
+        }
+
+        let text = `🤝 Your COOP Stats\n\n`;
+        text += `Sent this season: ${stats.sent_this_season ?? 0}\n`;
+        text += `Received this season: ${stats.received_this_season ?? 0}\n`;
+        if (stats.sent_last_season !== undefined) {
+            text += `Sent last season: ${stats.sent_last_season}\n`;
+        }
+        text += `Sent total: ${stats.sent_historical ?? 0}\n`;
+        text += `Received total: ${stats.received_historical ?? 0}`;
+
+        // Personal stats always go to the caller via DM
+        await sendResponseFn(text, 'dm', userId, true);
+        return;
+    }
+
+    // Same filter as Auto-COOP: no restrictions and at least one vessel
+    const eligible = members
+        .filter(m => m.can_receive_coop === true && m.total_vessels > 0)
+        .sort((a, b) => (a.received_this_season || 0) - (b.received_this_season || 0));
+
+    let text = `🤝 COOP Status\n\n`;
+    text += `Available to send: ${coop.available ?? 0}`;
+    if (coop.cap) {
+        text += ` (cap ${coop.cap})`;
+    }
+    text += `\n\n`;
+
+    if (eligible.length === 0) {
+        text += `No members can receive COOP right now.`;
+    } else {
+        text += `Can receive (${eligible.length}):\n`;
+        let list = '';
+        for (let i = 0; i < eligible.length; i++) {
+            const line = `• ${eligible[i].company_name} (received: ${eligible[i].received_this_season || 0})\n`;
+            if (list.length + line.length > COOP_LIST_MAX_CHARS) {
+                list += `…and ${eligible.length - i} more\n`;
+                break;
+            }
+            list += line;
+        }
+        text += list.trimEnd();
+    }
+
+    await sendResponseFn(text, config.responseType || 'public', userId, isDM);
+}
+
+/**
+ * Number of entries in leaderboards
+ */
+const LEADERBOARD_SIZE = 10;
+
+/**
+ * Member stat periods: argument -> key in /api/alliance-members stats
+ */
+const STAT_PERIODS = {
+    '24h': { key: 'last_24h', label: '24h' },
+    season: { key: 'last_season', label: 'Season' },
+    lifetime: { key: 'lifetime', label: 'Lifetime' }
+};
+
+/**
+ * Leaderboard types for !top
+ */
+const TOP_TYPES = ['contribution', 'departures', 'alliances'];
+
+/**
+ * Format a number for chat output
+ * @param {number|null|undefined} value - Number
+ * @returns {string} "1,234" or "-"
+ */
+function formatStat(value) {
+    return typeof value === 'number' ? value.toLocaleString('en-US') : '-';
+}
+
+/**
+ * Rank prefix for leaderboard lines
+ * @param {number} position - 1-based position
+ * @returns {string} Medal or "#4"
+ */
+function formatRank(position) {
+    return ['🥇', '🥈', '🥉'][position - 1] || `#${position}`;
+}
+
+/**
+ * Handle top command
+ * !top [contribution|departures] [24h|season|lifetime] - Top alliance members
+ * !top alliances - Global alliance high scores
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {Function} sendResponseFn - Function to send response
+ */
+async function handleTopCommand(args, userId, userName, config, isDM, sendResponseFn) {
+    const type = (args[0] || 'contribution').toLowerCase();
+    let text;
+
+    if (type === 'alliances') {
+        const highscores = await fetchInternalApi('/api/alliance-high-scores?score=contribution');
+        const alliances = (highscores?.alliances || []).slice(0, LEADERBOARD_SIZE);
+        if (alliances.length === 0) {
+            logger.debug('[ChatBot] No alliance high scores available');
+            return;
+        }
+
+        text = `🏆 Top ${alliances.length} Alliances (Contribution)\n\n`;
+        text += alliances.map((alliance, i) =>
+            `${formatRank(i + 1)} ${alliance.name} - ${formatStat(alliance.stats?.contribution)}`
+        ).join('\n');
+    } else {
+        const period = STAT_PERIODS[(args[1] || 'season').toLowerCase()];
+        const data = await fetchInternalApi('/api/alliance-members');
+        const members = (data?.members || [])
+            .filter(m => typeof m.stats?.[period.key]?.[type] === 'number')
+            .sort((a, b) => b.stats[period.key][type] - a.stats[period.key][type])
+            .slice(0, LEADERBOARD_SIZE);
+        if (members.length === 0) {
+            logger.debug(`[ChatBot] No member ${type} stats available`);
+            return;
+        }
+
+        const title = type === 'departures' ? 'Departures' : 'Contribution';
+        text = `🏆 Top ${members.length} ${title} (${period.label})\n\n`;
+        text += members.map((member, i) =>
+            `${formatRank(i + 1)} ${member.company_name} - ${formatStat(member.stats[period.key][type])}`
+        ).join('\n');
+    }
+
+    await sendResponseFn(text, config.responseType || 'public', userId, isDM);
+}
+
+/**
+ * Build the league standings text (own group)
+ * @param {object} leagueInfo - Response of /api/league-info
+ * @returns {string|null} Standings text or null if no league data
+ */
+function formatLeagueStandings(leagueInfo) {
+    const league = leagueInfo?.league;
+    if (!league?.alliances?.length) {
+        return null;
+    }
+
+    const ownAllianceId = leagueInfo.user_alliance_id;
+    const standings = [...league.alliances].sort((a, b) => a.group_position - b.group_position);
+    const seasonEnd = new Date(league.time_season_end * 1000).toISOString().slice(0, 10);
+
+    let text = `🏅 League ${league.level} - Group ${league.group}\n`;
+    text += `Season ends: ${seasonEnd}\n\n`;
+    text += standings.map(alliance => {
+        const marker = alliance.id === ownAllianceId ? ' ⬅️' : '';
+        const promotion = alliance.promotion ? ' ↑' : '';
+        return `${formatRank(alliance.group_position)} ${alliance.name} - ${formatStat(alliance.stats?.season_contribution_score)}${promotion}${marker}`;
+    }).join('\n');
+    return text;
+}
+
+/**
+ * Handle league command - posts the league group standings of our alliance
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {Function} sendResponseFn - Function to send response
+ */
+async function handleLeagueCommand(userId, userName, config, isDM, sendResponseFn) {
+    const text = formatLeagueStandings(await fetchInternalApi('/api/league-info'));
+    if (!text) {
+        logger.debug('[ChatBot] No league data available');
+        return;
+    }
+    await sendResponseFn(text, config.responseType || 'public', userId, isDM);
+}
+
+/**
+ * Find an alliance member by "[UserID]", user ID or (partial) company name
+ * @param {Array<object>} members - Members from /api/alliance-members
+ * @param {string} query - Search text
+ * @returns {object|undefined} Member
+ */
+function findMember(members, query) {
+    const idMatch = query.match(/^\[?(\d+)\]?$/);
+    if (idMatch) {
+        return members.find(m => String(m.user_id) === idMatch[1]);
+    }
+
+    const name = query.toLowerCase();
+    return members.find(m => m.company_name?.toLowerCase() === name) ||
+        members.find(m => m.company_name?.toLowerCase().startsWith(name)) ||
+        members.find(m => m.company_name?.toLowerCase().includes(name));
+}
+
+/**
+ * Handle stats command - contribution of one member and the alliance's league standing
+ * !stats           - Caller's own stats
+ * !stats <member>  - Stats of a member (name, @mention or user ID)
+ * @param {Array<string>} args - Command arguments (member name may contain spaces)
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {Function} sendResponseFn - Function to send response
+ */
+async function handleStatsCommand(args, userId, userName, config, isDM, sendResponseFn) {
+    const [membersData, leagueInfo] = await Promise.all([
+        fetchInternalApi('/api/alliance-members'),
+        fetchInternalApi('/api/league-info').catch(error => {
+            logger.debug('[ChatBot] League info unavailable for stats:', error.message);
+            return null;
+        })
+    ]);
+    const members = membersData?.members || [];
+
+    const query = args.join(' ').trim();
+    const member = query ? findMember(members, query) : members.find(m => String(m.user_id) === String(userId));
+    if (!member) {
+        logger.debug(`[ChatBot] Stats: member "${query || userId}" not found`);
+        return;
+    }
+
+    // Rank within the alliance by season contribution
+    const seasonRank = [...members]
+        .sort((a, b) => (b.stats?.last_season?.contribution || 0) - (a.stats?.last_season?.contribution || 0))
+        .findIndex(m => m.user_id === member.user_id) + 1;
+
+    let text = `📊 Stats for ${member.company_name}\n\n`;
+    for (const period of Object.values(STAT_PERIODS)) {
+        const stats = member.stats?.[period.key] || {};
+        text += `${period.label}: ${formatStat(stats.contribution)} contribution, ${formatStat(stats.departures)} departures\n`;
+    }
+    text += `Alliance rank (season): #${seasonRank} of ${members.length}`;
+
+    const league = leagueInfo?.league;
+    const ownAlliance = league?.alliances?.find(a => a.id === leagueInfo.user_alliance_id);
+    if (ownAlliance) {
+        text += `\nLeague ${league.level} - Group ${league.group}: #${ownAlliance.group_position} of ${league.alliances.length}`;
+    }
+
+    await sendResponseFn(text, config.responseType || 'public', userId, isDM);
+}
+
 /**
  * Handle help command
  * @param {string} userId - User ID
@@ -152,6 +452,69 @@ async function handleHelpCommand(userId, userName, config, isDM, settings, sendR
         helpText += `PST, PDT, MST, MDT, CST, CDT, EST, EDT, GMT, BST, WET, WEST, CET, CEST, EET, EEST, JST, KST, IST, AEST, AEDT, ACST, ACDT, AWST, NZST, NZDT, UTC\n\n`;
     }
 
+    if (settings.commands.coop?.enabled) {
+        helpText += `👉 COOP status\n\n`;
+        helpText += `${prefix}coop\n`;
+        helpText += `• Members who can still receive COOP\n`;
+        helpText += `${prefix}coop me\n`;
+        helpText += `• Your own sent/received numbers (via DM)\n\n`;
+    }
+
+    if (settings.commands.top?.enabled) {
+        helpText += `👉 Leaderboards\n\n`;
+        helpText += `${prefix}top [contribution|departures] [24h|season|lifetime]\n`;
+        helpText += `${prefix}top alliances\n\n`;
+    }
+
+    if (settings.commands.league?.enabled) {
+        helpText += `👉 League standings\n\n`;
+        helpText += `${prefix}league\n\n`;
+    }
+
+    if (settings.commands.stats?.enabled) {
+        helpText += `👉 Member stats\n\n`;
+        helpText += `${prefix}stats [member]\n`;
+        helpText += `• member: name or @Username (default: you)\n\n`;
+    }
+
+    if (settings.commands.poll?.enabled) {
+        helpText += `👉 Polls\n\n`;
+        helpText += `${prefix}poll "Question?" option1 option2 ...\n`;
+        helpText += `• Use quotes for options with spaces\n`;
+        helpText += `${prefix}poll\n`;
+        helpText += `• Open polls and current results\n`;
+        helpText += `${prefix}poll close <id>\n\n`;
+    }
+
+    if (settings.commands.vote?.enabled) {
+        helpText += `👉 Vote\n\n`;
+        helpText += `${prefix}vote [poll id] <number>\n`;
+        helpText += `• Without poll id: newest open poll\n\n`;
+    }
+
+    if (settings.commands.signup?.enabled) {
+        helpText += `👉 Sign-up lists\n\n`;
+        helpText += `${prefix}signup <list>\n`;
+        helpText += `• Join a list (opens it if it doesn't exist)\n`;
+        helpText += `${prefix}signup <list> leave|close\n`;
+        helpText += `${prefix}signup\n`;
+        helpText += `• Open lists\n\n`;
+    }
+
+    if (settings.commands.remindme?.enabled) {
+        helpText += `👉 Reminders\n\n`;
+        helpText += `${prefix}remindme <duration> <text>\n`;
+        helpText += `• duration: e.g. 30m, 2h, 1d, 1h30m\n`;
+        helpText += `• Delivered to you via DM\n`;
+        helpText += `${prefix}remindme list|cancel <id>\n\n`;
+    }
+
+    if (settings.commands.remind?.enabled) {
+        helpText += `👉 Remind a member\n\n`;
+        helpText += `${prefix}remind @Username <duration> <text>\n`;
+        helpText += `⚠️ Admin only by default: CEO, COO, Management, Interim CEO\n\n`;
+    }
+
     if (settings.commands.help?.enabled) {
         helpText += `👉 Show help\n\n`;
         helpText += `${prefix}help\n\n`;
@@ -166,9 +529,10 @@ async function handleHelpCommand(userId, userName, config, isDM, settings, sendR
 
     // Custom commands
     for (const cmd of settings.customCommands || []) {
-        if (cmd.enabled) {
+        const trigger = cmd.command || cmd.trigger;
+        if (trigger && cmd.enabled !== false) {
             helpText += `👉 ${cmd.description || 'Custom command'}\n\n`;
-            helpText += `${prefix}${cmd.trigger}`;
+            helpText += `${prefix}${trigger}`;
             if (cmd.adminOnly) {
                 helpText += ' (admin only)';
             }
@@ -242,5 +606,13 @@ module.exports = {
     handleForecastCommand,
     generateForecastText,
     handleHelpCommand,
-    handleWelcomeCommand
+    handleWelcomeCommand,
+    handleCoopCommand,
+    handleTopCommand,
+    handleLeagueCommand,
+    handleStatsCommand,
+    fetchInternalApi,
+    findMember,
+    TOP_TYPES,
+    STAT_PERIODS
 };
@@ -2,11 +2,14 @@
  * @fileoverview ChatBot Command Executor Module
  *
  * Routes parsed commands to appropriate handlers.
- * Handles both built-in commands (forecast, help) and custom commands.
+ * Handles both built-in commands (forecast, help, coop, leaderboards, polls, reminders) and custom commands.
+ * Custom command responses are templates (see templates.js).
  *
  * @module server/chatbot/executor
  */
 
+const { renderTemplate } = require('./templates');
+
 /**
  * Execute a command
  * @param {string} command - Command name
@@ -19,11 +22,25 @@
  * @param {Function} handlers.handleForecastCommand - Forecast command handler
  * @param {Function} handlers.handleHelpCommand - Help command handler
  * @param {Function} handlers.handleWelcomeCommand - Welcome command handler
+ * @param {Function} handlers.handleCoopCommand - Coop command handler
+ * @param {Function} handlers.handleTopCommand - Top (leaderboard) command handler
+ * @param {Function} handlers.handleLeagueCommand - League command handler
+ * @param {Function} handlers.handleStatsCommand - Member stats command handler
+ * @param {Function} handlers.handlePollCommand - Poll command handler
+ * @param {Function} handlers.handleVoteCommand - Vote command handler
+ * @param {Function} handlers.handleSignupCommand - Sign-up list command handler
+ * @param {Function} handlers.handleRemindmeCommand - Remindme command handler
+ * @param {Function} handlers.handleRemindCommand - Remind (member) command handler
  * @param {Function} handlers.sendResponse - Response sender function
- * @param {object} settings - ChatBot settings (for help command)
+ * @param {object} settings - ChatBot settings (for help, poll, signup and reminder commands)
  */
 async function executeCommand(command, args, userId, userName, config, isDM, handlers, settings) {
-    const { handleForecastCommand, handleHelpCommand, handleWelcomeCommand, sendResponse } = handlers;
+    const {
+        handleForecastCommand, handleHelpCommand, handleWelcomeCommand, handleCoopCommand,
+        handleTopCommand, handleLeagueCommand, handleStatsCommand,
+        handlePollCommand, handleVoteCommand, handleSignupCommand,
+        handleRemindmeCommand, handleRemindCommand, sendResponse
+    } = handlers;
 
     switch (command) {
         case 'forecast':
@@ -38,10 +55,49 @@ async function executeCommand(command, args, userId, userName, config, isDM, han
             await handleWelcomeCommand(args, userName);
             break;
 
+        case 'coop':
+            await handleCoopCommand(args, userId, userName, config, isDM, sendResponse);
+            break;
+
+        case 'top':
+            await handleTopCommand(args, userId, userName, config, isDM, sendResponse);
+            break;
+
+        case 'league':
+            await handleLeagueCommand(userId, userName, config, isDM, sendResponse);
+            break;
+
+        case 'stats':
+            await handleStatsCommand(args, userId, userName, config, isDM, sendResponse);
+            break;
+
+        case 'poll':
+            await handlePollCommand(args, userId, userName, config, isDM, settings, sendResponse);
+            break;
+
+        case 'vote':
+            await handleVoteCommand(args, userId, userName, config, isDM, sendResponse);
+            break;
+
+        case 'signup':
+            await handleSignupCommand(args, userId, userName, config, isDM, settings, sendResponse);
+            break;
+
+        case 'remindme':
+            await handleRemindmeCommand(args, userId, userName, config, isDM, settings, sendResponse);
+            break;
+
+        case 'remind':
+            await handleRemindCommand(args, userId, userName, config, isDM, settings, sendResponse);
+            break;
+
         default:
-            // Custom command
+            // Custom command - resolve template placeholders with live data
             if (config.message) {
-                await sendResponse(config.message, config.responseType, userId, isDM);
+                const message = await renderTemplate(config.message, { args, userName });
+                if (message.trim()) {
+                    await sendResponse(message, config.responseType, userId, isDM);
+                }
             }
             break;
     }
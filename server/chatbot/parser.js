@@ -2,33 +2,18 @@
  * @fileoverview ChatBot Message Parser Module
  *
  * Parses incoming alliance chat and private messages for commands.
- * Handles command resolution, cooldowns, validation, and execution routing.
+ * Handles command resolution, permissions, cooldowns, validation, and execution routing.
  *
  * @module server/chatbot/parser
  */
 
-const { getUserId, apiCall } = require('../utils/api');
+const { getUserId } = require('../utils/api');
 const { getSettingsFilePath } = require('../settings-schema');
 const logger = require('../utils/logger');
-
-/**
- * Check if user has management role in alliance (CEO, COO, Management, Interim CEO)
- * @param {number} userId - User ID to check
- * @returns {Promise<boolean>} True if user has management role
- */
-async function hasManagementRole(userId) {
-    try {
-        const response = await apiCall('/alliance/get-alliance-members', 'POST', {});
-        const members = response?.data?.members || response?.members || [];
-        const member = members.find(m => m.user_id === userId);
-        const role = member?.role || 'member';
-        const allowedRoles = ['ceo', 'coo', 'management', 'interimceo'];
-        return allowedRoles.includes(role);
-    } catch (error) {
-        logger.error('[ChatBot] Error checking management role:', error);
-        return false; // Fail-secure: deny access on error
-    }
-}
+const { TOP_TYPES, STAT_PERIODS } = require('./commands');
+const { isUserAllowed, getCooldownSeconds } = require('./permissions');
+const { validatePollArguments, validateVoteArguments, validateSignupArguments } = require('./polls');
+const { validateRemindmeArguments, validateRemindArguments } = require('./reminders');
 
 /**
  * Resolve command name from input (including aliases)
@@ -55,6 +40,16 @@ function resolveCommandName(input, settings) {
     return null;
 }
 
+/**
+ * Get the trigger of a custom command
+ * The settings UI stores it as `command`, older entries use `trigger`
+ * @param {object} cmd - Custom command object
+ * @returns {string} Lowercase trigger (empty if not set)
+ */
+function getCustomCommandTrigger(cmd) {
+    return String(cmd.command || cmd.trigger || '').trim().toLowerCase();
+}
+
 /**
  * Find custom command by trigger
  * @param {string} trigger - Command trigger string
@@ -63,26 +58,79 @@ function resolveCommandName(input, settings) {
  */
 function findCustomCommand(trigger, settings) {
     return settings.customCommands?.find(cmd =>
-        cmd.trigger.toLowerCase() === trigger.toLowerCase()
+        getCustomCommandTrigger(cmd) === trigger.toLowerCase()
     );
 }
 
+/**
+ * Execute a custom command (permission check, cooldown, template response)
+ * @param {object} customCmd - Custom command object from settings
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {object} chatbotInstance - ChatBot instance (settings, lastCommandTime, executeCommandFn)
+ * @returns {Promise<boolean>} True if the command was executed
+ */
+async function executeCustomCommand(customCmd, args, userId, userName, isDM, chatbotInstance) {
+    const { settings, lastCommandTime, executeCommandFn } = chatbotInstance;
+    const trigger = getCustomCommandTrigger(customCmd);
+    const channel = isDM ? 'dm' : 'alliance';
+
+    if (!await isUserAllowed(trigger, userId, channel, settings, customCmd.adminOnly === true)) {
+        logger.debug(`[ChatBot] User ${userId} not permitted to use custom command ${trigger} in ${channel}`);
+        return false;
+    }
+
+    if (isOnCooldown(userId, trigger, lastCommandTime, settings, channel)) {
+        logger.debug(`[ChatBot] Custom command ${trigger} on cooldown for user ${userId}`);
+        return false;
+    }
+
+    const config = {
+        message: customCmd.response ?? customCmd.message,
+        responseType: isDM ? 'dm' : 'public',
+        adminOnly: customCmd.adminOnly === true
+    };
+
+    try {
+        await executeCommandFn(trigger, args, userId, userName, config, isDM);
+        updateCooldown(userId, trigger, lastCommandTime, channel);
+    } catch (error) {
+        logger.error(`[ChatBot] Error executing custom command ${trigger}:`, error);
+        // Errors ONLY go to console - no messages to users!
+    }
+    return true;
+}
+
+/**
+ * Get the key a command's cooldown is stored under (alliance and DM cooldowns are separate)
+ * @param {string} command - Command name
+ * @param {string} channel - 'alliance' or 'dm'
+ * @returns {string} Cooldown key
+ */
+function getCooldownKey(command, channel) {
+    return channel === 'dm' ? `dm:${command}` : command;
+}
+
 /**
  * Check if command is on cooldown
+ * Uses the command's own cooldown from the permission matrix, or the global one
  * @param {string} userId - User ID
  * @param {string} command - Command name
  * @param {Map} lastCommandTime - Map of user cooldowns (userId -> { command -> timestamp })
  * @param {object} settings - ChatBot settings
+ * @param {string} [channel='alliance'] - 'alliance' or 'dm'
  * @returns {boolean} True if on cooldown
  */
-function isOnCooldown(userId, command, lastCommandTime, settings) {
+function isOnCooldown(userId, command, lastCommandTime, settings, channel = 'alliance') {
     const userCooldowns = lastCommandTime.get(userId);
     if (!userCooldowns) return false;
 
-    const lastTime = userCooldowns[command];
+    const lastTime = userCooldowns[getCooldownKey(command, channel)];
     if (!lastTime) return false;
 
-    const cooldownMs = (settings.allianceCommands?.cooldownSeconds || 30) * 1000;
+    const cooldownMs = getCooldownSeconds(command, channel, settings) * 1000;
     return Date.now() - lastTime < cooldownMs;
 }
 
@@ -91,12 +139,13 @@ function isOnCooldown(userId, command, lastCommandTime, settings) {
  * @param {string} userId - User ID
  * @param {string} command - Command name
  * @param {Map} lastCommandTime - Map of user cooldowns
+ * @param {string} [channel='alliance'] - 'alliance' or 'dm'
  */
-function updateCooldown(userId, command, lastCommandTime) {
+function updateCooldown(userId, command, lastCommandTime, channel = 'alliance') {
     if (!lastCommandTime.has(userId)) {
         lastCommandTime.set(userId, {});
     }
-    lastCommandTime.get(userId)[command] = Date.now();
+    lastCommandTime.get(userId)[getCooldownKey(command, channel)] = Date.now();
 }
 
 /**
@@ -117,12 +166,60 @@ function validateCommandArguments(command, args) {
         case 'welcome':
             return validateWelcomeArguments(args);
 
+        case 'coop':
+            // No arguments (status) or "me" (own stats)
+            return args.length === 0 || (args.length === 1 && args[0].toLowerCase() === 'me');
+
+        case 'top':
+            return validateTopArguments(args);
+
+        case 'league':
+            return args.length === 0;
+
+        case 'stats':
+            // Optional member name (may contain spaces)
+            return true;
+
+        case 'poll':
+            return validatePollArguments(args);
+
+        case 'vote':
+            return validateVoteArguments(args);
+
+        case 'signup':
+            return validateSignupArguments(args);
+
+        case 'remindme':
+            return validateRemindmeArguments(args);
+
+        case 'remind':
+            return validateRemindArguments(args);
+
         default:
             // Custom commands or unknown commands - accept any arguments
             return true;
     }
 }
 
+/**
+ * Validate top command arguments
+ * Valid formats:
+ * - !top
+ * - !top contribution|departures [24h|season|lifetime]
+ * - !top alliances
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean} True if valid
+ */
+function validateTopArguments(args) {
+    if (args.length === 0) return true;
+
+    const type = args[0].toLowerCase();
+    if (!TOP_TYPES.includes(type)) return false;
+    if (type === 'alliances') return args.length === 1;
+
+    return args.length === 1 || (args.length === 2 && Object.hasOwn(STAT_PERIODS, args[1].toLowerCase()));
+}
+
 /**
  * Validate forecast command arguments
  * Valid formats:
@@ -266,10 +363,10 @@ async function processAllianceMessage(message, userId, userName, chatbotInstance
     if (!command) {
         // Check custom commands as fallback
         const customCmd = findCustomCommand(commandInput, settings);
-        if (!customCmd || !customCmd.enabled) {
-            return; // Ignore unknown or disabled commands
+        if (!customCmd || customCmd.enabled === false || customCmd.allianceEnabled === false) {
+            return; // Ignore unknown, disabled or DM-only commands
         }
-        // Custom command handling would go here
+        await executeCustomCommand(customCmd, args, userId, userName, false, chatbotInstance);
         return;
     }
 
@@ -292,13 +389,10 @@ async function processAllianceMessage(message, userId, userName, chatbotInstance
         return;
     }
 
-    // Check admin permission (for commands like welcome that require management role)
-    if (cmdConfig.adminOnly) {
-        const isManagement = await hasManagementRole(userId);
-        if (!isManagement) {
-            logger.debug(`[ChatBot] User ${userId} tried admin command ${command} without management role`);
-            return;
-        }
+    // Check permission matrix (roles, allow/deny list; adminOnly commands default to management roles)
+    if (!await isUserAllowed(command, userId, 'alliance', settings, cmdConfig.adminOnly === true)) {
+        logger.debug(`[ChatBot] User ${userId} not permitted to use ${command} in alliance chat`);
+        return;
     }
 
     // Check cooldown
@@ -328,7 +422,7 @@ async function processAllianceMessage(message, userId, userName, chatbotInstance
  * @returns {Promise<boolean>} True if message was processed
  */
 async function processPrivateMessage(messageId, body, senderId, senderName, chatbotInstance) {
-    const { settings, processedMessages, executeCommandFn } = chatbotInstance;
+    const { settings, processedMessages, lastCommandTime, executeCommandFn } = chatbotInstance;
 
     if (!settings?.enabled || !settings?.dmCommands?.enabled) {
         logger.debug(`[ChatBot] DM processing disabled - enabled:${settings?.enabled} dmCommands:${settings?.dmCommands?.enabled}`);
@@ -369,11 +463,14 @@ async function processPrivateMessage(messageId, body, senderId, senderName, chat
         logger.debug(`[ChatBot] Command not resolved: "${commandInput}"`);
         // Check custom commands as fallback
         const customCmd = findCustomCommand(commandInput, settings);
-        if (!customCmd || !customCmd.enabled) {
+        if (!customCmd || customCmd.enabled === false || customCmd.dmEnabled === false) {
             return false; // Not a valid command
         }
-        // Custom command handling would go here
-        return false;
+
+        logger.debug(`[ChatBot] DM custom command from ${senderName}: !${commandInput}`);
+        processedMessages.add(messageId);
+        await executeCustomCommand(customCmd, args, senderId, senderName, true, chatbotInstance);
+        return true;
     }
 
     logger.debug(`[ChatBot] Resolved command: "${command}"`);
@@ -400,12 +497,23 @@ async function processPrivateMessage(messageId, body, senderId, senderName, chat
 
     logger.debug(`[ChatBot] DM command from ${senderName}: !${command}`);
 
-    // Mark as processed
+    // Mark as processed (also when denied, so the message isn't checked again)
     processedMessages.add(messageId);
 
+    if (!await isUserAllowed(command, senderId, 'dm', settings, cmdConfig.adminOnly === true)) {
+        logger.debug(`[ChatBot] User ${senderId} not permitted to use ${command} in DMs`);
+        return true;
+    }
+
+    if (isOnCooldown(senderId, command, lastCommandTime, settings, 'dm')) {
+        logger.debug(`[ChatBot] DM command ${command} on cooldown for user ${senderId}`);
+        return true;
+    }
+
     // Execute command
     try {
         await executeCommandFn(command, args, senderId, senderName, cmdConfig, true);
+        updateCooldown(senderId, command, lastCommandTime, 'dm');
 
         return true;
     } catch (error) {
@@ -419,6 +527,7 @@ module.exports = {
     processAllianceMessage,
     processPrivateMessage,
     resolveCommandName,
+    getCustomCommandTrigger,
     findCustomCommand,
     isOnCooldown,
     updateCooldown,
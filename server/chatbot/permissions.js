@@ -0,0 +1,255 @@
+/**
+ * @fileoverview ChatBot Command Permissions Module
+ *
+ * Permission matrix for built-in and custom commands (settings.chatbotCommandPermissions).
+ * Each command (built-in name or custom trigger) can have a rule:
+ *
+ *   {
+ *     allowUsers: ['123'],                              // Always allowed (any role, any channel)
+ *     denyUsers: ['456'],                               // Never allowed (wins over everything)
+ *     alliance: { roles: ['ceo', 'coo'], cooldownSeconds: 60 },
+ *     dm: { roles: [], cooldownSeconds: null }
+ *   }
+ *
+ * Per channel, an empty roles list means every alliance member may use the command
+ * (adminOnly commands fall back to the management roles). cooldownSeconds null uses
+ * the global cooldown in alliance chat (chatbotCooldownSeconds) and no cooldown in DMs.
+ *
+ * Member roles come from /alliance/get-alliance-members and are cached for
+ * ROLE_CACHE_TTL_MS, so commands don't trigger an API call per message.
+ *
+ * @module server/chatbot/permissions
+ */
+
+const { apiCall } = require('../utils/api');
+const logger = require('../utils/logger');
+
+/**
+ * Alliance roles: role -> label
+ */
+const ALLIANCE_ROLES = {
+    ceo: 'CEO',
+    coo: 'COO',
+    interimceo: 'Interim CEO',
+    management: 'Management',
+    member: 'Member'
+};
+
+/**
+ * Roles allowed to use admin commands (welcome) when no roles are configured
+ */
+const MANAGEMENT_ROLES = ['ceo', 'coo', 'management', 'interimceo'];
+
+const MAX_COOLDOWN_SECONDS = 24 * 60 * 60;
+const MAX_COMMAND_LENGTH = 50;
+
+const ROLE_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// userId (string) -> role, refreshed every ROLE_CACHE_TTL_MS
+const roleCache = {
+    roles: new Map(),
+    fetchedAt: 0,
+    pending: null
+};
+
+/**
+ * Load member roles (cached)
+ * Concurrent callers share one request. If a refresh fails, the stale cache is
+ * used if there is one.
+ * @returns {Promise<Map<string, string>>} userId -> role
+ * @throws {Error} If roles could not be loaded and there is no cache
+ */
+async function loadMemberRoles() {
+    if (roleCache.fetchedAt && Date.now() - roleCache.fetchedAt < ROLE_CACHE_TTL_MS) {
+        return roleCache.roles;
+    }
+
+    if (!roleCache.pending) {
+        roleCache.pending = (async () => {
+            try {
+                const response = await apiCall('/alliance/get-alliance-members', 'POST', {});
+                const members = response?.data?.members || response?.members || [];
+                roleCache.roles = new Map(members.map(m => [String(m.user_id), m.role || 'member']));
+                roleCache.fetchedAt = Date.now();
+                logger.debug(`[ChatBot] Cached roles of ${members.length} alliance members`);
+            } catch (error) {
+                if (!roleCache.fetchedAt) throw error;
+                logger.debug('[ChatBot] Role refresh failed, using cached roles:', error.message);
+            } finally {
+                roleCache.pending = null;
+            }
+        })();
+    }
+
+    await roleCache.pending;
+    return roleCache.roles;
+}
+
+/**
+ * Clear the role cache (next lookup fetches members again)
+ * Call after roles changed (promotion, kick, new member)
+ */
+function invalidateRoleCache() {
+    roleCache.fetchedAt = 0;
+}
+
+/**
+ * Get the alliance role of a user
+ * @param {number|string} userId - User ID
+ * @returns {Promise<string|null>} Role or null if the user is not an alliance member
+ * @throws {Error} If roles could not be loaded
+ */
+async function getMemberRole(userId) {
+    const roles = await loadMemberRoles();
+    return roles.get(String(userId)) || null;
+}
+
+/**
+ * Check if user has management role in alliance (CEO, COO, Management, Interim CEO)
+ * @param {number|string} userId - User ID to check
+ * @returns {Promise<boolean>} True if user has management role
+ */
+async function hasManagementRole(userId) {
+    try {
+        return MANAGEMENT_ROLES.includes(await getMemberRole(userId));
+    } catch (error) {
+        logger.error('[ChatBot] Error checking management role:', error);
+        return false; // Fail-secure: deny access on error
+    }
+}
+
+/**
+ * Sanitize a list of user IDs ("123", 123 or "[123]")
+ * @param {*} value - Raw list
+ * @returns {Array<string>} Unique numeric user IDs as strings
+ */
+function normalizeUserIds(value) {
+    if (!Array.isArray(value)) return [];
+    const ids = value
+        .map(id => String(id).trim().replace(/^\[(\d+)\]$/, '$1'))
+        .filter(id => /^\d+$/.test(id));
+    return [...new Set(ids)];
+}
+
+/**
+ * Sanitize the rule of one channel
+ * @param {*} value - Raw channel rule
+ * @returns {object} { roles, cooldownSeconds }
+ */
+function normalizeChannelRule(value) {
+    const input = value && typeof value === 'object' ? value : {};
+    const roles = Array.isArray(input.roles)
+        ? [...new Set(input.roles.filter(role => Object.hasOwn(ALLIANCE_ROLES, role)))]
+        : [];
+
+    let cooldownSeconds = null;
+    if (input.cooldownSeconds !== null && input.cooldownSeconds !== undefined && input.cooldownSeconds !== '') {
+        const parsed = parseInt(input.cooldownSeconds, 10);
+        if (parsed >= 0) cooldownSeconds = Math.min(parsed, MAX_COOLDOWN_SECONDS);
+    }
+
+    return { roles, cooldownSeconds };
+}
+
+/**
+ * Sanitize chatbotCommandPermissions from settings.json or the settings API.
+ * Invalid roles, user IDs and cooldowns are dropped.
+ *
+ * @param {*} value - Raw permissions (command -> rule)
+ * @returns {object} Valid permissions
+ */
+function normalizeCommandPermissions(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return {};
+
+    const permissions = {};
+    for (const [command, rule] of Object.entries(value)) {
+        const key = command.trim().toLowerCase();
+        if (!key || key.length > MAX_COMMAND_LENGTH || !rule || typeof rule !== 'object') continue;
+
+        permissions[key] = {
+            allowUsers: normalizeUserIds(rule.allowUsers),
+            denyUsers: normalizeUserIds(rule.denyUsers),
+            alliance: normalizeChannelRule(rule.alliance),
+            dm: normalizeChannelRule(rule.dm)
+        };
+    }
+    return permissions;
+}
+
+/**
+ * Get the rule of a command (defaults if none is configured)
+ * @param {string} command - Command name or custom trigger
+ * @param {object} settings - ChatBot settings
+ * @returns {object} Rule { allowUsers, denyUsers, alliance, dm }
+ */
+function getCommandRule(command, settings) {
+    return settings?.permissions?.[command] || normalizeCommandPermissions({ [command]: {} })[command];
+}
+
+/**
+ * Get the cooldown of a command in a channel
+ * @param {string} command - Command name or custom trigger
+ * @param {string} channel - 'alliance' or 'dm'
+ * @param {object} settings - ChatBot settings
+ * @returns {number} Cooldown in seconds (0 = none)
+ */
+function getCooldownSeconds(command, channel, settings) {
+    const configured = getCommandRule(command, settings)[channel]?.cooldownSeconds;
+    if (configured !== null && configured !== undefined) {
+        return configured;
+    }
+    return channel === 'alliance' ? (settings.allianceCommands?.cooldownSeconds || 30) : 0;
+}
+
+/**
+ * Check if a user may run a command in a channel
+ * Order: deny list > allow list > roles (empty roles = everyone, adminOnly = management)
+ * @param {string} command - Command name or custom trigger
+ * @param {number|string} userId - User ID
+ * @param {string} channel - 'alliance' or 'dm'
+ * @param {object} settings - ChatBot settings
+ * @param {boolean} [adminOnly=false] - Command requires management role by default
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function isUserAllowed(command, userId, channel, settings, adminOnly = false) {
+    const rule = getCommandRule(command, settings);
+    const id = String(userId);
+
+    if (rule.denyUsers.includes(id)) {
+        logger.debug(`[ChatBot] User ${id} is on the deny list of ${command}`);
+        return false;
+    }
+    if (rule.allowUsers.includes(id)) {
+        return true;
+    }
+
+    const configuredRoles = rule[channel]?.roles || [];
+    const roles = configuredRoles.length > 0 ? configuredRoles : (adminOnly ? MANAGEMENT_ROLES : []);
+    if (roles.length === 0) {
+        return true;
+    }
+
+    try {
+        const role = await getMemberRole(id);
+        const allowed = roles.includes(role);
+        if (!allowed) {
+            logger.debug(`[ChatBot] User ${id} (${role || 'no member'}) not allowed to use ${command} in ${channel}`);
+        }
+        return allowed;
+    } catch (error) {
+        logger.error('[ChatBot] Error checking command permission:', error);
+        return false; // Fail-secure: deny access on error
+    }
+}
+
+module.exports = {
+    ALLIANCE_ROLES,
+    MANAGEMENT_ROLES,
+    hasManagementRole,
+    getMemberRole,
+    invalidateRoleCache,
+    normalizeCommandPermissions,
+    getCommandRule,
+    getCooldownSeconds,
+    isUserAllowed
+};
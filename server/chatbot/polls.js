@@ -0,0 +1,464 @@
+/**
+ * @fileoverview ChatBot Polls and Sign-up Lists Module
+ *
+ * Commands:
+ *   !poll                               List open polls with current results
+ *   !poll "Question?" "Option 1" Opt2   Create a poll (2-10 options, quotes for spaces)
+ *   !poll close <id>                    Close a poll (creator or management)
+ *   !vote <n>                           Vote in the newest open poll
+ *   !vote <id> <n>                      Vote in a specific poll (changing a vote is allowed)
+ *   !signup                             List open sign-up lists
+ *   !signup <list>                      Join a list (opens it if there is none with that name)
+ *   !signup <list> leave|close          Leave or close (creator or management) a list
+ *
+ * Polls and lists are stored per alliance (utils/poll-store.js) and closed
+ * automatically after chatbotPollDurationHours / chatbotSignupDurationHours.
+ * Closing posts a summary to alliance chat. Votes and sign-ups are not
+ * confirmed in alliance chat (would flood it), only when sent via DM.
+ *
+ * @module server/chatbot/polls
+ */
+
+const { getAllianceId, getUserId } = require('../utils/api');
+const { loadPolls, createPoll, updatePoll } = require('../utils/poll-store');
+const { hasManagementRole } = require('./permissions');
+const { sendAllianceMessage, splitMessage } = require('./sender');
+const { triggerImmediateChatRefresh } = require('../websocket');
+const logger = require('../utils/logger');
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_QUESTION_LENGTH = 200;
+const MAX_OPTION_LENGTH = 50;
+const MAX_SIGNUPS = 100;
+
+/**
+ * Open polls (and, separately, open sign-up lists) per alliance
+ */
+const MAX_OPEN = 5;
+
+const DEFAULT_POLL_HOURS = 24;
+const DEFAULT_SIGNUP_HOURS = 72;
+const MAX_DURATION_HOURS = 14 * 24;
+
+const LIST_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,29}$/;
+const ID_PATTERN = /^#?\d+$/;
+
+/**
+ * Split arguments into tokens, keeping "quoted text" together
+ * Accepts straight, typographic and HTML-escaped quotes
+ * @param {Array<string>} args - Whitespace-split command arguments
+ * @returns {Array<string>} Tokens
+ */
+function tokenizeArguments(args) {
+    const text = args.join(' ').replace(/&quot;|[“”„]/g, '"');
+    const tokens = [];
+    for (const match of text.matchAll(/"([^"]*)"|(\S+)/g)) {
+        const token = (match[1] ?? match[2]).replace(/"/g, '').trim();
+        if (token) tokens.push(token);
+    }
+    return tokens;
+}
+
+/**
+ * Parse the arguments of a new poll
+ * @param {Array<string>} args - Command arguments
+ * @returns {{question: string, options: Array<string>}|null} Poll or null if invalid
+ */
+function parsePollArguments(args) {
+    const [question, ...options] = tokenizeArguments(args);
+    if (!question || question.length > MAX_QUESTION_LENGTH) return null;
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) return null;
+    if (options.some(option => option.length > MAX_OPTION_LENGTH)) return null;
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) return null;
+    return { question, options };
+}
+
+/**
+ * Parse a poll ID ("3" or "#3")
+ * @param {string} value - Argument
+ * @returns {number} Poll ID
+ */
+function parseId(value) {
+    return parseInt(value.replace('#', ''), 10);
+}
+
+/**
+ * Validate poll command arguments
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean} True if valid
+ */
+function validatePollArguments(args) {
+    if (args.length === 0) return true;
+    if (args[0].toLowerCase() === 'close') {
+        return args.length === 2 && ID_PATTERN.test(args[1]);
+    }
+    return parsePollArguments(args) !== null;
+}
+
+/**
+ * Validate vote command arguments: <n> or <id> <n>
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean} True if valid
+ */
+function validateVoteArguments(args) {
+    if (args.length === 1) return /^\d+$/.test(args[0]);
+    return args.length === 2 && ID_PATTERN.test(args[0]) && /^\d+$/.test(args[1]);
+}
+
+/**
+ * Validate signup command arguments: none, <list> or <list> leave|close
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean} True if valid
+ */
+function validateSignupArguments(args) {
+    if (args.length === 0) return true;
+    if (!LIST_NAME_PATTERN.test(args[0].toLowerCase())) return false;
+    return args.length === 1 || (args.length === 2 && ['leave', 'close'].includes(args[1].toLowerCase()));
+}
+
+/**
+ * Get how long new polls or sign-up lists stay open
+ * @param {string} type - 'poll' or 'signup'
+ * @param {object} settings - ChatBot settings
+ * @returns {number} Duration in ms
+ */
+function getDurationMs(type, settings) {
+    const configured = type === 'poll' ? settings?.polls?.durationHours : settings?.polls?.signupDurationHours;
+    const hours = configured > 0 ? Math.min(configured, MAX_DURATION_HOURS) : (type === 'poll' ? DEFAULT_POLL_HOURS : DEFAULT_SIGNUP_HOURS);
+    return hours * 60 * 60 * 1000;
+}
+
+/**
+ * Format the time until a poll closes
+ * @param {number} closesAt - Timestamp in ms
+ * @returns {string} "2d 5h", "3h 20m" or "20m"
+ */
+function formatTimeLeft(closesAt) {
+    const minutesLeft = Math.max(1, Math.ceil((closesAt - Date.now()) / 60000));
+    const days = Math.floor(minutesLeft / 1440);
+    const hours = Math.floor((minutesLeft % 1440) / 60);
+    const minutes = minutesLeft % 60;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * Count the votes per option
+ * @param {object} poll - Stored poll
+ * @returns {{counts: Array<number>, total: number}} Votes per option and total
+ */
+function countVotes(poll) {
+    const counts = poll.options.map(() => 0);
+    for (const vote of Object.values(poll.votes || {})) {
+        if (counts[vote.option] !== undefined) counts[vote.option]++;
+    }
+    return { counts, total: counts.reduce((sum, count) => sum + count, 0) };
+}
+
+/**
+ * Format the current or final results of a poll
+ * @param {object} poll - Stored poll
+ * @returns {string} One line per option, winners marked once the poll is closed
+ */
+function formatPollResults(poll) {
+    const { counts, total } = countVotes(poll);
+    const max = Math.max(...counts);
+
+    const lines = poll.options.map((option, index) => {
+        const percent = total > 0 ? Math.round(counts[index] / total * 100) : 0;
+        const winner = poll.status === 'closed' && total > 0 && counts[index] === max ? ' 🏆' : '';
+        return `${index + 1}. ${option}: ${counts[index]} (${percent}%)${winner}`;
+    });
+    lines.push(`${total} vote${total === 1 ? '' : 's'}`);
+    return lines.join('\n');
+}
+
+/**
+ * Format the closing summary of a poll or sign-up list
+ * @param {object} poll - Closed poll or sign-up list
+ * @returns {string} Summary message
+ */
+function formatSummary(poll) {
+    if (poll.type === 'signup') {
+        const names = poll.entries.map(entry => entry.userName).join(', ');
+        return `📝 Sign-up list "${poll.name}" closed with ${poll.entries.length} sign-up${poll.entries.length === 1 ? '' : 's'}${names ? `:\n${names}` : ''}`;
+    }
+    return `📊 Poll #${poll.id} closed: ${poll.question}\n${formatPollResults(poll)}`;
+}
+
+/**
+ * Post a message to alliance chat (split if too long)
+ * @param {string} message - Message
+ * @returns {Promise<void>}
+ */
+async function postToAlliance(message) {
+    for (const part of splitMessage(message)) {
+        await sendAllianceMessage(part);
+    }
+    if (triggerImmediateChatRefresh) {
+        triggerImmediateChatRefresh();
+    }
+}
+
+/**
+ * Check if a user may close a poll (creator, bot owner or management)
+ * @param {object} poll - Stored poll
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+async function canClose(poll, userId) {
+    if (String(poll.createdBy.userId) === String(userId) || String(getUserId()) === String(userId)) {
+        return true;
+    }
+    return hasManagementRole(userId);
+}
+
+/**
+ * Close a poll or sign-up list and post the summary to alliance chat
+ * @param {number} allianceId - Alliance ID
+ * @param {number} pollId - Poll ID
+ * @param {string} closedBy - Name of the user who closed it ('auto' when expired)
+ * @returns {Promise<object|null>} Closed poll, or null if not found or already closed
+ */
+async function closePoll(allianceId, pollId, closedBy) {
+    let wasOpen = false;
+    const poll = await updatePoll(allianceId, pollId, (stored) => {
+        if (stored.status !== 'open') return;
+        wasOpen = true;
+        stored.status = 'closed';
+        stored.closedAt = Date.now();
+        stored.closedBy = closedBy;
+    });
+    if (!poll || !wasOpen) return null;
+
+    logger.info(`[ChatBot] Closed ${poll.type} #${poll.id} (${closedBy})`);
+    try {
+        await postToAlliance(formatSummary(poll));
+    } catch (error) {
+        logger.error(`[ChatBot] Failed to post summary of ${poll.type} #${poll.id}:`, error);
+    }
+    return poll;
+}
+
+/**
+ * Close all expired polls and sign-up lists of the current alliance
+ * @returns {Promise<number>} Number of closed polls
+ */
+async function closeExpiredPolls() {
+    const allianceId = getAllianceId();
+    if (!allianceId) return 0;
+
+    const now = Date.now();
+    const expired = (await loadPolls(allianceId)).filter(p => p.status === 'open' && p.closesAt <= now);
+    for (const poll of expired) {
+        await closePoll(allianceId, poll.id, 'auto');
+    }
+    return expired.length;
+}
+
+/**
+ * Handle poll command - list, create or close polls
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {object} settings - ChatBot settings
+ * @param {Function} sendResponseFn - Response sender function
+ */
+async function handlePollCommand(args, userId, userName, config, isDM, settings, sendResponseFn) {
+    const allianceId = getAllianceId();
+    if (!allianceId) return;
+
+    const prefix = settings.commandPrefix || '!';
+    const openPolls = (await loadPolls(allianceId)).filter(p => p.type === 'poll' && p.status === 'open');
+
+    if (args.length === 0) {
+        const text = openPolls.length === 0
+            ? `📊 No open polls. Create one with ${prefix}poll "Question?" option1 option2`
+            : openPolls.map(poll => `📊 Poll #${poll.id}: ${poll.question} (closes in ${formatTimeLeft(poll.closesAt)})\n${formatPollResults(poll)}`).join('\n\n');
+        await sendResponseFn(text, config.responseType || 'public', userId, isDM);
+        return;
+    }
+
+    if (args[0].toLowerCase() === 'close') {
+        const poll = openPolls.find(p => p.id === parseId(args[1]));
+        if (!poll) {
+            logger.debug(`[ChatBot] Poll ${args[1]} not found or already closed`);
+            return;
+        }
+        if (!await canClose(poll, userId)) {
+            logger.debug(`[ChatBot] User ${userId} may not close poll #${poll.id}`);
+            return;
+        }
+        await closePoll(allianceId, poll.id, userName);
+        return;
+    }
+
+    const { question, options } = parsePollArguments(args);
+    const now = Date.now();
+    const { poll } = await createPoll(allianceId, {
+        type: 'poll',
+        question,
+        options,
+        votes: {},
+        createdBy: { userId: String(userId), userName },
+        createdAt: now,
+        closesAt: now + getDurationMs('poll', settings),
+        status: 'open'
+    }, MAX_OPEN);
+
+    if (!poll) {
+        await sendResponseFn(`📊 There are already ${MAX_OPEN} open polls. Close one first with ${prefix}poll close <id>`, config.responseType || 'public', userId, isDM);
+        return;
+    }
+
+    const optionLines = options.map((option, index) => `${index + 1}. ${option}`).join('\n');
+    await postToAlliance(`📊 Poll #${poll.id} by ${userName}: ${question}\n${optionLines}\nVote with ${prefix}vote ${poll.id} <number> (closes in ${formatTimeLeft(poll.closesAt)})`);
+}
+
+/**
+ * Handle vote command - vote in an open poll
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {Function} sendResponseFn - Response sender function
+ */
+async function handleVoteCommand(args, userId, userName, config, isDM, sendResponseFn) {
+    const allianceId = getAllianceId();
+    if (!allianceId) return;
+
+    const openPolls = (await loadPolls(allianceId)).filter(p => p.type === 'poll' && p.status === 'open');
+    const poll = args.length === 2
+        ? openPolls.find(p => p.id === parseId(args[0]))
+        : openPolls[openPolls.length - 1];
+    if (!poll) {
+        logger.debug(`[ChatBot] Vote from ${userId}: no matching open poll`);
+        return;
+    }
+
+    const option = parseInt(args[args.length - 1], 10) - 1;
+    if (option < 0 || option >= poll.options.length) {
+        logger.debug(`[ChatBot] Vote from ${userId}: poll #${poll.id} has no option ${option + 1}`);
+        return;
+    }
+
+    let counted = false;
+    await updatePoll(allianceId, poll.id, (stored) => {
+        if (stored.status !== 'open') return;
+        stored.votes[String(userId)] = { option, userName, votedAt: Date.now() };
+        counted = true;
+    });
+
+    if (!counted) return;
+
+    logger.debug(`[ChatBot] ${userName} voted ${option + 1} in poll #${poll.id}`);
+    if (isDM) {
+        await sendResponseFn(`✅ Your vote for "${poll.options[option]}" in poll #${poll.id} was counted.`, 'dm', userId, true);
+    }
+}
+
+/**
+ * Handle signup command - list, open, join, leave or close sign-up lists
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {object} settings - ChatBot settings
+ * @param {Function} sendResponseFn - Response sender function
+ */
+async function handleSignupCommand(args, userId, userName, config, isDM, settings, sendResponseFn) {
+    const allianceId = getAllianceId();
+    if (!allianceId) return;
+
+    const prefix = settings.commandPrefix || '!';
+    const openLists = (await loadPolls(allianceId)).filter(p => p.type === 'signup' && p.status === 'open');
+
+    if (args.length === 0) {
+        const text = openLists.length === 0
+            ? `📝 No open sign-up lists. Open one with ${prefix}signup <name>`
+            : `📝 Open sign-up lists:\n${openLists.map(list => `• ${list.name}: ${list.entries.length} signed up (closes in ${formatTimeLeft(list.closesAt)})`).join('\n')}\nJoin with ${prefix}signup <name>`;
+        await sendResponseFn(text, config.responseType || 'public', userId, isDM);
+        return;
+    }
+
+    const name = args[0].toLowerCase();
+    const action = args[1]?.toLowerCase();
+    let list = openLists.find(l => l.name === name);
+    const id = String(userId);
+
+    if (action === 'close') {
+        if (!list || !await canClose(list, userId)) {
+            logger.debug(`[ChatBot] Sign-up list "${name}" not open or user ${userId} may not close it`);
+            return;
+        }
+        await closePoll(allianceId, list.id, userName);
+        return;
+    }
+
+    if (action === 'leave') {
+        if (!list) return;
+        let removed = false;
+        await updatePoll(allianceId, list.id, (stored) => {
+            const remaining = stored.entries.filter(entry => entry.userId !== id);
+            removed = remaining.length !== stored.entries.length;
+            stored.entries = remaining;
+        });
+        if (removed && isDM) {
+            await sendResponseFn(`📝 You left the sign-up list "${name}".`, 'dm', userId, true);
+        }
+        return;
+    }
+
+    if (!list) {
+        const now = Date.now();
+        const result = await createPoll(allianceId, {
+            type: 'signup',
+            name,
+            entries: [{ userId: id, userName, signedUpAt: now }],
+            createdBy: { userId: id, userName },
+            createdAt: now,
+            closesAt: now + getDurationMs('signup', settings),
+            status: 'open'
+        }, MAX_OPEN);
+
+        if (!result.poll) {
+            await sendResponseFn(`📝 There are already ${MAX_OPEN} open sign-up lists. Close one first with ${prefix}signup <name> close`, config.responseType || 'public', userId, isDM);
+            return;
+        }
+        if (result.created) {
+            await postToAlliance(`📝 Sign-up list "${name}" opened by ${userName}. Join with ${prefix}signup ${name} (closes in ${formatTimeLeft(result.poll.closesAt)})`);
+            return;
+        }
+
+        // Opened by a concurrent command in the meantime - join it instead
+        list = result.poll;
+    }
+
+    let joined = false;
+    await updatePoll(allianceId, list.id, (stored) => {
+        if (stored.status !== 'open' || stored.entries.length >= MAX_SIGNUPS || stored.entries.some(entry => entry.userId === id)) return;
+        stored.entries.push({ userId: id, userName, signedUpAt: Date.now() });
+        joined = true;
+    });
+    if (joined && isDM) {
+        await sendResponseFn(`📝 You signed up for "${name}".`, 'dm', userId, true);
+    }
+}
+
+module.exports = {
+    validatePollArguments,
+    validateVoteArguments,
+    validateSignupArguments,
+    handlePollCommand,
+    handleVoteCommand,
+    handleSignupCommand,
+    closePoll,
+    closeExpiredPolls,
+    countVotes
+};
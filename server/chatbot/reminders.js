@@ -0,0 +1,313 @@
+/**
+ * @fileoverview ChatBot Reminders Module
+ *
+ * Commands:
+ *   !remindme <duration> <text>          Remind yourself, e.g. !remindme 2h repair ships
+ *   !remind <member> <duration> <text>   Remind a member (@Company converts to [UserID] in chat)
+ *   !remindme list                       List the reminders you created
+ *   !remindme cancel <id>                Cancel one of them (same for !remind list/cancel)
+ *
+ * Durations combine days, hours and minutes: 30m, 2h, 1d, 1h30m (1 minute to 30 days).
+ * !remind is admin only by default (management roles, see the permission matrix).
+ *
+ * Reminders are stored on disk (utils/reminder-store.js) and delivered as a DM
+ * by the scheduler's reminder check, late if the app was offline when they were due.
+ * The bot owner can't DM themselves, their reminders are shown as notification instead.
+ *
+ * @module server/chatbot/reminders
+ */
+
+const validator = require('validator');
+const { getUserId } = require('../utils/api');
+const { loadReminders, addReminder, removeReminder, claimDueReminders, completeReminder, releaseReminder } = require('../utils/reminder-store');
+const { fetchInternalApi, findMember } = require('./commands');
+const { sendPrivateMessage } = require('./sender');
+const { broadcastToUser } = require('../websocket');
+const logger = require('../utils/logger');
+
+const MIN_DURATION_MS = 60 * 1000;
+const MAX_DURATION_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_TEXT_LENGTH = 200;
+const DEFAULT_MAX_PER_USER = 5;
+
+/**
+ * Failed deliveries are retried on the next checks, then dropped
+ */
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+/**
+ * Reminders delivered later than this are marked as delayed
+ */
+const LATE_THRESHOLD_MS = 5 * 60 * 1000;
+
+const DURATION_PART = /(\d+)([dhm])/g;
+const UNIT_MS = { d: 24 * 60 * 60 * 1000, h: 60 * 60 * 1000, m: 60 * 1000 };
+const ID_PATTERN = /^#?\d+$/;
+
+/**
+ * Parse a duration like "30m", "2h", "1d" or "1h30m"
+ * @param {string} value - Duration argument
+ * @returns {number|null} Duration in ms or null if invalid or out of range
+ */
+function parseDuration(value) {
+    const text = value.toLowerCase();
+    if (!text || text.replace(DURATION_PART, '') !== '') return null;
+
+    let ms = 0;
+    for (const [, amount, unit] of text.matchAll(DURATION_PART)) {
+        ms += parseInt(amount, 10) * UNIT_MS[unit];
+    }
+    return ms >= MIN_DURATION_MS && ms <= MAX_DURATION_MS ? ms : null;
+}
+
+/**
+ * Check the list/cancel subcommands shared by !remindme and !remind
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean|null} Validation result, or null if args are no subcommand
+ */
+function validateManageArguments(args) {
+    if (args.length === 0) return true;
+    const sub = args[0].toLowerCase();
+    if (sub === 'list') return args.length === 1;
+    if (sub === 'cancel') return args.length === 2 && ID_PATTERN.test(args[1]);
+    return null;
+}
+
+/**
+ * Validate remindme command arguments: list, cancel <id> or <duration> <text>
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean} True if valid
+ */
+function validateRemindmeArguments(args) {
+    const manage = validateManageArguments(args);
+    if (manage !== null) return manage;
+    return args.length >= 2 && parseDuration(args[0]) !== null && args.slice(1).join(' ').length <= MAX_TEXT_LENGTH;
+}
+
+/**
+ * Validate remind command arguments: list, cancel <id> or <member> <duration> <text>
+ * @param {Array<string>} args - Command arguments
+ * @returns {boolean} True if valid
+ */
+function validateRemindArguments(args) {
+    const manage = validateManageArguments(args);
+    if (manage !== null) return manage;
+    return args.length >= 3 && parseDuration(args[1]) !== null && args.slice(2).join(' ').length <= MAX_TEXT_LENGTH;
+}
+
+/**
+ * Format a duration
+ * @param {number} ms - Duration in ms
+ * @returns {string} "2d 5h", "3h 20m" or "20m"
+ */
+function formatDuration(ms) {
+    const totalMinutes = Math.max(1, Math.ceil(ms / 60000));
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * Get the per-user cap of pending reminders
+ * @param {object} settings - ChatBot settings
+ * @returns {number} Maximum pending reminders per creator
+ */
+function getMaxPerUser(settings) {
+    const configured = settings?.reminders?.maxPerUser;
+    return configured > 0 ? configured : DEFAULT_MAX_PER_USER;
+}
+
+/**
+ * Handle the list/cancel subcommands
+ * @param {Array<string>} args - Command arguments (empty, list or cancel <id>)
+ * @param {string} userId - User ID
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {object} settings - ChatBot settings
+ * @param {Function} sendResponseFn - Response sender function
+ */
+async function handleManageCommand(args, userId, config, isDM, settings, sendResponseFn) {
+    const ownerId = getUserId();
+    const creatorId = String(userId);
+    const prefix = settings.commandPrefix || '!';
+
+    if (args[0]?.toLowerCase() === 'cancel') {
+        const removed = await removeReminder(ownerId, parseInt(args[1].replace('#', ''), 10), creatorId);
+        if (!removed) {
+            logger.debug(`[ChatBot] Reminder ${args[1]} of user ${userId} not found`);
+            return;
+        }
+        await sendResponseFn(`⏰ Reminder #${removed.id} cancelled.`, config.responseType || 'public', userId, isDM);
+        return;
+    }
+
+    const own = (await loadReminders(ownerId))
+        .filter(r => r.creatorId === creatorId)
+        .sort((a, b) => a.dueAt - b.dueAt);
+
+    const now = Date.now();
+    const text = own.length === 0
+        ? `⏰ You have no pending reminders. Set one with ${prefix}remindme 2h repair ships`
+        : `⏰ Your reminders (${own.length}/${getMaxPerUser(settings)}):\n${own.map(r => {
+            const target = r.targetId === r.creatorId ? '' : ` → ${r.targetName}`;
+            return `#${r.id} in ${formatDuration(r.dueAt - now)}${target}: ${r.text}`;
+        }).join('\n')}\nCancel with ${prefix}remindme cancel <id>`;
+    await sendResponseFn(text, config.responseType || 'public', userId, isDM);
+}
+
+/**
+ * Store a reminder and confirm it
+ * @param {object} target - { userId, userName } of the recipient
+ * @param {number} durationMs - Time until the reminder is due
+ * @param {string} text - Reminder text
+ * @param {string} userId - Creator's user ID
+ * @param {string} userName - Creator's name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {object} settings - ChatBot settings
+ * @param {Function} sendResponseFn - Response sender function
+ */
+async function createReminder(target, durationMs, text, userId, userName, config, isDM, settings, sendResponseFn) {
+    const prefix = settings.commandPrefix || '!';
+    const maxPerUser = getMaxPerUser(settings);
+    const now = Date.now();
+
+    const reminder = await addReminder(getUserId(), {
+        creatorId: String(userId),
+        creatorName: userName,
+        targetId: String(target.userId),
+        targetName: target.userName,
+        text,
+        createdAt: now,
+        dueAt: now + durationMs,
+        attempts: 0
+    }, maxPerUser);
+
+    if (!reminder) {
+        await sendResponseFn(`⏰ You already have ${maxPerUser} pending reminders. Cancel one with ${prefix}remindme cancel <id>`, config.responseType || 'public', userId, isDM);
+        return;
+    }
+
+    logger.debug(`[ChatBot] Reminder #${reminder.id} by ${userName} for ${target.userName} in ${formatDuration(durationMs)}`);
+    const forWhom = reminder.targetId === reminder.creatorId ? 'you' : target.userName;
+    await sendResponseFn(`⏰ Reminder #${reminder.id} set: I'll remind ${forWhom} in ${formatDuration(durationMs)}.`, config.responseType || 'public', userId, isDM);
+}
+
+/**
+ * Handle remindme command - remind yourself, list or cancel reminders
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {object} settings - ChatBot settings
+ * @param {Function} sendResponseFn - Response sender function
+ */
+async function handleRemindmeCommand(args, userId, userName, config, isDM, settings, sendResponseFn) {
+    if (validateManageArguments(args) !== null) {
+        await handleManageCommand(args, userId, config, isDM, settings, sendResponseFn);
+        return;
+    }
+
+    const target = { userId, userName };
+    await createReminder(target, parseDuration(args[0]), args.slice(1).join(' '), userId, userName, config, isDM, settings, sendResponseFn);
+}
+
+/**
+ * Handle remind command - remind an alliance member, list or cancel reminders
+ * @param {Array<string>} args - Command arguments
+ * @param {string} userId - User ID
+ * @param {string} userName - User name
+ * @param {object} config - Command configuration
+ * @param {boolean} isDM - Whether command came from DM
+ * @param {object} settings - ChatBot settings
+ * @param {Function} sendResponseFn - Response sender function
+ */
+async function handleRemindCommand(args, userId, userName, config, isDM, settings, sendResponseFn) {
+    if (validateManageArguments(args) !== null) {
+        await handleManageCommand(args, userId, config, isDM, settings, sendResponseFn);
+        return;
+    }
+
+    const membersData = await fetchInternalApi('/api/alliance-members');
+    const member = findMember(membersData?.members || [], args[0].replace(/^@/, ''));
+    if (!member) {
+        logger.debug(`[ChatBot] Remind: member "${args[0]}" not found`);
+        return;
+    }
+
+    const target = { userId: member.user_id, userName: member.company_name };
+    await createReminder(target, parseDuration(args[1]), args.slice(2).join(' '), userId, userName, config, isDM, settings, sendResponseFn);
+}
+
+/**
+ * Deliver one reminder
+ * @param {object} reminder - Due reminder
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Promise<boolean>} True if delivered
+ */
+async function deliverReminder(reminder, now) {
+    const ownerId = String(getUserId());
+    const from = reminder.targetId === reminder.creatorId ? '' : ` from ${reminder.creatorName}`;
+    const late = now - reminder.dueAt > LATE_THRESHOLD_MS
+        ? `\n\n(Delayed by ${formatDuration(now - reminder.dueAt)} - the bot was offline when it was due)`
+        : '';
+
+    // The game doesn't allow DMs to yourself - only delivered if a client is connected
+    if (reminder.targetId === ownerId) {
+        if (!broadcastToUser) return false;
+        const clients = broadcastToUser(ownerId, 'user_action_notification', {
+            type: 'info',
+            message: `⏰ <strong>Reminder${validator.escape(from)}</strong><br><br>${validator.escape(reminder.text)}`
+        });
+        return clients > 0;
+    }
+
+    const result = await sendPrivateMessage(reminder.targetId, `⏰ Reminder${from}`, `${reminder.text}${late}`);
+    return !!result && !result.error;
+}
+
+/**
+ * Deliver all due reminders (called periodically by the scheduler)
+ * @returns {Promise<number>} Number of delivered reminders
+ */
+async function deliverDueReminders() {
+    const ownerId = getUserId();
+    if (!ownerId) return 0;
+
+    const now = Date.now();
+    const due = await claimDueReminders(ownerId, now);
+    let delivered = 0;
+
+    for (const reminder of due) {
+        let sent = false;
+        try {
+            sent = await deliverReminder(reminder, now);
+        } catch (error) {
+            logger.error(`[ChatBot] Failed to deliver reminder #${reminder.id}:`, error.message);
+        }
+
+        if (sent) {
+            await completeReminder(ownerId, reminder.id);
+            delivered++;
+            logger.debug(`[ChatBot] Delivered reminder #${reminder.id} to ${reminder.targetName}`);
+        } else if (reminder.attempts + 1 < MAX_DELIVERY_ATTEMPTS) {
+            await releaseReminder(ownerId, reminder.id, reminder.attempts + 1);
+        } else {
+            await completeReminder(ownerId, reminder.id);
+            logger.error(`[ChatBot] Dropping reminder #${reminder.id} for ${reminder.targetName} after ${MAX_DELIVERY_ATTEMPTS} failed attempts`);
+        }
+    }
+    return delivered;
+}
+
+module.exports = {
+    validateRemindmeArguments,
+    validateRemindArguments,
+    handleRemindmeCommand,
+    handleRemindCommand,
+    deliverDueReminders
+};
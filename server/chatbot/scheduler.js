@@ -1,15 +1,29 @@
 /**
  * @fileoverview ChatBot Scheduler Module
  *
- * Handles scheduled task management (daily forecasts, etc.).
+ * Handles scheduled task management (daily forecasts, user-defined announcements,
+ * closing expired polls, delivering reminders).
  *
  * @module server/chatbot/scheduler
  */
 
 const { getUserId } = require('../utils/api');
 const { broadcastToUser, triggerImmediateChatRefresh } = require('../websocket');
+const { scheduleAnnouncements } = require('./announcements');
+const { closeExpiredPolls } = require('./polls');
+const { deliverDueReminders } = require('./reminders');
 const logger = require('../utils/logger');
 
+/**
+ * How often expired polls and sign-up lists are closed
+ */
+const POLL_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * How often due reminders are delivered
+ */
+const REMINDER_CHECK_INTERVAL_MS = 30 * 1000;
+
 /**
  * Setup scheduled tasks
  * @param {object} settings - ChatBot settings
@@ -27,6 +41,17 @@ function setupScheduledTasks(settings, scheduledTasksMap, callbacks) {
     if (settings.scheduledMessages?.dailyForecast?.enabled) {
         scheduleDailyForecast(settings, scheduledTasksMap, callbacks);
     }
+
+    // Close expired polls and sign-up lists (summary is posted by the bot)
+    if (settings.enabled) {
+        schedulePollCheck(scheduledTasksMap);
+        scheduleReminderCheck(scheduledTasksMap);
+    }
+
+    // Setup scheduled announcements (own CronJobs, see announcements.js)
+    scheduleAnnouncements(settings).catch(error => {
+        logger.error('[ChatBot] Failed to schedule announcements:', error);
+    });
 }
 
 /**
@@ -65,6 +90,46 @@ function scheduleDailyForecast(settings, scheduledTasksMap, callbacks) {
     scheduledTasksMap.set('dailyForecast', timeout);
 }
 
+/**
+ * Schedule the next check for expired polls
+ * Stops rescheduling once the task was cleared by setupScheduledTasks
+ * @param {Map} scheduledTasksMap - Map of scheduled tasks
+ */
+function schedulePollCheck(scheduledTasksMap) {
+    const timeout = setTimeout(async () => {
+        try {
+            await closeExpiredPolls();
+        } catch (error) {
+            logger.error('[ChatBot] Failed to close expired polls:', error);
+        }
+        if (scheduledTasksMap.get('pollCheck') === timeout) {
+            schedulePollCheck(scheduledTasksMap);
+        }
+    }, POLL_CHECK_INTERVAL_MS);
+
+    scheduledTasksMap.set('pollCheck', timeout);
+}
+
+/**
+ * Schedule the next delivery of due reminders (also picks up reminders missed while offline)
+ * Stops rescheduling once the task was cleared by setupScheduledTasks
+ * @param {Map} scheduledTasksMap - Map of scheduled tasks
+ */
+function scheduleReminderCheck(scheduledTasksMap) {
+    const timeout = setTimeout(async () => {
+        try {
+            await deliverDueReminders();
+        } catch (error) {
+            logger.error('[ChatBot] Failed to deliver reminders:', error);
+        }
+        if (scheduledTasksMap.get('reminderCheck') === timeout) {
+            scheduleReminderCheck(scheduledTasksMap);
+        }
+    }, REMINDER_CHECK_INTERVAL_MS);
+
+    scheduledTasksMap.set('reminderCheck', timeout);
+}
+
 /**
  * Send daily forecast message
  * @param {object} settings - ChatBot settings
@@ -115,5 +180,7 @@ async function sendDailyForecast(settings, callbacks) {
 module.exports = {
     setupScheduledTasks,
     scheduleDailyForecast,
+    schedulePollCheck,
+    scheduleReminderCheck,
     sendDailyForecast
 };
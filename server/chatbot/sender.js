@@ -11,6 +11,61 @@ const { apiCall, getAllianceId, getUserId } = require('../utils/api');
 const { triggerImmediateChatRefresh, triggerImmediateMessengerRefresh } = require('../websocket');
 const logger = require('../utils/logger');
 
+/**
+ * Game API limit for chat messages and DMs
+ */
+const MAX_MESSAGE_LENGTH = 1000;
+
+/**
+ * Maximum parts a long response is split into (avoids flooding the chat)
+ */
+const MAX_MESSAGE_PARTS = 3;
+
+/**
+ * Split a message into parts that fit the game's length limit
+ * Splits at line breaks where possible, hard-splits overlong lines.
+ * @param {string} message - Message content
+ * @param {number} [maxLength=1000] - Maximum length per part
+ * @returns {Array<string>} Message parts (at most MAX_MESSAGE_PARTS, last one truncated if needed)
+ */
+function splitMessage(message, maxLength = MAX_MESSAGE_LENGTH) {
+    const parts = [];
+    let current = '';
+
+    for (const line of message.split('\n')) {
+        let rest = line;
+        // Hard-split lines that don't fit into a part on their own
+        while (rest.length > maxLength) {
+            if (current) {
+                parts.push(current);
+                current = '';
+            }
+            parts.push(rest.slice(0, maxLength));
+            rest = rest.slice(maxLength);
+        }
+
+        const candidate = current ? `${current}\n${rest}` : rest;
+        if (candidate.length > maxLength) {
+            parts.push(current);
+            current = rest;
+        } else {
+            current = candidate;
+        }
+    }
+    if (current.trim()) {
+        parts.push(current);
+    }
+
+    if (parts.length > MAX_MESSAGE_PARTS) {
+        logger.warn(`[ChatBot] Response has ${parts.length} parts, only sending ${MAX_MESSAGE_PARTS}`);
+        const kept = parts.slice(0, MAX_MESSAGE_PARTS);
+        const last = kept[MAX_MESSAGE_PARTS - 1];
+        kept[MAX_MESSAGE_PARTS - 1] = last.length > maxLength - 3 ? last.substring(0, maxLength - 3) + '...' : last + '...';
+        return kept;
+    }
+    return parts;
+}
+
 /**
  * Send response based on type
  * @param {string} message - Message content
@@ -34,11 +89,20 @@ async function sendResponse(message, responseType, userId, isDM) {
 
     switch (responseType) {
         case 'public':
-            await sendAllianceMessage(message);
+            // Long responses (leaderboards) are sent in several messages
+            for (const part of splitMessage(message)) {
+                await sendAllianceMessage(part);
+            }
             break;
 
         case 'dm':
-            const result = await sendPrivateMessage(userId, 'Bot Response', message);
+            const parts = splitMessage(message);
+            let result = null;
+            for (let i = 0; i < parts.length; i++) {
+                const subject = parts.length > 1 ? `Bot Response (${i + 1}/${parts.length})` : 'Bot Response';
+                result = await sendPrivateMessage(userId, subject, parts[i]);
+                if (!result) break;
+            }
 
             // If self-DM failed, fall back to public response
             if (!result) {
@@ -75,6 +139,7 @@ async function sendErrorMessage(userId, command, error) {
 /**
  * Send alliance message
  * @param {string} message - Message content
+ * @returns {Promise<boolean>} True if the game accepted the message
  */
 async function sendAllianceMessage(message) {
     try {
@@ -98,14 +163,17 @@ async function sendAllianceMessage(message) {
         // Only log errors
         if (response?.error) {
             logger.error('[ChatBot] API returned error:', response.error);
-        } else {
-            // Trigger immediate chat refresh so clients see the response quickly
-            // instead of waiting up to 25 seconds for next polling cycle
-            triggerImmediateChatRefresh();
+            return false;
         }
+
+        // Trigger immediate chat refresh so clients see the response quickly
+        // instead of waiting up to 25 seconds for next polling cycle
+        triggerImmediateChatRefresh();
+        return true;
     } catch (error) {
         logger.error('[ChatBot] Failed to send alliance message:', error);
         logger.error('[ChatBot] Error details:', error.response?.data || error.message);
+        return false;
     }
 }
 
@@ -159,6 +227,7 @@ async function sendPrivateMessage(userId, subject, message) {
 }
 
 module.exports = {
+    splitMessage,
     sendResponse,
     sendErrorMessage,
     sendAllianceMessage,
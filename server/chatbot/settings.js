@@ -8,28 +8,10 @@
  */
 
 const fs = require('fs').promises;
-const { getUserId, apiCall } = require('../utils/api');
+const { getUserId } = require('../utils/api');
 const { getSettingsFilePath } = require('../settings-schema');
 const logger = require('../utils/logger');
-
-/**
- * Check if user has management role in alliance (CEO, COO, Management, Interim CEO)
- * @param {number} userId - User ID to check
- * @returns {Promise<boolean>} True if user has management role
- */
-async function hasManagementRole(userId) {
-    try {
-        const response = await apiCall('/alliance/get-alliance-members', 'POST', {});
-        const members = response?.data?.members || response?.members || [];
-        const member = members.find(m => m.user_id === userId);
-        const role = member?.role || 'member';
-        const allowedRoles = ['ceo', 'coo', 'management', 'interimceo'];
-        return allowedRoles.includes(role);
-    } catch (error) {
-        logger.debug('[ChatBot] Error checking management role:', error);
-        return false; // Fail-secure: deny access on error
-    }
-}
+const { hasManagementRole, normalizeCommandPermissions } = require('./permissions');
 
 /**
  * Load settings from per-user settings file (settings-{userId}.json)
@@ -90,6 +72,60 @@ function mapSettingsToChatBotObject(settings, isManagement = false) {
                 adminOnly: false,
                 aliases: settings.chatbotHelpAliases || ['commands', 'help']
             },
+            coop: {
+                enabled: settings.chatbotCoopCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotCoopAliases || ['cooperation']
+            },
+            top: {
+                enabled: settings.chatbotTopCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotTopAliases || ['leaderboard']
+            },
+            league: {
+                enabled: settings.chatbotLeagueCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotLeagueAliases || ['standings']
+            },
+            stats: {
+                enabled: settings.chatbotStatsCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotStatsAliases || ['member']
+            },
+            poll: {
+                enabled: settings.chatbotPollCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotPollAliases || []
+            },
+            vote: {
+                enabled: settings.chatbotVoteCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotVoteAliases || []
+            },
+            signup: {
+                enabled: settings.chatbotSignupCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotSignupAliases || ['join']
+            },
+            remindme: {
+                enabled: settings.chatbotRemindmeCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: false,
+                aliases: settings.chatbotRemindmeAliases || ['reminder']
+            },
+            remind: {
+                enabled: settings.chatbotRemindCommandEnabled || false,
+                responseType: 'public',
+                adminOnly: true, // Reminding other members defaults to management roles (permission matrix can open it up)
+                aliases: settings.chatbotRemindAliases || []
+            },
             welcome: {
                 enabled: welcomeEnabled, // Only enabled if user is management AND setting is true
                 responseType: 'dm',
@@ -104,10 +140,18 @@ function mapSettingsToChatBotObject(settings, isManagement = false) {
                 dayOffset: 1 // 1 = tomorrow
             }
         },
+        polls: {
+            durationHours: settings.chatbotPollDurationHours || 24,
+            signupDurationHours: settings.chatbotSignupDurationHours || 72
+        },
+        reminders: {
+            maxPerUser: settings.chatbotReminderMaxPerUser || 5
+        },
         dmCommands: {
             enabled: settings.chatbotDMCommandsEnabled || false
         },
-        customCommands: settings.chatbotCustomCommands || []
+        customCommands: settings.chatbotCustomCommands || [],
+        permissions: normalizeCommandPermissions(settings.chatbotCommandPermissions)
     };
 }
 
@@ -134,6 +178,11 @@ function getDefaultChatBotObject() {
                 responseType: 'dm',
                 adminOnly: false
             },
+            coop: {
+                enabled: false,
+                responseType: 'public',
+                adminOnly: false
+            },
             welcome: {
                 enabled: true,
                 responseType: 'dm',
@@ -147,10 +196,18 @@ function getDefaultChatBotObject() {
                 dayOffset: 1 // 1 = tomorrow
             }
         },
+        polls: {
+            durationHours: 24,
+            signupDurationHours: 72
+        },
+        reminders: {
+            maxPerUser: 5
+        },
         dmCommands: {
             enabled: false
         },
-        customCommands: []
+        customCommands: [],
+        permissions: {}
     };
 }
 
@@ -179,6 +236,51 @@ function mapChatBotObjectToFlatSettings(chatbotSettings) {
         flatSettings.chatbotHelpCommandEnabled = chatbotSettings.commands.help.enabled || false;
     }
 
+    if (chatbotSettings.commands?.coop) {
+        flatSettings.chatbotCoopCommandEnabled = chatbotSettings.commands.coop.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.top) {
+        flatSettings.chatbotTopCommandEnabled = chatbotSettings.commands.top.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.league) {
+        flatSettings.chatbotLeagueCommandEnabled = chatbotSettings.commands.league.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.stats) {
+        flatSettings.chatbotStatsCommandEnabled = chatbotSettings.commands.stats.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.poll) {
+        flatSettings.chatbotPollCommandEnabled = chatbotSettings.commands.poll.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.vote) {
+        flatSettings.chatbotVoteCommandEnabled = chatbotSettings.commands.vote.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.signup) {
+        flatSettings.chatbotSignupCommandEnabled = chatbotSettings.commands.signup.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.remindme) {
+        flatSettings.chatbotRemindmeCommandEnabled = chatbotSettings.commands.remindme.enabled || false;
+    }
+
+    if (chatbotSettings.commands?.remind) {
+        flatSettings.chatbotRemindCommandEnabled = chatbotSettings.commands.remind.enabled || false;
+    }
+
+    if (chatbotSettings.polls) {
+        flatSettings.chatbotPollDurationHours = chatbotSettings.polls.durationHours || 24;
+        flatSettings.chatbotSignupDurationHours = chatbotSettings.polls.signupDurationHours || 72;
+    }
+
+    if (chatbotSettings.reminders) {
+        flatSettings.chatbotReminderMaxPerUser = chatbotSettings.reminders.maxPerUser || 5;
+    }
+
     if (chatbotSettings.scheduledMessages?.dailyForecast) {
         flatSettings.chatbotDailyForecastEnabled = chatbotSettings.scheduledMessages.dailyForecast.enabled || false;
         flatSettings.chatbotDailyForecastTime = chatbotSettings.scheduledMessages.dailyForecast.timeUTC || '18:00';
@@ -189,6 +291,7 @@ function mapChatBotObjectToFlatSettings(chatbotSettings) {
     }
 
     flatSettings.chatbotCustomCommands = chatbotSettings.customCommands || [];
+    flatSettings.chatbotCommandPermissions = normalizeCommandPermissions(chatbotSettings.permissions);
 
     return flatSettings;
 }
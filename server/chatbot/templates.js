@@ -0,0 +1,318 @@
+/**
+ * @fileoverview ChatBot Response Templates Module
+ *
+ * Template language for custom command responses. Placeholders in curly braces
+ * are replaced with live data when the command runs:
+ *
+ *   {user}              Name of the user who ran the command
+ *   {alliance}          Alliance name
+ *   {fuel_price}        Current fuel price ($/t)
+ *   {co2_price}         Current CO2 price ($/t)
+ *   {coop_available}    Remaining coop slots of the alliance
+ *   {members_online}    Alliance members logged in within the last 15 minutes
+ *   {date tz=UTC}       Current date (YYYY-MM-DD), optional IANA timezone (default UTC)
+ *   {time tz=UTC}       Current time (HH:MM), optional IANA timezone (default UTC)
+ *   {countdown to=2026-12-24T18:00}  Time left until a date/time in UTC ("2d 5h", "3h 20m")
+ *   {arg1} ... {arg9}   Command arguments, optional fallback: {arg1 default=there}
+ *   {args}              All arguments
+ *
+ * Literal braces are written as {{ and }}.
+ * Templates are validated when they are saved (see routes/settings.js).
+ *
+ * @module server/chatbot/templates
+ */
+
+const { getUserId, getAllianceName, apiCall } = require('../utils/api');
+const logger = require('../utils/logger');
+
+/**
+ * Members whose last login is within this window count as online
+ */
+const ONLINE_WINDOW_MS = 15 * 60 * 1000;
+
+/**
+ * Placeholders: name -> { description, options }
+ * argN placeholders are handled separately (see getVariableDefinition)
+ */
+const TEMPLATE_VARIABLES = {
+    user: { description: 'Name of the user who ran the command', options: [] },
+    alliance: { description: 'Alliance name', options: [] },
+    fuel_price: { description: 'Current fuel price ($/t)', options: [] },
+    co2_price: { description: 'Current CO2 price ($/t)', options: [] },
+    coop_available: { description: 'Remaining coop slots', options: [] },
+    members_online: { description: 'Members logged in within the last 15 minutes', options: [] },
+    date: { description: 'Current date (YYYY-MM-DD)', options: ['tz'] },
+    time: { description: 'Current time (HH:MM)', options: ['tz'] },
+    countdown: { description: 'Time left until a UTC date/time (to=YYYY-MM-DD or YYYY-MM-DDTHH:MM)', options: ['to'], required: ['to'] },
+    args: { description: 'All command arguments', options: ['default'] }
+};
+
+const ARG_PATTERN = /^arg([1-9])$/;
+const NAME_PATTERN = /^[a-z][a-z0-9_]*$/;
+const OPTION_PATTERN = /^([a-z]+)=(\S+)$/;
+const COUNTDOWN_PATTERN = /^\d{4}-\d{2}-\d{2}$|^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+
+/**
+ * Gets the definition of a placeholder
+ * @param {string} name - Placeholder name
+ * @returns {object|null} { description, options } or null if unknown
+ */
+function getVariableDefinition(name) {
+    if (ARG_PATTERN.test(name)) {
+        return { description: `Argument ${name.slice(3)}`, options: ['default'] };
+    }
+    return Object.prototype.hasOwnProperty.call(TEMPLATE_VARIABLES, name) ? TEMPLATE_VARIABLES[name] : null;
+}
+
+/**
+ * Checks if a timezone is a valid IANA timezone
+ * @param {string} timezone - Timezone (e.g. "UTC", "Europe/Berlin")
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Parses a countdown target (UTC)
+ * @param {string} value - "YYYY-MM-DD" or "YYYY-MM-DDTHH:MM"
+ * @returns {number} Timestamp in ms (NaN if invalid)
+ */
+function parseCountdownTarget(value) {
+    return Date.parse(`${value.length === 10 ? `${value}T00:00` : value}:00Z`);
+}
+
+/**
+ * Formats the time left until a target
+ * @param {string} value - Countdown target (see parseCountdownTarget)
+ * @returns {string} "2d 5h", "3h 20m", "20m" or "now" once the target has passed
+ */
+function formatCountdown(value) {
+    const minutesLeft = Math.floor((parseCountdownTarget(value) - Date.now()) / 60000);
+    if (minutesLeft <= 0) return 'now';
+
+    const days = Math.floor(minutesLeft / 1440);
+    const hours = Math.floor((minutesLeft % 1440) / 60);
+    const minutes = minutesLeft % 60;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m`;
+}
+
+/**
+ * Parses a placeholder body ("date tz=UTC")
+ * @param {string} body - Text between the braces
+ * @param {number} position - Position of the opening brace (for error messages)
+ * @returns {object} { name, options } - throws on invalid placeholders
+ */
+function parsePlaceholder(body, position) {
+    const [name, ...optionParts] = body.trim().split(/\s+/);
+
+    if (!name || !NAME_PATTERN.test(name)) {
+        throw new Error(`Invalid placeholder "{${body}}" at position ${position}`);
+    }
+
+    const definition = getVariableDefinition(name);
+    if (!definition) {
+        throw new Error(`Unknown placeholder "{${name}}" at position ${position}`);
+    }
+
+    const options = {};
+    for (const part of optionParts) {
+        const match = part.match(OPTION_PATTERN);
+        if (!match) {
+            throw new Error(`Invalid option "${part}" in "{${name}}" at position ${position} (expected key=value)`);
+        }
+        const [, key, value] = match;
+        if (!definition.options.includes(key)) {
+            throw new Error(`Unknown option "${key}" for "{${name}}" at position ${position}`);
+        }
+        if (key === 'tz' && !isValidTimezone(value)) {
+            throw new Error(`Unknown timezone "${value}" in "{${name}}" at position ${position}`);
+        }
+        if (key === 'to' && (!COUNTDOWN_PATTERN.test(value) || isNaN(parseCountdownTarget(value)))) {
+            throw new Error(`Invalid date "${value}" in "{${name}}" at position ${position} (expected YYYY-MM-DD or YYYY-MM-DDTHH:MM)`);
+        }
+        options[key] = value;
+    }
+
+    for (const key of definition.required || []) {
+        if (!(key in options)) {
+            throw new Error(`Missing option "${key}=" in "{${name}}" at position ${position}`);
+        }
+    }
+
+    return { name, options };
+}
+
+/**
+ * Parses a template into text and placeholder tokens
+ * @param {string} template - Template string
+ * @returns {Array<object>} Tokens: { type: 'text', value } or { type: 'var', name, options }
+ * @throws {Error} If the template is malformed
+ */
+function parseTemplate(template) {
+    if (typeof template !== 'string') {
+        throw new Error('Template must be a string');
+    }
+
+    const tokens = [];
+    let text = '';
+    let i = 0;
+
+    while (i < template.length) {
+        const char = template[i];
+
+        if ((char === '{' || char === '}') && template[i + 1] === char) {
+            text += char;
+            i += 2;
+            continue;
+        }
+
+        if (char === '}') {
+            throw new Error(`Unexpected "}" at position ${i} (use "}}" for a literal brace)`);
+        }
+
+        if (char === '{') {
+            const end = template.indexOf('}', i + 1);
+            const nextOpen = template.indexOf('{', i + 1);
+            if (end === -1 || (nextOpen !== -1 && nextOpen < end)) {
+                throw new Error(`Unclosed "{" at position ${i} (use "{{" for a literal brace)`);
+            }
+            if (text) {
+                tokens.push({ type: 'text', value: text });
+                text = '';
+            }
+            tokens.push({ type: 'var', ...parsePlaceholder(template.slice(i + 1, end), i) });
+            i = end + 1;
+            continue;
+        }
+
+        text += char;
+        i++;
+    }
+
+    if (text) {
+        tokens.push({ type: 'text', value: text });
+    }
+    return tokens;
+}
+
+/**
+ * Validates a template
+ * @param {string} template - Template string
+ * @returns {{valid: boolean, error: string|null}} Validation result
+ */
+function validateTemplate(template) {
+    try {
+        parseTemplate(template);
+        return { valid: true, error: null };
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+}
+
+/**
+ * Formats a price for chat output
+ * @param {number|undefined} value - Price
+ * @returns {string} "1,234" or "?" if unknown
+ */
+function formatPrice(value) {
+    return typeof value === 'number' && value > 0 ? value.toLocaleString('en-US') : '?';
+}
+
+/**
+ * Formats the current date or time in a timezone
+ * @param {string} name - 'date' or 'time'
+ * @param {string} [timezone='UTC'] - IANA timezone
+ * @returns {string} "YYYY-MM-DD" or "HH:MM"
+ */
+function formatNow(name, timezone = 'UTC') {
+    const options = name === 'date'
+        ? { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }
+        : { timeZone: timezone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    // en-CA formats dates as YYYY-MM-DD
+    return new Intl.DateTimeFormat(name === 'date' ? 'en-CA' : 'en-GB', options).format(new Date());
+}
+
+/**
+ * Resolvers for placeholders that need game data (only called when used)
+ */
+const LIVE_RESOLVERS = {
+    alliance: async () => getAllianceName() || '?',
+
+    fuel_price: async () => {
+        // Lazy-load to avoid circular dependency
+        const state = require('../state');
+        return formatPrice(state.getPrices(getUserId())?.fuel);
+    },
+
+    co2_price: async () => {
+        const state = require('../state');
+        return formatPrice(state.getPrices(getUserId())?.co2);
+    },
+
+    coop_available: async () => {
+        const response = await apiCall('/coop/get-coop-data', 'POST', {});
+        const available = response?.data?.coop?.available;
+        return typeof available === 'number' ? String(available) : '?';
+    },
+
+    members_online: async () => {
+        const response = await apiCall('/alliance/get-alliance-members', 'POST', {});
+        const members = response?.data?.members || [];
+        const cutoff = Date.now() - ONLINE_WINDOW_MS;
+        return String(members.filter(m => m.time_last_login && m.time_last_login * 1000 >= cutoff).length);
+    }
+};
+
+/**
+ * Renders a template with live data
+ * @param {string} template - Template string
+ * @param {object} context - Command context
+ * @param {Array<string>} [context.args=[]] - Command arguments
+ * @param {string} [context.userName=''] - Name of the user who ran the command
+ * @returns {Promise<string>} Rendered message
+ * @throws {Error} If the template is malformed
+ */
+async function renderTemplate(template, { args = [], userName = '' } = {}) {
+    const tokens = parseTemplate(template);
+
+    // Resolve each live placeholder once, in parallel
+    const liveNames = [...new Set(tokens.filter(t => t.type === 'var' && LIVE_RESOLVERS[t.name]).map(t => t.name))];
+    const liveValues = {};
+    await Promise.all(liveNames.map(async (name) => {
+        try {
+            liveValues[name] = await LIVE_RESOLVERS[name]();
+        } catch (error) {
+            logger.debug(`[ChatBot] Failed to resolve template placeholder {${name}}:`, error.message);
+            liveValues[name] = '?';
+        }
+    }));
+
+    return tokens.map(token => {
+        if (token.type === 'text') return token.value;
+
+        if (token.name in liveValues) return liveValues[token.name];
+        if (token.name === 'user') return userName;
+        if (token.name === 'date' || token.name === 'time') return formatNow(token.name, token.options.tz);
+        if (token.name === 'countdown') return formatCountdown(token.options.to);
+        if (token.name === 'args') return args.length > 0 ? args.join(' ') : (token.options.default || '');
+
+        const argIndex = Number(token.name.slice(3)) - 1;
+        return args[argIndex] ?? token.options.default ?? '';
+    }).join('');
+}
+
+module.exports = {
+    TEMPLATE_VARIABLES,
+    parseTemplate,
+    validateTemplate,
+    renderTemplate,
+    isValidTimezone
+};
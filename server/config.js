@@ -44,6 +44,19 @@ function getLocalAppDataDir() {
   return path.join(os.homedir(), '.local', 'share');
 }
 
+/**
+ * Get forecast data file path based on execution mode
+ * @returns {string} Path to forecast.json
+ */
+function getForecastDataPath() {
+  if (process.pkg) {
+    // Running as .exe - use AppData\Local (machine-specific cache data)
+    return path.join(getLocalAppDataDir(), 'ShippingManagerCoPilot', 'sysdata', 'forecast', 'forecast.json');
+  }
+  // Running from source - use project directory
+  return path.join(__dirname, '..', 'sysdata', 'forecast', 'forecast.json');
+}
+
 /**
  * Get log directory path.
  * When packaged as .exe: AppData/Local/ShippingManagerCoPilot/userdata/logs/
@@ -288,5 +301,6 @@ module.exports.getAppPlatformCookie = getAppPlatformCookie;
 module.exports.getAppVersionCookie = getAppVersionCookie;
 module.exports.getAppDataDir = getAppDataDir;
 module.exports.getLocalAppDataDir = getLocalAppDataDir;
+module.exports.getForecastDataPath = getForecastDataPath;
 module.exports.getLogDir = getLogDir;
 module.exports.getSettingsDir = getSettingsDir;
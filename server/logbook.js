@@ -284,7 +284,7 @@ function searchInObject(obj, searchTerm) {
  *
  * @param {string} userId - User ID
  * @param {object} filters - Filter options
- * @param {string} filters.status - "SUCCESS", "ERROR", "WARNING", or "ALL"
+ * @param {string} filters.status - "SUCCESS", "ERROR", "WARNING", "SIMULATED", or "ALL"
  * @param {string} filters.timeRange - "1h", "2h", "6h", "12h", "24h", "today", "yesterday", "48h", "7days", "lastweek", "30days", "lastmonth", or "all"
  * @param {string} filters.autopilot - Autopilot name or "ALL"
  * @param {string} filters.search - Search term (full-text search across all fields including details)
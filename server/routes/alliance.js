@@ -11,6 +11,7 @@
  * - Company name lookup by user ID (used for chat rendering)
  * - Alliance member list retrieval
  * - Graceful handling of users not in alliance (no_alliance flag)
+ * - Local chat archive with search and TXT/CSV/JSON export
  *
  * Why This Exists:
  * - Centralizes alliance-related endpoints
@@ -40,10 +41,13 @@
 
 const express = require('express');
 const validator = require('validator');
-const { apiCall, getCompanyName, getChatFeed, getAllianceId, getUserId, setAllianceId } = require('../utils/api');
+const { apiCall, getCompanyName, getChatFeed, getAllianceId, getUserId, getUserCompanyName, setAllianceId } = require('../utils/api');
 const { messageLimiter } = require('../middleware');
 const { getLastReadTimestamp, updateLastReadTimestamp } = require('../utils/read-tracker');
 const logger = require('../utils/logger');
+const { invalidateRoleCache } = require('../chatbot/permissions');
+const { archiveMessages, searchArchive } = require('../utils/chat-archive-store');
+const { escapeCSVFormula } = require('../utils/csv');
 
 const router = express.Router();
 
@@ -147,6 +151,9 @@ router.get('/chat', async (req, res) => {
       }
     }
 
+    archiveMessages(getAllianceId(), messages)
+      .catch(err => logger.error('[Chat Archive] Failed to archive chat feed:', err.message));
+
     // Get user's last read timestamp from backend
     const userId = getUserId();
     const lastReadTimestamp = getLastReadTimestamp(userId);
@@ -510,6 +517,238 @@ router.post('/chat/mark-read', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * Maximum number of archive entries returned per search request
+ */
+const MAX_ARCHIVE_PAGE_SIZE = 500;
+
+/**
+ * Validates the chat archive filters (query string of GET /api/chat/archive
+ * or body of POST /api/chat/archive/download).
+ *
+ * @param {Object} input - Raw filters { q, sender, from, to, type }
+ * @returns {{error?: string, filters?: Object}} Error message or normalized filters
+ */
+function parseArchiveFilters(input) {
+  const filters = { type: 'all' };
+
+  for (const [key, name] of [['q', 'text'], ['sender', 'sender']]) {
+    if (input[key] === undefined || input[key] === '') continue;
+    if (typeof input[key] !== 'string') {
+      return { error: `Invalid ${key}. Must be a string.` };
+    }
+    const value = validator.trim(input[key]);
+    if (value.length > 100) {
+      return { error: `${key} too long (max 100 characters)` };
+    }
+    filters[name] = value;
+  }
+
+  // Date range as Unix timestamps in milliseconds (the browser converts local dates)
+  for (const key of ['from', 'to']) {
+    if (input[key] === undefined || input[key] === '') continue;
+    if (!validator.isInt(String(input[key]), { min: 0 })) {
+      return { error: `Invalid ${key}. Must be a timestamp in milliseconds.` };
+    }
+    filters[key] = parseInt(input[key], 10);
+  }
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'Invalid date range: from is after to' };
+  }
+
+  if (input.type !== undefined && input.type !== '') {
+    if (!['all', 'chat', 'feed'].includes(input.type)) {
+      return { error: 'Invalid type. Must be all, chat, or feed' };
+    }
+    filters.type = input.type;
+  }
+
+  return { filters };
+}
+
+/**
+ * Converts an archive entry into the message format of GET /api/chat
+ * @param {Object} entry - Archive entry
+ * @returns {Object} Chat message
+ */
+function toChatMessage(entry) {
+  const timestamp = new Date(entry.timestampMs).toUTCString();
+  if (entry.type === 'chat') {
+    return {
+      type: 'chat',
+      company: entry.company,
+      message: entry.message,
+      timestamp: timestamp,
+      timestampMs: entry.timestampMs,
+      user_id: entry.userId
+    };
+  }
+  return {
+    type: 'feed',
+    feedType: entry.feedType,
+    company: entry.company,
+    timestamp: timestamp,
+    timestampMs: entry.timestampMs
+  };
+}
+
+/**
+ * GET /api/chat/archive - Searches the local alliance chat archive.
+ *
+ * The game API only returns the latest part of the alliance feed. Every chat message
+ * and feed event seen by GET /api/chat or the WebSocket chat refresh is archived per
+ * alliance (utils/chat-archive-store.js), so older messages stay searchable.
+ *
+ * Query Parameters (all optional):
+ * - q: Text contained in the message (case-insensitive, max 100 characters)
+ * - sender: Text contained in the company name (case-insensitive, max 100 characters)
+ * - from / to: Date range as Unix timestamps in milliseconds (inclusive)
+ * - type: 'all' (default), 'chat' or 'feed'
+ * - limit: Page size (default 100, max 500)
+ * - offset: Number of entries to skip (default 0)
+ *
+ * @name GET /api/chat/archive
+ * @function
+ * @memberof module:server/routes/alliance
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON { messages, total, offset, limit } with messages newest first
+ *
+ * @example
+ * GET /api/chat/archive?q=hijack&sender=Blue&limit=50
+ * Response: { "messages": [...], "total": 3, "offset": 0, "limit": 50 }
+ */
+router.get('/chat/archive', async (req, res) => {
+  if (!getAllianceId()) {
+    return res.json({ no_alliance: true, messages: [], total: 0, offset: 0, limit: 0 });
+  }
+
+  const parsed = parseArchiveFilters(req.query);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const limit = req.query.limit === undefined ? 100 : parseInt(req.query.limit, 10);
+  const offset = req.query.offset === undefined ? 0 : parseInt(req.query.offset, 10);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ARCHIVE_PAGE_SIZE) {
+    return res.status(400).json({ error: `Invalid limit. Must be between 1 and ${MAX_ARCHIVE_PAGE_SIZE}.` });
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    return res.status(400).json({ error: 'Invalid offset. Must be a non-negative integer.' });
+  }
+
+  try {
+    const entries = await searchArchive(getAllianceId(), parsed.filters);
+    res.json({
+      messages: entries.slice(offset, offset + limit).map(toChatMessage),
+      total: entries.length,
+      offset,
+      limit
+    });
+  } catch (error) {
+    logger.error('[Chat Archive] Search failed:', error);
+    res.status(500).json({ error: 'Failed to search chat archive' });
+  }
+});
+
+/**
+ * POST /api/chat/archive/download - Exports the (filtered) chat archive as TXT, CSV or JSON.
+ *
+ * Same filters as GET /api/chat/archive (without paging), works like the
+ * logbook download (POST /api/logbook/download).
+ *
+ * @name POST /api/chat/archive/download
+ * @function
+ * @memberof module:server/routes/alliance
+ * @param {express.Request} req - Express request object with { format, q, sender, from, to, type } body
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends the export file as attachment (oldest message first)
+ */
+router.post('/chat/archive/download', express.json(), async (req, res) => {
+  if (!getAllianceId()) {
+    return res.status(400).json({ error: 'Not in an alliance' });
+  }
+
+  const format = req.body.format || 'json';
+  if (!['txt', 'csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format. Must be txt, csv, or json' });
+  }
+
+  const parsed = parseArchiveFilters(req.body);
+  if (parsed.error) {
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  try {
+    const messages = (await searchArchive(getAllianceId(), parsed.filters)).reverse().map(toChatMessage);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filename = `alliance-chat-${timestamp}.${format}`;
+
+    let content;
+    if (format === 'txt') {
+      content = formatArchiveAsTXT(messages);
+      res.setHeader('Content-Type', 'text/plain');
+    } else if (format === 'csv') {
+      content = formatArchiveAsCSV(messages);
+      res.setHeader('Content-Type', 'text/csv');
+    } else {
+      content = JSON.stringify(messages, null, 2);
+      res.setHeader('Content-Type', 'application/json');
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    logger.error('[Chat Archive] Export failed:', error);
+    res.status(500).json({ error: 'Failed to export chat archive' });
+  }
+});
+
+/**
+ * Formats archived messages as plain text (one line per message)
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {string} TXT content
+ */
+function formatArchiveAsTXT(messages) {
+  if (messages.length === 0) {
+    return 'No messages found.\n';
+  }
+
+  let output = '='.repeat(80) + '\n';
+  output += 'ALLIANCE CHAT ARCHIVE\n';
+  output += '='.repeat(80) + '\n\n';
+
+  for (const msg of messages) {
+    const date = new Date(msg.timestampMs).toLocaleString();
+    output += msg.type === 'chat'
+      ? `[${date}] ${msg.company}: ${msg.message}\n`
+      : `[${date}] SYSTEM: ${msg.feedType} - ${msg.company}\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Formats archived messages as CSV (Excel-compatible)
+ * @param {Array} messages - Chat messages, oldest first
+ * @returns {string} CSV content
+ */
+function formatArchiveAsCSV(messages) {
+  if (messages.length === 0) {
+    return 'No messages found.\n';
+  }
+
+  let output = 'Timestamp,Date,Time,Type,Company,User ID,Message\n';
+
+  for (const msg of messages) {
+    const date = new Date(msg.timestampMs);
+    const text = msg.type === 'chat' ? msg.message : msg.feedType;
+    output += `${msg.timestampMs},"${escapeCSVFormula(date.toLocaleDateString())}","${escapeCSVFormula(date.toLocaleTimeString())}","${msg.type}","${escapeCSVFormula(msg.company)}","${msg.user_id || ''}","${escapeCSVFormula(text)}"\n`;
+  }
+
+  return output;
+}
+
 /**
  * GET /api/alliance-info - Retrieves alliance details including stats and benefits.
  *
@@ -980,6 +1219,8 @@ router.post('/alliance-update-user-role', express.json(), async (req, res) => {
       user_id,
       role
     });
+    // ChatBot permissions use cached roles
+    invalidateRoleCache();
     res.json(data);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -1163,4 +1404,72 @@ router.post('/alliance-leave-pool-any', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/alliance-polls - Lists the chatbot polls and sign-up lists of the current alliance.
+ *
+ * Response Format:
+ * {
+ *   polls: Array,   // Newest first: { id, type: 'poll'|'signup', status: 'open'|'closed', closesAt, ... }
+ *   now: number     // Server time (ms)
+ * }
+ *
+ * @name GET /api/alliance-polls
+ * @function
+ * @memberof module:server/routes/alliance
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with polls
+ */
+router.get('/alliance-polls', async (req, res) => {
+  const allianceId = getAllianceId();
+  if (!allianceId) {
+    return res.json({ no_alliance: true, polls: [], now: Date.now() });
+  }
+
+  try {
+    const { loadPolls } = require('../utils/poll-store');
+    const polls = await loadPolls(allianceId);
+    res.json({ polls: polls.reverse(), now: Date.now() });
+  } catch (error) {
+    logger.error('[Alliance] Error loading polls:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/alliance-polls/:id/close - Closes an open poll or sign-up list.
+ *
+ * The chatbot posts the results to alliance chat.
+ *
+ * @name POST /api/alliance-polls/:id/close
+ * @function
+ * @memberof module:server/routes/alliance
+ * @param {express.Request} req - Express request object with poll ID
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the closed poll
+ */
+router.post('/alliance-polls/:id/close', async (req, res) => {
+  const allianceId = getAllianceId();
+  if (!allianceId) {
+    return res.status(400).json({ error: 'You are not in an alliance' });
+  }
+
+  const pollId = parseInt(req.params.id, 10);
+  if (!Number.isInteger(pollId) || pollId <= 0) {
+    return res.status(400).json({ error: 'Invalid poll ID' });
+  }
+
+  try {
+    const { closePoll } = require('../chatbot/polls');
+    const poll = await closePoll(allianceId, pollId, getUserCompanyName() || 'owner');
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found or already closed' });
+    }
+    res.json({ success: true, poll });
+  } catch (error) {
+    logger.error('[Alliance] Error closing poll:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 module.exports = router;
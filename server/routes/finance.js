@@ -0,0 +1,188 @@
+/**
+ * Finance API Routes
+ *
+ * Endpoints for the profit & loss ledger built from the logbook (see utils/profit-loss.js)
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getUserId } = require('../utils/api');
+const { escapeCSVFormula } = require('../utils/csv');
+const { PNL_CATEGORIES, buildProfitAndLoss } = require('../utils/profit-loss');
+
+const PERIODS = ['day', 'week'];
+const MAX_DAYS = 365;
+const EXPORT_VIEWS = ['periods', 'vessels', 'routes', 'transactions'];
+
+/**
+ * Parses and validates the period/days query parameters
+ * @param {Object} query - req.query
+ * @returns {{options: Object|null, error: string|null}} Parsed options or error message
+ */
+function parseOptions(query) {
+  const period = query.period || 'day';
+  if (!PERIODS.includes(period)) {
+    return { options: null, error: `Invalid period. Must be one of: ${PERIODS.join(', ')}` };
+  }
+
+  const days = query.days === undefined ? (period === 'week' ? 84 : 30) : parseInt(query.days, 10);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_DAYS) {
+    return { options: null, error: `Invalid days. Must be between 1 and ${MAX_DAYS}` };
+  }
+
+  return { options: { period, days }, error: null };
+}
+
+/**
+ * GET /api/finance/pnl
+ * Get the profit & loss report
+ *
+ * Query parameters:
+ *   period: "day" | "week" (default: "day")
+ *   days: Days to include, 1-365 (default: 30 for day, 84 for week)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   period, from, to,
+ *   categories: { revenue: 'Revenue', harborFees: 'Harbor Fees', ... },
+ *   totals: { revenue, harborFees, fuel, co2, maintenance, marketing, anchorPoints, ransom, expenses, net },
+ *   periods: [{ period: 'YYYY-MM-DD', start, ...totals }],
+ *   vessels: [{ vesselId, name, departures, revenue, harborFees, net }],
+ *   routes: [{ route, departures, revenue, harborFees, net }]
+ * }
+ */
+router.get('/pnl', async (req, res) => {
+  try {
+    const userId = getUserId();
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User not initialized'
+      });
+    }
+
+    const { options, error } = parseOptions(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const report = await buildProfitAndLoss(userId, options);
+    delete report.transactions;
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    logger.error('[Finance] Failed to build P&L:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build profit & loss report'
+    });
+  }
+});
+
+/**
+ * GET /api/finance/pnl/export
+ * Export the profit & loss report as CSV
+ *
+ * Query parameters:
+ *   period, days: Same as /api/finance/pnl
+ *   view: "periods" | "vessels" | "routes" | "transactions" (default: "periods")
+ */
+router.get('/pnl/export', async (req, res) => {
+  try {
+    const userId = getUserId();
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User not initialized'
+      });
+    }
+
+    const { options, error } = parseOptions(req.query);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const view = req.query.view || 'periods';
+    if (!EXPORT_VIEWS.includes(view)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid view. Must be one of: ${EXPORT_VIEWS.join(', ')}`
+      });
+    }
+
+    const report = await buildProfitAndLoss(userId, options);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filename = `profit-loss-${view}-${timestamp}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(formatReportAsCSV(report, view));
+  } catch (error) {
+    logger.error('[Finance] Failed to export P&L:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export profit & loss report'
+    });
+  }
+});
+
+/**
+ * Builds one CSV line: numbers as-is, everything else quoted and escaped
+ * @param {Array} values - Cell values
+ * @returns {string} CSV line
+ */
+function toCSVLine(values) {
+  return values.map(value => (typeof value === 'number' ? String(Math.round(value)) : `"${escapeCSVFormula(value)}"`)).join(',') + '\n';
+}
+
+/**
+ * Format a P&L report view as CSV (Excel-compatible)
+ * @param {Object} report - Result of buildProfitAndLoss()
+ * @param {string} view - One of EXPORT_VIEWS
+ * @returns {string} CSV content
+ */
+function formatReportAsCSV(report, view) {
+  const categories = Object.keys(PNL_CATEGORIES);
+
+  if (view === 'periods') {
+    let output = toCSVLine([report.period === 'week' ? 'Week' : 'Date', ...Object.values(PNL_CATEGORIES), 'Expenses', 'Net']);
+    for (const row of report.periods) {
+      output += toCSVLine([row.period, ...categories.map(c => row[c]), row.expenses, row.net]);
+    }
+    output += toCSVLine(['Total', ...categories.map(c => report.totals[c]), report.totals.expenses, report.totals.net]);
+    return output;
+  }
+
+  if (view === 'vessels') {
+    let output = toCSVLine(['Vessel ID', 'Vessel', 'Departures', 'Revenue', 'Harbor Fees', 'Net']);
+    for (const row of report.vessels) {
+      output += toCSVLine([row.vesselId ?? '', row.name, row.departures, row.revenue, row.harborFees, row.net]);
+    }
+    return output;
+  }
+
+  if (view === 'routes') {
+    let output = toCSVLine(['Route', 'Departures', 'Revenue', 'Harbor Fees', 'Net']);
+    for (const row of report.routes) {
+      output += toCSVLine([row.route, row.departures, row.revenue, row.harborFees, row.net]);
+    }
+    return output;
+  }
+
+  let output = toCSVLine(['Timestamp', 'Date', 'Time', 'Category', 'Action', 'Vessel', 'Route', 'Amount']);
+  for (const t of report.transactions) {
+    const date = new Date(t.timestamp);
+    const signed = t.category === 'revenue' ? t.amount : -t.amount;
+    output += toCSVLine([t.timestamp, date.toLocaleDateString(), date.toLocaleTimeString(), PNL_CATEGORIES[t.category], t.action, t.vessel, t.route, signed]);
+  }
+  return output;
+}
+
+module.exports = router;
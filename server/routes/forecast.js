@@ -13,22 +13,9 @@
 const express = require('express');
 const router = express.Router();
 const fs = require('fs').promises;
-const path = require('path');
 const logger = require('../utils/logger');
-const { getLocalAppDataDir } = require('../config');
-
-/**
- * Get forecast data file path based on execution mode
- * @returns {string} Path to forecast.json
- */
-function getForecastDataPath() {
-    if (process.pkg) {
-        // Running as .exe - use AppData\Local (machine-specific cache data)
-        return path.join(getLocalAppDataDir(), 'ShippingManagerCoPilot', 'sysdata', 'forecast', 'forecast.json');
-    }
-    // Running from source - use project directory
-    return path.join(__dirname, '../../sysdata/forecast/forecast.json');
-}
+const { getForecastDataPath } = require('../config');
+const { getAccuracyStats } = require('../utils/forecast-accuracy');
 
 /**
  * Parse numeric UTC offset from string formats
@@ -568,6 +555,51 @@ router.get('/raw', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/forecast/accuracy
+ * Returns forecast error statistics (forecast vs. observed prices)
+ *
+ * Query parameters:
+ * - timezone: Timezone used to group by day/hour (default: CEST, like forecast.json)
+ *
+ * Errors are forecast minus observed price: mae = mean absolute error ($/t),
+ * bias = mean signed error ($/t), mape = mean absolute percentage error
+ */
+router.get('/accuracy', async (req, res) => {
+    try {
+        const { getUserId } = require('../utils/api');
+        const userId = getUserId();
+        if (!userId) {
+            return res.status(400).json({ error: 'User not initialized' });
+        }
+
+        const timezone = req.query.timezone ? req.query.timezone.toUpperCase() : 'CEST';
+        const offsetHours = getTimezoneOffsetHours(timezone);
+        if (offsetHours === null) {
+            return res.status(400).json({
+                error: `Invalid timezone: ${timezone}`,
+                valid_timezones: getValidTimezones()
+            });
+        }
+
+        const stats = await getAccuracyStats(userId, offsetHours);
+
+        res.json({
+            metadata: {
+                timezone,
+                utc_offset: offsetHours
+            },
+            ...stats
+        });
+    } catch (error) {
+        logger.error('[Forecast] Error loading accuracy stats:', error);
+        res.status(500).json({
+            error: 'Failed to load forecast accuracy',
+            message: error.message
+        });
+    }
+});
+
 // Export router and helper functions for direct use by ChatBot
 module.exports = router;
 module.exports.convertCESTToTimezone = convertCESTToTimezone;
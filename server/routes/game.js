@@ -84,6 +84,12 @@ router.use('/marketing', marketingRoutes);
 // POST /api/autopilot/trigger-depart
 // POST /api/autopilot/toggle
 // GET  /api/autopilot/status
+// GET  /api/autopilot/fuel-plan
+// GET  /api/autopilot/co2-plan
+// GET  /api/autopilot/rules
+// POST /api/autopilot/rules
+// DELETE /api/autopilot/rules/:id
+// GET  /api/autopilot/budget
 router.use('/autopilot', autopilotRoutes);
 
 // Departure routes
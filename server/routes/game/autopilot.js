@@ -9,6 +9,9 @@
  * - Get current autopilot status
  * - Manual trigger for auto-depart (event-driven)
  * - Price alert checking and notifications
+ * - Barrel Boss smart mode fuel plan
+ * - Atmosphere Broker planning mode CO2 plan
+ * - Rule Keeper rule management (user-defined conditions and actions)
  *
  * @requires express - Router and middleware
  * @requires ../../utils/api - API helper functions
@@ -103,10 +106,11 @@ router.post('/trigger-depart', async (req, res) => {
     logger.debug(`[Auto-Depart] Event-driven trigger received for user ${userId}`);
 
     // Execute auto-depart with all required parameters
-    // (using broadcastToUser imported at top of file)
+    // (using broadcastToUser imported at top of file, quiet hours applied like in the main loop)
+    const { withQuietHours } = require('../../utils/pilot-schedule');
     await autopilot.autoDepartVessels(
       autopilot.isAutopilotPaused(),
-      broadcastToUser,
+      withQuietHours(broadcastToUser),
       autopilot.autoRebuyAll,
       autopilot.tryUpdateAllData
     );
@@ -203,4 +207,224 @@ router.get('/status', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/autopilot/fuel-plan
+ * Returns the latest Barrel Boss smart mode purchase plan
+ *
+ * The plan is rebuilt on every auto-rebuy check while smart mode is enabled
+ * and pushed live via the 'fuel_plan_update' WebSocket event.
+ *
+ * @route GET /api/autopilot/fuel-plan
+ *
+ * @returns {object} Plan response:
+ *   - success {boolean} - Operation success
+ *   - plan {object|null} - Latest plan (null until the first smart mode check ran)
+ *
+ * @error 401 - User not authenticated
+ * @error 500 - Failed to get fuel plan
+ */
+router.get('/fuel-plan', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const state = require('../../state');
+    res.json({
+      success: true,
+      plan: state.getFuelPlan(userId)
+    });
+  } catch (error) {
+    logger.error('[Autopilot] Get fuel plan failed:', error);
+    res.status(500).json({ error: 'Failed to get fuel plan' });
+  }
+});
+
+/**
+ * GET /api/autopilot/co2-plan
+ * Returns the latest Atmosphere Broker planning mode CO2 plan
+ *
+ * The plan is rebuilt on every auto-rebuy check while planning mode is enabled
+ * and pushed live via the 'co2_plan_update' WebSocket event.
+ *
+ * @route GET /api/autopilot/co2-plan
+ *
+ * @returns {object} Plan response:
+ *   - success {boolean} - Operation success
+ *   - plan {object|null} - Latest plan (null until the first planning mode check ran)
+ *
+ * @error 401 - User not authenticated
+ * @error 500 - Failed to get CO2 plan
+ */
+router.get('/co2-plan', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const state = require('../../state');
+    res.json({
+      success: true,
+      plan: state.getCO2Plan(userId)
+    });
+  } catch (error) {
+    logger.error('[Autopilot] Get CO2 plan failed:', error);
+    res.status(500).json({ error: 'Failed to get CO2 plan' });
+  }
+});
+
+/**
+ * GET /api/autopilot/rules
+ * Returns the user's Rule Keeper rules with the available metrics and actions
+ *
+ * @route GET /api/autopilot/rules
+ *
+ * @returns {object} Rules response:
+ *   - success {boolean} - Operation success
+ *   - rules {Array} - Stored rules (incl. lastTriggeredAt, lastResult)
+ *   - metrics {object} - Metric definitions { key: { label, unit } }
+ *   - actions {object} - Action definitions { key: { label, amount?, message? } }
+ *   - current {object} - Current metric values (anchorPrice only if a rule uses it)
+ *
+ * @error 401 - User not authenticated
+ * @error 500 - Failed to get rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { loadRules } = require('../../utils/autopilot-rules-store');
+    const { RULE_METRICS, RULE_ACTIONS, getRuleMetrics } = require('../../autopilot/rules_engine');
+
+    const rules = await loadRules(userId);
+    const needsAnchorPrice = rules.some(rule => rule.conditions.some(c => c.metric === 'anchorPrice'));
+
+    res.json({
+      success: true,
+      rules,
+      metrics: RULE_METRICS,
+      actions: RULE_ACTIONS,
+      current: await getRuleMetrics(userId, needsAnchorPrice)
+    });
+  } catch (error) {
+    logger.error('[Autopilot] Get rules failed:', error);
+    res.status(500).json({ error: 'Failed to get rules' });
+  }
+});
+
+/**
+ * POST /api/autopilot/rules
+ * Creates a rule, or updates it if the body contains an existing id
+ *
+ * @route POST /api/autopilot/rules
+ *
+ * @param {object} req.body - Rule:
+ *   - id {string} - Optional, existing rule to update
+ *   - name {string} - Display name (max 50 characters)
+ *   - enabled {boolean} - Rule active (default true)
+ *   - conditions {Array} - 1-5 conditions { metric, operator, value }, all must match
+ *   - action {object} - { type, amount?, message? }
+ *   - cooldownMinutes {number} - Minimum minutes between two runs (1-10080)
+ *
+ * @returns {object} { success: true, rule }
+ *
+ * @error 400 - Invalid rule
+ * @error 401 - User not authenticated
+ * @error 500 - Failed to save rule
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { validateRule } = require('../../autopilot/rules_engine');
+    const validation = validateRule(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const { upsertRule } = require('../../utils/autopilot-rules-store');
+    const rule = await upsertRule(userId, validation.rule);
+    logger.info(`[Autopilot] Rule "${rule.name}" saved`);
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error('[Autopilot] Save rule failed:', error);
+    res.status(500).json({ error: 'Failed to save rule' });
+  }
+});
+
+/**
+ * DELETE /api/autopilot/rules/:id
+ * Deletes a rule
+ *
+ * @route DELETE /api/autopilot/rules/:id
+ *
+ * @returns {object} { success: true }
+ *
+ * @error 401 - User not authenticated
+ * @error 404 - Rule not found
+ * @error 500 - Failed to delete rule
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { deleteRule } = require('../../utils/autopilot-rules-store');
+    const deleted = await deleteRule(userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('[Autopilot] Delete rule failed:', error);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
+/**
+ * GET /api/autopilot/budget
+ * Returns the cash budget per pilot (caps, spending in the last hour/day, remaining)
+ *
+ * @route GET /api/autopilot/budget
+ *
+ * @returns {object} Budget response:
+ *   - success {boolean} - Operation success
+ *   - enabled {boolean} - Whether the budget is enforced
+ *   - cash {number} - Current cash
+ *   - pilots {Array} - Per pilot { id, name, active, priority, hourlyCap, dailyCap,
+ *     spentHour, spentDay, remainingHour, remainingDay, available } (null = unlimited)
+ *
+ * @error 401 - User not authenticated
+ * @error 500 - Failed to get budget
+ */
+router.get('/budget', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { getBudgetStatus } = require('../../utils/cash-budget');
+    res.json({
+      success: true,
+      ...(await getBudgetStatus(userId))
+    });
+  } catch (error) {
+    logger.error('[Autopilot] Get cash budget failed:', error);
+    res.status(500).json({ error: 'Failed to get cash budget' });
+  }
+});
+
+module.exports = router;
@@ -10,6 +10,7 @@
  * - Audit logging of departure results
  * - Harbor fee tracking for vessel history
  * - WebSocket broadcast notifications
+ * - Departure queue: hold reasons per vessel in port, force depart, snooze and exclude
  *
  * @requires express - Router and middleware
  * @requires ../../utils/api - API helper functions
@@ -25,6 +26,15 @@ const autopilot = require('../../autopilot');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../../utils/audit-logger');
 const logger = require('../../utils/logger');
 const { broadcastToUser } = require('../../websocket');
+const gameapi = require('../../gameapi');
+const state = require('../../state');
+const { isPilotScheduled } = require('../../utils/pilot-schedule');
+const { loadDepartureQueue, setSnooze, setExcluded } = require('../../utils/departure-queue-store');
+
+/**
+ * Longest snooze in hours
+ */
+const MAX_SNOOZE_HOURS = 168;
 
 const router = express.Router();
 
@@ -34,6 +44,7 @@ const router = express.Router();
  *
  * @route POST /api/route/depart
  * @body {array} [vessel_ids] - Optional array of specific vessel IDs to depart. If not provided, departs all vessels.
+ * @body {boolean} [force] - Departure queue override: ignore minimum utilization and the fuel-failed cache (requires vessel_ids)
  *
  * @returns {object} Departure result with:
  *   - success {boolean} - Whether departure was successful
@@ -48,6 +59,7 @@ const router = express.Router();
  *   - message {string} - Status message if no vessels departed
  *
  * @error 400 - vessel_ids must be an array if provided
+ * @error 400 - force requires vessel_ids
  * @error 500 - Failed to depart vessels
  *
  * Side effects:
@@ -67,6 +79,11 @@ router.post('/depart', async (req, res) => {
       return res.status(400).json({ error: 'vessel_ids must be an array' });
     }
 
+    const force = req.body?.force === true;
+    if (force && !vesselIds) {
+      return res.status(400).json({ error: 'force requires vessel_ids' });
+    }
+
     if (vesselIds) {
       logger.debug(`[Depart API] Departing ${vesselIds.length} specific vessels`);
     } else {
@@ -79,7 +96,7 @@ router.post('/depart', async (req, res) => {
     // NOTE: Contribution tracking happens inside autopilot.departVessels()
     const { broadcastHarborMapRefresh } = require('../../websocket');
     // (using broadcastToUser imported at top of file)
-    const result = await autopilot.departVessels(userId, vesselIds, broadcastToUser, autopilot.autoRebuyAll, autopilot.tryUpdateAllData);
+    const result = await autopilot.departVessels(userId, vesselIds, broadcastToUser, autopilot.autoRebuyAll, autopilot.tryUpdateAllData, false, force);
 
     // LOGBOOK: Manual vessel departure (same format as Auto-Depart)
     // NOTE: Contribution data comes from individual vessels in departedVessels array
@@ -89,8 +106,9 @@ router.post('/depart', async (req, res) => {
         userId,
         CATEGORIES.VESSEL,
         'Manual Depart',
-        `${result.departedCount} vessels | +${formatCurrency(result.totalRevenue)}${result.contributionGained !== null ? ` | +${result.contributionGained} contribution` : ''}`,
+        `${force ? 'Forced: ' : ''}${result.departedCount} vessels | +${formatCurrency(result.totalRevenue)}${result.contributionGained !== null ? ` | +${result.contributionGained} contribution` : ''}`,
         {
+          forced: force,
           vesselCount: result.departedCount,
           totalRevenue: result.totalRevenue,
           totalFuelUsed: result.totalFuelUsed,
@@ -139,4 +157,176 @@ router.post('/depart', async (req, res) => {
   }
 });
 
+/**
+ * Gets the port a vessel in port sails to next (same rule as Cargo Marshal)
+ * @param {Object} vessel - Vessel object
+ * @returns {string} Port code
+ */
+function getNextDestination(vessel) {
+  if (vessel.route_destination === vessel.current_port_code) {
+    return vessel.route_origin;
+  }
+  return vessel.route_destination;
+}
+
+/**
+ * Explains why auto-depart does not run at all right now
+ * @param {number} userId - User ID
+ * @returns {string|null} Reason or null if Cargo Marshal runs on the next loop
+ */
+function getAutoDepartHold(userId) {
+  const settings = state.getSettings(userId);
+  const bunker = state.getBunkerState(userId);
+
+  if (!settings?.autoDepartAll) return 'Cargo Marshal is disabled';
+  if (autopilot.isAutopilotPaused()) return 'Autopilot is paused';
+  if (!isPilotScheduled(userId, 'cargoMarshal')) return 'Outside the Cargo Marshal schedule';
+  if (bunker && bunker.fuel < settings.minFuelThreshold) {
+    return `Bunker below minimum fuel (${Math.floor(bunker.fuel)}t < ${settings.minFuelThreshold}t)`;
+  }
+  return null;
+}
+
+/**
+ * Parses the vessel ID route parameter
+ * @param {Object} req - Express request
+ * @returns {number|null} Vessel ID or null if invalid
+ */
+function parseVesselId(req) {
+  const vesselId = parseInt(req.params.vesselId, 10);
+  return Number.isInteger(vesselId) && vesselId > 0 ? vesselId : null;
+}
+
+/**
+ * Departure queue: every vessel in port with the reason it is still there
+ *
+ * @route GET /api/route/depart-queue
+ *
+ * @returns {object}
+ *   - vessels {array} - { id, name, route_name, current_port, destination, status, hold, snoozedUntil,
+ *     excludedSince, lastTrip, nextRetryAt } with status 'ready', 'held', 'snoozed' or 'excluded'
+ *   - nextRunAt {number} - Next autopilot loop (ms)
+ *   - autoDepartHold {string|null} - Why Cargo Marshal does not run at all (disabled, paused, ...)
+ *
+ * @error 500 - Failed to load departure queue
+ */
+router.get('/depart-queue', async (req, res) => {
+  try {
+    const userId = getUserId();
+    const [vessels, queue] = await Promise.all([gameapi.fetchVessels(), loadDepartureQueue(userId)]);
+
+    const now = Date.now();
+    const nextRunAt = autopilot.getNextLoopTime();
+    const autoDepartHold = getAutoDepartHold(userId);
+
+    const items = vessels
+      .filter(v => v.status === 'port' && !v.is_parked)
+      .map(vessel => {
+        const destination = getNextDestination(vessel);
+        const excludedSince = queue.excluded[vessel.id] || null;
+        const snoozedUntil = queue.snoozed[vessel.id] > now ? queue.snoozed[vessel.id] : null;
+
+        // A hold recorded for another destination is from the previous port call
+        let hold = queue.holds[vessel.id] || null;
+        if (hold && hold.code !== 'no_route' && hold.destination !== destination) {
+          hold = null;
+        }
+
+        let status = 'ready';
+        if (excludedSince) status = 'excluded';
+        else if (snoozedUntil) status = 'snoozed';
+        else if (hold) status = 'held';
+
+        let nextRetryAt = null;
+        if (!excludedSince && !autoDepartHold) {
+          nextRetryAt = snoozedUntil ? Math.max(snoozedUntil, nextRunAt) : nextRunAt;
+        }
+
+        return {
+          id: vessel.id,
+          name: vessel.name,
+          route_name: vessel.route_name || null,
+          current_port: vessel.current_port_code,
+          destination: destination || null,
+          status,
+          hold,
+          snoozedUntil,
+          excludedSince,
+          lastTrip: queue.lastTrip[vessel.id] || null,
+          nextRetryAt
+        };
+      });
+
+    res.json({ vessels: items, nextRunAt, autoDepartHold });
+  } catch (error) {
+    logger.error('[Depart Queue] Error loading queue:', error.message);
+    res.status(500).json({ error: 'Failed to load departure queue' });
+  }
+});
+
+/**
+ * Snoozes a vessel for auto-depart (or ends the snooze)
+ *
+ * @route POST /api/route/depart-queue/:vesselId/snooze
+ * @body {number} hours - Snooze duration 1-168, 0 ends the snooze
+ *
+ * @returns {object} { success, snoozedUntil }
+ *
+ * @error 400 - Invalid vessel ID or hours
+ * @error 500 - Failed to snooze vessel
+ */
+router.post('/depart-queue/:vesselId/snooze', async (req, res) => {
+  const vesselId = parseVesselId(req);
+  const hours = Number(req.body?.hours);
+
+  if (!vesselId) {
+    return res.status(400).json({ error: 'Invalid vessel ID' });
+  }
+  if (!Number.isFinite(hours) || hours < 0 || hours > MAX_SNOOZE_HOURS) {
+    return res.status(400).json({ error: `hours must be between 0 and ${MAX_SNOOZE_HOURS}` });
+  }
+
+  try {
+    const snoozedUntil = hours > 0 ? Date.now() + hours * 60 * 60 * 1000 : null;
+    await setSnooze(getUserId(), vesselId, snoozedUntil);
+    logger.info(`[Depart Queue] Vessel ${vesselId} ${snoozedUntil ? `snoozed for ${hours}h` : 'snooze ended'}`);
+    res.json({ success: true, snoozedUntil });
+  } catch (error) {
+    logger.error('[Depart Queue] Error snoozing vessel:', error.message);
+    res.status(500).json({ error: 'Failed to snooze vessel' });
+  }
+});
+
+/**
+ * Excludes a vessel from auto-depart (or includes it again)
+ *
+ * @route POST /api/route/depart-queue/:vesselId/exclude
+ * @body {boolean} excluded - True to exclude, false to include again
+ *
+ * @returns {object} { success, excluded }
+ *
+ * @error 400 - Invalid vessel ID or excluded flag
+ * @error 500 - Failed to update vessel
+ */
+router.post('/depart-queue/:vesselId/exclude', async (req, res) => {
+  const vesselId = parseVesselId(req);
+  const excluded = req.body?.excluded;
+
+  if (!vesselId) {
+    return res.status(400).json({ error: 'Invalid vessel ID' });
+  }
+  if (typeof excluded !== 'boolean') {
+    return res.status(400).json({ error: 'excluded must be a boolean' });
+  }
+
+  try {
+    await setExcluded(getUserId(), vesselId, excluded);
+    logger.info(`[Depart Queue] Vessel ${vesselId} ${excluded ? 'excluded from' : 'included in'} auto-depart`);
+    res.json({ success: true, excluded });
+  } catch (error) {
+    logger.error('[Depart Queue] Error updating exclusion:', error.message);
+    res.status(500).json({ error: 'Failed to update vessel' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
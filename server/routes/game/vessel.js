@@ -6,6 +6,9 @@
  * - Purchasing and selling vessels
  * - Vessel repairs and maintenance
  * - Vessel renaming
+ * - Per-vessel autopilot overrides
+ * - Vessel tags/groups and bulk rename
+ * - Fleet renewal advice (sell/buy swaps)
  * - Bulk operations with progress notifications
  *
  * Key Features:
@@ -29,6 +32,11 @@
  * @requires ../../utils/audit-logger - Transaction logging
  * @requires ../../websocket - WebSocket broadcasting
  * @requires ../../utils/logger - Logging utility
+ * @requires ../../utils/vessel-overrides-store - Per-vessel autopilot overrides
+ * @requires ../../utils/departure-queue-store - Auto-depart exclusion
+ * @requires ../../utils/vessel-tags-store - Vessel tags/groups
+ * @requires ../../utils/fleet-renewal - Vessel scoring and swap suggestions
+ * @requires ../../utils/route-analytics - Earnings per vessel for payback estimates
  * @module server/routes/game/vessel
  */
 
@@ -43,6 +51,11 @@ const logger = require('../../utils/logger');
 const autopilot = require('../../autopilot');
 const { auditLog, CATEGORIES, SOURCES, formatCurrency } = require('../../utils/audit-logger');
 const { getFuelConsumptionDisplay, addCustomVesselFuelData, removeCustomVesselFuelData } = require('../../utils/fuel-calculator');
+const { loadVesselOverrides, normalizeOverrides, setVesselOverrides } = require('../../utils/vessel-overrides-store');
+const { loadDepartureQueue, setExcluded } = require('../../utils/departure-queue-store');
+const vesselTags = require('../../utils/vessel-tags-store');
+const fleetRenewal = require('../../utils/fleet-renewal');
+const { buildRouteAnalytics } = require('../../utils/route-analytics');
 
 const router = express.Router();
 
@@ -225,6 +238,7 @@ router.post('/sell-vessels', express.json(), async (req, res) => {
     }
 
     let soldCount = 0;
+    const soldIds = [];
     const errors = [];
 
     // Sell each vessel individually (API only supports single vessel sales)
@@ -233,6 +247,7 @@ router.post('/sell-vessels', express.json(), async (req, res) => {
         const data = await apiCall('/vessel/sell-vessel', 'POST', { vessel_id: vesselId });
         if (data.success) {
           soldCount++;
+          soldIds.push(vesselId);
 
           // Use price from BEFORE selling (from /game/index) or fall back to API response
           const sellPrice = vesselPriceMap.get(vesselId) || data.vessel?.sell_price || 0;
@@ -260,6 +275,13 @@ router.post('/sell-vessels', express.json(), async (req, res) => {
       }
     }
 
+    // Sold vessels leave their groups
+    if (soldIds.length > 0) {
+      await vesselTags.removeVessels(userId, soldIds).catch(error => {
+        logger.error('[Vessel Sell] Failed to remove tags of sold vessels:', error.message);
+      });
+    }
+
     // Fetch and broadcast updated bunker state (cash increased)
     try {
       const gameData = await apiCallWithRetry('/game/index', 'POST', {});
@@ -684,12 +706,39 @@ router.post('/broadcast-sale-summary', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * Parses a vessel_ids body field
+ * @param {*} value - Request value
+ * @returns {Array<number>|null} Positive integer IDs, null if not a non-empty array of them
+ */
+function parseVesselIds(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const ids = value.map(id => parseInt(id, 10));
+  return ids.every(id => Number.isInteger(id) && id > 0) ? ids : null;
+}
+
+/**
+ * Selects the vessels a repair applies to
+ * @param {Array<Object>} vessels - User vessels
+ * @param {number} threshold - Wear threshold in %
+ * @param {Array<number>|null} vesselIds - Restrict to these vessels (skips vessels without wear)
+ * @returns {Array<Object>} Vessels to repair
+ */
+function filterRepairCandidates(vessels, threshold, vesselIds) {
+  if (!vesselIds) {
+    return vessels.filter(v => parseInt(v.wear) >= threshold);
+  }
+  const ids = new Set(vesselIds);
+  return vessels.filter(v => ids.has(v.id) && parseFloat(v.wear) > 0 && parseInt(v.wear) >= threshold);
+}
+
 /**
  * POST /api/vessel/get-repair-preview
  * Gets repair preview with vessel list and costs
  *
  * @route POST /api/vessel/get-repair-preview
  * @body {number} threshold - Wear percentage threshold (0-100)
+ * @body {array} [vessel_ids] - Only these vessels (e.g. a vessel group); vessels without wear are skipped
  *
  * @returns {object} Repair preview:
  *   - vessels {array} - Vessels needing repair with costs
@@ -701,10 +750,14 @@ router.post('/broadcast-sale-summary', express.json(), async (req, res) => {
  */
 router.post('/get-repair-preview', express.json(), async (req, res) => {
   const { threshold } = req.body;
+  const requestedIds = parseVesselIds(req.body.vessel_ids);
 
   if (threshold === null || threshold === undefined || threshold < 0 || threshold > 100) {
     return res.status(400).json({ error: 'Invalid threshold' });
   }
+  if (req.body.vessel_ids !== undefined && !requestedIds) {
+    return res.status(400).json({ error: 'Invalid vessel_ids array' });
+  }
 
   try {
     // Get all vessels
@@ -713,10 +766,7 @@ router.post('/get-repair-preview', express.json(), async (req, res) => {
     const user = vesselData.user;
 
     // Filter vessels needing repair
-    const vesselsToRepair = allVessels.filter(v => {
-      const wear = parseInt(v.wear);
-      return wear >= threshold;
-    });
+    const vesselsToRepair = filterRepairCandidates(allVessels, threshold, requestedIds);
 
     if (vesselsToRepair.length === 0) {
       return res.json({ vessels: [], totalCost: 0, cash: user.cash });
@@ -760,7 +810,8 @@ router.post('/get-repair-preview', express.json(), async (req, res) => {
  * Repairs all vessels needing maintenance based on threshold
  *
  * @route POST /api/vessel/bulk-repair
- * @body {number} threshold - Wear percentage threshold (0-100)
+ * @body {number} threshold - Wear percentage threshold (1-100, may be 0 with vessel_ids)
+ * @body {array} [vessel_ids] - Only these vessels (e.g. a vessel group); vessels without wear are skipped
  *
  * @returns {object} Repair results:
  *   - count {number} - Number of vessels repaired
@@ -778,8 +829,13 @@ router.post('/get-repair-preview', express.json(), async (req, res) => {
  */
 router.post('/bulk-repair', express.json(), async (req, res) => {
   const { threshold } = req.body;
+  const requestedIds = parseVesselIds(req.body.vessel_ids);
 
-  if (!threshold || threshold < 0 || threshold > 100) {
+  if (req.body.vessel_ids !== undefined && !requestedIds) {
+    return res.status(400).json({ error: 'Invalid vessel_ids array' });
+  }
+  // Threshold 0 would repair vessels without wear - only allowed for an explicit vessel list
+  if ((!threshold && !(requestedIds && threshold === 0)) || threshold < 0 || threshold > 100) {
     return res.status(400).json({ error: 'Invalid threshold' });
   }
 
@@ -789,10 +845,7 @@ router.post('/bulk-repair', express.json(), async (req, res) => {
     const allVessels = vesselData.data.user_vessels;
 
     // Filter vessels needing repair
-    const vesselsToRepair = allVessels.filter(v => {
-      const wear = parseInt(v.wear);
-      return wear >= threshold;
-    });
+    const vesselsToRepair = filterRepairCandidates(allVessels, threshold, requestedIds);
 
     if (vesselsToRepair.length === 0) {
       const userId = getUserId();
@@ -1340,4 +1393,378 @@ router.post('/build-vessel', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * GET /api/vessel/overrides
+ * Gets the autopilot overrides of all vessels that have at least one
+ *
+ * @returns {object} { overrides: { [vesselId]: { excludeDepart, excludeRepair, excludeDrydock, speed, minUtilization, guards } } }
+ *
+ * @error 500 - Failed to load overrides
+ */
+router.get('/overrides', async (req, res) => {
+  try {
+    const userId = getUserId();
+    const [stored, queue] = await Promise.all([loadVesselOverrides(userId), loadDepartureQueue(userId)]);
+
+    const overrides = {};
+    for (const [vesselId, vesselOverrides] of Object.entries(stored)) {
+      overrides[vesselId] = { ...vesselOverrides };
+    }
+    // Auto-depart exclusion lives in the departure queue (shared with Depart Manager)
+    for (const vesselId of Object.keys(queue.excluded)) {
+      overrides[vesselId] = { ...overrides[vesselId], excludeDepart: true };
+    }
+
+    res.json({ overrides });
+  } catch (error) {
+    logger.error('[Vessel Overrides] Error loading overrides:', error.message);
+    res.status(500).json({ error: 'Failed to load overrides' });
+  }
+});
+
+/**
+ * POST /api/vessel/overrides
+ * Replaces the autopilot overrides of a vessel
+ *
+ * @body {number} vessel_id - Vessel ID
+ * @body {object} overrides - { excludeDepart, excludeRepair, excludeDrydock, speed (1-100 % of max speed),
+ *                            minUtilization (0-100 %), guards (0-10) }; omitted or empty fields use the account settings
+ *
+ * @returns {object} { success, overrides } - Overrides now in effect
+ *
+ * @error 400 - Invalid vessel_id or override value
+ * @error 500 - Failed to save overrides
+ */
+router.post('/overrides', express.json(), async (req, res) => {
+  const vesselId = parseInt(req.body?.vessel_id, 10);
+  if (!Number.isInteger(vesselId) || vesselId <= 0) {
+    return res.status(400).json({ error: 'Invalid vessel ID' });
+  }
+
+  const input = req.body?.overrides;
+  const { overrides, error: validationError } = normalizeOverrides(input);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const userId = getUserId();
+    const excludeDepart = input.excludeDepart === true;
+    await Promise.all([
+      setVesselOverrides(userId, vesselId, overrides),
+      setExcluded(userId, vesselId, excludeDepart)
+    ]);
+
+    const effective = excludeDepart ? { ...overrides, excludeDepart } : overrides;
+    logger.info(`[Vessel Overrides] Vessel ${vesselId}: ${Object.keys(effective).join(', ') || 'cleared'}`);
+    res.json({ success: true, overrides: effective });
+  } catch (error) {
+    logger.error('[Vessel Overrides] Error saving overrides:', error.message);
+    res.status(500).json({ error: 'Failed to save overrides' });
+  }
+});
+
+/**
+ * Sends the tags of all vessels with the resulting groups
+ * @param {object} res - Express response
+ * @param {Object} tags - vesselId -> tags
+ */
+function sendVesselTags(res, tags) {
+  res.json({ tags, groups: vesselTags.getGroups(tags) });
+}
+
+/**
+ * Cleans up a list of tag names from the client
+ * @param {*} value - Request value
+ * @returns {Array<string>|null} Normalized tags ([] if omitted), null if a name is invalid
+ */
+function parseTagList(value) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) return null;
+  const tags = value.map(vesselTags.normalizeTagName);
+  return tags.every(Boolean) ? tags : null;
+}
+
+/**
+ * GET /api/vessel/tags
+ * Gets the tags of all vessels and the groups they form
+ *
+ * @returns {object} { tags: { [vesselId]: [tag] }, groups: [{ name, vesselIds }] }
+ *
+ * @error 500 - Failed to load tags
+ */
+router.get('/tags', async (req, res) => {
+  try {
+    sendVesselTags(res, await vesselTags.loadVesselTags(getUserId()));
+  } catch (error) {
+    logger.error('[Vessel Tags] Error loading tags:', error.message);
+    res.status(500).json({ error: 'Failed to load tags' });
+  }
+});
+
+/**
+ * POST /api/vessel/tags
+ * Adds and removes tags on one or more vessels
+ *
+ * @body {array} vessel_ids - Vessel IDs
+ * @body {array} [add] - Tags to add (1-30 characters, max 10 per vessel)
+ * @body {array} [remove] - Tags to remove
+ *
+ * @returns {object} { tags, groups } after the change
+ *
+ * @error 400 - Invalid vessel_ids or tag name
+ * @error 500 - Failed to save tags
+ */
+router.post('/tags', express.json(), async (req, res) => {
+  const vesselIds = parseVesselIds(req.body?.vessel_ids);
+  const add = parseTagList(req.body?.add);
+  const remove = parseTagList(req.body?.remove);
+
+  if (!vesselIds) {
+    return res.status(400).json({ error: 'Missing or invalid vessel_ids array' });
+  }
+  if (!add || !remove) {
+    return res.status(400).json({ error: `Tag names must be 1-${vesselTags.MAX_TAG_LENGTH} characters` });
+  }
+
+  try {
+    const tags = await vesselTags.updateVesselTags(getUserId(), vesselIds, { add, remove });
+    logger.info(`[Vessel Tags] ${vesselIds.length} vessel(s): +[${add.join(', ')}] -[${remove.join(', ')}]`);
+    sendVesselTags(res, tags);
+  } catch (error) {
+    logger.error('[Vessel Tags] Error saving tags:', error.message);
+    res.status(500).json({ error: 'Failed to save tags' });
+  }
+});
+
+/**
+ * POST /api/vessel/tags/rename
+ * Renames a group (the tag on all its vessels); an existing group of the new name is merged
+ *
+ * @body {string} name - Current group name
+ * @body {string} new_name - New group name (1-30 characters)
+ *
+ * @returns {object} { tags, groups } after the change
+ *
+ * @error 400 - Invalid name
+ * @error 500 - Failed to rename group
+ */
+router.post('/tags/rename', express.json(), async (req, res) => {
+  const name = vesselTags.normalizeTagName(req.body?.name);
+  const newName = vesselTags.normalizeTagName(req.body?.new_name);
+
+  if (!name || !newName) {
+    return res.status(400).json({ error: `Group names must be 1-${vesselTags.MAX_TAG_LENGTH} characters` });
+  }
+
+  try {
+    const tags = await vesselTags.renameTag(getUserId(), name, newName);
+    logger.info(`[Vessel Tags] Group "${name}" renamed to "${newName}"`);
+    sendVesselTags(res, tags);
+  } catch (error) {
+    logger.error('[Vessel Tags] Error renaming group:', error.message);
+    res.status(500).json({ error: 'Failed to rename group' });
+  }
+});
+
+/**
+ * POST /api/vessel/tags/delete
+ * Deletes a group (removes the tag from all vessels, the vessels are not touched)
+ *
+ * @body {string} name - Group name
+ *
+ * @returns {object} { tags, groups } after the change
+ *
+ * @error 400 - Invalid name
+ * @error 500 - Failed to delete group
+ */
+router.post('/tags/delete', express.json(), async (req, res) => {
+  const name = vesselTags.normalizeTagName(req.body?.name);
+
+  if (!name) {
+    return res.status(400).json({ error: 'Invalid group name' });
+  }
+
+  try {
+    const tags = await vesselTags.deleteTag(getUserId(), name);
+    logger.info(`[Vessel Tags] Group "${name}" deleted`);
+    sendVesselTags(res, tags);
+  } catch (error) {
+    logger.error('[Vessel Tags] Error deleting group:', error.message);
+    res.status(500).json({ error: 'Failed to delete group' });
+  }
+});
+
+/**
+ * POST /api/vessel/bulk-rename
+ * Renames several vessels from a name pattern
+ *
+ * Placeholders: {n} = position in vessel_ids (1, 2, ...), {name} = current name.
+ * Vessels are renamed one by one; a vessel whose new name is invalid or whose
+ * rename fails is reported in errors and the others continue.
+ *
+ * @body {array} vessel_ids - Vessel IDs in numbering order
+ * @body {string} pattern - Name pattern, e.g. "Asia Loop {n}" (must contain {n} or {name} for more than one vessel)
+ *
+ * @returns {object} { success, renamed, errors? }
+ *
+ * @error 400 - Invalid vessel_ids or pattern
+ * @error 500 - Failed to rename vessels
+ *
+ * Side effects:
+ * - Triggers harbor map refresh with vessel_renamed event
+ */
+router.post('/bulk-rename', express.json(), async (req, res) => {
+  const vesselIds = parseVesselIds(req.body?.vessel_ids);
+  const pattern = typeof req.body?.pattern === 'string' ? req.body.pattern.trim() : '';
+
+  if (!vesselIds) {
+    return res.status(400).json({ error: 'Missing or invalid vessel_ids array' });
+  }
+  if (!pattern) {
+    return res.status(400).json({ error: 'Name pattern is required' });
+  }
+  if (vesselIds.length > 1 && !pattern.includes('{n}') && !pattern.includes('{name}')) {
+    return res.status(400).json({ error: 'Pattern must contain {n} or {name} to give the vessels different names' });
+  }
+
+  try {
+    const vessels = await gameapi.fetchVessels();
+    const vesselsById = new Map(vessels.map(v => [v.id, v]));
+
+    let renamed = 0;
+    const errors = [];
+
+    for (const [index, vesselId] of vesselIds.entries()) {
+      const vessel = vesselsById.get(vesselId);
+      if (!vessel) {
+        errors.push({ vesselId, error: 'Vessel not found' });
+        continue;
+      }
+
+      const name = pattern.replace(/\{n\}/g, String(index + 1)).replace(/\{name\}/g, () => vessel.name).trim();
+      if (name.length < 2 || name.length > 30) {
+        errors.push({ vesselId, error: `"${name}" is not 2-30 characters` });
+        continue;
+      }
+      if (name === vessel.name) continue;
+
+      try {
+        await apiCall('/vessel/rename-vessel', 'POST', { vessel_id: vesselId, name });
+        renamed++;
+      } catch (error) {
+        logger.error(`[Bulk Rename] Failed to rename vessel ${vesselId}:`, error.message);
+        errors.push({ vesselId, error: error.message });
+      }
+    }
+
+    logger.info(`[Bulk Rename] Renamed ${renamed}/${vesselIds.length} vessel(s) with pattern "${pattern}"`);
+
+    const userId = getUserId();
+    if (userId && renamed > 0) {
+      const { broadcastHarborMapRefresh } = require('../../websocket');
+      if (broadcastHarborMapRefresh) {
+        broadcastHarborMapRefresh(userId, 'vessel_renamed', { count: renamed });
+      }
+    }
+
+    res.json({
+      success: true,
+      renamed,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  } catch (error) {
+    logger.error('[Bulk Rename] Error:', error.message);
+    res.status(500).json({ error: 'Failed to rename vessels' });
+  }
+});
+
+/**
+ * GET /api/vessel/renewal-advice
+ * Scores the fleet against the acquirable catalog and suggests swaps for the weakest vessels
+ *
+ * Scores (0-100) combine age, wear, fuel efficiency, speed and capacity, see
+ * utils/fleet-renewal. Resale values are only fetched for the suggested swaps.
+ *
+ * @route GET /api/vessel/renewal-advice
+ * @query {number} [limit=10] - Maximum number of swaps (1-25)
+ * @query {number} [days=30] - Earnings window for the payback estimate (1-365)
+ *
+ * @returns {object} Advice:
+ *   - cash {number} - Current cash
+ *   - days {number} - Earnings window
+ *   - weights {object} - Score weights
+ *   - fleet {array} - { id, name, capacityType, year, wear, capacity, score, scores }, worst first
+ *   - swaps {array} - { sell, buy, netCash, dailyGain, basis, paybackDays, affordable }
+ *
+ * @error 400 - Invalid limit or days
+ * @error 500 - Failed to build renewal advice
+ */
+router.get('/renewal-advice', async (req, res) => {
+  const limit = req.query.limit === undefined ? 10 : parseInt(req.query.limit, 10);
+  const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > 25) {
+    return res.status(400).json({ error: 'Invalid limit. Must be between 1 and 25' });
+  }
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return res.status(400).json({ error: 'Invalid days. Must be between 1 and 365' });
+  }
+
+  try {
+    const userId = getUserId();
+    const [vesselData, catalogData] = await Promise.all([
+      apiCallWithRetry('/game/index', 'POST', {}),
+      apiCall('/vessel/get-all-acquirable-vessels', 'POST', {})
+    ]);
+    const vessels = vesselData.data.user_vessels || [];
+    const cash = vesselData.user?.cash || 0;
+
+    const scored = fleetRenewal.scoreFleet(vessels, catalogData?.data?.vessels_for_sale || [], userId);
+    const analytics = await buildRouteAnalytics(userId, { days, vessels });
+    const rates = fleetRenewal.buildEarningsRates(analytics, vessels, userId);
+
+    // Weakest vessels first; resale values cost one request each
+    const swaps = [];
+    for (const owned of scored.fleet) {
+      if (swaps.length >= limit) break;
+      const options = fleetRenewal.findReplacements(owned, scored.catalog);
+      if (options.length === 0) continue;
+
+      let sellPrice = null;
+      try {
+        const priceData = await apiCall('/vessel/get-sell-price', 'POST', { vessel_id: owned.vessel.id });
+        sellPrice = priceData?.data?.selling_price ?? null;
+      } catch (error) {
+        logger.warn(`[Fleet Renewal] Failed to get sell price for vessel ${owned.vessel.id}:`, error.message);
+      }
+
+      const swap = fleetRenewal.pickBestSwap(owned, options, sellPrice, rates, userId);
+      swaps.push({ ...swap, affordable: cash + (sellPrice || 0) >= swap.buy.price });
+    }
+
+    logger.debug(`[Fleet Renewal] Scored ${scored.fleet.length} vessels against ${scored.catalog.length} catalog vessels, ${swaps.length} swap(s)`);
+
+    res.json({
+      cash,
+      days,
+      weights: fleetRenewal.SCORE_WEIGHTS,
+      fleet: scored.fleet.map(({ vessel, score, scores }) => ({
+        id: vessel.id,
+        name: vessel.name,
+        capacityType: vessel.capacity_type,
+        year: vessel.year,
+        wear: parseFloat(vessel.wear) || 0,
+        capacity: fleetRenewal.getCapacity(vessel),
+        score,
+        scores
+      })),
+      swaps
+    });
+  } catch (error) {
+    logger.error('[Fleet Renewal] Error:', error);
+    res.status(500).json({ error: 'Failed to build renewal advice' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
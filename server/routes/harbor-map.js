@@ -10,6 +10,7 @@
  * - Reachable ports calculation for vessel-specific routes
  * - "My Ports" vs "All Ports" filtering
  * - Vessel categorization by port (in/to/from)
+ * - Route profitability analytics (per port pair and per vessel)
  *
  * Architecture:
  * - ALL API calls happen in backend
@@ -29,6 +30,8 @@ const config = require('../config');
 const { enrichHistoryWithFees } = require('../utils/harbor-fee-store');
 const { enrichHistoryWithContributions } = require('../utils/contribution-store');
 const { migrateHarborFeesForUser } = require('../utils/migrate-harbor-fees');
+const { buildRouteAnalytics } = require('../utils/route-analytics');
+const { escapeCSVFormula } = require('../utils/csv');
 
 const {
   aggregateVesselData,
@@ -679,22 +682,6 @@ function formatHistoryAsTXT(vessel, history) {
 /**
  * Formats vessel history as CSV (spreadsheet-compatible)
  */
-/**
- * Escape CSV formula injection (=, +, @, - at start of cell)
- * Prefixes dangerous characters with single quote to force text mode in Excel
- * @param {string} value - Value to escape
- * @returns {string} Escaped value safe for CSV
- */
-function escapeCSVFormula(value) {
-  if (!value) return '';
-  const str = String(value);
-  // If starts with formula characters, prefix with single quote
-  if (/^[=+@\-]/.test(str)) {
-    return "'" + str.replace(/"/g, '""'); // Also escape quotes
-  }
-  return str.replace(/"/g, '""'); // Just escape quotes
-}
-
 function formatHistoryAsCSV(history) {
   let csv = 'Date,Origin,Destination,Distance,Duration,Cargo_Dry,Cargo_Ref,Cargo_Fuel,Cargo_Crude,Income,Fuel_Used,Wear,Revenue_Per_NM\n';
 
@@ -729,6 +716,50 @@ function formatHistoryAsCSV(history) {
   return csv;
 }
 
+/**
+ * GET /api/harbor-map/route-analytics
+ * Returns profitability per origin-destination pair and per vessel, aggregated
+ * from the departures in the logbook (see utils/route-analytics.js)
+ *
+ * Query parameters:
+ *   days: Days to include, 1-365 (default: 30)
+ *
+ * Response:
+ * {
+ *   from, to, fuelPrice, co2Price, feeThreshold,
+ *   routes: [{ key, portA, portB, trips, avgIncome, harborFeePercent, avgFuel, co2Cost, avgUtilization, netProfit, avgNetProfit, status }],
+ *   vessels: [{ vesselId, name, trips, avgIncome, harborFeePercent, avgFuel, co2Cost, avgUtilization, netProfit, avgNetProfit, status }]
+ * }
+ * status: 'loss' | 'marginal' | 'profit'
+ */
+router.get('/route-analytics', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: 'Invalid days. Must be between 1 and 365' });
+    }
+
+    // Current fleet is needed for per-model fuel consumption
+    const vesselsResponse = await gameapi.getAllUserVessels();
+    const vessels = vesselsResponse?.data?.user_vessels || [];
+
+    const analytics = await buildRouteAnalytics(userId, { days, vessels });
+
+    logger.debug(`[Harbor Map] Route analytics: ${analytics.routes.length} routes, ${analytics.vessels.length} vessels (${days} days)`);
+
+    res.json(analytics);
+  } catch (error) {
+    logger.error('[Harbor Map] Failed to build route analytics:', error);
+    res.status(500).json({ error: 'Failed to build route analytics' });
+  }
+});
+
 /**
  * POST /api/harbor-map/migrate-harbor-fees
  * Migrates harbor fees from audit log to harbor fee storage (one-time migration)
@@ -10,6 +10,7 @@ const validator = require('validator');
 const logbook = require('../logbook');
 const logger = require('../utils/logger');
 const { getUserId } = require('../utils/api');
+const { escapeCSVFormula } = require('../utils/csv');
 
 /**
  * POST /api/logbook/get-logs
@@ -275,6 +276,8 @@ function formatLogsAsTXT(logs) {
       statusIcon = '✅';
     } else if (log.status === 'WARNING') {
       statusIcon = '⚠️';
+    } else if (log.status === 'SIMULATED') {
+      statusIcon = '🧪';
     } else {
       statusIcon = '❌';
     }
@@ -324,22 +327,6 @@ function formatDetailsAsTXT(obj, indent = 0) {
   return output;
 }
 
-/**
- * Escape CSV formula injection (=, +, @, - at start of cell)
- * Prefixes dangerous characters with single quote to force text mode in Excel
- * @param {string} value - Value to escape
- * @returns {string} Escaped value safe for CSV
- */
-function escapeCSVFormula(value) {
-  if (!value) return '';
-  const str = String(value);
-  // If starts with formula characters, prefix with single quote
-  if (/^[=+@\-]/.test(str)) {
-    return "'" + str.replace(/"/g, '""'); // Also escape quotes
-  }
-  return str.replace(/"/g, '""'); // Just escape quotes
-}
-
 /**
  * Format logs as CSV (Excel-compatible)
  */
@@ -11,6 +11,7 @@
  * - Message history retrieval for specific conversations
  * - Private message sending with validation and rate limiting
  * - Chat deletion functionality
+ * - Local archive of private conversations (kept after deletion in game) with search and export
  *
  * Why This Module:
  * - Separates private messaging concerns from alliance chat
@@ -46,6 +47,14 @@ const { messageLimiter } = require('../middleware');
 const fs = require('fs');
 const path = require('path');
 const logger = require('../utils/logger');
+const { getCachedMessengerChats } = require('../websocket/messenger-cache');
+const {
+  loadMessengerArchive,
+  archiveConversation,
+  markChatsDeleted,
+  searchMessengerArchive
+} = require('../utils/messenger-archive-store');
+const { escapeCSVFormula } = require('../utils/csv');
 
 const router = express.Router();
 
@@ -197,6 +206,42 @@ router.get('/messenger/get-chats', async (req, res) => {
   }
 });
 
+/**
+ * Parses the chat_ids or system_message_ids of a delete request (the client sends a JSON string like "[123]")
+ * @param {string|Array} chatIds - Chat IDs
+ * @returns {Array<number>} Valid chat IDs
+ */
+function parseChatIds(chatIds) {
+  let ids = chatIds;
+  if (typeof ids === 'string') {
+    try {
+      ids = JSON.parse(ids);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(ids) ? ids.map(id => parseInt(id, 10)).filter(id => Number.isInteger(id) && id > 0) : [];
+}
+
+/**
+ * Archives the messages of a conversation opened in the app (async, errors are only logged).
+ * System notifications are not archived.
+ *
+ * @param {number} chatId - Chat ID
+ * @param {Array} messages - Messages from /messenger/get-chat
+ */
+function archiveOpenedChat(chatId, messages) {
+  if (!Number.isInteger(chatId) || !Array.isArray(messages)) return;
+
+  getCachedMessengerChats()
+    .then(chats => {
+      const chat = chats.find(c => c.id === chatId) || { id: chatId };
+      if (chat.system_chat) return null;
+      return archiveConversation(getUserId(), chat, messages);
+    })
+    .catch(err => logger.error(`[Messenger Archive] Failed to archive chat ${chatId}:`, err.message));
+}
+
 /**
  * POST /api/messenger/get-messages - Retrieves message history for a specific conversation.
  *
@@ -247,6 +292,8 @@ router.post('/messenger/get-messages', express.json(), async (req, res) => {
 
     const messages = data?.data?.chat?.messages || data?.data?.messages;
 
+    archiveOpenedChat(parseInt(chat_id, 10), messages);
+
     res.json({
       messages: messages,
       user_id: getUserId()
@@ -377,7 +424,8 @@ router.post('/messenger/send-private', messageLimiter, express.json(), async (re
  * Side Effects:
  * - Makes API call to /messenger/delete-chat
  * - Permanently removes conversation from messenger
- * - Cannot be undone (deletion is permanent)
+ * - Cannot be undone in the game; private conversations are archived locally
+ *   first and flagged as deleted in game (see GET /api/messenger/archive)
  *
  * @name POST /api/messenger/delete-chat
  * @function
@@ -414,11 +462,38 @@ router.post('/messenger/delete-chat', express.json(), async (req, res) => {
   }
 
   try {
+    // Archive the complete conversation first - the game deletes it for good
+    // (system notifications are not archived)
+    const systemIds = new Set(parseChatIds(system_message_ids));
+    const cachedChats = await getCachedMessengerChats().catch(() => []);
+    const privateChatIds = parseChatIds(chat_ids).filter(chatId =>
+      !systemIds.has(chatId) && !cachedChats.find(c => c.id === chatId)?.system_chat
+    );
+    for (const chatId of privateChatIds) {
+      try {
+        const chatData = await apiCall('/messenger/get-chat', 'POST', { chat_id: chatId });
+        const messages = chatData?.data?.chat?.messages || chatData?.data?.messages || [];
+        const chat = cachedChats.find(c => c.id === chatId) || { id: chatId };
+        await archiveConversation(getUserId(), chat, messages);
+      } catch (error) {
+        logger.error(`[Messenger Archive] Failed to archive chat ${chatId} before deletion:`, error.message);
+      }
+    }
+
     const data = await apiCall('/messenger/delete-chat', 'POST', {
       chat_ids,
       system_message_ids
     });
 
+    // Only flag the archived copies once the game confirmed the deletion
+    const deleted = !!data && !data.error && data.success !== false;
+    if (!deleted) {
+      logger.warn(`[Messenger Archive] Game did not confirm deletion of chat(s) ${privateChatIds.join(', ')}: ${data?.error || 'no response'}`);
+    } else if (privateChatIds.length > 0) {
+      await markChatsDeleted(getUserId(), privateChatIds)
+        .catch(err => logger.error('[Messenger Archive] Failed to flag deleted chats:', err.message));
+    }
+
     // If case_id is provided, delete the corresponding history file
     if (case_id) {
       const userId = getUserId();
@@ -444,6 +519,233 @@ router.post('/messenger/delete-chat', express.json(), async (req, res) => {
   }
 });
 
+/**
+ * Converts an archived conversation into its list entry (without messages)
+ * @param {Object} chat - Archived conversation
+ * @returns {Object} Summary with messageCount and lastMessage preview
+ */
+function toArchiveSummary(chat) {
+  const { messages, ...summary } = chat;
+  const last = messages[messages.length - 1];
+  return {
+    ...summary,
+    messageCount: messages.length,
+    lastMessage: last ? last.body.substring(0, 100) : ''
+  };
+}
+
+/**
+ * Validates an archived chat ID route parameter
+ * @param {string} value - Route parameter
+ * @returns {number|null} Chat ID or null if invalid
+ */
+function parseArchiveChatId(value) {
+  return validator.isInt(String(value), { min: 1 }) ? parseInt(value, 10) : null;
+}
+
+/**
+ * GET /api/messenger/archive - Lists all locally archived private conversations.
+ *
+ * The messenger refresh and the messenger routes keep a local copy of every private
+ * conversation (utils/messenger-archive-store.js). Conversations deleted in the game
+ * stay in the archive with deletedInGame: true.
+ *
+ * @name GET /api/messenger/archive
+ * @function
+ * @memberof module:server/routes/messenger
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON { chats: [...] } (without messages), most recent first
+ */
+router.get('/messenger/archive', async (req, res) => {
+  try {
+    const chats = await loadMessengerArchive(getUserId());
+    res.json({
+      chats: chats.map(toArchiveSummary).sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+    });
+  } catch (error) {
+    logger.error('[Messenger Archive] Failed to list archive:', error);
+    res.status(500).json({ error: 'Failed to load messenger archive' });
+  }
+});
+
+/**
+ * GET /api/messenger/archive/search - Searches archived messages across all conversations.
+ *
+ * Query Parameters (at least one required, max 100 characters each):
+ * - q: Text contained in the message (case-insensitive)
+ * - participant: Text contained in the other company's name (case-insensitive)
+ *
+ * @name GET /api/messenger/archive/search
+ * @function
+ * @memberof module:server/routes/messenger
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON { matches: [...], total } with up to 200 matches, newest first
+ */
+router.get('/messenger/archive/search', async (req, res) => {
+  const text = typeof req.query.q === 'string' ? validator.trim(req.query.q) : '';
+  const participant = typeof req.query.participant === 'string' ? validator.trim(req.query.participant) : '';
+
+  if (!text && !participant) {
+    return res.status(400).json({ error: 'Search text or participant required' });
+  }
+  if (text.length > 100 || participant.length > 100) {
+    return res.status(400).json({ error: 'Search query too long (max 100 characters)' });
+  }
+
+  try {
+    const matches = await searchMessengerArchive(getUserId(), { text, participant });
+    res.json({
+      matches: matches.slice(0, 200),
+      total: matches.length,
+      own_user_id: getUserId()
+    });
+  } catch (error) {
+    logger.error('[Messenger Archive] Search failed:', error);
+    res.status(500).json({ error: 'Failed to search messenger archive' });
+  }
+});
+
+/**
+ * GET /api/messenger/archive/:chatId - Retrieves an archived conversation with all messages.
+ * Also works for conversations that were deleted in the game.
+ *
+ * @name GET /api/messenger/archive/:chatId
+ * @function
+ * @memberof module:server/routes/messenger
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON { chat, own_user_id } or 404
+ */
+router.get('/messenger/archive/:chatId', async (req, res) => {
+  const chatId = parseArchiveChatId(req.params.chatId);
+  if (!chatId) {
+    return res.status(400).json({ error: 'Invalid chat ID' });
+  }
+
+  try {
+    const chat = (await loadMessengerArchive(getUserId())).find(c => c.id === chatId);
+    if (!chat) {
+      return res.status(404).json({ error: 'Conversation not archived' });
+    }
+    res.json({ chat, own_user_id: getUserId() });
+  } catch (error) {
+    logger.error('[Messenger Archive] Failed to load conversation:', error);
+    res.status(500).json({ error: 'Failed to load archived conversation' });
+  }
+});
+
+/**
+ * POST /api/messenger/archive/:chatId/download - Exports an archived conversation as TXT, CSV or JSON.
+ * Works like the logbook download (POST /api/logbook/download).
+ *
+ * @name POST /api/messenger/archive/:chatId/download
+ * @function
+ * @memberof module:server/routes/messenger
+ * @param {express.Request} req - Express request object with { format } body
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends the export file as attachment
+ */
+router.post('/messenger/archive/:chatId/download', express.json(), async (req, res) => {
+  const chatId = parseArchiveChatId(req.params.chatId);
+  if (!chatId) {
+    return res.status(400).json({ error: 'Invalid chat ID' });
+  }
+
+  const format = req.body.format || 'json';
+  if (!['txt', 'csv', 'json'].includes(format)) {
+    return res.status(400).json({ error: 'Invalid format. Must be txt, csv, or json' });
+  }
+
+  try {
+    const ownUserId = getUserId();
+    const chat = (await loadMessengerArchive(ownUserId)).find(c => c.id === chatId);
+    if (!chat) {
+      return res.status(404).json({ error: 'Conversation not archived' });
+    }
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const filename = `conversation-${chatId}-${timestamp}.${format}`;
+
+    let content;
+    if (format === 'txt') {
+      content = formatConversationAsTXT(chat, ownUserId);
+      res.setHeader('Content-Type', 'text/plain');
+    } else if (format === 'csv') {
+      content = formatConversationAsCSV(chat, ownUserId);
+      res.setHeader('Content-Type', 'text/csv');
+    } else {
+      content = JSON.stringify(chat, null, 2);
+      res.setHeader('Content-Type', 'application/json');
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(content);
+  } catch (error) {
+    logger.error('[Messenger Archive] Export failed:', error);
+    res.status(500).json({ error: 'Failed to export conversation' });
+  }
+});
+
+/**
+ * Gets the display name of a message's sender
+ * @param {Object} chat - Archived conversation
+ * @param {Object} message - Archived message
+ * @param {number} ownUserId - Current user ID
+ * @returns {string} Company name
+ */
+function getSenderName(chat, message, ownUserId) {
+  return String(message.user_id) === String(ownUserId) ? (getUserCompanyName() || 'Me') : chat.participant;
+}
+
+/**
+ * Formats an archived conversation as plain text
+ * @param {Object} chat - Archived conversation
+ * @param {number} ownUserId - Current user ID
+ * @returns {string} TXT content
+ */
+function formatConversationAsTXT(chat, ownUserId) {
+  let output = '='.repeat(80) + '\n';
+  output += `CONVERSATION WITH ${chat.participant}\n`;
+  output += `Subject: ${chat.subject}\n`;
+  if (chat.deletedInGame) {
+    output += `Deleted in game${chat.deletedAt ? ` on ${new Date(chat.deletedAt).toLocaleString()}` : ''}\n`;
+  }
+  output += '='.repeat(80) + '\n\n';
+
+  if (chat.messages.length === 0) {
+    return output + 'No messages archived.\n';
+  }
+
+  for (const message of chat.messages) {
+    output += `[${new Date(message.created_at * 1000).toLocaleString()}] ${getSenderName(chat, message, ownUserId)}:\n`;
+    output += `${message.body}\n\n`;
+  }
+
+  return output;
+}
+
+/**
+ * Formats an archived conversation as CSV (Excel-compatible)
+ * @param {Object} chat - Archived conversation
+ * @param {number} ownUserId - Current user ID
+ * @returns {string} CSV content
+ */
+function formatConversationAsCSV(chat, ownUserId) {
+  if (chat.messages.length === 0) {
+    return 'No messages archived.\n';
+  }
+
+  let output = 'Timestamp,Date,Time,Sender,Subject,Message\n';
+
+  for (const message of chat.messages) {
+    const date = new Date(message.created_at * 1000);
+    output += `${message.created_at},"${escapeCSVFormula(date.toLocaleDateString())}","${escapeCSVFormula(date.toLocaleTimeString())}","${escapeCSVFormula(getSenderName(chat, message, ownUserId))}","${escapeCSVFormula(chat.subject)}","${escapeCSVFormula(message.body)}"\n`;
+  }
+
+  return output;
+}
+
 /**
  * POST /api/user/search - Search for users by name.
  *
@@ -0,0 +1,104 @@
+/**
+ * Price History API Routes
+ *
+ * Endpoints for reading the persisted fuel/CO2 price history with min/avg/max aggregates
+ */
+
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { getUserId } = require('../utils/api');
+const { getPriceHistory, aggregatePrices, bucketPrices } = require('../utils/price-history-store');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Supported ranges with their default bucket size
+ */
+const RANGES = {
+  '24h': { duration: 24 * HOUR_MS, bucket: HOUR_MS / 2 },
+  '7d': { duration: 7 * 24 * HOUR_MS, bucket: 2 * HOUR_MS },
+  '30d': { duration: 30 * 24 * HOUR_MS, bucket: 6 * HOUR_MS },
+  '90d': { duration: 90 * 24 * HOUR_MS, bucket: 24 * HOUR_MS }
+};
+
+/**
+ * GET /api/prices/history
+ * Get price history for a time range with aggregates
+ *
+ * Query parameters:
+ *   range: "24h" | "7d" | "30d" | "90d" (default: "24h") - ignored if from/to given
+ *   from: Start timestamp in ms (optional)
+ *   to: End timestamp in ms (optional, default: now)
+ *   bucket: Bucket size in minutes, 30-1440 (optional, default depends on range)
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   from, to, bucketMinutes,
+ *   stats: { count, fuel: {min, avg, max}, co2: {min, avg, max} },
+ *   buckets: [{ start, count, fuel: {min, avg, max}, co2: {min, avg, max} }],
+ *   entries: [{ timestamp, fuel, co2, eventDiscount, regularFuel, regularCO2 }]
+ * }
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const userId = getUserId();
+
+    if (!userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'User not initialized'
+      });
+    }
+
+    const range = req.query.range || '24h';
+    if (!RANGES[range]) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid range. Must be one of: ${Object.keys(RANGES).join(', ')}`
+      });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : Date.now();
+    const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : to - RANGES[range].duration;
+    if (isNaN(from) || isNaN(to) || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid from/to timestamps'
+      });
+    }
+
+    let bucketMs = RANGES[range].bucket;
+    if (req.query.bucket !== undefined) {
+      const bucketMinutes = parseInt(req.query.bucket, 10);
+      if (isNaN(bucketMinutes) || bucketMinutes < 30 || bucketMinutes > 1440) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid bucket. Must be between 30 and 1440 minutes'
+        });
+      }
+      bucketMs = bucketMinutes * 60 * 1000;
+    }
+
+    const entries = await getPriceHistory(userId, from, to);
+
+    res.json({
+      success: true,
+      from,
+      to,
+      bucketMinutes: bucketMs / 60000,
+      stats: aggregatePrices(entries),
+      buckets: bucketPrices(entries, bucketMs),
+      entries
+    });
+  } catch (error) {
+    logger.error('Failed to get price history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve price history'
+    });
+  }
+});
+
+module.exports = router;
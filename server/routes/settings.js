@@ -43,6 +43,10 @@
  *    - autoDepartUseRouteDefaults: Use route defaults vs custom values (default true)
  *    - minVesselUtilization: Minimum vessel capacity utilization % (default 45%)
  *    - autoVesselSpeed: Vessel speed as % of max_speed (default 50%)
+ *    - autoDepartSpeedOptimizer: Pick the speed with the best profit per hour (default false)
+ *    - autoDepartOptimizerMinSpeed: Optimizer minimum speed as % of max_speed (default 30%)
+ *    - autoDepartOptimizerMaxHours: Optimizer arrival limit in hours, 0 = none (default 0)
+ *    - autoDepartOptimizerPriceSource: 'current' or 'forecast' fuel price (default 'current')
  *
  * Default Values:
  * - Fuel alert: $400/ton (industry competitive price)
@@ -70,7 +74,9 @@ const router = express.Router();
 const fs = require('fs').promises;
 const { broadcastToUser } = require('../websocket');
 const { getSettingsFilePath, validateSettings } = require('../settings-schema');
-const { getUserId, apiCall } = require('../utils/api');
+const { getUserId, getUserCompanyName } = require('../utils/api');
+const { validateTemplate, renderTemplate } = require('../chatbot/templates');
+const { hasManagementRole } = require('../chatbot/permissions');
 const logger = require('../utils/logger');
 const { isDebugMode } = logger;
 
@@ -118,7 +124,11 @@ const { isDebugMode } = logger;
  *   // Intelligent auto-depart settings
  *   autoDepartUseRouteDefaults: true, // Use route defaults vs custom
  *   minVesselUtilization: 45,     // Minimum % capacity utilization
- *   autoVesselSpeed: 50           // % of max_speed (fuel optimization)
+ *   autoVesselSpeed: 50,          // % of max_speed (fuel optimization)
+ *   autoDepartSpeedOptimizer: false,  // Best profit/h speed per vessel
+ *   autoDepartOptimizerMinSpeed: 30,  // % of max_speed
+ *   autoDepartOptimizerMaxHours: 0,   // Arrival limit (0 = none)
+ *   autoDepartOptimizerPriceSource: 'current' // or 'forecast'
  * }
  *
  * Side Effects:
@@ -164,6 +174,33 @@ router.get('/settings', async (req, res) => {
   }
 });
 
+/**
+ * Rejects custom chatbot commands with malformed response templates.
+ * Only new or edited commands are checked - unchanged commands from the stored
+ * settings still save (a legacy template just fails at runtime and logs the
+ * error), so one old command cannot block unrelated saves.
+ *
+ * @param {Array<Object>|undefined} commands - chatbotCustomCommands from the request
+ * @param {Array<Object>|undefined} storedCommands - chatbotCustomCommands currently saved
+ * @throws {Error} If a new or edited response template does not parse
+ */
+function validateCustomCommandTemplates(commands, storedCommands) {
+  if (!Array.isArray(commands)) return;
+
+  const getTrigger = cmd => cmd?.command || cmd?.trigger || '?';
+  const getResponse = cmd => cmd?.response ?? cmd?.message ?? '';
+  const unchanged = new Set((storedCommands || []).map(cmd => `${getTrigger(cmd)}\n${getResponse(cmd)}`));
+
+  for (const cmd of commands) {
+    if (unchanged.has(`${getTrigger(cmd)}\n${getResponse(cmd)}`)) continue;
+
+    const { valid, error } = validateTemplate(getResponse(cmd));
+    if (!valid) {
+      throw new Error(`Invalid response template for custom command "${getTrigger(cmd)}": ${error}`);
+    }
+  }
+}
+
 /**
  * POST /api/settings - Updates application settings and persists to disk.
  *
@@ -212,7 +249,11 @@ router.get('/settings', async (req, res) => {
  *   autoPilotNotifications: boolean,
  *   autoDepartUseRouteDefaults: boolean,
  *   minVesselUtilization: number,
- *   autoVesselSpeed: number
+ *   autoVesselSpeed: number,
+ *   autoDepartSpeedOptimizer: boolean,
+ *   autoDepartOptimizerMinSpeed: number,
+ *   autoDepartOptimizerMaxHours: number,
+ *   autoDepartOptimizerPriceSource: string
  * }
  *
  * Response Format:
@@ -245,6 +286,8 @@ router.post('/settings', async (req, res) => {
     // Validate and coerce all settings values
     let validSettings;
     try {
+      const state = require('../state');
+      validateCustomCommandTemplates(settings.chatbotCustomCommands, state.getSettings(userId)?.chatbotCustomCommands);
       const result = validateSettings(settings);
       validSettings = result.validated;
     } catch (validationError) {
@@ -310,19 +353,8 @@ router.post('/settings', async (req, res) => {
       try {
         logger.debug(`[Settings] ChatBot: ${validSettings.chatbotEnabled ? 'ENABLED' : 'DISABLED'}`);
 
-        // Check if user has management role
-        let isManagement = false;
-        try {
-          const response = await apiCall('/alliance/get-alliance-members', 'POST', {});
-          const members = response?.data?.members || response?.members || [];
-          const member = members.find(m => m.user_id === userId);
-          const role = member?.role || 'member';
-          const allowedRoles = ['ceo', 'coo', 'management', 'interimceo'];
-          isManagement = allowedRoles.includes(role);
-        } catch (error) {
-          logger.debug('[Settings] Error checking management role:', error);
-          isManagement = false; // Fail-secure: deny access on error
-        }
+        // Check if user has management role (cached role lookup, fail-secure)
+        const isManagement = await hasManagementRole(userId);
 
         // Welcome command: MUST be disabled if user is not management, regardless of saved setting
         const welcomeEnabled = isManagement && (validSettings.chatbotWelcomeCommandEnabled === true);
@@ -348,6 +380,60 @@ router.post('/settings', async (req, res) => {
               adminOnly: false,
               aliases: validSettings.chatbotHelpAliases || ['commands', 'help']
             },
+            coop: {
+              enabled: validSettings.chatbotCoopCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotCoopAliases || ['cooperation']
+            },
+            top: {
+              enabled: validSettings.chatbotTopCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotTopAliases || ['leaderboard']
+            },
+            league: {
+              enabled: validSettings.chatbotLeagueCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotLeagueAliases || ['standings']
+            },
+            stats: {
+              enabled: validSettings.chatbotStatsCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotStatsAliases || ['member']
+            },
+            poll: {
+              enabled: validSettings.chatbotPollCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotPollAliases || []
+            },
+            vote: {
+              enabled: validSettings.chatbotVoteCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotVoteAliases || []
+            },
+            signup: {
+              enabled: validSettings.chatbotSignupCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotSignupAliases || ['join']
+            },
+            remindme: {
+              enabled: validSettings.chatbotRemindmeCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: false,
+              aliases: validSettings.chatbotRemindmeAliases || ['reminder']
+            },
+            remind: {
+              enabled: validSettings.chatbotRemindCommandEnabled || false,
+              responseType: 'public',
+              adminOnly: true,
+              aliases: validSettings.chatbotRemindAliases || []
+            },
             welcome: {
               enabled: welcomeEnabled, // Only enabled if user is management AND setting is true
               responseType: 'dm',
@@ -362,10 +448,18 @@ router.post('/settings', async (req, res) => {
               dayOffset: 1
             }
           },
+          polls: {
+            durationHours: validSettings.chatbotPollDurationHours || 24,
+            signupDurationHours: validSettings.chatbotSignupDurationHours || 72
+          },
+          reminders: {
+            maxPerUser: validSettings.chatbotReminderMaxPerUser || 5
+          },
           dmCommands: {
             enabled: validSettings.chatbotDMCommandsEnabled || false
           },
-          customCommands: validSettings.chatbotCustomCommands || []
+          customCommands: validSettings.chatbotCustomCommands || [],
+          permissions: validSettings.chatbotCommandPermissions || {}
         };
 
         await chatBot.updateSettings(chatBotSettings);
@@ -384,4 +478,310 @@ router.post('/settings', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/settings/chatbot-template/preview - Validates and previews a custom command response.
+ *
+ * Placeholders are resolved with live data (prices, alliance, coop) as if the
+ * bot owner ran the command with the given arguments.
+ *
+ * Request Body:
+ * {
+ *   template: string,       // Response template
+ *   args: string[],         // Sample command arguments (optional)
+ *   render: boolean         // false = validate only (default: true)
+ * }
+ *
+ * Response Format:
+ * { valid: true, preview: string|null } or { valid: false, error: string }
+ *
+ * @name POST /api/settings/chatbot-template/preview
+ * @function
+ * @memberof module:server/routes/settings
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with validation result and preview
+ */
+router.post('/settings/chatbot-template/preview', async (req, res) => {
+  try {
+    const { template, args = [], render = true } = req.body || {};
+
+    if (typeof template !== 'string') {
+      return res.status(400).json({ error: 'Template must be a string' });
+    }
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      return res.status(400).json({ error: 'Args must be an array of strings' });
+    }
+
+    const { valid, error } = validateTemplate(template);
+    if (!valid) {
+      return res.json({ valid: false, error });
+    }
+
+    if (!render) {
+      return res.json({ valid: true, preview: null });
+    }
+
+    const preview = await renderTemplate(template, { args: args.slice(0, 9), userName: getUserCompanyName() || 'User' });
+    res.json({ valid: true, preview });
+  } catch (error) {
+    logger.error('[Settings] Failed to preview chatbot template:', error);
+    res.status(500).json({ error: 'Failed to preview template' });
+  }
+});
+
+/**
+ * Maximum number of scheduled announcements per user
+ */
+const MAX_ANNOUNCEMENTS = 20;
+
+/**
+ * GET /api/settings/chatbot-announcements - Lists scheduled alliance announcements.
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   announcements: Array,   // Stored announcements incl. nextRun (ms or null), lastPostedAt, lastResult
+ *   now: number             // Server time (ms)
+ * }
+ *
+ * @name GET /api/settings/chatbot-announcements
+ * @function
+ * @memberof module:server/routes/settings
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with announcements
+ */
+router.get('/settings/chatbot-announcements', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { listAnnouncements } = require('../chatbot/announcements');
+    res.json({ success: true, announcements: await listAnnouncements(userId), now: Date.now() });
+  } catch (error) {
+    logger.error('[Settings] Failed to list chatbot announcements:', error);
+    res.status(500).json({ error: 'Failed to list announcements' });
+  }
+});
+
+/**
+ * POST /api/settings/chatbot-announcements - Creates an announcement, or updates it if the body contains an existing id.
+ *
+ * Request Body:
+ * {
+ *   id: string,             // Optional, existing announcement to update
+ *   name: string,           // Display name (max 50 characters)
+ *   enabled: boolean,       // Default true
+ *   schedule: { type: 'weekly', days: number[], time: 'HH:MM' } or { type: 'cron', expression: string },
+ *   timezone: string,       // IANA timezone of the schedule (default UTC)
+ *   message: string,        // Message template (max 1000 characters)
+ *   endDate: string|null    // Optional last day (YYYY-MM-DD, in timezone)
+ * }
+ *
+ * Response Format:
+ * { success: true, announcement } (incl. nextRun) or { error: string }
+ *
+ * @name POST /api/settings/chatbot-announcements
+ * @function
+ * @memberof module:server/routes/settings
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the stored announcement
+ */
+router.post('/settings/chatbot-announcements', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { validateAnnouncement, getNextRun } = require('../chatbot/announcements');
+    const { loadAnnouncements, upsertAnnouncement } = require('../utils/announcement-store');
+
+    const validation = validateAnnouncement(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const existing = await loadAnnouncements(userId);
+    const isUpdate = validation.announcement.id && existing.some(a => a.id === validation.announcement.id);
+    if (!isUpdate && existing.length >= MAX_ANNOUNCEMENTS) {
+      return res.status(400).json({ error: `Maximum ${MAX_ANNOUNCEMENTS} announcements` });
+    }
+
+    const announcement = await upsertAnnouncement(userId, validation.announcement);
+    logger.info(`[Settings] Chatbot announcement "${announcement.name}" saved`);
+
+    const chatBot = require('../chatbot');
+    await chatBot.reloadAnnouncements();
+
+    res.json({ success: true, announcement: { ...announcement, nextRun: getNextRun(announcement) } });
+  } catch (error) {
+    logger.error('[Settings] Failed to save chatbot announcement:', error);
+    res.status(500).json({ error: 'Failed to save announcement' });
+  }
+});
+
+/**
+ * DELETE /api/settings/chatbot-announcements/:id - Deletes an announcement.
+ *
+ * Response Format:
+ * { success: true } or { error: string }
+ *
+ * @name DELETE /api/settings/chatbot-announcements/:id
+ * @function
+ * @memberof module:server/routes/settings
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response
+ */
+router.delete('/settings/chatbot-announcements/:id', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { deleteAnnouncement } = require('../utils/announcement-store');
+    const deleted = await deleteAnnouncement(userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const chatBot = require('../chatbot');
+    await chatBot.reloadAnnouncements();
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('[Settings] Failed to delete chatbot announcement:', error);
+    res.status(500).json({ error: 'Failed to delete announcement' });
+  }
+});
+
+/**
+ * Maximum number of chat watch rules per user
+ */
+const MAX_WATCH_RULES = 20;
+
+/**
+ * GET /api/settings/chat-watch-rules - Lists the alliance chat watch rules.
+ *
+ * Response Format:
+ * {
+ *   success: true,
+ *   rules: Array    // Stored rules incl. matchCount and lastMatchAt (ms or null)
+ * }
+ *
+ * @name GET /api/settings/chat-watch-rules
+ * @function
+ * @memberof module:server/routes/settings
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with rules
+ */
+router.get('/settings/chat-watch-rules', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { loadWatchRules } = require('../utils/chat-watch-store');
+    res.json({ success: true, rules: await loadWatchRules(userId) });
+  } catch (error) {
+    logger.error('[Settings] Failed to list chat watch rules:', error);
+    res.status(500).json({ error: 'Failed to list watch rules' });
+  }
+});
+
+/**
+ * POST /api/settings/chat-watch-rules - Creates a watch rule, or updates it if the body contains an existing id.
+ *
+ * Request Body:
+ * {
+ *   id: string,          // Optional, existing rule to update
+ *   name: string,        // Display name (max 50 characters)
+ *   enabled: boolean,    // Default true
+ *   type: string,        // 'keyword' (whole words) or 'regex', both case-insensitive
+ *   pattern: string,     // Keyword/phrase or regular expression (max 100 characters)
+ *   notify: boolean,     // In-app and desktop notification (default true)
+ *   response: string     // Optional bot reply template (max 500 characters)
+ * }
+ *
+ * Response Format:
+ * { success: true, rule } or { error: string }
+ *
+ * @name POST /api/settings/chat-watch-rules
+ * @function
+ * @memberof module:server/routes/settings
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response with the stored rule
+ */
+router.post('/settings/chat-watch-rules', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { validateWatchRule } = require('../chatbot/chat-watch');
+    const { loadWatchRules, upsertWatchRule } = require('../utils/chat-watch-store');
+
+    const validation = validateWatchRule(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({ error: validation.error });
+    }
+
+    const existing = await loadWatchRules(userId);
+    const isUpdate = validation.rule.id && existing.some(r => r.id === validation.rule.id);
+    if (!isUpdate && existing.length >= MAX_WATCH_RULES) {
+      return res.status(400).json({ error: `Maximum ${MAX_WATCH_RULES} watch rules` });
+    }
+
+    const rule = await upsertWatchRule(userId, validation.rule);
+    logger.info(`[Settings] Chat watch rule "${rule.name}" saved`);
+
+    res.json({ success: true, rule });
+  } catch (error) {
+    logger.error('[Settings] Failed to save chat watch rule:', error);
+    res.status(500).json({ error: 'Failed to save watch rule' });
+  }
+});
+
+/**
+ * DELETE /api/settings/chat-watch-rules/:id - Deletes a watch rule.
+ *
+ * Response Format:
+ * { success: true } or { error: string }
+ *
+ * @name DELETE /api/settings/chat-watch-rules/:id
+ * @function
+ * @memberof module:server/routes/settings
+ * @param {express.Request} req - Express request object
+ * @param {express.Response} res - Express response object
+ * @returns {Promise<void>} Sends JSON response
+ */
+router.delete('/settings/chat-watch-rules/:id', async (req, res) => {
+  try {
+    const userId = getUserId();
+    if (!userId) {
+      return res.status(401).json({ error: 'User not authenticated' });
+    }
+
+    const { deleteWatchRule } = require('../utils/chat-watch-store');
+    const deleted = await deleteWatchRule(userId, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Watch rule not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('[Settings] Failed to delete chat watch rule:', error);
+    res.status(500).json({ error: 'Failed to delete watch rule' });
+  }
+});
+
 module.exports = router;
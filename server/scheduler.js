@@ -8,6 +8,7 @@
  * - Triggers autopilot functions based on conditions (vessels ready, repair needed, etc.)
  * - Price updates: :01 and :31 every hour (when game updates prices)
  * - Auto-Anchor: Every 5 minutes (separate from main loop)
+ * - Forecast accuracy: :05 and :35 every hour (forecast vs. observed price per slot)
  *
  * @module server/scheduler
  */
@@ -20,6 +21,7 @@ const { getUserId } = require('./utils/api');
 const logger = require('./utils/logger');
 const { isMigrationCompleted } = require('./utils/harbor-fee-store');
 const { migrateHarborFeesForUser } = require('./utils/migrate-harbor-fees');
+const { trackForecastAccuracy } = require('./utils/forecast-accuracy');
 
 /**
  * Server ready state flag
@@ -79,8 +81,22 @@ function initScheduler() {
     }
   }, null, true, 'Europe/Berlin');
 
+  // 3. Forecast Accuracy: At :05 and :35 every hour (once per price slot)
+  // Runs after the :01/:31 price update so the cached price can be reused
+  new CronJob('0 5,35 * * * *', async () => {
+    try {
+      const userId = getUserId();
+      if (!userId || !serverReady) return;
+
+      await trackForecastAccuracy(userId);
+    } catch (error) {
+      logger.error('[Scheduler] Forecast accuracy tracking failed:', error.message);
+    }
+  }, null, true, 'Europe/Berlin');
+
   logger.info('[Scheduler] Schedulers initialized');
   logger.info('[Scheduler] - Auto-Anchor: every 5 minutes');
+  logger.info('[Scheduler] - Forecast accuracy: every 30 minutes (:05, :35)');
   logger.info('[Scheduler] - Price updates: every 60 seconds (in main event loop)');
 
   // Initial startup: Load essential data BEFORE starting event loop
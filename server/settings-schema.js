@@ -20,6 +20,9 @@ const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./utils/logger');
 const { getAppDataDir } = require('./config');
+const { getDefaultSchedules, normalizePilotSchedules, parseTime } = require('./utils/pilot-schedule');
+const { getDefaultBudgets, normalizeCashBudgets } = require('./utils/cash-budget');
+const { normalizeCommandPermissions } = require('./chatbot/permissions');
 
 // Get settings directory - use APPDATA when running as .exe
 const SETTINGS_DIR = process.pkg
@@ -64,12 +67,14 @@ const SETTINGS_SCHEMA = {
   autoRebuyFuelUseAlert: true,
   autoRebuyFuelThreshold: 450,
   autoRebuyFuelMinCash: 1000000,
+  autoRebuyFuelSmartMode: false,  // Forecast-aware buying: only buy what the fleet needs until the next cheaper slot
 
   // Auto-Rebuy CO2
   autoRebuyCO2: false,
   autoRebuyCO2UseAlert: true,
   autoRebuyCO2Threshold: 7,
   autoRebuyCO2MinCash: 1000000,
+  autoRebuyCO2PlanningMode: false,  // Spread purchases over cheapest forecast slots based on projected departures
 
   // Auto-Depart
   autoDepartAll: false,
@@ -77,6 +82,10 @@ const SETTINGS_SCHEMA = {
   minFuelThreshold: 100,
   minVesselUtilization: 75,  // DEPRECATED - moved to General Settings as minCargoUtilization
   autoVesselSpeed: 50,
+  autoDepartSpeedOptimizer: false,  // Pick the speed with the best profit per hour per vessel/route (overrides speed settings)
+  autoDepartOptimizerMinSpeed: 30,  // Optimizer never goes below X% of max speed
+  autoDepartOptimizerMaxHours: 0,  // Optimizer arrival limit in hours (0 = no limit)
+  autoDepartOptimizerPriceSource: 'current',  // Fuel price for the optimizer: 'current' or 'forecast' (24h average)
 
   // Auto-Repair
   autoBulkRepair: false,
@@ -98,6 +107,7 @@ const SETTINGS_SCHEMA = {
 
   // Autopilot State
   autopilotPaused: false,  // Persistent pause state (survives server restart)
+  autopilotDryRun: false,  // Pilots run their decision logic but only log SIMULATED entries (no purchases, departures, repairs or offers)
 
   // Auto-Anchor Points
   // NOTE: Game API only accepts amount 1 or 10
@@ -109,6 +119,23 @@ const SETTINGS_SCHEMA = {
   // Auto-Negotiate Hijacking
   autoNegotiateHijacking: false,
 
+  // Rule Keeper (user-defined autopilot rules, stored in userdata/autopilot-rules/)
+  autopilotRulesEnabled: false,
+
+  // Pilot Schedules - weekly time window per pilot (server local time, see utils/pilot-schedule.js)
+  // Pilots without an enabled schedule run around the clock
+  pilotSchedules: getDefaultSchedules(),
+
+  // Quiet Hours - automation keeps running, autopilot notifications are suppressed
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '07:00',
+
+  // Cash Budget - priority and hourly/daily spending cap per pilot (0 = no cap, see utils/cash-budget.js)
+  // Each pilot's *MinCash reserve still applies on top of the budget
+  cashBudgetEnabled: false,
+  cashBudgets: getDefaultBudgets(),
+
   // Notifications
   enableDesktopNotifications: true,
   autoPilotNotifications: true,      // Master toggle for ALL autopilot notifications (in-app + desktop)
@@ -174,11 +201,65 @@ const SETTINGS_SCHEMA = {
   chatbotHelpDMEnabled: false,            // Help does NOT work in DMs
   chatbotHelpAliases: ['commands', 'help'],  // Alternative command words
 
+  chatbotCoopCommandEnabled: false,
+  chatbotCoopAllianceEnabled: true,       // Coop status works in alliance chat
+  chatbotCoopDMEnabled: true,             // Coop status works in DMs ("!coop me" always replies via DM)
+  chatbotCoopAliases: ['cooperation'],    // Alternative command words
+
+  chatbotTopCommandEnabled: false,
+  chatbotTopAllianceEnabled: true,        // Member leaderboards work in alliance chat
+  chatbotTopDMEnabled: true,              // Member leaderboards work in DMs
+  chatbotTopAliases: ['leaderboard'],     // Alternative command words
+
+  chatbotLeagueCommandEnabled: false,
+  chatbotLeagueAllianceEnabled: true,     // League standings work in alliance chat
+  chatbotLeagueDMEnabled: true,           // League standings work in DMs
+  chatbotLeagueAliases: ['standings'],    // Alternative command words
+
+  chatbotStatsCommandEnabled: false,
+  chatbotStatsAllianceEnabled: true,      // Member stats work in alliance chat
+  chatbotStatsDMEnabled: true,            // Member stats work in DMs
+  chatbotStatsAliases: ['member'],        // Alternative command words
+
+  chatbotPollCommandEnabled: false,
+  chatbotPollAllianceEnabled: true,       // Polls are created in alliance chat
+  chatbotPollDMEnabled: false,            // Polls can NOT be created via DM
+  chatbotPollAliases: [],                 // Alternative command words
+
+  chatbotVoteCommandEnabled: false,
+  chatbotVoteAllianceEnabled: true,       // Votes work in alliance chat
+  chatbotVoteDMEnabled: true,             // Votes work in DMs (confirmed via DM)
+  chatbotVoteAliases: [],                 // Alternative command words
+
+  chatbotSignupCommandEnabled: false,
+  chatbotSignupAllianceEnabled: true,     // Sign-up lists work in alliance chat
+  chatbotSignupDMEnabled: true,           // Sign-up lists work in DMs (confirmed via DM)
+  chatbotSignupAliases: ['join'],         // Alternative command words
+
+  chatbotPollDurationHours: 24,           // Polls are closed (summary posted) after this time
+  chatbotSignupDurationHours: 72,         // Sign-up lists are closed after this time
+
+  chatbotRemindmeCommandEnabled: false,
+  chatbotRemindmeAllianceEnabled: true,   // Reminders can be set in alliance chat
+  chatbotRemindmeDMEnabled: true,         // Reminders can be set via DM
+  chatbotRemindmeAliases: ['reminder'],   // Alternative command words
+
+  chatbotRemindCommandEnabled: false,     // Remind other members (management roles unless the permission matrix says otherwise)
+  chatbotRemindAllianceEnabled: true,
+  chatbotRemindDMEnabled: true,
+  chatbotRemindAliases: [],
+
+  chatbotReminderMaxPerUser: 5,           // Pending reminders per creator (both commands)
+
   chatbotWelcomeCommandEnabled: false,    // Welcome command disabled by default (Admin only: CEO, COO, Management, Interim CEO)
 
   chatbotDMCommandsEnabled: false,
   chatbotCustomCommands: [],
 
+  // Per-command roles, allow/deny lists and cooldowns per channel (see chatbot/permissions.js)
+  // Commands without a rule: everyone may use them (welcome: management only), global cooldown
+  chatbotCommandPermissions: {},
+
   // Alliance Management
   allianceWelcomeSubject: 'Welcome to [allianceName]',
   allianceWelcomeMessage: 'Welcome to our Alliance!\nJoin the Ally Chat and say Hello :)',
@@ -264,6 +345,30 @@ function validateValue(key, value) {
     return parsed;
   }
 
+  // Pilot schedules - sanitize every pilot's window (unknown pilots dropped)
+  if (key === 'pilotSchedules') {
+    return normalizePilotSchedules(value);
+  }
+
+  // Cash budgets - sanitize priority and caps per pilot (unknown pilots dropped)
+  if (key === 'cashBudgets') {
+    return normalizeCashBudgets(value);
+  }
+
+  // ChatBot permission matrix - sanitize roles, user lists and cooldowns per command
+  if (key === 'chatbotCommandPermissions') {
+    return normalizeCommandPermissions(value);
+  }
+
+  // Quiet hours - must be "HH:MM"
+  if (key === 'quietHoursStart' || key === 'quietHoursEnd') {
+    if (parseTime(value) === null) {
+      logger.warn(`[Settings] Invalid time for "${key}": ${value}, using default: ${defaultValue}`);
+      return defaultValue;
+    }
+    return value;
+  }
+
   if (defaultType === 'number') {
     // Remove thousand separators (commas) before parsing
     // "30,000,000" -> "30000000"
@@ -116,6 +116,8 @@ function getUserState(userId) {
       coopData: null,
       headerData: null,
       eventData: null,
+      fuelPlan: null,
+      co2Plan: null,
       locks: {
         depart: false,
         fuelPurchase: false,
@@ -435,6 +437,44 @@ function getEventData(userId) {
   return getUserState(userId).eventData;
 }
 
+/**
+ * Updates the Barrel Boss smart mode purchase plan.
+ * @param {string} userId - User ID
+ * @param {Object|null} plan - Fuel plan {buyNow, nextCheaperSlot, plannedPurchases, estimatedSavings, ...}
+ */
+function updateFuelPlan(userId, plan) {
+  const state = getUserState(userId);
+  state.fuelPlan = plan;
+}
+
+/**
+ * Gets the Barrel Boss smart mode purchase plan.
+ * @param {string} userId - User ID
+ * @returns {Object|null} Fuel plan
+ */
+function getFuelPlan(userId) {
+  return getUserState(userId).fuelPlan;
+}
+
+/**
+ * Updates the Atmosphere Broker planning mode purchase plan.
+ * @param {string} userId - User ID
+ * @param {Object|null} plan - CO2 plan {planId, buyNow, slices, projectedUsage, uncovered, ...}
+ */
+function updateCO2Plan(userId, plan) {
+  const state = getUserState(userId);
+  state.co2Plan = plan;
+}
+
+/**
+ * Gets the Atmosphere Broker planning mode purchase plan.
+ * @param {string} userId - User ID
+ * @returns {Object|null} CO2 plan
+ */
+function getCO2Plan(userId) {
+  return getUserState(userId).co2Plan;
+}
+
 /**
  * Gets lock status for a specific operation.
  *
@@ -499,6 +539,10 @@ module.exports = {
   getHeaderData,
   updateEventData,
   getEventData,
+  updateFuelPlan,
+  getFuelPlan,
+  updateCO2Plan,
+  getCO2Plan,
   getLockStatus,
   setLockStatus,
   getAllLocks
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview ChatBot Announcement Storage Utility
+ *
+ * Stores the user-defined scheduled alliance announcements run by
+ * server/chatbot/announcements.js, including when each one was last posted.
+ * Architecture follows autopilot-rules-store.js (one JSON file per user).
+ *
+ * @module server/utils/announcement-store
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const ANNOUNCEMENTS_DIR = path.join(__dirname, '../../userdata/chatbot-announcements');
+
+/**
+ * Ensures announcements directory exists
+ */
+async function ensureDirectory() {
+  try {
+    await fs.mkdir(ANNOUNCEMENTS_DIR, { recursive: true });
+  } catch (error) {
+    logger.error('[Announcement Store] Failed to create directory:', error.message);
+  }
+}
+
+/**
+ * Gets file path for user's announcements
+ * @param {number} userId - User ID
+ * @returns {string} File path
+ */
+function getFilePath(userId) {
+  return path.join(ANNOUNCEMENTS_DIR, `announcements-${userId}.json`);
+}
+
+/**
+ * Loads announcements from disk
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Announcements in creation order
+ */
+async function loadAnnouncements(userId) {
+  try {
+    const data = await fs.readFile(getFilePath(userId), 'utf8');
+    const announcements = JSON.parse(data);
+    return Array.isArray(announcements) ? announcements : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // File doesn't exist yet
+    }
+    logger.error(`[Announcement Store] Failed to load announcements for user ${userId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Saves announcements to disk
+ * @param {number} userId - User ID
+ * @param {Array} announcements - Announcements to save
+ * @returns {Promise<void>}
+ */
+async function saveAnnouncements(userId, announcements) {
+  await ensureDirectory();
+  await fs.writeFile(getFilePath(userId), JSON.stringify(announcements, null, 2), 'utf8');
+}
+
+/**
+ * Creates a new announcement or updates an existing one (matched by id).
+ * Posting bookkeeping (lastPostedAt, lastResult) is kept on update.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} announcement - Validated announcement without bookkeeping fields
+ * @returns {Promise<Object>} Stored announcement
+ */
+async function upsertAnnouncement(userId, announcement) {
+  const announcements = await loadAnnouncements(userId);
+  const index = announcement.id ? announcements.findIndex(a => a.id === announcement.id) : -1;
+
+  let stored;
+  if (index >= 0) {
+    stored = {
+      ...announcements[index],
+      ...announcement,
+      updatedAt: Date.now()
+    };
+    announcements[index] = stored;
+  } else {
+    stored = {
+      ...announcement,
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      lastPostedAt: null,
+      lastResult: null
+    };
+    announcements.push(stored);
+  }
+
+  await saveAnnouncements(userId, announcements);
+  logger.debug(`[Announcement Store] Saved announcement "${stored.name}" (${stored.id}) for user ${userId}`);
+  return stored;
+}
+
+/**
+ * Deletes an announcement
+ * @param {number} userId - User ID
+ * @param {string} announcementId - Announcement ID
+ * @returns {Promise<boolean>} True if an announcement was deleted
+ */
+async function deleteAnnouncement(userId, announcementId) {
+  const announcements = await loadAnnouncements(userId);
+  const remaining = announcements.filter(a => a.id !== announcementId);
+  if (remaining.length === announcements.length) {
+    return false;
+  }
+  await saveAnnouncements(userId, remaining);
+  return true;
+}
+
+/**
+ * Records that an announcement was posted (or failed)
+ * @param {number} userId - User ID
+ * @param {string} announcementId - Announcement ID
+ * @param {Object} result - { status: 'SUCCESS'|'ERROR', summary }
+ * @returns {Promise<void>}
+ */
+async function markAnnouncementPosted(userId, announcementId, result) {
+  const announcements = await loadAnnouncements(userId);
+  const announcement = announcements.find(a => a.id === announcementId);
+  if (!announcement) return;
+
+  announcement.lastPostedAt = Date.now();
+  announcement.lastResult = result;
+  await saveAnnouncements(userId, announcements);
+}
+
+module.exports = {
+  loadAnnouncements,
+  upsertAnnouncement,
+  deleteAnnouncement,
+  markAnnouncementPosted
+};
@@ -53,7 +53,7 @@ function formatNumber(num) {
  * @param {string} action - Action description (autopilot name)
  * @param {string} summary - Short summary
  * @param {Object} details - Detailed information
- * @param {string} status - SUCCESS, WARNING, or ERROR
+ * @param {string} status - SUCCESS, WARNING, ERROR, or SIMULATED (dry run)
  * @param {string} source - SOURCES value (Manual or Autopilot)
  */
 async function auditLog(userId, category, action, summary, details = {}, status = 'SUCCESS', source = SOURCES.MANUAL) {
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Autopilot Rules Storage Utility
+ *
+ * Stores the user-defined "when X then Y" rules evaluated by the rules engine
+ * (server/autopilot/rules_engine.js), including when each rule last fired.
+ * Architecture follows harbor-fee-store.js (one JSON file per user).
+ *
+ * @module server/utils/autopilot-rules-store
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const RULES_DIR = path.join(__dirname, '../../userdata/autopilot-rules');
+
+/**
+ * Ensures rules directory exists
+ */
+async function ensureDirectory() {
+  try {
+    await fs.mkdir(RULES_DIR, { recursive: true });
+  } catch (error) {
+    logger.error('[Rules Store] Failed to create directory:', error.message);
+  }
+}
+
+/**
+ * Gets file path for user's rules
+ * @param {number} userId - User ID
+ * @returns {string} File path
+ */
+function getFilePath(userId) {
+  return path.join(RULES_DIR, `rules-${userId}.json`);
+}
+
+/**
+ * Loads rules from disk
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Rules in creation order
+ */
+async function loadRules(userId) {
+  try {
+    const data = await fs.readFile(getFilePath(userId), 'utf8');
+    const rules = JSON.parse(data);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // File doesn't exist yet
+    }
+    logger.error(`[Rules Store] Failed to load rules for user ${userId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Saves rules to disk
+ * @param {number} userId - User ID
+ * @param {Array} rules - Rules to save
+ * @returns {Promise<void>}
+ */
+async function saveRules(userId, rules) {
+  await ensureDirectory();
+  await fs.writeFile(getFilePath(userId), JSON.stringify(rules, null, 2), 'utf8');
+}
+
+/**
+ * Creates a new rule or updates an existing one (matched by id).
+ * Trigger bookkeeping (lastTriggeredAt, lastResult) is kept on update.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} rule - Validated rule without bookkeeping fields
+ * @returns {Promise<Object>} Stored rule
+ */
+async function upsertRule(userId, rule) {
+  const rules = await loadRules(userId);
+  const index = rule.id ? rules.findIndex(r => r.id === rule.id) : -1;
+
+  let stored;
+  if (index >= 0) {
+    stored = {
+      ...rules[index],
+      ...rule,
+      updatedAt: Date.now()
+    };
+    rules[index] = stored;
+  } else {
+    stored = {
+      ...rule,
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      lastTriggeredAt: null,
+      lastResult: null
+    };
+    rules.push(stored);
+  }
+
+  await saveRules(userId, rules);
+  logger.debug(`[Rules Store] Saved rule "${stored.name}" (${stored.id}) for user ${userId}`);
+  return stored;
+}
+
+/**
+ * Deletes a rule
+ * @param {number} userId - User ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} True if a rule was deleted
+ */
+async function deleteRule(userId, ruleId) {
+  const rules = await loadRules(userId);
+  const remaining = rules.filter(r => r.id !== ruleId);
+  if (remaining.length === rules.length) {
+    return false;
+  }
+  await saveRules(userId, remaining);
+  return true;
+}
+
+/**
+ * Records that a rule fired (starts its cooldown)
+ * @param {number} userId - User ID
+ * @param {string} ruleId - Rule ID
+ * @param {Object} result - { status: 'SUCCESS'|'ERROR'|'SIMULATED', summary }
+ * @returns {Promise<void>}
+ */
+async function markRuleTriggered(userId, ruleId, result) {
+  const rules = await loadRules(userId);
+  const rule = rules.find(r => r.id === ruleId);
+  if (!rule) return;
+
+  rule.lastTriggeredAt = Date.now();
+  rule.lastResult = result;
+  await saveRules(userId, rules);
+}
+
+module.exports = {
+  loadRules,
+  upsertRule,
+  deleteRule,
+  markRuleTriggered
+};
@@ -0,0 +1,414 @@
+/**
+ * @fileoverview Cash Budget Allocator
+ *
+ * Central spending control for the pilots that spend cash. Without it every pilot
+ * only checks its own *MinCash reserve, so whichever pilot runs first in the main
+ * loop can drain the cash the others were waiting for.
+ *
+ * Each budgeted pilot has (settings.cashBudgets):
+ * - priority: 1 = highest. A pilot may only spend cash that is not needed by enabled
+ *   pilots with a higher priority: their remaining cap, or for uncapped pilots the
+ *   pending need they last reported.
+ * - hourlyCap / dailyCap: maximum spend in the rolling last hour / 24 hours (0 = no cap)
+ *
+ * Pilots call reserveBudget() before they act, then commitBudget() with the real
+ * cost on success or releaseBudget() on failure / dry run. Open reservations count
+ * as already spent for the other pilots. A reservation that is never committed or
+ * released (pilot threw) expires after RESERVATION_TTL_MS.
+ *
+ * Pending need = what a pilot wants to spend but has not reserved yet. Reported via
+ * getAvailableBudget(..., need) or recorded when reserveBudget() is denied, and
+ * dropped once reserved or after NEED_TTL_MS without a new report.
+ *
+ * Spending is recorded even while settings.cashBudgetEnabled is off, so the panel
+ * shows real numbers as soon as caps are switched on.
+ *
+ * Architecture follows harbor-fee-store.js (one JSON file per user).
+ *
+ * @module server/utils/cash-budget
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { PILOTS } = require('./pilot-schedule');
+
+const BUDGET_DIR = path.join(__dirname, '../../userdata/cash-budget');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const RESERVATION_TTL_MS = 2 * 60 * 1000;
+const NEED_TTL_MS = 10 * 60 * 1000;
+
+/**
+ * Pilots that spend cash: key = settings.cashBudgets key (same IDs as pilot schedules)
+ * settingKey = the pilot's on/off setting, priority = default priority
+ */
+const BUDGET_PILOTS = {
+  barrelBoss: { settingKey: 'autoRebuyFuel', priority: 1 },
+  atmosphereBroker: { settingKey: 'autoRebuyCO2', priority: 2 },
+  yardForeman: { settingKey: 'autoBulkRepair', priority: 3 },
+  drydockMaster: { settingKey: 'autoDrydock', priority: 4 },
+  reputationChief: { settingKey: 'autoCampaignRenewal', priority: 5 },
+  harbormaster: { settingKey: 'autoAnchorPointEnabled', priority: 6 },
+  ruleKeeper: { settingKey: 'autopilotRulesEnabled', priority: 7 }
+};
+
+const MAX_PRIORITY = Object.keys(BUDGET_PILOTS).length;
+
+// userId -> [{ pilotId, amount, timestamp }] (last 24 hours)
+const ledgers = new Map();
+
+// userId -> Map(reservationId -> { pilotId, amount, timestamp })
+const reservations = new Map();
+
+// userId -> Map(pilotId -> { amount, timestamp })
+const pendingNeeds = new Map();
+
+/**
+ * Creates the default budget (no caps) for every budgeted pilot
+ * @returns {Object} Budgets keyed by pilot ID
+ */
+function getDefaultBudgets() {
+  return Object.fromEntries(Object.entries(BUDGET_PILOTS).map(([pilotId, pilot]) => [
+    pilotId,
+    { priority: pilot.priority, hourlyCap: 0, dailyCap: 0 }
+  ]));
+}
+
+/**
+ * Sanitizes cashBudgets from settings.json or the settings API.
+ * Unknown pilots are dropped, invalid fields fall back to the default.
+ *
+ * @param {Object} value - Raw budgets
+ * @returns {Object} Valid budgets for every budgeted pilot
+ */
+function normalizeCashBudgets(value) {
+  const budgets = getDefaultBudgets();
+  if (!value || typeof value !== 'object') return budgets;
+
+  for (const pilotId of Object.keys(BUDGET_PILOTS)) {
+    const input = value[pilotId];
+    if (!input || typeof input !== 'object') continue;
+
+    const budget = budgets[pilotId];
+    const priority = parseInt(input.priority, 10);
+    if (priority >= 1 && priority <= MAX_PRIORITY) budget.priority = priority;
+
+    for (const key of ['hourlyCap', 'dailyCap']) {
+      const cap = Number(typeof input[key] === 'string' ? input[key].replace(/,/g, '') : input[key]);
+      if (Number.isFinite(cap) && cap >= 0) budget[key] = Math.floor(cap);
+    }
+  }
+
+  return budgets;
+}
+
+/**
+ * Gets file path for user's spending ledger
+ * @param {number} userId - User ID
+ * @returns {string} File path
+ */
+function getFilePath(userId) {
+  return path.join(BUDGET_DIR, `spending-${userId}.json`);
+}
+
+/**
+ * Loads the spending ledger (cached after the first read)
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Spending entries of the last 24 hours
+ */
+async function loadLedger(userId) {
+  if (!ledgers.has(userId)) {
+    let entries = [];
+    try {
+      const data = JSON.parse(await fs.readFile(getFilePath(userId), 'utf8'));
+      entries = Array.isArray(data) ? data : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`[Cash Budget] Failed to load spending for user ${userId}:`, error.message);
+      }
+    }
+    ledgers.set(userId, entries);
+  }
+
+  const cutoff = Date.now() - DAY_MS;
+  const entries = ledgers.get(userId).filter(e => e.timestamp >= cutoff);
+  ledgers.set(userId, entries);
+  return entries;
+}
+
+/**
+ * Saves the spending ledger to disk
+ * @param {number} userId - User ID
+ * @returns {Promise<void>}
+ */
+async function saveLedger(userId) {
+  try {
+    await fs.mkdir(BUDGET_DIR, { recursive: true });
+    await fs.writeFile(getFilePath(userId), JSON.stringify(ledgers.get(userId) || [], null, 2), 'utf8');
+  } catch (error) {
+    logger.error(`[Cash Budget] Failed to save spending for user ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Gets the user's open reservations, dropping expired ones
+ * @param {number} userId - User ID
+ * @returns {Map} reservationId -> { pilotId, amount, timestamp }
+ */
+function getOpenReservations(userId) {
+  if (!reservations.has(userId)) {
+    reservations.set(userId, new Map());
+  }
+  const open = reservations.get(userId);
+  const cutoff = Date.now() - RESERVATION_TTL_MS;
+  for (const [id, reservation] of open) {
+    if (reservation.timestamp < cutoff) {
+      logger.warn(`[Cash Budget] Reservation of ${PILOTS[reservation.pilotId]} ($${reservation.amount.toLocaleString()}) expired`);
+      open.delete(id);
+    }
+  }
+  return open;
+}
+
+/**
+ * Records what a pilot still wants to spend (0 clears it)
+ * @param {number} userId - User ID
+ * @param {string} pilotId - Pilot ID
+ * @param {number} amount - Pending need
+ */
+function setPendingNeed(userId, pilotId, amount) {
+  if (!pendingNeeds.has(userId)) {
+    pendingNeeds.set(userId, new Map());
+  }
+  if (Number.isFinite(amount) && amount > 0) {
+    pendingNeeds.get(userId).set(pilotId, { amount, timestamp: Date.now() });
+  } else {
+    pendingNeeds.get(userId).delete(pilotId);
+  }
+}
+
+/**
+ * Gets a pilot's pending need, ignoring stale reports
+ * @param {number} userId - User ID
+ * @param {string} pilotId - Pilot ID
+ * @returns {number} Pending need (0 if none)
+ */
+function getPendingNeed(userId, pilotId) {
+  const need = pendingNeeds.get(userId)?.get(pilotId);
+  if (!need || need.timestamp < Date.now() - NEED_TTL_MS) return 0;
+  return need.amount;
+}
+
+/**
+ * Sums spending plus open reservations of one pilot within a time window
+ * @param {Array} ledger - Spending entries
+ * @param {Map} open - Open reservations
+ * @param {string} pilotId - Pilot ID
+ * @param {number} windowMs - Window length
+ * @returns {number} Amount spent or reserved
+ */
+function sumSpent(ledger, open, pilotId, windowMs) {
+  const cutoff = Date.now() - windowMs;
+  let total = 0;
+  for (const entry of ledger) {
+    if (entry.pilotId === pilotId && entry.timestamp >= cutoff) total += entry.amount;
+  }
+  for (const reservation of open.values()) {
+    if (reservation.pilotId === pilotId) total += reservation.amount;
+  }
+  return total;
+}
+
+/**
+ * Calculates the budget of every pilot
+ * @param {number} userId - User ID
+ * @param {Object} settings - User settings
+ * @returns {Promise<Object>} Per pilot: { priority, hourlyCap, dailyCap, spentHour, spentDay, remaining }
+ */
+async function calculateBudgets(userId, settings) {
+  const ledger = await loadLedger(userId);
+  const open = getOpenReservations(userId);
+  const budgets = normalizeCashBudgets(settings.cashBudgets);
+
+  const result = {};
+  for (const [pilotId, budget] of Object.entries(budgets)) {
+    const spentHour = sumSpent(ledger, open, pilotId, HOUR_MS);
+    const spentDay = sumSpent(ledger, open, pilotId, DAY_MS);
+    const remainingHour = budget.hourlyCap > 0 ? Math.max(0, budget.hourlyCap - spentHour) : Infinity;
+    const remainingDay = budget.dailyCap > 0 ? Math.max(0, budget.dailyCap - spentDay) : Infinity;
+    result[pilotId] = {
+      ...budget,
+      spentHour,
+      spentDay,
+      remainingHour,
+      remainingDay,
+      remaining: Math.min(remainingHour, remainingDay)
+    };
+  }
+  return result;
+}
+
+/**
+ * Calculates how much of the current cash a pilot may spend right now
+ * @param {number} userId - User ID
+ * @param {Object} settings - User settings
+ * @param {Object} budgets - Result of calculateBudgets()
+ * @param {string} pilotId - Pilot ID
+ * @param {number} cash - Current cash
+ * @returns {{available: number, reason: string|null}} Spendable amount and what limits it
+ */
+function calculateAvailable(userId, settings, budgets, pilotId, cash) {
+  const own = budgets[pilotId];
+
+  let reservedByOthers = 0;
+  for (const reservation of getOpenReservations(userId).values()) {
+    if (reservation.pilotId !== pilotId) reservedByOthers += reservation.amount;
+  }
+
+  // Keep cash for enabled higher-priority pilots: their remaining cap, or their
+  // pending need when uncapped (otherwise priorities would have no effect)
+  let protectedCash = 0;
+  for (const [otherId, other] of Object.entries(budgets)) {
+    if (otherId === pilotId || other.priority >= own.priority) continue;
+    if (!settings[BUDGET_PILOTS[otherId].settingKey]) continue;
+    protectedCash += Number.isFinite(other.remaining) ? other.remaining : getPendingNeed(userId, otherId);
+  }
+
+  const freeCash = Math.max(0, cash - reservedByOthers - protectedCash);
+  if (own.remaining < freeCash) {
+    return { available: own.remaining, reason: own.remaining === own.remainingHour ? 'hourly cap reached' : 'daily cap reached' };
+  }
+  return { available: freeCash, reason: protectedCash > 0 ? 'reserved for higher-priority pilots' : 'not enough free cash' };
+}
+
+/**
+ * Gets the amount a pilot may spend now (caps, priorities and open reservations).
+ * Returns Infinity while the budget is disabled.
+ *
+ * @param {number} userId - User ID
+ * @param {string} pilotId - Key of BUDGET_PILOTS
+ * @param {number} cash - Current cash
+ * @param {number} [need] - What the pilot wants to spend (recorded as its pending need)
+ * @returns {Promise<number>} Spendable amount
+ */
+async function getAvailableBudget(userId, pilotId, cash, need) {
+  if (need !== undefined) setPendingNeed(userId, pilotId, need);
+
+  const state = require('../state');
+  const settings = state.getSettings(userId);
+  if (!settings?.cashBudgetEnabled) return Infinity;
+
+  const budgets = await calculateBudgets(userId, settings);
+  return calculateAvailable(userId, settings, budgets, pilotId, cash).available;
+}
+
+/**
+ * Reserves cash for a pilot before it spends.
+ * Always granted while the budget is disabled (the spend is still recorded on commit).
+ *
+ * @param {number} userId - User ID
+ * @param {string} pilotId - Key of BUDGET_PILOTS
+ * @param {number} amount - Expected cost
+ * @param {number} cash - Current cash
+ * @returns {Promise<{granted: boolean, reason: string|null, reservation: Object|null}>}
+ */
+async function reserveBudget(userId, pilotId, amount, cash) {
+  const state = require('../state');
+  const settings = state.getSettings(userId);
+
+  if (settings?.cashBudgetEnabled) {
+    const budgets = await calculateBudgets(userId, settings);
+    const { available, reason } = calculateAvailable(userId, settings, budgets, pilotId, cash);
+    if (amount > available) {
+      logger.debug(`[Cash Budget] ${PILOTS[pilotId]} denied $${amount.toLocaleString()} - ${reason} (available: $${Math.floor(available).toLocaleString()})`);
+      setPendingNeed(userId, pilotId, Math.max(amount, getPendingNeed(userId, pilotId)));
+      return { granted: false, reason, reservation: null };
+    }
+  }
+
+  // The reservation itself now holds this part of the need
+  setPendingNeed(userId, pilotId, getPendingNeed(userId, pilotId) - amount);
+
+  const reservation = { id: crypto.randomUUID(), userId, pilotId, amount, timestamp: Date.now() };
+  getOpenReservations(userId).set(reservation.id, { pilotId, amount, timestamp: reservation.timestamp });
+  return { granted: true, reason: null, reservation };
+}
+
+/**
+ * Releases a reservation without spending (action failed or dry run)
+ * @param {Object|null} reservation - Reservation from reserveBudget()
+ */
+function releaseBudget(reservation) {
+  if (!reservation) return;
+  reservations.get(reservation.userId)?.delete(reservation.id);
+}
+
+/**
+ * Records the actual spend of a reservation and pushes the new budget to the client
+ * @param {Object|null} reservation - Reservation from reserveBudget()
+ * @param {number} [actualAmount] - Real cost (defaults to the reserved amount)
+ * @returns {Promise<void>}
+ */
+async function commitBudget(reservation, actualAmount) {
+  if (!reservation) return;
+  releaseBudget(reservation);
+
+  const { userId, pilotId } = reservation;
+  const amount = Number.isFinite(actualAmount) && actualAmount > 0 ? actualAmount : reservation.amount;
+  const ledger = await loadLedger(userId);
+  ledger.push({ pilotId, amount, timestamp: Date.now() });
+  await saveLedger(userId);
+
+  try {
+    const { broadcastToUser } = require('../websocket');
+    broadcastToUser(userId, 'budget_update', await getBudgetStatus(userId));
+  } catch (error) {
+    logger.debug('[Cash Budget] Could not broadcast budget update:', error.message);
+  }
+}
+
+/**
+ * Builds the budget overview for the autopilot panel
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { enabled, cash, pilots: [...] } sorted by priority.
+ *   Unlimited values are null.
+ */
+async function getBudgetStatus(userId) {
+  const state = require('../state');
+  const settings = state.getSettings(userId) || {};
+  const cash = state.getBunkerState(userId)?.cash ?? 0;
+  const budgets = await calculateBudgets(userId, settings);
+  const finite = value => (Number.isFinite(value) ? value : null);
+
+  const pilots = Object.entries(budgets).map(([pilotId, budget]) => ({
+    id: pilotId,
+    name: PILOTS[pilotId],
+    active: !!settings[BUDGET_PILOTS[pilotId].settingKey],
+    priority: budget.priority,
+    hourlyCap: budget.hourlyCap,
+    dailyCap: budget.dailyCap,
+    spentHour: budget.spentHour,
+    spentDay: budget.spentDay,
+    remainingHour: finite(budget.remainingHour),
+    remainingDay: finite(budget.remainingDay),
+    available: settings.cashBudgetEnabled
+      ? finite(calculateAvailable(userId, settings, budgets, pilotId, cash).available)
+      : null
+  })).sort((a, b) => a.priority - b.priority);
+
+  return { enabled: !!settings.cashBudgetEnabled, cash, pilots };
+}
+
+module.exports = {
+  BUDGET_PILOTS,
+  getDefaultBudgets,
+  normalizeCashBudgets,
+  getAvailableBudget,
+  reserveBudget,
+  releaseBudget,
+  commitBudget,
+  getBudgetStatus
+};
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Alliance Chat Archive Storage Utility
+ *
+ * Keeps every alliance chat message and feed event the app sees (the game API
+ * only returns the most recent part of the feed). One append-only JSON Lines
+ * file per alliance, so a growing archive never has to be rewritten.
+ *
+ * Entries:
+ *   { type: 'chat', timestampMs, userId, company, message }
+ *   { type: 'feed', timestampMs, feedType, company }
+ *
+ * The same feed is fetched every refresh cycle; entries already archived are
+ * recognized by a hash of their identifying fields. Only the hashes of the
+ * newest MAX_KEYS entries per alliance are kept in memory - the game feed only
+ * returns recent messages, so older ones are never fetched again.
+ *
+ * Searches stream the file line by line instead of loading the whole archive.
+ *
+ * @module server/utils/chat-archive-store
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const logger = require('./logger');
+const { createWriteQueue } = require('./queued-json-store');
+
+const ARCHIVE_DIR = path.join(__dirname, '../../userdata/chat-archive');
+
+/**
+ * Entry keys remembered per alliance for deduplication
+ */
+const MAX_KEYS = 5000;
+
+// allianceId -> Promise<Set<string>> of the newest archived entry keys (insertion order = archive order)
+const archivedKeys = new Map();
+
+const writeQueue = createWriteQueue();
+
+/**
+ * Ensures archive directory exists
+ */
+async function ensureDirectory() {
+  try {
+    await fs.promises.mkdir(ARCHIVE_DIR, { recursive: true });
+  } catch (error) {
+    logger.error('[Chat Archive] Failed to create directory:', error.message);
+  }
+}
+
+/**
+ * Gets file path for an alliance's archive
+ * @param {number} allianceId - Alliance ID
+ * @returns {string} File path
+ */
+function getFilePath(allianceId) {
+  return path.join(ARCHIVE_DIR, `chat-archive-${allianceId}.jsonl`);
+}
+
+/**
+ * Builds the deduplication key of an entry (hash of timestamp, sender and content)
+ * @param {Object} entry - Archive entry
+ * @returns {string} Key
+ */
+function getEntryKey(entry) {
+  const identity = entry.type === 'chat'
+    ? `chat|${entry.timestampMs}|${entry.userId}|${entry.message}`
+    : `feed|${entry.timestampMs}|${entry.feedType}|${entry.company}`;
+  return crypto.createHash('sha1').update(identity).digest('base64');
+}
+
+/**
+ * Streams all archived entries of an alliance (skips corrupt lines)
+ * @param {number} allianceId - Alliance ID
+ * @param {Function} onEntry - (entry) => void, called in archive order
+ * @returns {Promise<void>}
+ */
+async function forEachEntry(allianceId, onEntry) {
+  const stream = fs.createReadStream(getFilePath(allianceId), { encoding: 'utf8' });
+  const lines = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch {
+        continue; // Partially written line (e.g. crash during append) - ignore
+      }
+      onEntry(entry);
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.error(`[Chat Archive] Failed to read archive of alliance ${allianceId}:`, error.message);
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+  }
+}
+
+/**
+ * Adds a key and drops the oldest ones beyond MAX_KEYS
+ * @param {Set<string>} keys - Entry keys
+ * @param {string} key - New key
+ */
+function rememberKey(keys, key) {
+  keys.add(key);
+  if (keys.size > MAX_KEYS) {
+    keys.delete(keys.values().next().value);
+  }
+}
+
+/**
+ * Gets the keys of the newest archived entries (loaded from disk once per alliance)
+ * @param {number} allianceId - Alliance ID
+ * @returns {Promise<Set<string>>} Entry keys
+ */
+function getArchivedKeys(allianceId) {
+  if (!archivedKeys.has(allianceId)) {
+    const keys = new Set();
+    archivedKeys.set(allianceId, forEachEntry(allianceId, entry => rememberKey(keys, getEntryKey(entry))).then(() => keys));
+  }
+  return archivedKeys.get(allianceId);
+}
+
+/**
+ * Converts chat messages as sent to the clients into archive entries
+ * @param {Array} messages - Messages from /api/chat or the chat_update broadcast
+ * @returns {Array} Archive entries
+ */
+function toEntries(messages) {
+  return messages
+    .filter(msg => (msg.type === 'chat' || msg.type === 'feed') && Number.isFinite(msg.timestampMs))
+    .map(msg => (msg.type === 'chat'
+      ? { type: 'chat', timestampMs: msg.timestampMs, userId: msg.user_id, company: msg.company || '', message: msg.message || '' }
+      : { type: 'feed', timestampMs: msg.timestampMs, feedType: msg.feedType || '', company: msg.company || '' }));
+}
+
+/**
+ * Adds messages to the archive (already archived ones are skipped)
+ * @param {number} allianceId - Alliance ID
+ * @param {Array} messages - Messages from /api/chat or the chat_update broadcast
+ * @returns {Promise<number>} Number of newly archived entries
+ */
+function archiveMessages(allianceId, messages) {
+  return writeQueue.enqueue(allianceId, async () => {
+    const keys = await getArchivedKeys(allianceId);
+    const entries = toEntries(messages)
+      .filter(entry => !keys.has(getEntryKey(entry)))
+      .sort((a, b) => a.timestampMs - b.timestampMs);
+    if (entries.length === 0) return 0;
+
+    await ensureDirectory();
+    await fs.promises.appendFile(getFilePath(allianceId), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n', 'utf8');
+    for (const entry of entries) {
+      rememberKey(keys, getEntryKey(entry));
+    }
+    logger.debug(`[Chat Archive] Archived ${entries.length} entries for alliance ${allianceId}`);
+    return entries.length;
+  });
+}
+
+/**
+ * Searches the archive
+ * @param {number} allianceId - Alliance ID
+ * @param {Object} [filters={}] - Search filters
+ * @param {string} [filters.text] - Text contained in the message or feed event (case-insensitive)
+ * @param {string} [filters.sender] - Text contained in the company name (case-insensitive)
+ * @param {number} [filters.from] - Earliest timestamp (ms, inclusive)
+ * @param {number} [filters.to] - Latest timestamp (ms, inclusive)
+ * @param {string} [filters.type] - 'chat', 'feed' or 'all'
+ * @returns {Promise<Array>} Matching entries, newest first
+ */
+async function searchArchive(allianceId, filters = {}) {
+  // Wait for queued appends so a search right after a refresh includes them
+  await writeQueue.whenIdle(allianceId);
+
+  const text = (filters.text || '').toLowerCase();
+  const sender = (filters.sender || '').toLowerCase();
+  const type = filters.type || 'all';
+
+  const matches = [];
+  await forEachEntry(allianceId, (entry) => {
+    if (type !== 'all' && entry.type !== type) return;
+    if (filters.from && entry.timestampMs < filters.from) return;
+    if (filters.to && entry.timestampMs > filters.to) return;
+    if (sender && !entry.company.toLowerCase().includes(sender)) return;
+    if (text) {
+      const content = entry.type === 'chat' ? entry.message : `${entry.feedType} ${entry.company}`;
+      if (!content.toLowerCase().includes(text)) return;
+    }
+    matches.push(entry);
+  });
+  return matches.sort((a, b) => b.timestampMs - a.timestampMs);
+}
+
+module.exports = {
+  archiveMessages,
+  searchArchive
+};
@@ -0,0 +1,149 @@
+/**
+ * @fileoverview Chat Watch Rule Storage Utility
+ *
+ * Stores the keyword/regex watch rules for alliance chat (server/chatbot/chat-watch.js),
+ * including how often and when each rule last matched.
+ * Architecture follows announcement-store.js (one JSON file per user).
+ *
+ * @module server/utils/chat-watch-store
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+const WATCH_DIR = path.join(__dirname, '../../userdata/chat-watch');
+
+/**
+ * Ensures chat watch directory exists
+ */
+async function ensureDirectory() {
+  try {
+    await fs.mkdir(WATCH_DIR, { recursive: true });
+  } catch (error) {
+    logger.error('[Chat Watch Store] Failed to create directory:', error.message);
+  }
+}
+
+/**
+ * Gets file path for user's watch rules
+ * @param {number} userId - User ID
+ * @returns {string} File path
+ */
+function getFilePath(userId) {
+  return path.join(WATCH_DIR, `chat-watch-${userId}.json`);
+}
+
+/**
+ * Loads watch rules from disk
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Rules in creation order
+ */
+async function loadWatchRules(userId) {
+  try {
+    const data = await fs.readFile(getFilePath(userId), 'utf8');
+    const rules = JSON.parse(data);
+    return Array.isArray(rules) ? rules : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // File doesn't exist yet
+    }
+    logger.error(`[Chat Watch Store] Failed to load rules for user ${userId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Saves watch rules to disk
+ * @param {number} userId - User ID
+ * @param {Array} rules - Rules to save
+ * @returns {Promise<void>}
+ */
+async function saveWatchRules(userId, rules) {
+  await ensureDirectory();
+  await fs.writeFile(getFilePath(userId), JSON.stringify(rules, null, 2), 'utf8');
+}
+
+/**
+ * Creates a new rule or updates an existing one (matched by id).
+ * Match statistics (matchCount, lastMatchAt) are kept on update.
+ *
+ * @param {number} userId - User ID
+ * @param {Object} rule - Validated rule without statistics
+ * @returns {Promise<Object>} Stored rule
+ */
+async function upsertWatchRule(userId, rule) {
+  const rules = await loadWatchRules(userId);
+  const index = rule.id ? rules.findIndex(r => r.id === rule.id) : -1;
+
+  let stored;
+  if (index >= 0) {
+    stored = {
+      ...rules[index],
+      ...rule,
+      updatedAt: Date.now()
+    };
+    rules[index] = stored;
+  } else {
+    stored = {
+      ...rule,
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      matchCount: 0,
+      lastMatchAt: null
+    };
+    rules.push(stored);
+  }
+
+  await saveWatchRules(userId, rules);
+  logger.debug(`[Chat Watch Store] Saved rule "${stored.name}" (${stored.id}) for user ${userId}`);
+  return stored;
+}
+
+/**
+ * Deletes a rule
+ * @param {number} userId - User ID
+ * @param {string} ruleId - Rule ID
+ * @returns {Promise<boolean>} True if a rule was deleted
+ */
+async function deleteWatchRule(userId, ruleId) {
+  const rules = await loadWatchRules(userId);
+  const remaining = rules.filter(r => r.id !== ruleId);
+  if (remaining.length === rules.length) {
+    return false;
+  }
+  await saveWatchRules(userId, remaining);
+  return true;
+}
+
+/**
+ * Counts matches of rules
+ * @param {number} userId - User ID
+ * @param {Array<string>} ruleIds - IDs of the rules that matched a message
+ * @returns {Promise<void>}
+ */
+async function recordWatchMatches(userId, ruleIds) {
+  const rules = await loadWatchRules(userId);
+  const now = Date.now();
+  let changed = false;
+
+  for (const rule of rules) {
+    if (ruleIds.includes(rule.id)) {
+      rule.matchCount = (rule.matchCount || 0) + 1;
+      rule.lastMatchAt = now;
+      changed = true;
+    }
+  }
+
+  if (changed) {
+    await saveWatchRules(userId, rules);
+  }
+}
+
+module.exports = {
+  loadWatchRules,
+  upsertWatchRule,
+  deleteWatchRule,
+  recordWatchMatches
+};
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview CSV Export Helper
+ *
+ * Shared escaping for the CSV exports (logbook, trip history, P&L, chat and
+ * messenger archives).
+ *
+ * @module server/utils/csv
+ */
+
+/**
+ * Escape CSV formula injection (=, +, @, - at start of cell)
+ * Prefixes dangerous characters with single quote to force text mode in Excel
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped value safe for CSV (without surrounding quotes)
+ */
+function escapeCSVFormula(value) {
+  if (!value) return '';
+  const str = String(value);
+  // If starts with formula characters, prefix with single quote
+  if (/^[=+@\-]/.test(str)) {
+    return "'" + str.replace(/"/g, '""'); // Also escape quotes
+  }
+  return str.replace(/"/g, '""'); // Just escape quotes
+}
+
+module.exports = {
+  escapeCSVFormula
+};
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Departure Queue Storage Utility
+ *
+ * Remembers why Cargo Marshal did not depart a vessel and the user's manual
+ * overrides, one JSON file per account:
+ *
+ *   {
+ *     holds: { [vesselId]: { code, reason, destination, since, checkedAt } },
+ *     snoozed: { [vesselId]: untilMs },     // Skipped by auto-depart until then
+ *     excluded: { [vesselId]: sinceMs },    // Skipped by auto-depart until included again
+ *     lastTrip: { [vesselId]: { code, reason, at } }  // Warning of the last departure
+ *   }
+ *
+ * Hold codes: no_route, fuel_cached, port_not_assigned, no_demand, zero_price,
+ * price_error, low_utilization, insufficient_fuel, depart_failed.
+ * Last trip codes: zero_revenue, high_harbor_fee.
+ *
+ * Holds are replaced after every departure run for the vessels the run checked;
+ * a vessel that was checked without a hold departed, so its hold and snooze are
+ * removed. Snoozes and exclusions only apply to "depart all" runs (autopilot,
+ * rules, depart all button); vessels selected explicitly always get checked.
+ *
+ * @module server/utils/departure-queue-store
+ */
+
+const path = require('path');
+const { createQueuedJsonStore } = require('./queued-json-store');
+
+const store = createQueuedJsonStore({
+  dir: path.join(__dirname, '../../userdata/departure-queue'),
+  getFileName: userId => `departure-queue-${userId}.json`,
+  normalize: data => ({ holds: {}, snoozed: {}, excluded: {}, lastTrip: {}, ...data }),
+  label: 'Departure Queue'
+});
+
+/**
+ * Loads holds and overrides
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} { holds, snoozed, excluded, lastTrip }
+ */
+async function loadDepartureQueue(userId) {
+  return store.read(userId);
+}
+
+/**
+ * Gets the vessels a "depart all" run has to skip
+ * @param {number} userId - User ID
+ * @param {number} [now=Date.now()] - Reference time
+ * @returns {Promise<Set<number>>} Excluded and currently snoozed vessel IDs
+ */
+async function getSkippedVesselIds(userId, now = Date.now()) {
+  const { snoozed, excluded } = await loadDepartureQueue(userId);
+  const ids = new Set(Object.keys(excluded).map(Number));
+  for (const [vesselId, until] of Object.entries(snoozed)) {
+    if (until > now) ids.add(Number(vesselId));
+  }
+  return ids;
+}
+
+/**
+ * Stores the outcome of a departure run
+ * @param {number} userId - User ID
+ * @param {Object} run - Run result
+ * @param {Array<number>} run.checked - IDs of all vessels the run looked at
+ * @param {Map<number, Object>} run.holds - vesselId -> { code, reason, destination } for vessels that stayed in port
+ * @param {Map<number, Object>} run.tripWarnings - vesselId -> { code, reason } for departed vessels with a warning
+ * @param {boolean} [run.dryRun=false] - Nothing departed, only update holds
+ * @returns {Promise<void>}
+ */
+function recordDepartureRun(userId, { checked, holds, tripWarnings, dryRun = false }) {
+  return store.modify(userId, (data) => {
+    const now = Date.now();
+
+    for (const vesselId of checked) {
+      const hold = holds.get(vesselId);
+      if (hold) {
+        const previous = data.holds[vesselId];
+        data.holds[vesselId] = {
+          ...hold,
+          since: previous && previous.code === hold.code ? previous.since : now,
+          checkedAt: now
+        };
+        continue;
+      }
+
+      delete data.holds[vesselId];
+      if (dryRun) continue;
+
+      // Departed
+      delete data.snoozed[vesselId];
+      const warning = tripWarnings.get(vesselId);
+      if (warning) {
+        data.lastTrip[vesselId] = { ...warning, at: now };
+      } else {
+        delete data.lastTrip[vesselId];
+      }
+    }
+
+    // Drop expired snoozes
+    for (const [vesselId, until] of Object.entries(data.snoozed)) {
+      if (until <= now) delete data.snoozed[vesselId];
+    }
+  });
+}
+
+/**
+ * Snoozes a vessel for auto-depart or ends the snooze
+ * @param {number} userId - User ID
+ * @param {number} vesselId - Vessel ID
+ * @param {number|null} until - End of the snooze in ms, null to end it
+ * @returns {Promise<void>}
+ */
+function setSnooze(userId, vesselId, until) {
+  return store.modify(userId, (data) => {
+    if (until) {
+      data.snoozed[vesselId] = until;
+    } else {
+      delete data.snoozed[vesselId];
+    }
+  });
+}
+
+/**
+ * Excludes a vessel from auto-depart or includes it again
+ * @param {number} userId - User ID
+ * @param {number} vesselId - Vessel ID
+ * @param {boolean} excluded - True to exclude
+ * @returns {Promise<void>}
+ */
+function setExcluded(userId, vesselId, excluded) {
+  return store.modify(userId, (data) => {
+    if (excluded) {
+      data.excluded[vesselId] = data.excluded[vesselId] || Date.now();
+    } else {
+      delete data.excluded[vesselId];
+    }
+  });
+}
+
+module.exports = {
+  loadDepartureQueue,
+  getSkippedVesselIds,
+  recordDepartureRun,
+  setSnooze,
+  setExcluded
+};
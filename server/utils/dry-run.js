@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Autopilot Dry-Run Helper
+ *
+ * With the global `autopilotDryRun` setting enabled, every pilot still runs its
+ * full decision logic but skips the game API call that would spend money, move
+ * vessels or answer negotiations. Instead it writes a logbook entry with status
+ * SIMULATED describing what it would have done ("Would have bought 1,200t @ $380/t").
+ *
+ * Because nothing changes in-game, the same decision repeats on every loop.
+ * Identical simulated entries are therefore only logged once per REPEAT_INTERVAL.
+ *
+ * @module server/utils/dry-run
+ */
+
+const state = require('../state');
+const logger = require('./logger');
+const { auditLog, SOURCES } = require('./audit-logger');
+
+/**
+ * Minimum time before an identical simulated entry is logged again
+ */
+const REPEAT_INTERVAL = 30 * 60 * 1000;
+
+/**
+ * Last simulated entry per user and action: key = "userId:action", value = { summary, timestamp }
+ */
+const lastSimulated = new Map();
+
+/**
+ * Checks if dry-run mode is enabled for a user
+ * @param {number} userId - User ID
+ * @returns {boolean} True if pilots must not call the game API
+ */
+function isDryRun(userId) {
+  const settings = state.getSettings(userId);
+  return settings?.autopilotDryRun === true;
+}
+
+/**
+ * Logs an action a pilot would have taken with status SIMULATED
+ * @param {number} userId - User ID
+ * @param {string} category - CATEGORIES value
+ * @param {string} action - Autopilot name (e.g. 'Auto-Fuel')
+ * @param {string} summary - What would have happened (e.g. "Would have bought 1,200t @ $380/t")
+ * @param {Object} [details={}] - Decision details
+ * @returns {Promise<boolean>} True if logged, false if suppressed as a repeat
+ */
+async function logSimulatedAction(userId, category, action, summary, details = {}) {
+  const key = `${userId}:${action}`;
+  const last = lastSimulated.get(key);
+  const now = Date.now();
+
+  if (last && last.summary === summary && now - last.timestamp < REPEAT_INTERVAL) {
+    logger.debug(`[Dry Run] ${action}: ${summary} (repeat suppressed)`);
+    return false;
+  }
+
+  lastSimulated.set(key, { summary, timestamp: now });
+  logger.info(`[Dry Run] ${action}: ${summary}`);
+
+  await auditLog(
+    userId,
+    category,
+    action,
+    summary,
+    { ...details, dryRun: true },
+    'SIMULATED',
+    SOURCES.AUTOPILOT
+  );
+  return true;
+}
+
+module.exports = {
+  isDryRun,
+  logSimulatedAction
+};
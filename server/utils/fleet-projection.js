@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Fleet Projection Utility
+ *
+ * Projects upcoming Cargo Marshal departures and their fuel/CO2 usage so the
+ * bunker pilots can plan purchases ahead instead of reacting to the current price.
+ *
+ * - Vessels waiting in port depart on the next autopilot run
+ * - Vessels en route depart again when they arrive (same route length assumed)
+ * - Fuel per trip: API value if present, otherwise fuel-calculator
+ * - CO2 per trip: fuel x observed CO2/fuel ratio from recent Auto-Depart logbook entries
+ *
+ * @module server/utils/fleet-projection
+ */
+
+const { calculateFuelConsumption } = require('./fuel-calculator');
+const { getLogEntries } = require('../logbook');
+
+/**
+ * Gets the speed Cargo Marshal will use for a vessel's next departure
+ * @param {Object} vessel - Vessel object
+ * @param {Object} settings - User settings
+ * @returns {number} Speed in knots
+ */
+function getDepartSpeed(vessel, settings) {
+  if (settings.autoDepartUseRouteDefaults) {
+    return vessel.route_speed || vessel.max_speed;
+  }
+  return Math.round(vessel.max_speed * (settings.autoVesselSpeed / 100));
+}
+
+/**
+ * Projects departures up to a given time
+ * @param {Array} vessels - All vessels from gameapi.fetchVessels()
+ * @param {Object} settings - User settings
+ * @param {number} userId - User ID (for custom vessel fuel data)
+ * @param {number} untilMs - End of the projection window (UTC milliseconds)
+ * @param {number} [now=Date.now()] - Departure time used for vessels in port
+ * @returns {Array<{vesselId: number, name: string, time: number, fuel: number}>} Departures sorted by time
+ */
+function projectDepartures(vessels, settings, userId, untilMs, now = Date.now()) {
+  const departures = [];
+
+  for (const vessel of vessels) {
+    if (!vessel.route_distance || vessel.is_parked) continue;
+
+    let time;
+    if (vessel.status === 'port') {
+      time = now;
+    } else if (vessel.status === 'enroute' && vessel.route_end_time && vessel.route_end_time * 1000 <= untilMs) {
+      time = Math.max(now, vessel.route_end_time * 1000);
+    } else {
+      continue;
+    }
+
+    let fuel = vessel.route_fuel_required || vessel.fuel_required;
+    if (!fuel) {
+      fuel = calculateFuelConsumption(vessel, vessel.route_distance, getDepartSpeed(vessel, settings), userId);
+    }
+    if (!fuel) continue;
+
+    departures.push({ vesselId: vessel.id, name: vessel.name, time, fuel });
+  }
+
+  return departures.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Estimates fuel the fleet burns on departures before a given time
+ * @param {Array} vessels - All vessels from gameapi.fetchVessels()
+ * @param {Object} settings - User settings
+ * @param {number} userId - User ID
+ * @param {number} untilMs - End of the estimation window (UTC milliseconds)
+ * @returns {{tons: number, vessels: number}} Estimated fuel and number of departures
+ */
+function estimateFleetFuelNeed(vessels, settings, userId, untilMs) {
+  const departures = projectDepartures(vessels, settings, userId, untilMs);
+  return {
+    tons: departures.reduce((sum, d) => sum + d.fuel, 0),
+    vessels: departures.length
+  };
+}
+
+/**
+ * Gets the observed CO2 emitted per ton of fuel burned.
+ * Derived from Auto-Depart logbook entries of the last 7 days.
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<number|null>} Tons CO2 per ton fuel, or null if no departures logged yet
+ */
+async function getCO2PerFuelRatio(userId) {
+  const entries = await getLogEntries(userId, { autopilot: 'Auto-Depart', status: 'SUCCESS', timeRange: '7days' });
+
+  let fuel = 0;
+  let co2 = 0;
+  for (const entry of entries) {
+    if (entry.details?.totalFuelUsed > 0 && entry.details?.totalCO2Used > 0) {
+      fuel += entry.details.totalFuelUsed;
+      co2 += entry.details.totalCO2Used;
+    }
+  }
+
+  return fuel > 0 ? co2 / fuel : null;
+}
+
+module.exports = {
+  getDepartSpeed,
+  projectDepartures,
+  estimateFleetFuelNeed,
+  getCO2PerFuelRatio
+};
@@ -0,0 +1,334 @@
+/**
+ * @fileoverview Fleet Renewal Advisor
+ *
+ * Scores owned vessels and the acquirable catalog on the same 0-100 scale and
+ * suggests "sell X, buy Y" swaps for the weakest vessels.
+ *
+ * Score components (weighted average of the known ones, see SCORE_WEIGHTS):
+ * - age: 100 for a new vessel, 0 at AGE_LIMIT_YEARS
+ * - wear: 100 - wear %
+ * - fuel: fuel per nm per cargo unit at the same speed (fuel-calculator data),
+ *   100 = most efficient vessel of the capacity type in fleet + catalog
+ * - speed: max speed relative to the fastest vessel of the capacity type
+ * - capacity: capacity (TEU or bbl) relative to the largest vessel of the type
+ *
+ * A catalog vessel replaces an owned vessel if it has the same capacity type, at
+ * least MIN_CAPACITY_RATIO of its capacity and a score MIN_SCORE_GAIN higher.
+ *
+ * Payback estimate: the owned vessel's net income (after harbor fees) and fuel
+ * plus CO2 cost per day over the analytics window (route-analytics), fleet average per
+ * capacity unit if it has no trips. The replacement is assumed to run the same
+ * routes at the same utilization and share of max speed, so income scales with
+ * capacity x speed and fuel cost with the fuel burnt per day at sea.
+ *
+ * @module server/utils/fleet-renewal
+ */
+
+const { getVesselFuelData } = require('./fuel-calculator');
+
+const SCORE_WEIGHTS = {
+  age: 0.2,
+  wear: 0.15,
+  fuel: 0.3,
+  speed: 0.15,
+  capacity: 0.2
+};
+
+const AGE_LIMIT_YEARS = 25;
+const MIN_SCORE_GAIN = 10;
+const MIN_CAPACITY_RATIO = 0.8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Gets the cargo capacity of a vessel
+ * @param {Object} vessel - Vessel object
+ * @returns {number} TEU (container) or bbl (tanker)
+ */
+function getCapacity(vessel) {
+  const capacity = vessel.capacity_max || {};
+  return vessel.capacity_type === 'tanker'
+    ? (capacity.fuel || 0) + (capacity.crude_oil || 0)
+    : (capacity.dry || 0) + (capacity.refrigerated || 0);
+}
+
+/**
+ * Gets the fuel figures of a vessel
+ * @param {Object} vessel - Vessel object
+ * @param {number} [userId] - User ID (custom vessels)
+ * @returns {{perUnit: number, perDay: number}|null} Fuel per nm per knot per cargo unit and
+ *   fuel burnt per day at max speed (kg), null if fuel data or capacity is missing
+ */
+function getFuelFigures(vessel, userId) {
+  const fuelData = getVesselFuelData(vessel, userId);
+  const capacity = getCapacity(vessel);
+  if (!fuelData || !fuelData.kg_per_nm || !fuelData.speed_kn || capacity <= 0) return null;
+
+  // Consumption is linear in speed: kg/nm at speed s = kg_per_nm x s / speed_kn
+  const perKnot = fuelData.kg_per_nm / fuelData.speed_kn;
+  const maxSpeed = vessel.max_speed || fuelData.speed_kn;
+  return {
+    perUnit: perKnot / capacity,
+    perDay: perKnot * maxSpeed * maxSpeed * 24
+  };
+}
+
+/**
+ * Clamps a score to 0-100
+ * @param {number} value - Raw score
+ * @returns {number} Rounded score
+ */
+function clampScore(value) {
+  return Math.round(Math.min(100, Math.max(0, value)));
+}
+
+/**
+ * Builds the per capacity type reference values for scoring
+ * @param {Array} vessels - Owned and catalog vessels
+ * @param {number} userId - User ID
+ * @returns {Object} capacity_type -> { bestFuel, worstFuel, maxSpeed, maxCapacity }
+ */
+function buildScoreRanges(vessels, userId) {
+  const ranges = {};
+  for (const vessel of vessels) {
+    const type = vessel.capacity_type;
+    if (!ranges[type]) {
+      ranges[type] = { bestFuel: Infinity, worstFuel: 0, maxSpeed: 0, maxCapacity: 0 };
+    }
+    const range = ranges[type];
+    const fuel = getFuelFigures(vessel, userId);
+    if (fuel) {
+      range.bestFuel = Math.min(range.bestFuel, fuel.perUnit);
+      range.worstFuel = Math.max(range.worstFuel, fuel.perUnit);
+    }
+    range.maxSpeed = Math.max(range.maxSpeed, vessel.max_speed || 0);
+    range.maxCapacity = Math.max(range.maxCapacity, getCapacity(vessel));
+  }
+  return ranges;
+}
+
+/**
+ * Scores a vessel
+ * @param {Object} vessel - Owned or catalog vessel
+ * @param {Object} ranges - From buildScoreRanges()
+ * @param {number} userId - User ID
+ * @param {number} currentYear - Reference year for the age
+ * @returns {{score: number, scores: Object}} Total score and components (null = unknown)
+ */
+function scoreVessel(vessel, ranges, userId, currentYear) {
+  const range = ranges[vessel.capacity_type] || {};
+  const fuel = getFuelFigures(vessel, userId);
+
+  const scores = {
+    age: vessel.year ? clampScore(100 * (1 - (currentYear - vessel.year) / AGE_LIMIT_YEARS)) : null,
+    wear: clampScore(100 - (parseFloat(vessel.wear) || 0)),
+    fuel: null,
+    speed: range.maxSpeed > 0 && vessel.max_speed ? clampScore(100 * vessel.max_speed / range.maxSpeed) : null,
+    capacity: range.maxCapacity > 0 ? clampScore(100 * getCapacity(vessel) / range.maxCapacity) : null
+  };
+
+  if (fuel) {
+    const spread = range.worstFuel - range.bestFuel;
+    scores.fuel = spread > 0 ? clampScore(100 * (range.worstFuel - fuel.perUnit) / spread) : 100;
+  }
+
+  let weighted = 0;
+  let weights = 0;
+  for (const [component, weight] of Object.entries(SCORE_WEIGHTS)) {
+    if (scores[component] === null) continue;
+    weighted += scores[component] * weight;
+    weights += weight;
+  }
+
+  return { score: weights > 0 ? Math.round(weighted / weights) : 0, scores };
+}
+
+/**
+ * Scores the fleet and the catalog
+ * @param {Array} vessels - Owned vessels (user_vessels)
+ * @param {Array} catalog - Acquirable vessels (vessels_for_sale)
+ * @param {number} userId - User ID
+ * @param {number} [now=Date.now()] - Reference time for the age
+ * @returns {{fleet: Array, catalog: Array}} Scored vessels { vessel, score, scores }, fleet sorted by score (worst first)
+ */
+function scoreFleet(vessels, catalog, userId, now = Date.now()) {
+  // Credit-only vessels can't be bought with the sale proceeds
+  const buyable = catalog.filter(v => !v.only_for_credits && v.price > 0);
+  const ranges = buildScoreRanges([...vessels, ...buyable], userId);
+  const currentYear = new Date(now).getUTCFullYear();
+  const score = vessel => ({ vessel, ...scoreVessel(vessel, ranges, userId, currentYear) });
+
+  return {
+    fleet: vessels.filter(v => v.status !== 'pending').map(score).sort((a, b) => a.score - b.score),
+    catalog: buyable.map(score)
+  };
+}
+
+/**
+ * Finds catalog vessels that would replace an owned vessel
+ * @param {Object} owned - Scored owned vessel
+ * @param {Array} catalog - Scored catalog vessels
+ * @returns {Array} Scored catalog vessels
+ */
+function findReplacements(owned, catalog) {
+  const capacity = getCapacity(owned.vessel);
+  return catalog.filter(option =>
+    option.vessel.capacity_type === owned.vessel.capacity_type &&
+    getCapacity(option.vessel) >= capacity * MIN_CAPACITY_RATIO &&
+    option.score >= owned.score + MIN_SCORE_GAIN
+  );
+}
+
+/**
+ * Builds per-vessel and fleet average earnings from route analytics
+ * @param {Object} analytics - From buildRouteAnalytics()
+ * @param {Array} vessels - Owned vessels
+ * @param {number} userId - User ID
+ * @returns {Object} { byVessel: Map(vesselId -> { netPerDay, fuelCostPerDay }), byType: { [type]: { netPerUnit, fuelCostPerKg } } }
+ */
+function buildEarningsRates(analytics, vessels, userId) {
+  const days = Math.max(1, (analytics.to - analytics.from) / DAY_MS);
+  const vesselsById = new Map(vessels.map(v => [v.id, v]));
+  const byVessel = new Map();
+  const totals = {};
+
+  for (const entry of analytics.vessels) {
+    const vessel = vesselsById.get(entry.vesselId);
+    if (!vessel) continue;
+
+    const rates = {
+      netPerDay: (entry.grossIncome - entry.harborFees) / days,
+      fuelCostPerDay: (entry.fuelCost + (entry.co2Cost || 0)) / days
+    };
+    byVessel.set(vessel.id, rates);
+
+    const fuel = getFuelFigures(vessel, userId);
+    const type = vessel.capacity_type;
+    if (!totals[type]) totals[type] = { net: 0, capacity: 0, fuelCost: 0, fuelKg: 0 };
+    totals[type].net += rates.netPerDay;
+    totals[type].capacity += getCapacity(vessel);
+    if (fuel) {
+      totals[type].fuelCost += rates.fuelCostPerDay;
+      totals[type].fuelKg += fuel.perDay;
+    }
+  }
+
+  const byType = {};
+  for (const [type, total] of Object.entries(totals)) {
+    byType[type] = {
+      netPerUnit: total.capacity > 0 ? total.net / total.capacity : 0,
+      fuelCostPerKg: total.fuelKg > 0 ? total.fuelCost / total.fuelKg : 0
+    };
+  }
+
+  return { byVessel, byType };
+}
+
+/**
+ * Estimates how much more a replacement earns per day
+ * @param {Object} vessel - Owned vessel
+ * @param {Object} replacement - Catalog vessel
+ * @param {Object} rates - From buildEarningsRates()
+ * @param {number} userId - User ID
+ * @returns {{dailyGain: number|null, basis: string|null}} Gain in $ per day, basis 'history' or 'fleet_average' (null if unknown)
+ */
+function estimateDailyGain(vessel, replacement, rates, userId) {
+  const oldFuel = getFuelFigures(vessel, userId);
+  const newFuel = getFuelFigures(replacement, userId);
+  const typeRates = rates.byType[vessel.capacity_type];
+
+  let current = rates.byVessel.get(vessel.id);
+  let basis = 'history';
+  if (!current) {
+    if (!typeRates) return { dailyGain: null, basis: null };
+    current = {
+      netPerDay: typeRates.netPerUnit * getCapacity(vessel),
+      fuelCostPerDay: oldFuel ? typeRates.fuelCostPerKg * oldFuel.perDay : 0
+    };
+    basis = 'fleet_average';
+  }
+
+  const capacityRatio = getCapacity(replacement) / getCapacity(vessel);
+  const speedRatio = vessel.max_speed > 0 && replacement.max_speed > 0 ? replacement.max_speed / vessel.max_speed : 1;
+  // Without fuel data for both, assume the same consumption per nm
+  const fuelRatio = oldFuel && newFuel ? newFuel.perDay / oldFuel.perDay : speedRatio;
+
+  const currentProfit = current.netPerDay - current.fuelCostPerDay;
+  const newProfit = current.netPerDay * capacityRatio * speedRatio - current.fuelCostPerDay * fuelRatio;
+
+  return { dailyGain: Math.round(newProfit - currentProfit), basis };
+}
+
+/**
+ * Builds a swap suggestion
+ * @param {Object} owned - Scored owned vessel
+ * @param {Object} option - Scored catalog vessel
+ * @param {number|null} sellPrice - Resale value of the owned vessel (null if unknown)
+ * @param {Object} rates - From buildEarningsRates()
+ * @param {number} userId - User ID
+ * @returns {Object} { sell, buy, netCash, dailyGain, basis, paybackDays }
+ *   netCash: sale proceeds - purchase price (negative = costs cash);
+ *   paybackDays: 0 if the swap pays out cash without earning less, null if it never pays back or is unknown
+ */
+function buildSwap(owned, option, sellPrice, rates, userId) {
+  const { dailyGain, basis } = estimateDailyGain(owned.vessel, option.vessel, rates, userId);
+  const netCash = sellPrice === null ? null : sellPrice - option.vessel.price;
+
+  let paybackDays = null;
+  if (netCash !== null && netCash >= 0 && !(dailyGain < 0)) {
+    paybackDays = 0;
+  } else if (netCash !== null && dailyGain > 0) {
+    paybackDays = Math.round((-netCash / dailyGain) * 10) / 10;
+  }
+
+  return {
+    sell: {
+      id: owned.vessel.id,
+      name: owned.vessel.name,
+      score: owned.score,
+      sellPrice,
+      atSea: owned.vessel.status === 'enroute' || owned.vessel.status === 'route'
+    },
+    buy: {
+      id: option.vessel.id,
+      name: option.vessel.name,
+      score: option.score,
+      price: option.vessel.price,
+      year: option.vessel.year,
+      capacityType: option.vessel.capacity_type,
+      capacity: getCapacity(option.vessel),
+      maxSpeed: option.vessel.max_speed
+    },
+    netCash,
+    dailyGain,
+    basis,
+    paybackDays
+  };
+}
+
+/**
+ * Picks the best swap of an owned vessel: shortest payback, then highest score
+ * @param {Object} owned - Scored owned vessel
+ * @param {Array} options - From findReplacements()
+ * @param {number|null} sellPrice - Resale value of the owned vessel
+ * @param {Object} rates - From buildEarningsRates()
+ * @param {number} userId - User ID
+ * @returns {Object|null} Swap from buildSwap() or null if there are no options
+ */
+function pickBestSwap(owned, options, sellPrice, rates, userId) {
+  const swaps = options.map(option => buildSwap(owned, option, sellPrice, rates, userId));
+  swaps.sort((a, b) =>
+    (a.paybackDays ?? Infinity) - (b.paybackDays ?? Infinity) ||
+    b.buy.score - a.buy.score
+  );
+  return swaps[0] || null;
+}
+
+module.exports = {
+  SCORE_WEIGHTS,
+  getCapacity,
+  scoreFleet,
+  findReplacements,
+  buildEarningsRates,
+  pickBestSwap
+};
@@ -0,0 +1,220 @@
+/**
+ * @fileoverview Forecast Accuracy Tracker
+ *
+ * Records, once per half-hour slot, the forecast price from forecast.json next to
+ * the price the game actually returned, and computes error statistics per day of
+ * month and per hour. Event discounts are excluded (regular prices are compared),
+ * because the forecast never contains them.
+ * Architecture follows harbor-fee-store.js (one JSON file per user).
+ *
+ * @module server/utils/forecast-accuracy
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { loadForecast, getSlotAt } = require('./forecast-planner');
+
+const ACCURACY_DIR = path.join(__dirname, '../../userdata/forecast-accuracy');
+
+/**
+ * Samples older than this are pruned on every write
+ */
+const RETENTION_DAYS = 180;
+
+/**
+ * Forecast.json is stored in CEST (UTC+2)
+ */
+const CEST_OFFSET_HOURS = 2;
+
+/**
+ * Ensures forecast accuracy directory exists
+ */
+async function ensureDirectory() {
+  try {
+    await fs.mkdir(ACCURACY_DIR, { recursive: true });
+  } catch (error) {
+    logger.error('[Forecast Accuracy] Failed to create directory:', error.message);
+  }
+}
+
+/**
+ * Gets file path for user's accuracy samples
+ * @param {number} userId - User ID
+ * @returns {string} File path
+ */
+function getFilePath(userId) {
+  return path.join(ACCURACY_DIR, `forecast-accuracy-${userId}.json`);
+}
+
+/**
+ * Loads accuracy samples from disk
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Samples sorted by slot start (oldest first)
+ */
+async function loadSamples(userId) {
+  try {
+    const data = await fs.readFile(getFilePath(userId), 'utf8');
+    const samples = JSON.parse(data);
+    return Array.isArray(samples) ? samples : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // File doesn't exist yet
+    }
+    logger.error(`[Forecast Accuracy] Failed to load samples for user ${userId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Gets the observed price for the current slot.
+ * Reuses the cached prices if they were fetched inside the current slot,
+ * otherwise fetches fresh prices from the game API.
+ *
+ * @param {number} userId - User ID
+ * @param {number} slotStart - Current slot start (UTC milliseconds)
+ * @returns {Promise<Object>} Prices as returned by gameapi.fetchPrices()
+ */
+async function getObservedPrices(userId, slotStart) {
+  const state = require('../state');
+  const cached = state.getPrices(userId);
+  if (cached?.timestamp >= slotStart && cached.fuel > 0 && cached.co2 > 0) {
+    return cached;
+  }
+
+  const gameapi = require('../gameapi');
+  return await gameapi.fetchPrices();
+}
+
+/**
+ * Records forecast vs. observed price for the current half-hour slot.
+ * Called by the scheduler a few minutes after every price change; a second
+ * call within the same slot overwrites the earlier sample.
+ *
+ * @param {number} userId - User ID
+ * @returns {Promise<Object|null>} Recorded sample or null if no forecast exists for this slot
+ */
+async function trackForecastAccuracy(userId) {
+  const now = Date.now();
+  const forecast = await loadForecast();
+  const slot = forecast ? getSlotAt(forecast, now) : null;
+  if (!slot) {
+    logger.debug('[Forecast Accuracy] No forecast for current slot - skipping');
+    return null;
+  }
+
+  const prices = await getObservedPrices(userId, slot.start);
+
+  const sample = {
+    slotStart: slot.start,
+    day: slot.day,
+    index: slot.index,
+    forecastFuel: slot.fuel,
+    forecastCO2: slot.co2,
+    observedFuel: prices.regularFuel ?? prices.fuel,
+    observedCO2: prices.regularCO2 ?? prices.co2
+  };
+
+  await ensureDirectory();
+
+  const cutoff = now - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+  const samples = (await loadSamples(userId))
+    .filter(s => s.slotStart >= cutoff && s.slotStart !== slot.start);
+  samples.push(sample);
+  samples.sort((a, b) => a.slotStart - b.slotStart);
+
+  await fs.writeFile(getFilePath(userId), JSON.stringify(samples), 'utf8');
+
+  logger.debug(`[Forecast Accuracy] Slot ${slot.day}/${slot.index}: fuel forecast $${sample.forecastFuel} vs observed $${sample.observedFuel}, CO2 forecast $${sample.forecastCO2} vs observed $${sample.observedCO2}`);
+  return sample;
+}
+
+/**
+ * Creates an empty error accumulator
+ * @returns {Object} Accumulator
+ */
+function createAccumulator() {
+  return { count: 0, absError: 0, error: 0, pctError: 0 };
+}
+
+/**
+ * Adds one forecast/observed pair to an accumulator
+ * @param {Object} acc - Accumulator from createAccumulator()
+ * @param {number} forecast - Forecast price
+ * @param {number} observed - Observed price
+ */
+function accumulate(acc, forecast, observed) {
+  if (!(forecast > 0) || !(observed > 0)) return;
+  const error = forecast - observed;
+  acc.count++;
+  acc.error += error;
+  acc.absError += Math.abs(error);
+  acc.pctError += Math.abs(error) / observed * 100;
+}
+
+/**
+ * Converts an accumulator into error statistics
+ * @param {Object} acc - Accumulator
+ * @returns {Object|null} { count, mae, bias, mape } or null if empty
+ */
+function finalize(acc) {
+  if (acc.count === 0) return null;
+  const round = value => Math.round(value * 100) / 100;
+  return {
+    count: acc.count,
+    mae: round(acc.absError / acc.count),
+    bias: round(acc.error / acc.count),
+    mape: round(acc.pctError / acc.count)
+  };
+}
+
+/**
+ * Computes error statistics overall, per day of month and per hour.
+ * Bias is forecast minus observed (positive = forecast too high).
+ *
+ * @param {number} userId - User ID
+ * @param {number} [offsetHours=2] - UTC offset used for day/hour grouping (default: CEST like forecast.json)
+ * @returns {Promise<Object>} { samples, firstSample, lastSample, overall, byDay, byHour }
+ *   where each group is { fuel: {count, mae, bias, mape}|null, co2: {...}|null }
+ */
+async function getAccuracyStats(userId, offsetHours = CEST_OFFSET_HOURS) {
+  const samples = await loadSamples(userId);
+
+  const overall = { fuel: createAccumulator(), co2: createAccumulator() };
+  const byDay = {};
+  const byHour = {};
+
+  for (const sample of samples) {
+    // Group by the sample's slot start in the requested timezone
+    const local = new Date(sample.slotStart + offsetHours * 60 * 60 * 1000);
+    const day = local.getUTCDate();
+    const hour = local.getUTCHours();
+
+    if (!byDay[day]) byDay[day] = { fuel: createAccumulator(), co2: createAccumulator() };
+    if (!byHour[hour]) byHour[hour] = { fuel: createAccumulator(), co2: createAccumulator() };
+
+    for (const group of [overall, byDay[day], byHour[hour]]) {
+      accumulate(group.fuel, sample.forecastFuel, sample.observedFuel);
+      accumulate(group.co2, sample.forecastCO2, sample.observedCO2);
+    }
+  }
+
+  const finalizeGroup = group => ({ fuel: finalize(group.fuel), co2: finalize(group.co2) });
+  const finalizeMap = map => Object.fromEntries(
+    Object.entries(map).map(([key, group]) => [key, finalizeGroup(group)])
+  );
+
+  return {
+    samples: samples.length,
+    firstSample: samples[0]?.slotStart ?? null,
+    lastSample: samples[samples.length - 1]?.slotStart ?? null,
+    overall: finalizeGroup(overall),
+    byDay: finalizeMap(byDay),
+    byHour: finalizeMap(byHour)
+  };
+}
+
+module.exports = {
+  trackForecastAccuracy,
+  getAccuracyStats
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Forecast Planner Utility
+ *
+ * Resolves the monthly price forecast (sysdata/forecast/forecast.json) into
+ * absolute half-hour slots so autopilot pilots can compare the current price
+ * against upcoming prices.
+ *
+ * Forecast data is ALWAYS stored in CEST (UTC+2), keyed by day of month with
+ * 48 half-hour intervals per day. This module converts real timestamps into
+ * that grid and back, so callers only deal with UTC milliseconds.
+ *
+ * @module server/utils/forecast-planner
+ */
+
+const fs = require('fs').promises;
+const logger = require('./logger');
+const { getForecastDataPath } = require('../config');
+
+const CEST_OFFSET_MS = 2 * 60 * 60 * 1000;
+const SLOT_MS = 30 * 60 * 1000;
+const SLOTS_PER_DAY = 48;
+
+/**
+ * Loads the raw forecast data from disk
+ * @returns {Promise<Array|null>} Forecast days or null if unavailable
+ */
+async function loadForecast() {
+  try {
+    const data = await fs.readFile(getForecastDataPath(), 'utf8');
+    const forecast = JSON.parse(data);
+    return Array.isArray(forecast) ? forecast : null;
+  } catch (error) {
+    logger.warn('[Forecast Planner] Failed to load forecast:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Gets the UTC start time of the half-hour slot containing a timestamp
+ * @param {number} timestamp - UTC milliseconds
+ * @returns {number} Slot start in UTC milliseconds
+ */
+function getSlotStart(timestamp) {
+  return Math.floor(timestamp / SLOT_MS) * SLOT_MS;
+}
+
+/**
+ * Looks up the forecast slot for a timestamp
+ * @param {Array} forecast - Forecast days from loadForecast()
+ * @param {number} timestamp - UTC milliseconds
+ * @returns {Object|null} Slot { start, end, day, index, fuel, co2 } or null if missing
+ */
+function getSlotAt(forecast, timestamp) {
+  const start = getSlotStart(timestamp);
+  const cest = new Date(start + CEST_OFFSET_MS);
+  const day = cest.getUTCDate();
+  const index = cest.getUTCHours() * 2 + (cest.getUTCMinutes() >= 30 ? 1 : 0);
+
+  const dayData = forecast.find(d => d.day === day);
+  const interval = dayData?.hourly_intervals?.[index];
+  if (!interval) return null;
+
+  return {
+    start,
+    end: start + SLOT_MS,
+    day,
+    index,
+    fuel: interval.fuel_price_per_ton,
+    co2: interval.co2_price_per_ton
+  };
+}
+
+/**
+ * Gets consecutive forecast slots starting with the current one
+ * @param {number} [count=48] - Number of slots (default: 24 hours)
+ * @param {number} [now=Date.now()] - Reference time in UTC milliseconds
+ * @returns {Promise<Array>} Slots in chronological order (empty if no forecast)
+ */
+async function getUpcomingSlots(count = SLOTS_PER_DAY, now = Date.now()) {
+  const forecast = await loadForecast();
+  if (!forecast) return [];
+
+  const slots = [];
+  const firstStart = getSlotStart(now);
+  for (let i = 0; i < count; i++) {
+    const slot = getSlotAt(forecast, firstStart + i * SLOT_MS);
+    if (slot) slots.push(slot);
+  }
+  return slots;
+}
+
+/**
+ * Finds the first future slot that is cheaper than a reference price
+ * @param {Array} slots - Slots from getUpcomingSlots() (first entry = current slot)
+ * @param {number} price - Reference price per ton
+ * @param {string} commodity - 'fuel' or 'co2'
+ * @returns {Object|null} First cheaper slot or null if none in range
+ */
+function findNextCheaperSlot(slots, price, commodity) {
+  return slots.slice(1).find(slot => slot[commodity] < price) || null;
+}
+
+module.exports = {
+  SLOT_MS,
+  SLOTS_PER_DAY,
+  loadForecast,
+  getSlotAt,
+  getUpcomingSlots,
+  findNextCheaperSlot
+};
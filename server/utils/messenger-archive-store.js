@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Private Messenger Archive Storage Utility
+ *
+ * Keeps a local copy of every private conversation (system notifications are
+ * not archived), one JSON file per account. Deleting a chat in the game removes
+ * its history for good; archived conversations stay and are only flagged with
+ * deletedInGame.
+ *
+ * Stored conversation:
+ *   {
+ *     id: 123,                    // Game chat ID
+ *     subject: 'Coop',
+ *     participant: 'Other Company',
+ *     participantId: 456,         // Known once the other side wrote a message
+ *     lastMessageAt: 1700000000,  // Unix seconds (game's time_last_message)
+ *     syncedAt: 1700000000,       // time_last_message when messages were last archived
+ *     archivedAt: 1700000000000,  // ms, last time messages were archived
+ *     deletedInGame: false,
+ *     deletedAt: null,            // ms
+ *     messages: [{ user_id, body, created_at }]
+ *   }
+ *
+ * Messages are merged (never removed), so the archive also keeps messages the
+ * game drops from long conversations. Writes go through a queue because the
+ * messenger refresh and the messenger routes can update the same file.
+ *
+ * @module server/utils/messenger-archive-store
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const { createQueuedJsonStore } = require('./queued-json-store');
+
+/**
+ * Conversations archived within this time are never flagged as deleted: the chat
+ * list is cached (see websocket/messenger-cache.js) and may not contain a chat
+ * that was just created.
+ */
+const DELETION_GRACE_MS = 60 * 1000;
+
+const store = createQueuedJsonStore({
+  dir: path.join(__dirname, '../../userdata/messenger-archive'),
+  getFileName: userId => `messenger-archive-${userId}.json`,
+  normalize: data => ({ chats: Array.isArray(data?.chats) ? data.chats : [] }),
+  label: 'Messenger Archive',
+  compact: true
+});
+
+/**
+ * Loads the archived conversations
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Conversations including messages
+ */
+async function loadMessengerArchive(userId) {
+  return (await store.read(userId)).chats;
+}
+
+/**
+ * Finds a stored conversation or adds a new one
+ * @param {{chats: Array}} data - Archive data
+ * @param {Object} chat - Chat from /messenger/get-chats
+ * @returns {Object} Stored conversation
+ */
+function getOrCreateConversation(data, chat) {
+  let stored = data.chats.find(c => c.id === chat.id);
+  if (!stored) {
+    stored = {
+      id: chat.id,
+      subject: '',
+      participant: '',
+      participantId: null,
+      lastMessageAt: 0,
+      syncedAt: 0,
+      archivedAt: 0,
+      deletedInGame: false,
+      deletedAt: null,
+      messages: []
+    };
+    data.chats.push(stored);
+  }
+  if (chat.subject) stored.subject = chat.subject;
+  if (chat.participants_string) stored.participant = chat.participants_string;
+  if (chat.time_last_message) stored.lastMessageAt = Math.max(stored.lastMessageAt, chat.time_last_message);
+  return stored;
+}
+
+/**
+ * Archives the messages of a conversation (merged with already archived ones)
+ * @param {number} userId - User ID
+ * @param {Object} chat - Chat from /messenger/get-chats ({ id, subject, participants_string, time_last_message })
+ * @param {Array} messages - Messages from /messenger/get-chat
+ * @returns {Promise<number>} Number of newly archived messages
+ */
+function archiveConversation(userId, chat, messages) {
+  return store.modify(userId, (data) => {
+    const stored = getOrCreateConversation(data, chat);
+    const known = new Set(stored.messages.map(m => `${m.created_at}|${m.user_id}|${m.body}`));
+
+    let added = 0;
+    for (const msg of messages || []) {
+      const entry = { user_id: msg.user_id, body: msg.body || '', created_at: msg.created_at };
+      const key = `${entry.created_at}|${entry.user_id}|${entry.body}`;
+      if (known.has(key)) continue;
+      known.add(key);
+      stored.messages.push(entry);
+      added++;
+
+      if (String(msg.user_id) !== String(userId) && msg.is_mine !== true) {
+        stored.participantId = msg.user_id;
+      }
+    }
+
+    stored.messages.sort((a, b) => a.created_at - b.created_at);
+    const newest = stored.messages[stored.messages.length - 1];
+    if (newest) stored.lastMessageAt = Math.max(stored.lastMessageAt, newest.created_at);
+    stored.syncedAt = stored.lastMessageAt;
+    stored.archivedAt = Date.now();
+    stored.deletedInGame = false;
+    stored.deletedAt = null;
+    return added;
+  });
+}
+
+/**
+ * Compares the current chat list of the game with the archive.
+ * Archived conversations that are no longer listed are flagged as deleted in game.
+ * Only call with a complete list (not after a failed fetch).
+ *
+ * @param {number} userId - User ID
+ * @param {Array} chats - Private chats from /messenger/get-chats (complete list)
+ * @returns {Promise<Array>} Listed chats with messages that are not archived yet, newest first
+ */
+async function syncChatList(userId, chats) {
+  const listedIds = new Set(chats.map(chat => chat.id));
+  const archived = await loadMessengerArchive(userId);
+  const archivedById = new Map(archived.map(c => [c.id, c]));
+
+  const now = Date.now();
+  const vanished = archived
+    .filter(c => !c.deletedInGame && !listedIds.has(c.id) && now - (c.archivedAt || 0) > DELETION_GRACE_MS)
+    .map(c => c.id);
+  if (vanished.length > 0) {
+    await markChatsDeleted(userId, vanished);
+    logger.info(`[Messenger Archive] ${vanished.length} archived conversation(s) no longer exist in game`);
+  }
+
+  return chats
+    .filter(chat => {
+      const stored = archivedById.get(chat.id);
+      return !stored || stored.deletedInGame || !stored.subject || (chat.time_last_message || 0) > stored.syncedAt;
+    })
+    .sort((a, b) => (b.time_last_message || 0) - (a.time_last_message || 0));
+}
+
+/**
+ * Flags conversations as deleted in game (the archived copy is kept)
+ * @param {number} userId - User ID
+ * @param {Array<number>} chatIds - Game chat IDs
+ * @returns {Promise<number>} Number of conversations flagged
+ */
+function markChatsDeleted(userId, chatIds) {
+  return store.modify(userId, (data) => {
+    let flagged = 0;
+    for (const stored of data.chats) {
+      if (chatIds.includes(stored.id) && !stored.deletedInGame) {
+        stored.deletedInGame = true;
+        stored.deletedAt = Date.now();
+        flagged++;
+      }
+    }
+    return flagged;
+  });
+}
+
+/**
+ * Searches the messages of all archived conversations
+ * @param {number} userId - User ID
+ * @param {Object} filters - Search filters
+ * @param {string} [filters.text] - Text contained in the message (case-insensitive)
+ * @param {string} [filters.participant] - Text contained in the participant's company name (case-insensitive)
+ * @returns {Promise<Array>} Matches { chatId, subject, participant, deletedInGame, message }, newest first
+ */
+async function searchMessengerArchive(userId, filters) {
+  const text = (filters.text || '').toLowerCase();
+  const participant = (filters.participant || '').toLowerCase();
+
+  const matches = [];
+  for (const chat of await loadMessengerArchive(userId)) {
+    if (participant && !chat.participant.toLowerCase().includes(participant)) continue;
+
+    for (const message of chat.messages) {
+      if (text && !message.body.toLowerCase().includes(text)) continue;
+      matches.push({
+        chatId: chat.id,
+        subject: chat.subject,
+        participant: chat.participant,
+        deletedInGame: chat.deletedInGame,
+        message
+      });
+    }
+  }
+
+  return matches.sort((a, b) => b.message.created_at - a.message.created_at);
+}
+
+module.exports = {
+  loadMessengerArchive,
+  archiveConversation,
+  syncChatList,
+  markChatsDeleted,
+  searchMessengerArchive
+};
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Pilot Schedules and Quiet Hours
+ *
+ * Central time checks for the autopilot, so pilot modules don't need their own:
+ * - Per-pilot weekly schedule (settings.pilotSchedules): a pilot only runs on the
+ *   selected weekdays between start and end. Pilots without an enabled schedule
+ *   run around the clock.
+ * - Global quiet hours (settings.quietHours*): automation keeps running, but
+ *   notification events sent by the autopilot are dropped and all other events are
+ *   flagged with `quietHours: true` so the frontend skips its alerts.
+ *
+ * All times are server local time. Windows with start > end span midnight
+ * (e.g. 22:00-06:00); the weekday is the day the window starts on.
+ * start === end means the whole day.
+ *
+ * @module server/utils/pilot-schedule
+ */
+
+const logger = require('./logger');
+
+/**
+ * Pilots that can be scheduled: key = settings.pilotSchedules key, value = display name
+ */
+const PILOTS = {
+  barrelBoss: 'Barrel Boss',
+  atmosphereBroker: 'Atmosphere Broker',
+  cargoMarshal: 'Cargo Marshal',
+  yardForeman: 'Yard Foreman',
+  drydockMaster: 'Drydock Master',
+  reputationChief: 'Reputation Chief',
+  fairHand: 'Fair Hand',
+  harbormaster: 'Harbormaster',
+  captainBlackbeard: "Cap'n Blackbeard",
+  ruleKeeper: 'Rule Keeper'
+};
+
+/**
+ * Events that only exist to notify the user - dropped completely during quiet hours
+ */
+const NOTIFICATION_EVENTS = ['notification', 'desktop_notification', 'user_action_notification', 'price_alert', 'price_alerts'];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * Parses "HH:MM" into minutes since midnight
+ * @param {string} time - Time string
+ * @returns {number|null} Minutes or null if invalid
+ */
+function parseTime(time) {
+  const match = TIME_PATTERN.exec(time);
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+/**
+ * Checks if a date falls into a weekly time window
+ * @param {Object} window - { days: number[] (0=Sunday), start: 'HH:MM', end: 'HH:MM' }
+ * @param {Date} date - Date to check
+ * @returns {boolean} True if inside the window
+ */
+function isWithinWindow(window, date) {
+  const start = parseTime(window.start);
+  const end = parseTime(window.end);
+  if (start === null || end === null) return true;
+
+  const days = Array.isArray(window.days) ? window.days : ALL_DAYS;
+  const today = date.getDay();
+  const yesterday = (today + 6) % 7;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  if (start === end) {
+    return days.includes(today);
+  }
+  if (start < end) {
+    return days.includes(today) && minutes >= start && minutes < end;
+  }
+  // Window spans midnight
+  return (days.includes(today) && minutes >= start) || (days.includes(yesterday) && minutes < end);
+}
+
+/**
+ * Creates the default (disabled) schedule for every pilot
+ * @returns {Object} Schedules keyed by pilot ID
+ */
+function getDefaultSchedules() {
+  return Object.fromEntries(Object.keys(PILOTS).map(pilotId => [
+    pilotId,
+    { enabled: false, days: [...ALL_DAYS], start: '00:00', end: '00:00' }
+  ]));
+}
+
+/**
+ * Sanitizes pilotSchedules from settings.json or the settings API.
+ * Unknown pilots are dropped, invalid fields fall back to the default.
+ *
+ * @param {Object} value - Raw schedules
+ * @returns {Object} Valid schedules for every pilot
+ */
+function normalizePilotSchedules(value) {
+  const schedules = getDefaultSchedules();
+  if (!value || typeof value !== 'object') return schedules;
+
+  for (const pilotId of Object.keys(PILOTS)) {
+    const input = value[pilotId];
+    if (!input || typeof input !== 'object') continue;
+
+    const schedule = schedules[pilotId];
+    schedule.enabled = input.enabled === true;
+    if (Array.isArray(input.days)) {
+      schedule.days = [...new Set(input.days.map(Number).filter(d => ALL_DAYS.includes(d)))].sort((a, b) => a - b);
+    }
+    if (parseTime(input.start) !== null) schedule.start = input.start;
+    if (parseTime(input.end) !== null) schedule.end = input.end;
+  }
+
+  return schedules;
+}
+
+/**
+ * Checks if a pilot is allowed to run now according to its schedule
+ * @param {number} userId - User ID
+ * @param {string} pilotId - Key of PILOTS
+ * @param {Date} [date=new Date()] - Date to check
+ * @returns {boolean} True if the pilot may run
+ */
+function isPilotScheduled(userId, pilotId, date = new Date()) {
+  const state = require('../state');
+  const schedule = state.getSettings(userId)?.pilotSchedules?.[pilotId];
+  if (!schedule?.enabled) return true;
+  return isWithinWindow(schedule, date);
+}
+
+/**
+ * Checks if quiet hours are active
+ * @param {number} userId - User ID
+ * @param {Date} [date=new Date()] - Date to check
+ * @returns {boolean} True if autopilot notifications must be suppressed
+ */
+function isQuietHours(userId, date = new Date()) {
+  const state = require('../state');
+  const settings = state.getSettings(userId);
+  if (!settings?.quietHoursEnabled) return false;
+  return isWithinWindow({ days: ALL_DAYS, start: settings.quietHoursStart, end: settings.quietHoursEnd }, date);
+}
+
+/**
+ * Wraps a pilot entry point so it only runs inside the pilot's schedule
+ * @param {string} pilotId - Key of PILOTS
+ * @param {Function} pilotFn - Async pilot function
+ * @returns {Function} Wrapped function with the same signature
+ */
+function onSchedule(pilotId, pilotFn) {
+  return async function scheduledPilot(...args) {
+    const { getUserId } = require('./api');
+    const userId = getUserId();
+    if (userId && !isPilotScheduled(userId, pilotId)) {
+      logger.debug(`[Schedule] ${PILOTS[pilotId]} skipped - outside its schedule`);
+      return;
+    }
+    return pilotFn(...args);
+  };
+}
+
+/**
+ * Wraps a broadcast function so autopilot notifications respect quiet hours
+ * @param {Function} broadcastFn - broadcastToUser(userId, type, data)
+ * @returns {Function} Wrapped broadcast function
+ */
+function withQuietHours(broadcastFn) {
+  if (!broadcastFn) return broadcastFn;
+
+  return function quietAwareBroadcast(userId, type, data) {
+    if (!isQuietHours(userId)) {
+      return broadcastFn(userId, type, data);
+    }
+    if (NOTIFICATION_EVENTS.includes(type)) {
+      logger.debug(`[Schedule] Quiet hours - suppressed '${type}'`);
+      return;
+    }
+    const flagged = data && typeof data === 'object' && !Array.isArray(data)
+      ? { ...data, quietHours: true }
+      : data;
+    return broadcastFn(userId, type, flagged);
+  };
+}
+
+module.exports = {
+  PILOTS,
+  parseTime,
+  isWithinWindow,
+  normalizePilotSchedules,
+  getDefaultSchedules,
+  isPilotScheduled,
+  isQuietHours,
+  onSchedule,
+  withQuietHours
+};
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview ChatBot Poll Storage Utility
+ *
+ * Stores the polls and sign-up lists of the !poll, !vote and !signup chatbot
+ * commands, one JSON file per alliance (several users of the same alliance
+ * can share a data directory without mixing up their polls).
+ *
+ * Votes arrive from concurrently processed chat messages, so all writes for an
+ * alliance go through a queue (read-modify-write would otherwise lose votes).
+ *
+ * @module server/utils/poll-store
+ */
+
+const path = require('path');
+const logger = require('./logger');
+const { createQueuedJsonStore } = require('./queued-json-store');
+
+/**
+ * Closed polls kept per alliance (oldest are removed first)
+ */
+const MAX_CLOSED_POLLS = 50;
+
+const store = createQueuedJsonStore({
+  dir: path.join(__dirname, '../../userdata/chatbot-polls'),
+  getFileName: allianceId => `polls-${allianceId}.json`,
+  normalize: data => ({
+    nextId: Number.isInteger(data?.nextId) ? data.nextId : 1,
+    polls: Array.isArray(data?.polls) ? data.polls : []
+  }),
+  label: 'Poll Store'
+});
+
+/**
+ * Runs a read-modify-write operation in the alliance's write queue
+ * and drops the oldest closed polls
+ * @param {number} allianceId - Alliance ID
+ * @param {Function} operation - (data) => result, may mutate data; return value is passed through
+ * @returns {Promise<*>} Result of the operation
+ */
+function modify(allianceId, operation) {
+  return store.modify(allianceId, async (data) => {
+    const result = await operation(data);
+
+    const closed = data.polls.filter(p => p.status === 'closed');
+    if (closed.length > MAX_CLOSED_POLLS) {
+      const removed = new Set(closed.slice(0, closed.length - MAX_CLOSED_POLLS).map(p => p.id));
+      data.polls = data.polls.filter(p => !removed.has(p.id));
+    }
+    return result;
+  });
+}
+
+/**
+ * Loads all polls and sign-up lists of an alliance
+ * @param {number} allianceId - Alliance ID
+ * @returns {Promise<Array>} Polls in creation order
+ */
+async function loadPolls(allianceId) {
+  return (await store.read(allianceId)).polls;
+}
+
+/**
+ * Stores a new poll or sign-up list.
+ * The open limit and the sign-up name lookup run in the same queued write as the
+ * insert, so concurrent commands cannot exceed the limit or open duplicate lists.
+ *
+ * @param {number} allianceId - Alliance ID
+ * @param {Object} poll - Poll without id
+ * @param {number} maxOpen - Maximum open polls / sign-up lists (per type)
+ * @returns {Promise<{poll: Object|null, created: boolean}>} Stored poll (numeric id, unique per alliance),
+ *   the already open sign-up list with the same name (created: false), or poll: null if the limit is reached
+ */
+async function createPoll(allianceId, poll, maxOpen) {
+  return modify(allianceId, (data) => {
+    const open = data.polls.filter(p => p.type === poll.type && p.status === 'open');
+    if (poll.type === 'signup') {
+      const existing = open.find(p => p.name === poll.name);
+      if (existing) return { poll: existing, created: false };
+    }
+    if (open.length >= maxOpen) return { poll: null, created: false };
+
+    const stored = { id: data.nextId, ...poll };
+    data.nextId++;
+    data.polls.push(stored);
+    logger.debug(`[Poll Store] Created ${stored.type} #${stored.id} for alliance ${allianceId}`);
+    return { poll: stored, created: true };
+  });
+}
+
+/**
+ * Updates a poll in place
+ * @param {number} allianceId - Alliance ID
+ * @param {number} pollId - Poll ID
+ * @param {Function} update - (poll) => void, mutates the stored poll
+ * @returns {Promise<Object|null>} Updated poll or null if not found
+ */
+async function updatePoll(allianceId, pollId, update) {
+  return modify(allianceId, async (data) => {
+    const poll = data.polls.find(p => p.id === pollId);
+    if (!poll) return null;
+    await update(poll);
+    return poll;
+  });
+}
+
+module.exports = {
+  loadPolls,
+  createPoll,
+  updatePoll
+};
@@ -0,0 +1,161 @@
+/**
+ * @fileoverview Price History Storage Utility
+ *
+ * Stores every fuel/CO2 price fetched by updatePrices() (including event discount
+ * and regular prices) per account, so observed prices can be compared with the
+ * forecast and alert thresholds can be judged against real data.
+ * Architecture follows harbor-fee-store.js (one JSON file per user).
+ *
+ * @module server/utils/price-history-store
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+const PRICE_HISTORY_DIR = path.join(__dirname, '../../userdata/price-history');
+
+/**
+ * Entries older than this are pruned on every write
+ */
+const RETENTION_DAYS = 90;
+
+/**
+ * Ensures price history directory exists
+ */
+async function ensureDirectory() {
+  try {
+    await fs.mkdir(PRICE_HISTORY_DIR, { recursive: true });
+  } catch (error) {
+    logger.error('[Price History Store] Failed to create directory:', error.message);
+  }
+}
+
+/**
+ * Gets file path for user's price history
+ * @param {number} userId - User ID
+ * @returns {string} File path
+ */
+function getFilePath(userId) {
+  return path.join(PRICE_HISTORY_DIR, `price-history-${userId}.json`);
+}
+
+/**
+ * Loads price history from disk
+ * @param {number} userId - User ID
+ * @returns {Promise<Array>} Entries sorted by timestamp (oldest first)
+ */
+async function loadPriceHistory(userId) {
+  try {
+    const filePath = getFilePath(userId);
+    const data = await fs.readFile(filePath, 'utf8');
+    const entries = JSON.parse(data);
+    return Array.isArray(entries) ? entries : [];
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return []; // File doesn't exist yet
+    }
+    logger.error(`[Price History Store] Failed to load history for user ${userId}:`, error.message);
+    return [];
+  }
+}
+
+/**
+ * Appends a fetched price to the history
+ * @param {number} userId - User ID
+ * @param {Object} prices - Prices from gameapi.fetchPrices()
+ * @returns {Promise<void>}
+ */
+async function recordPrices(userId, prices) {
+  try {
+    await ensureDirectory();
+
+    const entries = await loadPriceHistory(userId);
+    const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const kept = entries.filter(e => e.timestamp >= cutoff);
+
+    kept.push({
+      timestamp: Date.now(),
+      fuel: prices.fuel,
+      co2: prices.co2,
+      eventDiscount: prices.eventDiscount || null,
+      regularFuel: prices.regularFuel ?? null,
+      regularCO2: prices.regularCO2 ?? null
+    });
+
+    const filePath = getFilePath(userId);
+    await fs.writeFile(filePath, JSON.stringify(kept), 'utf8');
+
+    logger.debug(`[Price History Store] Recorded fuel $${prices.fuel}/t, CO2 $${prices.co2}/t (${kept.length} entries)`);
+  } catch (error) {
+    logger.error(`[Price History Store] Failed to record prices for user ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Gets history entries in a time range
+ * @param {number} userId - User ID
+ * @param {number} from - Start (UTC milliseconds, inclusive)
+ * @param {number} to - End (UTC milliseconds, inclusive)
+ * @returns {Promise<Array>} Entries in range (oldest first)
+ */
+async function getPriceHistory(userId, from, to) {
+  const entries = await loadPriceHistory(userId);
+  return entries.filter(e => e.timestamp >= from && e.timestamp <= to);
+}
+
+/**
+ * Calculates min/avg/max for a list of values
+ * @param {Array<number>} values - Values
+ * @returns {Object|null} { min, avg, max } or null if empty
+ */
+function summarize(values) {
+  if (values.length === 0) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  return {
+    min: Math.min(...values),
+    avg: Math.round((sum / values.length) * 100) / 100,
+    max: Math.max(...values)
+  };
+}
+
+/**
+ * Aggregates entries into min/avg/max for fuel and CO2
+ * @param {Array} entries - History entries
+ * @returns {Object} { count, fuel: {min, avg, max}|null, co2: {min, avg, max}|null }
+ */
+function aggregatePrices(entries) {
+  return {
+    count: entries.length,
+    fuel: summarize(entries.map(e => e.fuel)),
+    co2: summarize(entries.map(e => e.co2))
+  };
+}
+
+/**
+ * Groups entries into fixed time buckets with min/avg/max per bucket
+ * @param {Array} entries - History entries (oldest first)
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {Array} Buckets [{ start, count, fuel, co2 }] (empty buckets omitted)
+ */
+function bucketPrices(entries, bucketMs) {
+  const buckets = new Map();
+  for (const entry of entries) {
+    const start = Math.floor(entry.timestamp / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(entry);
+  }
+
+  return Array.from(buckets.entries()).map(([start, bucketEntries]) => ({
+    start,
+    ...aggregatePrices(bucketEntries)
+  }));
+}
+
+module.exports = {
+  loadPriceHistory,
+  recordPrices,
+  getPriceHistory,
+  aggregatePrices,
+  bucketPrices
+};
@@ -0,0 +1,302 @@
+/**
+ * @fileoverview Profit & Loss Ledger
+ *
+ * Builds a daily/weekly P&L from the autopilot logbook, which already records every
+ * purchase, repair, campaign, ransom and departure (manual and autopilot) with its
+ * amount. Departures carry per-vessel income and harbor fee (the same values
+ * harbor-fee-store.js keeps for vessel history), so revenue can be split by vessel
+ * and route.
+ *
+ * Only SUCCESS entries count (SIMULATED dry-run entries and errors are ignored).
+ * Vessel purchases/sales and builds are capital movements and not part of the P&L.
+ * Days and weeks (Monday - Sunday) use server local time, like the logbook filters.
+ *
+ * Revenue is gross (income before harbor fees); harbor fees are listed as expense.
+ * The game reports departure income already net of harbor fees.
+ *
+ * @module server/utils/profit-loss
+ */
+
+const { getLogEntries } = require('../logbook');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * P&L categories (order = display/CSV order). Revenue is the only income category.
+ */
+const PNL_CATEGORIES = {
+  revenue: 'Revenue',
+  harborFees: 'Harbor Fees',
+  fuel: 'Fuel',
+  co2: 'CO2',
+  maintenance: 'Maintenance',
+  marketing: 'Marketing',
+  anchorPoints: 'Anchor Points',
+  ransom: 'Ransom'
+};
+
+const EXPENSE_CATEGORIES = Object.keys(PNL_CATEGORIES).filter(c => c !== 'revenue');
+
+/**
+ * Logbook actions with a single cost: action -> { category, field(s) in details }
+ */
+const EXPENSE_ACTIONS = {
+  'Auto-Fuel': { category: 'fuel', field: 'totalCost' },
+  'Manual Fuel Purchase': { category: 'fuel', field: 'total_cost' },
+  'Auto-CO2': { category: 'co2', field: 'totalCost' },
+  'Manual CO2 Purchase': { category: 'co2', field: 'total_cost' },
+  'Auto-Repair': { category: 'maintenance', field: 'totalCost' },
+  'Manual Bulk Repair': { category: 'maintenance', field: 'total_cost' },
+  'Auto-Drydock': { category: 'maintenance', field: 'totalCost' },
+  'Manual Bulk Drydock': { category: 'maintenance', field: 'total_cost' },
+  'Auto-Campaign': { category: 'marketing', field: 'totalCost' },
+  'Campaign Activation': { category: 'marketing', field: 'price' },
+  'Auto-Anchor': { category: 'anchorPoints', field: 'totalCost' },
+  'Manual Anchor Purchase': { category: 'anchorPoints', field: 'total_cost' },
+  'Auto-Blackbeard': { category: 'ransom', field: 'finalPayment' },
+  'Manual Pay Ransom': { category: 'ransom', field: 'amount_paid' }
+};
+
+/**
+ * Rule Keeper actions that spend money -> P&L category
+ */
+const RULE_ACTION_CATEGORIES = {
+  buyFuel: 'fuel',
+  buyCO2: 'co2',
+  buyAnchorPoints: 'anchorPoints',
+  repairAll: 'maintenance'
+};
+
+/**
+ * Reads a positive amount from a log detail field
+ * @param {*} value - Raw value
+ * @returns {number} Amount or 0
+ */
+function toAmount(value) {
+  const amount = Number(value);
+  return Number.isFinite(amount) && amount > 0 ? amount : 0;
+}
+
+/**
+ * Formats a vessel's route as "Origin → Destination"
+ * @param {Object} vessel - departedVessels entry
+ * @returns {string} Route label
+ */
+function getRouteLabel(vessel) {
+  if (vessel.origin && vessel.destination) return `${vessel.origin} → ${vessel.destination}`;
+  return vessel.routeName || vessel.destination || 'Unknown';
+}
+
+/**
+ * Turns departure details into revenue + harbor fee transactions per vessel
+ * @param {Object} log - Logbook entry
+ * @returns {Array} Transactions
+ */
+function departureTransactions(log) {
+  const details = log.details || {};
+  const vessels = Array.isArray(details.departedVessels) ? details.departedVessels : [];
+
+  // Older/summary-only entries: no per-vessel data
+  if (vessels.length === 0) {
+    const revenue = toAmount(details.totalRevenue) + toAmount(details.totalHarborFees);
+    const transactions = [];
+    if (revenue > 0) {
+      transactions.push({ timestamp: log.timestamp, action: log.autopilot, category: 'revenue', amount: revenue, vesselId: null, vessel: null, route: null });
+    }
+    if (toAmount(details.totalHarborFees) > 0) {
+      transactions.push({ timestamp: log.timestamp, action: log.autopilot, category: 'harborFees', amount: toAmount(details.totalHarborFees), vesselId: null, vessel: null, route: null });
+    }
+    return transactions;
+  }
+
+  const transactions = [];
+  for (const vessel of vessels) {
+    const harborFee = toAmount(vessel.harborFee);
+    const base = {
+      timestamp: log.timestamp,
+      action: log.autopilot,
+      vesselId: vessel.vesselId ?? null,
+      vessel: vessel.name || null,
+      route: getRouteLabel(vessel)
+    };
+    // income is net of the harbor fee (may be negative when the fee exceeds it)
+    const revenue = (Number(vessel.income) || 0) + harborFee;
+    if (revenue > 0) transactions.push({ ...base, category: 'revenue', amount: revenue });
+    if (harborFee > 0) transactions.push({ ...base, category: 'harborFees', amount: harborFee });
+  }
+  return transactions;
+}
+
+/**
+ * Converts one logbook entry into P&L transactions
+ * @param {Object} log - Logbook entry
+ * @returns {Array} Transactions { timestamp, action, category, amount, vesselId, vessel, route }
+ */
+function toTransactions(log) {
+  if (log.status !== 'SUCCESS') return [];
+  const details = log.details || {};
+
+  if (log.autopilot === 'Auto-Depart' || log.autopilot === 'Manual Depart') {
+    return departureTransactions(log);
+  }
+
+  if (log.autopilot === 'Auto-Rule') {
+    const actionType = details.action?.type;
+    if (actionType === 'departAll') return departureTransactions(log);
+    const category = RULE_ACTION_CATEGORIES[actionType];
+    const amount = toAmount(details.totalCost);
+    return category && amount > 0
+      ? [{ timestamp: log.timestamp, action: log.autopilot, category, amount, vesselId: null, vessel: null, route: null }]
+      : [];
+  }
+
+  const expense = EXPENSE_ACTIONS[log.autopilot];
+  if (!expense) return [];
+  const amount = toAmount(details[expense.field]);
+  return amount > 0
+    ? [{ timestamp: log.timestamp, action: log.autopilot, category: expense.category, amount, vesselId: null, vessel: null, route: null }]
+    : [];
+}
+
+/**
+ * Gets the start of the day/week containing a timestamp (server local time)
+ * @param {number} timestamp - Timestamp in ms
+ * @param {string} period - 'day' or 'week'
+ * @returns {Date} Period start
+ */
+function getPeriodStart(timestamp, period) {
+  const date = new Date(timestamp);
+  date.setHours(0, 0, 0, 0);
+  if (period === 'week') {
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    date.setDate(date.getDate() - daysSinceMonday);
+  }
+  return date;
+}
+
+/**
+ * Formats a period start as "YYYY-MM-DD"
+ * @param {Date} date - Period start
+ * @returns {string} Period key
+ */
+function getPeriodKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Creates an empty totals object
+ * @returns {Object} Zero for every category plus expenses/net
+ */
+function emptyTotals() {
+  const totals = Object.fromEntries(Object.keys(PNL_CATEGORIES).map(c => [c, 0]));
+  totals.expenses = 0;
+  totals.net = 0;
+  return totals;
+}
+
+/**
+ * Adds a transaction to a totals object
+ * @param {Object} totals - Totals from emptyTotals()
+ * @param {Object} transaction - Transaction
+ */
+function addToTotals(totals, transaction) {
+  totals[transaction.category] += transaction.amount;
+  if (transaction.category === 'revenue') {
+    totals.net += transaction.amount;
+  } else {
+    totals.expenses += transaction.amount;
+    totals.net -= transaction.amount;
+  }
+}
+
+/**
+ * Groups revenue/harbor fees by a key (vessel or route)
+ * @param {Array} transactions - Transactions
+ * @param {Function} keyFn - Returns the group key or null
+ * @param {Function} labelFn - Builds the group's identifying fields
+ * @returns {Array} Groups sorted by revenue (highest first)
+ */
+function groupDepartures(transactions, keyFn, labelFn) {
+  const groups = new Map();
+  for (const transaction of transactions) {
+    if (transaction.category !== 'revenue' && transaction.category !== 'harborFees') continue;
+    const key = keyFn(transaction);
+    if (key === null) continue;
+
+    if (!groups.has(key)) {
+      groups.set(key, { ...labelFn(transaction), departures: 0, revenue: 0, harborFees: 0, net: 0 });
+    }
+    const group = groups.get(key);
+    if (transaction.category === 'revenue') {
+      group.departures++;
+      group.revenue += transaction.amount;
+      group.net += transaction.amount;
+    } else {
+      group.harborFees += transaction.amount;
+      group.net -= transaction.amount;
+    }
+  }
+  return [...groups.values()].sort((a, b) => b.revenue - a.revenue);
+}
+
+/**
+ * Builds the profit & loss report
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {string} [options.period='day'] - 'day' or 'week'
+ * @param {number} [options.days=30] - How many days back to include
+ * @returns {Promise<Object>} { period, from, to, categories, totals, periods, vessels, routes, transactions }
+ */
+async function buildProfitAndLoss(userId, { period = 'day', days = 30 } = {}) {
+  const to = Date.now();
+  // Start at the beginning of the first (partial) period so it isn't cut off mid-day
+  const from = getPeriodStart(to - (days - 1) * DAY_MS, period).getTime();
+
+  const logs = await getLogEntries(userId, { status: 'SUCCESS' });
+  const transactions = logs
+    .filter(log => log.timestamp >= from && log.timestamp <= to)
+    .flatMap(toTransactions)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  // Every period in range, including ones without transactions
+  const periods = new Map();
+  for (let start = getPeriodStart(from, period); start.getTime() <= to;) {
+    periods.set(getPeriodKey(start), { period: getPeriodKey(start), start: start.getTime(), ...emptyTotals() });
+    start = new Date(start);
+    start.setDate(start.getDate() + (period === 'week' ? 7 : 1));
+  }
+
+  const totals = emptyTotals();
+  for (const transaction of transactions) {
+    addToTotals(totals, transaction);
+    addToTotals(periods.get(getPeriodKey(getPeriodStart(transaction.timestamp, period))), transaction);
+  }
+
+  return {
+    period,
+    from,
+    to,
+    categories: PNL_CATEGORIES,
+    totals,
+    periods: [...periods.values()],
+    vessels: groupDepartures(
+      transactions,
+      t => (t.vesselId ?? t.vessel ?? null),
+      t => ({ vesselId: t.vesselId, name: t.vessel || `#${t.vesselId}` })
+    ),
+    routes: groupDepartures(
+      transactions,
+      t => t.route,
+      t => ({ route: t.route })
+    ),
+    transactions
+  };
+}
+
+module.exports = {
+  PNL_CATEGORIES,
+  EXPENSE_CATEGORIES,
+  buildProfitAndLoss
+};
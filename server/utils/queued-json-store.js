@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Queued JSON Store Utility
+ *
+ * Shared base of the per-user / per-alliance JSON file stores. Chat commands,
+ * API requests and autopilot loops can change the same file at the same time,
+ * so every write for a key runs in a queue: read-modify-write without it would
+ * lose updates.
+ *
+ * @module server/utils/queued-json-store
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+/**
+ * Creates a write queue that runs the tasks of each key one after another
+ * @returns {{enqueue: Function, whenIdle: Function}} Queue
+ */
+function createWriteQueue() {
+  // key -> Promise of the last queued task
+  const queues = new Map();
+
+  /**
+   * Runs a task after all tasks queued before it for the same key
+   * @param {*} key - Queue key (user ID, alliance ID)
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} Result of the task
+   */
+  function enqueue(key, task) {
+    const previous = queues.get(key) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+
+    queues.set(key, next);
+    next.finally(() => {
+      if (queues.get(key) === next) queues.delete(key);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Waits until all queued tasks of a key are done, so readers see their own changes
+   * @param {*} key - Queue key
+   * @returns {Promise<void>}
+   */
+  async function whenIdle(key) {
+    await (queues.get(key) || Promise.resolve()).catch(() => {});
+  }
+
+  return { enqueue, whenIdle };
+}
+
+/**
+ * Creates a store with one JSON file per key
+ * @param {Object} options - Store options
+ * @param {string} options.dir - Storage directory
+ * @param {Function} options.getFileName - (key) => file name
+ * @param {Function} options.normalize - (parsed|null) => data with defaults (null if no file yet)
+ * @param {string} options.label - Log prefix, e.g. 'Poll Store'
+ * @param {boolean} [options.compact=false] - Write without indentation (large files)
+ * @returns {{getFilePath: Function, read: Function, modify: Function}} Store
+ */
+function createQueuedJsonStore({ dir, getFileName, normalize, label, compact = false }) {
+  const queue = createWriteQueue();
+
+  /**
+   * Gets the file path of a key
+   * @param {*} key - Store key
+   * @returns {string} File path
+   */
+  function getFilePath(key) {
+    return path.join(dir, getFileName(key));
+  }
+
+  /**
+   * Reads the stored data without waiting for the queue
+   * @param {*} key - Store key
+   * @returns {Promise<Object>} Normalized data
+   */
+  async function readData(key) {
+    try {
+      return normalize(JSON.parse(await fs.readFile(getFilePath(key), 'utf8')));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error(`[${label}] Failed to load ${getFileName(key)}:`, error.message);
+      }
+      return normalize(null);
+    }
+  }
+
+  /**
+   * Reads the stored data after all queued writes of the key
+   * @param {*} key - Store key
+   * @returns {Promise<Object>} Normalized data
+   */
+  async function read(key) {
+    await queue.whenIdle(key);
+    return readData(key);
+  }
+
+  /**
+   * Runs a read-modify-write operation in the key's write queue
+   * @param {*} key - Store key
+   * @param {Function} operation - (data) => result, may mutate data (may be async); return value is passed through
+   * @returns {Promise<*>} Result of the operation
+   */
+  function modify(key, operation) {
+    return queue.enqueue(key, async () => {
+      const data = await readData(key);
+      const result = await operation(data);
+
+      try {
+        await fs.mkdir(dir, { recursive: true });
+      } catch (error) {
+        logger.error(`[${label}] Failed to create directory:`, error.message);
+      }
+      await fs.writeFile(getFilePath(key), compact ? JSON.stringify(data) : JSON.stringify(data, null, 2), 'utf8');
+      return result;
+    });
+  }
+
+  return { getFilePath, read, modify };
+}
+
+module.exports = {
+  createWriteQueue,
+  createQueuedJsonStore
+};
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview ChatBot Reminder Storage Utility
+ *
+ * Stores the pending reminders of the !remindme and !remind chatbot commands,
+ * one JSON file per bot owner. Reminders stay on disk until they were
+ * delivered, so a restart only delays them.
+ *
+ * Commands arrive from concurrently processed chat messages and the delivery
+ * check runs in the background, so all writes go through the queued JSON store.
+ *
+ * Delivery is two-step: due reminders are claimed (marked in-flight, still on
+ * disk) and only removed once the send succeeded. A crash between the two steps
+ * leaves the claim behind; it expires after IN_FLIGHT_TIMEOUT_MS and the
+ * reminder is delivered again.
+ *
+ * @module server/utils/reminder-store
+ */
+
+const path = require('path');
+const { createQueuedJsonStore } = require('./queued-json-store');
+
+/**
+ * Claims older than this are treated as abandoned (process died during delivery)
+ */
+const IN_FLIGHT_TIMEOUT_MS = 5 * 60 * 1000;
+
+const store = createQueuedJsonStore({
+  dir: path.join(__dirname, '../../userdata/chatbot-reminders'),
+  getFileName: userId => `reminders-${userId}.json`,
+  normalize: data => ({
+    nextId: Number.isInteger(data?.nextId) ? data.nextId : 1,
+    reminders: Array.isArray(data?.reminders) ? data.reminders : []
+  }),
+  label: 'Reminder Store'
+});
+
+/**
+ * Loads all pending reminders
+ * @param {number} userId - Bot owner's user ID
+ * @returns {Promise<Array>} Reminders in creation order
+ */
+async function loadReminders(userId) {
+  return (await store.read(userId)).reminders;
+}
+
+/**
+ * Stores a new reminder unless its creator already has too many pending
+ * @param {number} userId - Bot owner's user ID
+ * @param {Object} reminder - Reminder without id (creatorId is used for the cap)
+ * @param {number} maxPerCreator - Maximum pending reminders per creator
+ * @returns {Promise<Object|null>} Stored reminder (with numeric id) or null if the cap is reached
+ */
+async function addReminder(userId, reminder, maxPerCreator) {
+  return store.modify(userId, (data) => {
+    const pending = data.reminders.filter(r => r.creatorId === reminder.creatorId).length;
+    if (pending >= maxPerCreator) return null;
+
+    const stored = { id: data.nextId, ...reminder };
+    data.nextId++;
+    data.reminders.push(stored);
+    return stored;
+  });
+}
+
+/**
+ * Removes a reminder of a creator
+ * @param {number} userId - Bot owner's user ID
+ * @param {number} reminderId - Reminder ID
+ * @param {string} creatorId - Only removes the reminder if it was created by this user
+ * @returns {Promise<Object|null>} Removed reminder or null if not found
+ */
+async function removeReminder(userId, reminderId, creatorId) {
+  return store.modify(userId, (data) => {
+    const index = data.reminders.findIndex(r => r.id === reminderId && r.creatorId === creatorId);
+    if (index === -1) return null;
+    return data.reminders.splice(index, 1)[0];
+  });
+}
+
+/**
+ * Claims all due reminders that are not already being delivered.
+ * Claimed reminders stay on disk until completeReminder() or releaseReminder().
+ *
+ * @param {number} userId - Bot owner's user ID
+ * @param {number} now - Current timestamp (ms)
+ * @returns {Promise<Array>} Claimed reminders
+ */
+async function claimDueReminders(userId, now) {
+  return store.modify(userId, (data) => {
+    const due = data.reminders.filter(r =>
+      r.dueAt <= now && !(r.inFlightSince > now - IN_FLIGHT_TIMEOUT_MS)
+    );
+    for (const reminder of due) {
+      reminder.inFlightSince = now;
+    }
+    return due.map(reminder => ({ ...reminder }));
+  });
+}
+
+/**
+ * Removes a reminder after it was delivered
+ * @param {number} userId - Bot owner's user ID
+ * @param {number} reminderId - Reminder ID
+ * @returns {Promise<void>}
+ */
+async function completeReminder(userId, reminderId) {
+  return store.modify(userId, (data) => {
+    data.reminders = data.reminders.filter(r => r.id !== reminderId);
+  });
+}
+
+/**
+ * Releases the claim of a reminder after a failed delivery
+ * @param {number} userId - Bot owner's user ID
+ * @param {number} reminderId - Reminder ID
+ * @param {number} attempts - Failed delivery attempts so far
+ * @returns {Promise<void>}
+ */
+async function releaseReminder(userId, reminderId, attempts) {
+  return store.modify(userId, (data) => {
+    const reminder = data.reminders.find(r => r.id === reminderId);
+    if (!reminder) return;
+    delete reminder.inFlightSince;
+    reminder.attempts = attempts;
+  });
+}
+
+module.exports = {
+  loadReminders,
+  addReminder,
+  removeReminder,
+  claimDueReminders,
+  completeReminder,
+  releaseReminder
+};
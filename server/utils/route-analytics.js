@@ -0,0 +1,241 @@
+/**
+ * @fileoverview Route Profitability Analytics
+ *
+ * Aggregates departures across trips per origin-destination pair and per vessel.
+ * The source is the logbook: every successful departure (Auto-Depart, Manual Depart,
+ * Auto-Rule departAll) records per-vessel income, harbor fee, distance, speed and
+ * utilization - the same values the vessel history panel shows per trip.
+ *
+ * Fuel per trip is calculated with calculateFuelConsumption() from the vessel's
+ * model data (falls back to the fuel reported at departure when the model is
+ * unknown) and valued at the average fuel price of the range. CO2 is a trip cost
+ * too: the CO2 reported at departure (or fuel x the observed CO2/fuel ratio) is
+ * valued at the average CO2 price, so net profit = income - harbor fees - fuel - CO2.
+ *
+ * Port pairs are direction-independent (A → B and B → A are one route), matching
+ * how the harbor map groups vessels on a route line.
+ *
+ * @module server/utils/route-analytics
+ */
+
+const { getLogEntries } = require('../logbook');
+const { calculateFuelConsumption } = require('./fuel-calculator');
+const { getPriceHistory, aggregatePrices } = require('./price-history-store');
+const { getCO2PerFuelRatio } = require('./fleet-projection');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Route status values (used by the harbor map overlay)
+ * - loss: average net profit per trip below zero
+ * - marginal: profitable, but harbor fees take >= harborFeeWarningThreshold % of gross income
+ * - profit: everything else
+ */
+const ROUTE_STATUS = {
+  LOSS: 'loss',
+  MARGINAL: 'marginal',
+  PROFIT: 'profit'
+};
+
+/**
+ * Builds the direction-independent key for a port pair
+ * @param {string} origin - Origin port code
+ * @param {string} destination - Destination port code
+ * @returns {string} "portA|portB" (sorted)
+ */
+function getRouteKey(origin, destination) {
+  return [origin, destination].sort().join('|');
+}
+
+/**
+ * Extracts trips from a logbook departure entry
+ * @param {Object} log - Logbook entry
+ * @returns {Array} Trips { timestamp, ...departedVessels entry }
+ */
+function toTrips(log) {
+  if (log.status !== 'SUCCESS') return [];
+  const isDeparture = log.autopilot === 'Auto-Depart' ||
+    log.autopilot === 'Manual Depart' ||
+    (log.autopilot === 'Auto-Rule' && log.details?.action?.type === 'departAll');
+  if (!isDeparture) return [];
+
+  const vessels = Array.isArray(log.details?.departedVessels) ? log.details.departedVessels : [];
+  return vessels
+    .filter(v => v.origin && v.destination)
+    .map(v => ({ timestamp: log.timestamp, ...v }));
+}
+
+/**
+ * Calculates fuel (tons) for a trip
+ * @param {Object} trip - Trip
+ * @param {Object|undefined} vessel - Current vessel data (type/id needed by the fuel calculator)
+ * @param {number} userId - User ID
+ * @returns {number} Fuel in tons
+ */
+function getTripFuel(trip, vessel, userId) {
+  if (vessel && trip.distance > 0 && trip.speed > 0) {
+    const fuel = calculateFuelConsumption(vessel, trip.distance, trip.speed, userId);
+    if (fuel !== null) return fuel;
+  }
+  return Number(trip.fuelUsed) || 0;
+}
+
+/**
+ * Calculates CO2 (tons) for a trip
+ * @param {Object} trip - Trip with fuel set
+ * @param {number|null} co2PerFuel - Observed CO2 per ton of fuel
+ * @returns {number} CO2 in tons
+ */
+function getTripCO2(trip, co2PerFuel) {
+  const reported = Number(trip.co2Used);
+  if (reported > 0) return reported;
+  return co2PerFuel ? trip.fuel * co2PerFuel : 0;
+}
+
+/**
+ * Creates an empty accumulator
+ * @param {Object} identity - Identifying fields of the group
+ * @returns {Object} Accumulator
+ */
+function createGroup(identity) {
+  return {
+    ...identity,
+    trips: 0,
+    grossIncome: 0,
+    harborFees: 0,
+    fuel: 0,
+    fuelCost: 0,
+    co2: 0,
+    co2Cost: 0,
+    utilizationSum: 0,
+    lastDeparture: 0
+  };
+}
+
+/**
+ * Adds a trip to an accumulator
+ * @param {Object} group - Accumulator from createGroup()
+ * @param {Object} trip - Trip with fuel/fuelCost set
+ */
+function addTrip(group, trip) {
+  const harborFee = Math.max(0, Number(trip.harborFee) || 0);
+  group.trips++;
+  // Departure income is already net of the harbor fee
+  group.grossIncome += (Number(trip.income) || 0) + harborFee;
+  group.harborFees += harborFee;
+  group.fuel += trip.fuel;
+  group.fuelCost += trip.fuelCost;
+  group.co2 += trip.co2;
+  group.co2Cost += trip.co2Cost;
+  group.utilizationSum += Number(trip.utilization) || 0;
+  group.lastDeparture = Math.max(group.lastDeparture, trip.timestamp);
+}
+
+/**
+ * Turns an accumulator into the public metrics
+ * @param {Object} group - Accumulator
+ * @param {number} feeThreshold - Harbor fee % that marks a route as marginal
+ * @returns {Object} Metrics
+ */
+function finalizeGroup(group, feeThreshold) {
+  const { utilizationSum, ...rest } = group;
+  const netProfit = group.grossIncome - group.harborFees - group.fuelCost - group.co2Cost;
+  const avgNetProfit = netProfit / group.trips;
+  const harborFeePercent = group.grossIncome > 0 ? (group.harborFees / group.grossIncome) * 100 : 0;
+
+  let status = ROUTE_STATUS.PROFIT;
+  if (avgNetProfit < 0) {
+    status = ROUTE_STATUS.LOSS;
+  } else if (harborFeePercent >= feeThreshold) {
+    status = ROUTE_STATUS.MARGINAL;
+  }
+
+  return {
+    ...rest,
+    grossIncome: Math.round(group.grossIncome),
+    harborFees: Math.round(group.harborFees),
+    fuel: Math.round(group.fuel * 10) / 10,
+    fuelCost: Math.round(group.fuelCost),
+    co2: Math.round(group.co2 * 10) / 10,
+    co2Cost: Math.round(group.co2Cost),
+    avgIncome: Math.round(group.grossIncome / group.trips),
+    harborFeePercent: Math.round(harborFeePercent * 10) / 10,
+    avgFuel: Math.round((group.fuel / group.trips) * 10) / 10,
+    avgUtilization: Math.round((utilizationSum / group.trips) * 1000) / 10,
+    netProfit: Math.round(netProfit),
+    avgNetProfit: Math.round(avgNetProfit),
+    status
+  };
+}
+
+/**
+ * Builds route and vessel profitability analytics
+ * @param {number} userId - User ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.days=30] - How many days back to include
+ * @param {Array} [options.vessels=[]] - Current fleet (user_vessels from gameapi.getAllUserVessels) for fuel calculation
+ * @returns {Promise<Object>} { from, to, fuelPrice, co2Price, feeThreshold, routes, vessels }
+ */
+async function buildRouteAnalytics(userId, { days = 30, vessels = [] } = {}) {
+  // Lazy-load to avoid circular dependency
+  const state = require('../state');
+  const to = Date.now();
+  const from = to - days * DAY_MS;
+
+  const settings = state.getSettings(userId) || {};
+  const feeThreshold = settings.harborFeeWarningThreshold || 50;
+
+  // Value fuel and CO2 at the average price of the range, current price if no history yet
+  const priceSummary = aggregatePrices(await getPriceHistory(userId, from, to));
+  const fuelPrice = priceSummary.fuel?.avg ?? state.getPrices(userId)?.fuel ?? 0;
+  const co2Price = priceSummary.co2?.avg ?? state.getPrices(userId)?.co2 ?? 0;
+  const co2PerFuel = await getCO2PerFuelRatio(userId);
+
+  const vesselsById = new Map(vessels.map(v => [v.id, v]));
+  const logs = await getLogEntries(userId, { status: 'SUCCESS' });
+
+  const routes = new Map();
+  const vesselGroups = new Map();
+
+  for (const log of logs) {
+    if (log.timestamp < from || log.timestamp > to) continue;
+
+    for (const trip of toTrips(log)) {
+      trip.fuel = getTripFuel(trip, vesselsById.get(trip.vesselId), userId);
+      trip.fuelCost = trip.fuel * fuelPrice;
+      trip.co2 = getTripCO2(trip, co2PerFuel);
+      trip.co2Cost = trip.co2 * co2Price;
+
+      const routeKey = getRouteKey(trip.origin, trip.destination);
+      if (!routes.has(routeKey)) {
+        const [portA, portB] = routeKey.split('|');
+        routes.set(routeKey, createGroup({ key: routeKey, portA, portB }));
+      }
+      addTrip(routes.get(routeKey), trip);
+
+      const vesselKey = trip.vesselId ?? trip.name;
+      if (vesselKey === undefined) continue;
+      if (!vesselGroups.has(vesselKey)) {
+        vesselGroups.set(vesselKey, createGroup({ vesselId: trip.vesselId ?? null, name: trip.name || `#${trip.vesselId}` }));
+      }
+      addTrip(vesselGroups.get(vesselKey), trip);
+    }
+  }
+
+  const byNetProfit = (a, b) => a.netProfit - b.netProfit;
+  return {
+    from,
+    to,
+    fuelPrice,
+    co2Price,
+    feeThreshold,
+    routes: [...routes.values()].map(g => finalizeGroup(g, feeThreshold)).sort(byNetProfit),
+    vessels: [...vesselGroups.values()].map(g => finalizeGroup(g, feeThreshold)).sort(byNetProfit)
+  };
+}
+
+module.exports = {
+  ROUTE_STATUS,
+  getRouteKey,
+  buildRouteAnalytics
+};
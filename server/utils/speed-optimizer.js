@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Speed Optimizer Utility
+ *
+ * Picks the departure speed with the best profit per hour for Cargo Marshal
+ * (setting autoDepartSpeedOptimizer). Every whole-knot speed between the user's
+ * minimum and the vessel's max speed is evaluated:
+ *
+ *   profit/h = (trip revenue - fuel tons x fuel cost per ton) / (distance / speed)
+ *
+ * Fuel tons come from fuel-calculator (linear in speed), so going faster costs
+ * more fuel per trip but completes more trips per hour. Trip revenue does not
+ * depend on speed: cargo x destination price from the game's auto-price API.
+ *
+ * Fuel cost per ton = fuel price + CO2 price x observed CO2 per ton of fuel.
+ * Price source: 'current' (last price update) or 'forecast' (average of the next
+ * 24 hours, the vessel burns the fuel it bunkers later).
+ *
+ * Constraints:
+ * - autoDepartOptimizerMinSpeed: never slower than X% of max speed
+ * - autoDepartOptimizerMaxHours: arrive within X hours (0 = no limit); if even
+ *   max speed is too slow, max speed is used
+ *
+ * @module server/utils/speed-optimizer
+ */
+
+const state = require('../state');
+const logger = require('./logger');
+const { calculateFuelConsumption } = require('./fuel-calculator');
+const { getUpcomingSlots, SLOTS_PER_DAY } = require('./forecast-planner');
+const { getCO2PerFuelRatio } = require('./fleet-projection');
+
+/**
+ * Averages a commodity over forecast slots
+ * @param {Array} slots - Slots from getUpcomingSlots()
+ * @param {string} commodity - 'fuel' or 'co2'
+ * @returns {number|null} Average price or null if no slot has a price
+ */
+function averagePrice(slots, commodity) {
+  const prices = slots.map(slot => slot[commodity]).filter(price => typeof price === 'number');
+  return prices.length > 0 ? prices.reduce((sum, price) => sum + price, 0) / prices.length : null;
+}
+
+/**
+ * Gets the fuel cost per ton used to rate speeds (once per departure run)
+ * @param {number} userId - User ID
+ * @param {Object} settings - User settings
+ * @returns {Promise<Object|null>} { costPerTon, fuelPrice, co2Price, co2PerFuel, source } or null if no fuel price is known
+ */
+async function getFuelCostBasis(userId, settings) {
+  const prices = state.getPrices(userId) || {};
+  let fuelPrice = prices.fuel || null;
+  let co2Price = prices.co2 || 0;
+  let source = 'current';
+
+  if (settings.autoDepartOptimizerPriceSource === 'forecast') {
+    const slots = await getUpcomingSlots(SLOTS_PER_DAY);
+    const forecastFuel = averagePrice(slots, 'fuel');
+    if (forecastFuel !== null) {
+      fuelPrice = forecastFuel;
+      co2Price = averagePrice(slots, 'co2') ?? co2Price;
+      source = 'forecast';
+    } else {
+      logger.debug('[Speed Optimizer] No forecast available - using current prices');
+    }
+  }
+
+  if (!fuelPrice) return null;
+
+  const co2PerFuel = (await getCO2PerFuelRatio(userId)) || 0;
+  return {
+    costPerTon: fuelPrice + co2Price * co2PerFuel,
+    fuelPrice,
+    co2Price,
+    co2PerFuel,
+    source
+  };
+}
+
+/**
+ * Estimates the revenue of a trip from the destination prices
+ * @param {Object} vessel - Vessel object
+ * @param {Object} autoPriceData - Response of gameapi.fetchAutoPrice()
+ * @param {number} cargoToLoad - Cargo units that will be loaded
+ * @returns {number} Estimated revenue in $ (0 if unknown)
+ */
+function estimateTripRevenue(vessel, autoPriceData, cargoToLoad) {
+  const prices = autoPriceData?.data || {};
+  const capacity = vessel.capacity_max || {};
+
+  // Weight per-unit prices by the vessel's capacity split
+  const parts = vessel.capacity_type === 'container'
+    ? [[capacity.dry, prices.dry], [capacity.refrigerated, prices.ref]]
+    : [[capacity.fuel, prices.fuel], [capacity.crude_oil, prices.crude_oil]];
+
+  let units = 0;
+  let value = 0;
+  for (const [cap, price] of parts) {
+    if (cap > 0 && price > 0) {
+      units += cap;
+      value += cap * price;
+    }
+  }
+
+  return units > 0 ? cargoToLoad * (value / units) : 0;
+}
+
+/**
+ * Finds the speed with the best profit per hour
+ * @param {Object} params - Parameters
+ * @param {Object} params.vessel - Vessel object (max_speed, type, id)
+ * @param {number} params.distance - Route distance in nautical miles
+ * @param {number} params.revenue - Estimated trip revenue in $
+ * @param {number} params.costPerTon - Fuel cost per ton from getFuelCostBasis()
+ * @param {number} params.minSpeedPercent - Minimum speed in % of max speed
+ * @param {number} [params.maxTravelHours=0] - Latest arrival in hours (0 = no limit)
+ * @param {number} [params.userId] - User ID (custom vessel fuel data)
+ * @returns {Object|null} { speed, reason, profitPerHour, fuelTons, travelHours } or null if fuel data is missing
+ */
+function optimizeSpeed({ vessel, distance, revenue, costPerTon, minSpeedPercent, maxTravelHours = 0, userId }) {
+  const maxSpeed = Math.floor(vessel.max_speed || 0);
+  if (!maxSpeed || !distance) return null;
+
+  const percent = Math.min(Math.max(minSpeedPercent || 0, 1), 100);
+  const minSpeed = Math.min(Math.max(Math.ceil(maxSpeed * (percent / 100)), 1), maxSpeed);
+  let lowest = minSpeed;
+  let arrivalLimited = false;
+
+  if (maxTravelHours > 0) {
+    const requiredSpeed = Math.ceil(distance / maxTravelHours);
+    if (requiredSpeed > maxSpeed) {
+      const fuelTons = calculateFuelConsumption(vessel, distance, maxSpeed, userId);
+      if (fuelTons === null) return null;
+      const travelHours = distance / maxSpeed;
+      return {
+        speed: maxSpeed,
+        reason: `Max speed: ${maxTravelHours}h arrival limit not reachable (${travelHours.toFixed(1)}h at ${maxSpeed} kn)`,
+        profitPerHour: (revenue - fuelTons * costPerTon) / travelHours,
+        fuelTons,
+        travelHours
+      };
+    }
+    if (requiredSpeed > lowest) {
+      lowest = requiredSpeed;
+      arrivalLimited = true;
+    }
+  }
+
+  let best = null;
+  for (let speed = lowest; speed <= maxSpeed; speed++) {
+    const fuelTons = calculateFuelConsumption(vessel, distance, speed, userId);
+    if (fuelTons === null) return null;
+
+    const travelHours = distance / speed;
+    const profitPerHour = (revenue - fuelTons * costPerTon) / travelHours;
+    // Strictly better only: on a tie the slower (cheaper) speed wins
+    if (!best || profitPerHour > best.profitPerHour) {
+      best = { speed, profitPerHour, fuelTons, travelHours };
+    }
+  }
+
+  let reason = `Best profit/h ${Math.round(best.profitPerHour).toLocaleString()} $/h`;
+  if (best.profitPerHour <= 0) {
+    reason = `Unprofitable in allowed speed range - lowest loss ${Math.round(best.profitPerHour).toLocaleString()} $/h`;
+  }
+  if (best.speed === lowest && lowest > 1) {
+    reason += arrivalLimited
+      ? ` (limited by ${maxTravelHours}h arrival)`
+      : ` (limited by min speed ${percent}%)`;
+  }
+  reason += ` | ${best.fuelTons.toFixed(1)}t fuel, ${best.travelHours.toFixed(1)}h`;
+
+  return { ...best, reason };
+}
+
+module.exports = {
+  getFuelCostBasis,
+  estimateTripRevenue,
+  optimizeSpeed
+};
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Vessel Overrides Storage Utility
+ *
+ * Per-vessel exceptions to the account-wide autopilot settings, one JSON file per
+ * account ({ vessels: { [vesselId]: overrides } }). Only set fields are stored:
+ *
+ *   {
+ *     excludeRepair: true,    // Yard Foreman skips the vessel
+ *     excludeDrydock: true,   // Drydock Master skips the vessel
+ *     speed: 60,              // Cargo Marshal speed in % of max_speed (beats route default/optimizer)
+ *     minUtilization: 50,     // Cargo Marshal minimum utilization in % (beats minCargoUtilization)
+ *     guards: 10              // Cargo Marshal guard count (beats route_guards)
+ *   }
+ *
+ * Excluding a vessel from auto-depart is the departure queue exclusion
+ * (departure-queue-store) so there is only one switch for it; the overrides
+ * routes read and write it as `excludeDepart`.
+ *
+ * @module server/utils/vessel-overrides-store
+ */
+
+const path = require('path');
+const { createQueuedJsonStore } = require('./queued-json-store');
+
+/**
+ * Numeric overrides: field -> [min, max]
+ */
+const NUMBER_FIELDS = {
+  speed: [1, 100],
+  minUtilization: [0, 100],
+  guards: [0, 10]
+};
+
+const FLAG_FIELDS = ['excludeRepair', 'excludeDrydock'];
+
+const store = createQueuedJsonStore({
+  dir: path.join(__dirname, '../../userdata/vessel-overrides'),
+  getFileName: userId => `vessel-overrides-${userId}.json`,
+  normalize: data => ({ vessels: data?.vessels && typeof data.vessels === 'object' ? data.vessels : {} }),
+  label: 'Vessel Overrides'
+});
+
+/**
+ * Loads the overrides of all vessels
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} vesselId -> overrides
+ */
+async function loadVesselOverrides(userId) {
+  return (await store.read(userId)).vessels;
+}
+
+/**
+ * Validates overrides sent by the client
+ * @param {Object} input - { excludeRepair, excludeDrydock, speed, minUtilization, guards }; null/'' clears a number
+ * @returns {{overrides: Object|null, error: string|null}} Overrides with only the set fields
+ */
+function normalizeOverrides(input) {
+  if (!input || typeof input !== 'object') {
+    return { overrides: null, error: 'overrides must be an object' };
+  }
+
+  const overrides = {};
+  for (const field of FLAG_FIELDS) {
+    if (input[field] === true) overrides[field] = true;
+  }
+
+  for (const [field, [min, max]] of Object.entries(NUMBER_FIELDS)) {
+    const value = input[field];
+    if (value === undefined || value === null || value === '') continue;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min || number > max) {
+      return { overrides: null, error: `${field} must be a whole number between ${min} and ${max}` };
+    }
+    overrides[field] = number;
+  }
+
+  return { overrides, error: null };
+}
+
+/**
+ * Replaces the overrides of a vessel (empty overrides remove the entry)
+ * @param {number} userId - User ID
+ * @param {number} vesselId - Vessel ID
+ * @param {Object} overrides - Overrides from normalizeOverrides()
+ * @returns {Promise<void>}
+ */
+function setVesselOverrides(userId, vesselId, overrides) {
+  return store.modify(userId, (data) => {
+    if (Object.keys(overrides).length > 0) {
+      data.vessels[vesselId] = overrides;
+    } else {
+      delete data.vessels[vesselId];
+    }
+  });
+}
+
+module.exports = {
+  loadVesselOverrides,
+  normalizeOverrides,
+  setVesselOverrides
+};
@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Vessel Tags Storage Utility
+ *
+ * User-defined vessel tags, one JSON file per account:
+ *
+ *   { vessels: { [vesselId]: ['Asia loop', 'sell soon'] } }
+ *
+ * A group is the set of vessels carrying the same tag, so groups need no
+ * storage of their own: renaming a group renames the tag on every vessel,
+ * deleting it removes the tag everywhere. Tag names are compared
+ * case-insensitively; the spelling used first is kept.
+ *
+ * @module server/utils/vessel-tags-store
+ */
+
+const path = require('path');
+const { createQueuedJsonStore } = require('./queued-json-store');
+
+const MAX_TAG_LENGTH = 30;
+const MAX_TAGS_PER_VESSEL = 10;
+
+const store = createQueuedJsonStore({
+  dir: path.join(__dirname, '../../userdata/vessel-tags'),
+  getFileName: userId => `vessel-tags-${userId}.json`,
+  normalize: data => ({ vessels: data?.vessels && typeof data.vessels === 'object' ? data.vessels : {} }),
+  label: 'Vessel Tags'
+});
+
+/**
+ * Runs a read-modify-write operation in the account's write queue
+ * @param {number} userId - User ID
+ * @param {Function} operation - (data) => void, mutates data
+ * @returns {Promise<Object>} vesselId -> tags after the operation
+ */
+function modify(userId, operation) {
+  return store.modify(userId, (data) => {
+    operation(data);
+
+    // Drop vessels without tags
+    for (const [vesselId, tags] of Object.entries(data.vessels)) {
+      if (tags.length === 0) delete data.vessels[vesselId];
+    }
+    return data.vessels;
+  });
+}
+
+/**
+ * Cleans up a tag name
+ * @param {*} name - Tag name from the client
+ * @returns {string|null} Trimmed name with single spaces, null if empty or too long
+ */
+function normalizeTagName(name) {
+  if (typeof name !== 'string') return null;
+  const tag = name.trim().replace(/\s+/g, ' ');
+  return tag.length > 0 && tag.length <= MAX_TAG_LENGTH ? tag : null;
+}
+
+/**
+ * Finds the stored spelling of a tag
+ * @param {Object} vessels - vesselId -> tags
+ * @param {string} tag - Tag name
+ * @returns {string} Existing spelling or the tag itself
+ */
+function canonicalTag(vessels, tag) {
+  const lower = tag.toLowerCase();
+  for (const tags of Object.values(vessels)) {
+    const existing = tags.find(t => t.toLowerCase() === lower);
+    if (existing) return existing;
+  }
+  return tag;
+}
+
+/**
+ * Loads the tags of all vessels
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} vesselId -> tags
+ */
+async function loadVesselTags(userId) {
+  return (await store.read(userId)).vessels;
+}
+
+/**
+ * Builds the group list from the vessel tags
+ * @param {Object} vessels - vesselId -> tags
+ * @returns {Array<{name: string, vesselIds: Array<number>}>} Groups sorted by name
+ */
+function getGroups(vessels) {
+  const groups = new Map();
+  for (const [vesselId, tags] of Object.entries(vessels)) {
+    for (const tag of tags) {
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push(Number(vesselId));
+    }
+  }
+  return [...groups.entries()]
+    .map(([name, vesselIds]) => ({ name, vesselIds }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Adds and removes tags on vessels
+ * @param {number} userId - User ID
+ * @param {Array<number>} vesselIds - Vessel IDs
+ * @param {Object} changes - Changes
+ * @param {Array<string>} [changes.add=[]] - Normalized tags to add
+ * @param {Array<string>} [changes.remove=[]] - Normalized tags to remove
+ * @returns {Promise<Object>} vesselId -> tags after the change
+ */
+function updateVesselTags(userId, vesselIds, { add = [], remove = [] }) {
+  return modify(userId, (data) => {
+    const removeLower = new Set(remove.map(tag => tag.toLowerCase()));
+    const addTags = add.map(tag => canonicalTag(data.vessels, tag));
+
+    for (const vesselId of vesselIds) {
+      const tags = (data.vessels[vesselId] || []).filter(tag => !removeLower.has(tag.toLowerCase()));
+      for (const tag of addTags) {
+        const known = tags.some(t => t.toLowerCase() === tag.toLowerCase());
+        if (!known && tags.length < MAX_TAGS_PER_VESSEL) tags.push(tag);
+      }
+      data.vessels[vesselId] = tags;
+    }
+  });
+}
+
+/**
+ * Renames a tag on all vessels (merges into an existing tag of the new name)
+ * @param {number} userId - User ID
+ * @param {string} name - Normalized current name
+ * @param {string} newName - Normalized new name
+ * @returns {Promise<Object>} vesselId -> tags after the change
+ */
+function renameTag(userId, name, newName) {
+  return modify(userId, (data) => {
+    const lower = name.toLowerCase();
+    // Keep the spelling of another tag the group is merged into
+    const others = {};
+    for (const [vesselId, tags] of Object.entries(data.vessels)) {
+      others[vesselId] = tags.filter(tag => tag.toLowerCase() !== lower);
+    }
+    const target = canonicalTag(others, newName);
+
+    for (const [vesselId, tags] of Object.entries(data.vessels)) {
+      if (!tags.some(tag => tag.toLowerCase() === lower)) continue;
+      const renamed = tags.map(tag => (tag.toLowerCase() === lower ? target : tag));
+      data.vessels[vesselId] = renamed.filter((tag, index) => renamed.indexOf(tag) === index);
+    }
+  });
+}
+
+/**
+ * Removes a tag from all vessels
+ * @param {number} userId - User ID
+ * @param {string} name - Normalized tag name
+ * @returns {Promise<Object>} vesselId -> tags after the change
+ */
+function deleteTag(userId, name) {
+  return modify(userId, (data) => {
+    const lower = name.toLowerCase();
+    for (const [vesselId, tags] of Object.entries(data.vessels)) {
+      data.vessels[vesselId] = tags.filter(tag => tag.toLowerCase() !== lower);
+    }
+  });
+}
+
+/**
+ * Forgets the tags of vessels that no longer exist (sold)
+ * @param {number} userId - User ID
+ * @param {Array<number>} vesselIds - Vessel IDs
+ * @returns {Promise<Object>} vesselId -> tags after the change
+ */
+function removeVessels(userId, vesselIds) {
+  return modify(userId, (data) => {
+    for (const vesselId of vesselIds) {
+      delete data.vessels[vesselId];
+    }
+  });
+}
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTagName,
+  loadVesselTags,
+  getGroups,
+  updateVesselTags,
+  renameTag,
+  deleteTag,
+  removeVessels
+};
@@ -68,7 +68,7 @@ function getWebSocketServer() {
  * @function broadcast
  * @param {string} type - Message type for client-side routing (e.g., 'chat_update')
  * @param {*} data - Payload data (will be JSON serialized)
- * @returns {void}
+ * @returns {number} Number of clients the message was sent to
  *
  * @example
  * broadcast('chat_update', [
@@ -83,7 +83,7 @@ function getWebSocketServer() {
 function broadcast(type, data) {
   if (!wss) {
     logger.error('[WebSocket] Cannot broadcast, wss is NULL');
-    return;
+    return 0;
   }
 
   const openClients = Array.from(wss.clients).filter(c => c.readyState === WebSocket.OPEN);
@@ -95,6 +95,7 @@ function broadcast(type, data) {
       client.send(JSON.stringify({ type, data }));
     }
   });
+  return openClients.length;
 }
 
 /**
@@ -144,7 +145,7 @@ function broadcastBunkerUpdate(userId, bunkerData) {
  * @param {number} userId - User ID (currently unused, for future multi-user support)
  * @param {string} type - Message type for client-side routing
  * @param {*} data - Payload data (will be JSON serialized)
- * @returns {void}
+ * @returns {number} Number of clients the message was sent to
  *
  * @example
  * broadcastToUser(12345, 'fuel_purchased', {
@@ -174,7 +175,7 @@ function broadcastToUser(userId, type, data) {
 
   // In single-user mode, broadcast to all clients
   // userId parameter reserved for future multi-user support
-  broadcast(type, data);
+  return broadcast(type, data);
 }
 
 // Rate limiting for Harbor Map refresh broadcasts
@@ -2,7 +2,7 @@
  * @fileoverview Alliance Chat Auto-Refresh Logic
  *
  * Manages automatic polling of alliance chat feed and broadcasting updates to clients.
- * Includes ChatBot message processing for new messages.
+ * Includes ChatBot message processing and watch rule checks for new messages.
  *
  * @module server/websocket/chat-refresh
  */
@@ -11,6 +11,7 @@ const { getChatFeed, getCompanyName, getAllianceId } = require('../utils/api');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { broadcast } = require('./broadcaster');
+const { archiveMessages } = require('../utils/chat-archive-store');
 
 /**
  * Interval timer for automatic chat refresh (25-second polling)
@@ -72,6 +73,7 @@ async function performChatRefresh() {
   try {
     const feed = await getChatFeed();
     const messages = [];
+    const newChatMessages = [];
     let hasNewMessages = false;
 
     for (const msg of feed) {
@@ -83,6 +85,7 @@ async function performChatRefresh() {
           company: companyName,
           message: msg.message,
           timestamp: timestamp,
+          timestampMs: msg.time_created * 1000,
           user_id: msg.user_id
         });
 
@@ -93,6 +96,7 @@ async function performChatRefresh() {
           const chatBot = require('../chatbot');
           chatBot.processAllianceMessage(msg.message, msg.user_id, companyName)
             .catch(err => logger.error('[ChatBot] Error processing alliance message:', err));
+          newChatMessages.push({ message: msg.message, userId: msg.user_id, companyName, timeCreated: msg.time_created });
         }
       } else if (msg.type === 'feed') {
         const timestamp = new Date(msg.time_created * 1000).toUTCString();
@@ -100,14 +104,24 @@ async function performChatRefresh() {
           type: 'feed',
           feedType: msg.feed_type,
           company: msg.replacements.company_name,
-          timestamp: timestamp
+          timestamp: timestamp,
+          timestampMs: msg.time_created * 1000
         });
       }
     }
 
+    // Keep everything we saw (the game feed only returns the latest entries)
+    archiveMessages(getAllianceId(), messages)
+      .catch(err => logger.error('[Chat Archive] Failed to archive chat feed:', err.message));
+
     // Update last processed time if we had new messages
     if (hasNewMessages) {
       lastProcessedMessageTime = Date.now() / 1000;
+
+      // Check watch rules (keyword alerts) - async, don't await
+      const { processChatMessages } = require('../chatbot/chat-watch');
+      processChatMessages(newChatMessages)
+        .catch(err => logger.error('[Chat Watch] Error checking alliance messages:', err));
     }
 
     // Get wss for client count check
@@ -11,6 +11,7 @@ const { apiCall, getUserId } = require('../utils/api');
 const logger = require('../utils/logger');
 const { broadcast } = require('./broadcaster');
 const { getCachedMessengerChats } = require('./messenger-cache');
+const { archiveConversation, syncChatList } = require('../utils/messenger-archive-store');
 const {
   processedMessageIds,
   getProcessedMessageIds,
@@ -30,6 +31,13 @@ let messengerRefreshInterval = null;
  */
 let isMessengerRefreshing = false;
 
+/**
+ * Conversations whose new messages are fetched for the local archive per refresh cycle.
+ * Keeps the API load low; a first run with many chats is spread over several cycles.
+ * @constant {number}
+ */
+const ARCHIVE_FETCHES_PER_REFRESH = 2;
+
 /**
  * Performs a single messenger refresh cycle.
  * Fetches unread messages, broadcasts to clients, and processes DM commands with ChatBot.
@@ -99,6 +107,9 @@ async function performMessengerRefresh() {
 
         const messages = messagesData?.data?.chat?.messages || messagesData?.data?.messages;
 
+        await archiveConversation(userId, chat, messages)
+          .catch(err => logger.error(`[Messenger Archive] Failed to archive chat ${chat.id}:`, err.message));
+
         // Find the latest message from the sender (not from us)
         const senderMessages = messages.filter(msg => msg.is_mine === false).reverse();
 
@@ -150,6 +161,8 @@ async function performMessengerRefresh() {
       }
     }
 
+    await updateMessengerArchive(userId, chats);
+
     // Log only in debug mode
     if (unreadCount > 0) {
       logger.debug(`[Messenger] ${unreadCount} unread messages detected`);
@@ -166,6 +179,37 @@ async function performMessengerRefresh() {
   }
 }
 
+/**
+ * Keeps the local messenger archive in sync with the game's chat list.
+ * Flags archived conversations that were deleted in game and fetches the
+ * messages of up to ARCHIVE_FETCHES_PER_REFRESH conversations that changed.
+ *
+ * @async
+ * @function updateMessengerArchive
+ * @param {number} userId - Current user ID
+ * @param {Array} chats - Chats from /messenger/get-chats
+ * @returns {Promise<void>}
+ */
+async function updateMessengerArchive(userId, chats) {
+  const privateChats = chats.filter(chat => !chat.system_chat);
+
+  // An empty list usually means the fetch failed - don't flag the whole archive as deleted
+  if (privateChats.length === 0) return;
+
+  try {
+    const pending = await syncChatList(userId, privateChats);
+
+    for (const chat of pending.slice(0, ARCHIVE_FETCHES_PER_REFRESH)) {
+      const messagesData = await apiCall('/messenger/get-chat', 'POST', { chat_id: chat.id });
+      const messages = messagesData?.data?.chat?.messages || messagesData?.data?.messages || [];
+      const added = await archiveConversation(userId, chat, messages);
+      logger.debug(`[Messenger Archive] Archived ${added} new message(s) of chat ${chat.id}`);
+    }
+  } catch (error) {
+    logger.error('[Messenger Archive] Failed to update archive:', error.message);
+  }
+}
+
 /**
  * Messenger polling is now handled by startChatAutoRefresh() to run simultaneously.
  * This function is kept for backwards compatibility but does nothing.